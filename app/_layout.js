@@ -1,12 +1,15 @@
+import { useState, useContext } from "react";
 import { Stack } from "expo-router";
 import { View, ActivityIndicator } from "react-native";
-import { TaskProvider } from "../context/TaskContext";
+import { TaskProvider, TaskContext } from "../context/TaskContext";
 import { ThemeProvider, useTheme } from "../context/ThemeContext";
 import { PomodoroProvider } from "../context/PomodoroContext";
 import { StatsProvider } from "../context/StatsContext";
 import { AuthProvider, useAuth } from "../context/AuthContext";
 import { StatusBar } from "expo-status-bar";
 import AuthScreen from "./auth";
+import EncryptionModal from "../components/EncryptionModal";
+import useNotifications from "../hooks/useNotifications";
 
 // Loading screen while checking auth
 function LoadingScreen() {
@@ -22,6 +25,19 @@ function LoadingScreen() {
 function RootLayoutNav() {
   const { isDarkMode, colors } = useTheme();
   const auth = useAuth();
+  const [unlockDismissed, setUnlockDismissed] = useState(false);
+  const { tasks, loading, toggleCompleted, snoozeTask } = useContext(TaskContext);
+
+  // Complete and snooze actions of reminder notifications, once tasks are
+  // loaded so actions that launched the app find their task
+  useNotifications({
+    onComplete: (taskId) => {
+      const task = tasks.find(t => t.id === taskId);
+      if (task && !task.completed) return toggleCompleted(taskId);
+    },
+    onSnooze: snoozeTask,
+    ready: !loading,
+  });
 
   // Show loading while checking auth state
   if (auth.loading) {
@@ -87,6 +103,12 @@ function RootLayoutNav() {
             animation: "slide_from_right",
           }}
         />
+        <Stack.Screen 
+          name="lists" 
+          options={{
+            animation: "slide_from_right",
+          }}
+        />
         <Stack.Screen 
           name="cloud-backup" 
           options={{
@@ -100,6 +122,14 @@ function RootLayoutNav() {
           }}
         />
       </Stack>
+
+      {/* Encrypted account on a device without the key */}
+      <EncryptionModal
+        visible={auth.encryption.enabled && !auth.encryption.unlocked && !unlockDismissed}
+        mode="unlock"
+        onClose={() => setUnlockDismissed(true)}
+        onDone={() => setUnlockDismissed(false)}
+      />
     </>
   );
 }
@@ -22,12 +22,18 @@ import * as Haptics from 'expo-haptics';
 
 import { TaskContext } from '../context/TaskContext';
 import { useTheme } from '../context/ThemeContext';
-import { spacing, borderRadius, typography, categories, priorities } from '../constants/theme';
+import { spacing, borderRadius, typography, priorities } from '../constants/theme';
 import GradientButton from '../components/GradientButton';
 import DatePickerButton from '../components/DatePickerButton';
 import ReminderToggle from '../components/ReminderToggle';
 import RecurrenceSelector from '../components/RecurrenceSelector';
-import { DEFAULT_RECURRING_CONFIG } from '../utils/recurringHelpers';
+import DurationPicker from '../components/DurationPicker';
+import ReminderList from '../components/ReminderList';
+import PlacePicker from '../components/PlacePicker';
+import { DEFAULT_RECURRING_CONFIG, validateRecurringConfig } from '../utils/recurringHelpers';
+import { DEFAULT_LIST_ID, getActiveLists } from '../utils/taskLists';
+import { withDefaultTime, startsAfterDue } from '../utils/dateHelpers';
+import { createRelativeReminder } from '../utils/taskReminders';
 
 // Safe haptics wrapper for web compatibility
 const safeHaptics = {
@@ -45,36 +51,56 @@ const safeHaptics = {
 
 export default function AddTask() {
   const router = useRouter();
-  const { addTask, createRecurringTask } = useContext(TaskContext);
+  const { addTask, createRecurringTask, lists } = useContext(TaskContext);
   const { colors } = useTheme();
   
   const [title, setTitle] = useState('');
-  const [selectedCategory, setSelectedCategory] = useState('personal');
+  const [selectedListId, setSelectedListId] = useState(() => {
+    const activeLists = getActiveLists(lists);
+    return (activeLists.find(l => l.id === DEFAULT_LIST_ID) || activeLists[0])?.id || DEFAULT_LIST_ID;
+  });
   const [selectedPriority, setSelectedPriority] = useState('medium');
   const [dueDate, setDueDate] = useState(null);
-  const [enableReminder, setEnableReminder] = useState(false);
+  const [startDate, setStartDate] = useState(null);
+  const [allDay, setAllDay] = useState(true);
+  const [estimatedMinutes, setEstimatedMinutes] = useState(null);
+  const [reminders, setReminders] = useState([]);
+  const [place, setPlace] = useState(null);
   const [isRecurring, setIsRecurring] = useState(false);
   const [recurringConfig, setRecurringConfig] = useState({
     ...DEFAULT_RECURRING_CONFIG,
     startDate: new Date().toISOString(),
   });
 
+  const scheduleError = !isRecurring && startsAfterDue(startDate, dueDate, allDay)
+    ? 'La fecha de inicio es posterior a la fecha límite'
+    : '';
+
+  // Switching to a due time gives the dates a default time
+  const handleAllDayChange = (value) => {
+    setAllDay(value);
+    if (!value) {
+      if (dueDate) setDueDate(withDefaultTime(dueDate));
+      if (startDate) setStartDate(withDefaultTime(startDate));
+    }
+  };
+
   const handleSubmit = async () => {
-    if (!title.trim()) {
+    if (!title.trim() || scheduleError) {
       safeHaptics.notification(Haptics.NotificationFeedbackType.Error);
       return;
     }
 
     const taskData = {
       title: title.trim(),
-      category: selectedCategory,
+      listId: selectedListId,
       priority: selectedPriority,
-      enableReminder: enableReminder,
+      reminders,
     };
 
     if (isRecurring) {
-      // Validate recurring config has start date
-      if (!recurringConfig.startDate) {
+      // Validate recurring config (start date, days, custom rule)
+      if (!validateRecurringConfig(recurringConfig).valid) {
         safeHaptics.notification(Haptics.NotificationFeedbackType.Error);
         return;
       }
@@ -85,6 +111,10 @@ export default function AddTask() {
       await addTask({
         ...taskData,
         dueDate: dueDate ? dueDate.toISOString() : null,
+        startDate: startDate ? startDate.toISOString() : null,
+        allDay,
+        estimatedMinutes,
+        place,
         completed: false,
         createdAt: new Date().toISOString(),
       });
@@ -94,8 +124,8 @@ export default function AddTask() {
     router.back();
   };
 
-  // Filter out 'all' category
-  const taskCategories = Object.values(categories).filter(c => c.id !== 'all');
+  // Archived lists can't receive new tasks
+  const taskLists = getActiveLists(lists);
 
   return (
     <KeyboardAvoidingView 
@@ -139,48 +169,48 @@ export default function AddTask() {
           />
         </Animated.View>
 
-        {/* Category Selection */}
+        {/* List Selection */}
         <Animated.View 
           style={styles.section}
           entering={FadeInUp.delay(200).springify()}
         >
-          <Text style={[styles.label, { color: colors.textSecondary }]}>Categoría</Text>
+          <Text style={[styles.label, { color: colors.textSecondary }]}>Lista</Text>
           <View style={styles.optionsGrid}>
-            {taskCategories.map((category, index) => (
+            {taskLists.map((list, index) => (
               <Animated.View
-                key={category.id}
+                key={list.id}
                 entering={FadeInRight.delay(200 + index * 50).springify()}
               >
                 <Pressable
                   style={[
                     styles.optionCard,
                     { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder },
-                    selectedCategory === category.id && {
-                      backgroundColor: category.color + '20',
-                      borderColor: category.color,
+                    selectedListId === list.id && {
+                      backgroundColor: list.color + '20',
+                      borderColor: list.color,
                     }
                   ]}
                   onPress={() => {
-                    setSelectedCategory(category.id);
+                    setSelectedListId(list.id);
                     safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
                   }}
                 >
                   <View style={[
                     styles.optionIcon,
-                    { backgroundColor: category.color + '30' }
+                    { backgroundColor: list.color + '30' }
                   ]}>
                     <Ionicons 
-                      name={category.icon} 
+                      name={list.icon} 
                       size={20} 
-                      color={category.color} 
+                      color={list.color} 
                     />
                   </View>
                   <Text style={[
                     styles.optionText,
                     { color: colors.textSecondary },
-                    selectedCategory === category.id && { color: category.color }
+                    selectedListId === list.id && { color: list.color }
                   ]}>
-                    {category.name}
+                    {list.name}
                   </Text>
                 </Pressable>
               </Animated.View>
@@ -198,29 +228,83 @@ export default function AddTask() {
             value={dueDate}
             onChange={(date) => {
               setDueDate(date);
-              // Auto-enable reminder when date is set
-              if (date && !enableReminder) {
-                setEnableReminder(true);
+              // Remind at the due time when the first date is set
+              if (date && !dueDate && reminders.length === 0) {
+                setReminders([createRelativeReminder(0)]);
               }
             }}
             placeholder="Agregar fecha límite"
+            includeTime={!allDay}
           />
           
-          {/* Reminder Toggle - only show when date is set */}
+          {/* All-day toggle - only show when date is set */}
           {dueDate && (
             <Animated.View
               style={{ marginTop: spacing.md }}
               entering={FadeInUp.springify()}
             >
               <ReminderToggle 
-                enabled={enableReminder}
-                onToggle={setEnableReminder}
-                label="Recordarme a las 9:00 AM"
+                enabled={allDay}
+                onToggle={handleAllDayChange}
+                label="Todo el día"
+                icon="sunny"
               />
             </Animated.View>
           )}
         </Animated.View>
 
+        {/* Reminders */}
+        <Animated.View 
+          style={styles.section}
+          entering={FadeInUp.delay(305).springify()}
+        >
+          <Text style={[styles.label, { color: colors.textSecondary }]}>Recordatorios</Text>
+          <ReminderList
+            reminders={reminders}
+            onChange={setReminders}
+            dueDate={dueDate}
+            allDay={allDay}
+            allowRelative={isRecurring || !!dueDate}
+            allowAbsolute={!isRecurring}
+          />
+        </Animated.View>
+
+        {/* Place */}
+        {!isRecurring && (
+          <Animated.View 
+            style={styles.section}
+            entering={FadeInUp.delay(307).springify()}
+          >
+            <Text style={[styles.label, { color: colors.textSecondary }]}>Recordar al llegar a</Text>
+            <PlacePicker value={place} onChange={setPlace} />
+          </Animated.View>
+        )}
+
+        {/* Start Date and Duration */}
+        {!isRecurring && (
+          <Animated.View 
+            style={styles.section}
+            entering={FadeInUp.delay(310).springify()}
+          >
+            <Text style={[styles.label, { color: colors.textSecondary }]}>Inicio</Text>
+            <DatePickerButton 
+              value={startDate}
+              onChange={setStartDate}
+              placeholder="Agregar fecha de inicio"
+              title="Fecha de inicio"
+              includeTime={!allDay}
+            />
+            {scheduleError ? (
+              <Text style={[styles.scheduleError, { color: colors.error }]}>{scheduleError}</Text>
+            ) : null}
+
+            <Text style={[styles.label, styles.durationLabel, { color: colors.textSecondary }]}>
+              Duración estimada
+            </Text>
+            <DurationPicker value={estimatedMinutes} onChange={setEstimatedMinutes} />
+          </Animated.View>
+        )}
+
         {/* Recurrence Section */}
         <Animated.View 
           style={styles.section}
@@ -400,6 +484,15 @@ const styles = StyleSheet.create({
     textAlignVertical: 'top',
   },
   
+  scheduleError: {
+    fontSize: typography.fontSize.sm,
+    marginTop: spacing.sm,
+  },
+  
+  durationLabel: {
+    marginTop: spacing.lg,
+  },
+  
   optionsGrid: {
     flexDirection: 'row',
     flexWrap: 'wrap',
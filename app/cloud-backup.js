@@ -16,6 +16,7 @@ import {
   Alert,
   ActivityIndicator,
   Platform,
+  Switch,
 } from 'react-native';
 import { useRouter } from 'expo-router';
 import Animated, { FadeInDown, FadeInUp, FadeIn } from 'react-native-reanimated';
@@ -28,9 +29,19 @@ import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import { spacing, typography, borderRadius } from '../constants/theme';
 import { isSupabaseConfigured, getSetupInstructions } from '../config/supabase';
-import { getSyncStatus } from '../services/cloudSyncService';
-import { listBackups, createBackup, getBackupStats } from '../services/backupService';
-import { useCloudSync } from '../hooks/useCloudSync';
+import { getSyncStatus, getSyncConflicts, resolveSyncConflict } from '../services/cloudSyncService';
+import {
+  listBackups,
+  createBackup,
+  getBackupStats,
+  getBackupSchedule,
+  saveBackupSettings,
+  previewRestore,
+  restoreBackup,
+} from '../services/backupService';
+import SyncConflictModal from '../components/SyncConflictModal';
+import RestoreBackupModal from '../components/RestoreBackupModal';
+import EncryptionModal from '../components/EncryptionModal';
 
 // Safe haptics
 const safeHaptics = {
@@ -53,6 +64,20 @@ const formatSize = (bytes) => {
   return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
 };
 
+// Automatic backup frequencies
+const BACKUP_INTERVALS = [
+  { hours: 12, label: 'Cada 12 h' },
+  { hours: 24, label: 'Diario' },
+  { hours: 168, label: 'Semanal' },
+];
+
+// Retention counts shown in settings
+const RETENTION_OPTIONS = [
+  { key: 'daily', label: 'Diarios', max: 31 },
+  { key: 'weekly', label: 'Semanales', max: 12 },
+  { key: 'monthly', label: 'Mensuales', max: 24 },
+];
+
 // Format date
 const formatDate = (dateString) => {
   if (!dateString) return 'Nunca';
@@ -67,7 +92,12 @@ const formatDate = (dateString) => {
 
 export default function CloudBackup() {
   const router = useRouter();
-  const { tasks } = useContext(TaskContext);
+  const {
+    tasks,
+    applySyncedTasks,
+    updateTask,
+    cloudSync,
+  } = useContext(TaskContext);
   const { colors } = useTheme();
   const auth = useAuth();
 
@@ -75,7 +105,14 @@ export default function CloudBackup() {
   const [activeTab, setActiveTab] = useState('sync');
   const [backups, setBackups] = useState([]);
   const [backupStats, setBackupStats] = useState(null);
+  const [backupSchedule, setBackupSchedule] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [conflicts, setConflicts] = useState([]);
+  const [selectedConflict, setSelectedConflict] = useState(null);
+  const [restoreTarget, setRestoreTarget] = useState(null);
+  const [restorePreview, setRestorePreview] = useState(null);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [encryptionMode, setEncryptionMode] = useState(null); // 'setup' | 'unlock'
 
   // Auth form state
   const [authMode, setAuthMode] = useState('login'); // 'login' | 'register'
@@ -84,39 +121,73 @@ export default function CloudBackup() {
   const [displayName, setDisplayName] = useState('');
   const [authError, setAuthError] = useState('');
 
-  // Cloud sync hook (only if authenticated)
-  const cloudSync = auth?.isAuthenticated ? useCloudSync(tasks, () => {}) : {
-    isSyncing: false,
-    lastSync: null,
-    sync: () => {},
-    syncStatus: { isConfigured: false, isAuthenticated: false },
-  };
-
   // Check configuration on mount
   useEffect(() => {
     setIsConfigured(isSupabaseConfigured());
   }, []);
 
-  // Load backups when authenticated
+  // Load backups and pending conflicts when authenticated
   useEffect(() => {
     if (auth?.isAuthenticated) {
       loadBackups();
+      loadConflicts();
+      cloudSync.checkSyncStatus();
     }
   }, [auth?.isAuthenticated]);
 
   const loadBackups = async () => {
     try {
-      const [backupList, stats] = await Promise.all([
-        listBackups(5),
+      const [backupList, stats, schedule] = await Promise.all([
+        listBackups(),
         getBackupStats(),
+        getBackupSchedule(),
       ]);
       setBackups(backupList);
       setBackupStats(stats);
+      setBackupSchedule(schedule);
     } catch (error) {
       console.error('Error loading backups:', error);
     }
   };
 
+  const loadConflicts = async () => {
+    const stored = await getSyncConflicts();
+    // Ignore conflicts of tasks that were deleted since
+    const taskIds = new Set(tasks.map(t => t.id));
+    setConflicts(stored.filter(c => taskIds.has(c.taskId)));
+  };
+
+  // Apply the user's choice for a conflict and upload it
+  const handleResolveConflict = async (values) => {
+    const conflict = selectedConflict;
+    const localTask = tasks.find(t => t.id === conflict?.taskId);
+    setSelectedConflict(null);
+    if (!localTask) return;
+
+    setIsLoading(true);
+    try {
+      const updates = {
+        dueDate: localTask.dueDate,
+        enableReminder: localTask.enableReminder,
+        ...values,
+      };
+      await updateTask(localTask.id, updates);
+      await resolveSyncConflict(localTask.id, {
+        ...localTask,
+        ...updates,
+        updatedAt: new Date().toISOString(),
+      });
+      await loadConflicts();
+      safeHaptics.notification(Haptics.NotificationFeedbackType.Success);
+    } catch (error) {
+      console.error('Conflict resolution error:', error);
+      safeHaptics.notification(Haptics.NotificationFeedbackType.Error);
+      Alert.alert('Error', 'No se pudo resolver el conflicto');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   // Handle authentication
   const handleAuth = async () => {
     if (!email.trim() || !password.trim()) {
@@ -172,6 +243,7 @@ export default function CloudBackup() {
     setIsLoading(true);
     try {
       await cloudSync.sync();
+      await loadConflicts();
       safeHaptics.notification(Haptics.NotificationFeedbackType.Success);
       Alert.alert('Sincronizado', 'Tus tareas están actualizadas');
     } catch (error) {
@@ -183,6 +255,54 @@ export default function CloudBackup() {
     }
   };
 
+  // Handle full resync, for when the cloud and this device drifted apart
+  const handleFullResync = () => {
+    Alert.alert(
+      'Resincronizar todo',
+      'Se descargarán y compararán todas las tareas de la nube, no solo los cambios recientes. Puede tardar y consumir más datos.',
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Resincronizar',
+          onPress: async () => {
+            setIsLoading(true);
+            try {
+              const result = await cloudSync.fullResync();
+              if (!result?.success) {
+                throw new Error(result?.error || 'Resync failed');
+              }
+              await loadConflicts();
+              safeHaptics.notification(Haptics.NotificationFeedbackType.Success);
+              Alert.alert('Sincronizado', `Se compararon ${result.stats.total} tareas`);
+            } catch (error) {
+              console.error('Full resync error:', error);
+              safeHaptics.notification(Haptics.NotificationFeedbackType.Error);
+              Alert.alert('Error', 'No se pudo resincronizar');
+            } finally {
+              setIsLoading(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Encryption turned on or unlocked
+  const handleEncryptionDone = async (mode) => {
+    setEncryptionMode(null);
+    safeHaptics.notification(Haptics.NotificationFeedbackType.Success);
+
+    // Replace the plaintext copies in the cloud with encrypted ones
+    if (mode === 'setup') {
+      setIsLoading(true);
+      try {
+        await cloudSync.forceUpload();
+      } finally {
+        setIsLoading(false);
+      }
+    }
+  };
+
   // Handle create backup
   const handleCreateBackup = async () => {
     setIsLoading(true);
@@ -200,6 +320,56 @@ export default function CloudBackup() {
     }
   };
 
+  // Update automatic backup settings
+  const handleUpdateBackupSettings = async (updates) => {
+    safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+    try {
+      await saveBackupSettings(updates);
+      setBackupSchedule(await getBackupSchedule());
+    } catch (error) {
+      console.error('Backup settings error:', error);
+      Alert.alert('Error', 'No se pudo guardar la configuración');
+    }
+  };
+
+  // Open the restore preview for a backup
+  const handleSelectBackup = async (backup) => {
+    safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+    setRestoreTarget(backup);
+    setRestorePreview(null);
+    try {
+      setRestorePreview(await previewRestore(backup.id, tasks));
+    } catch (error) {
+      console.error('Restore preview error:', error);
+      setRestoreTarget(null);
+      Alert.alert('Error', error.message || 'No se pudo leer el respaldo');
+    }
+  };
+
+  // Handle restore backup
+  const handleRestoreBackup = async (mode) => {
+    if (!restoreTarget) return;
+
+    setIsRestoring(true);
+    try {
+      const result = await restoreBackup(restoreTarget.id, mode, tasks);
+      applySyncedTasks(result.tasks);
+      setRestoreTarget(null);
+      await loadBackups();
+      safeHaptics.notification(Haptics.NotificationFeedbackType.Success);
+      Alert.alert(
+        'Respaldo restaurado',
+        `${result.added} nuevas · ${result.changed} modificadas · ${result.removed} eliminadas.\n\nSe guardó un respaldo de seguridad con tus tareas anteriores.`
+      );
+    } catch (error) {
+      console.error('Restore error:', error);
+      safeHaptics.notification(Haptics.NotificationFeedbackType.Error);
+      Alert.alert('Error', 'No se pudo restaurar el respaldo');
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
   // Show setup instructions
   const showSetupInstructions = () => {
     Alert.alert(
@@ -499,6 +669,11 @@ export default function CloudBackup() {
                 <Text style={[styles.statusSubtitle, { color: colors.textSecondary }]}>
                   Última sincronización: {formatDate(cloudSync.lastSync)}
                 </Text>
+                {cloudSync.pendingOperations > 0 && (
+                  <Text style={[styles.statusSubtitle, { color: colors.textSecondary }]}>
+                    {cloudSync.pendingOperations} cambios pendientes de subir
+                  </Text>
+                )}
               </View>
             </View>
 
@@ -523,6 +698,70 @@ export default function CloudBackup() {
               </View>
             </View>
 
+            {/* End-to-end encryption */}
+            <Text style={[styles.sectionTitle, { color: colors.textSecondary }]}>
+              CIFRADO
+            </Text>
+            <TouchableOpacity
+              style={[styles.backupItem, { backgroundColor: colors.glassLight, borderColor: colors.glassBorder }]}
+              onPress={() => setEncryptionMode(auth.encryption.enabled ? 'unlock' : 'setup')}
+              disabled={auth.encryption.unlocked}
+            >
+              <View style={[styles.backupIcon, { backgroundColor: colors.accentPurple + '20' }]}>
+                <Ionicons
+                  name={auth.encryption.enabled ? 'lock-closed' : 'lock-open-outline'}
+                  size={20}
+                  color={colors.accentPurple}
+                />
+              </View>
+              <View style={styles.backupInfo}>
+                <Text style={[styles.backupDate, { color: colors.textPrimary }]}>
+                  Cifrado de extremo a extremo
+                </Text>
+                <Text style={[styles.backupMeta, { color: colors.textSecondary }]}>
+                  {!auth.encryption.enabled
+                    ? 'Desactivado · Toca para activarlo'
+                    : auth.encryption.unlocked
+                      ? 'Activado en este dispositivo'
+                      : 'Bloqueado · Toca para introducir tu frase'}
+                </Text>
+              </View>
+              {!auth.encryption.unlocked && (
+                <Ionicons name="chevron-forward" size={18} color={colors.textTertiary} />
+              )}
+            </TouchableOpacity>
+            <View style={styles.conflictSpacer} />
+
+            {/* Conflicts to review */}
+            {conflicts.length > 0 && (
+              <>
+                <Text style={[styles.sectionTitle, { color: colors.textSecondary }]}>
+                  CONFLICTOS
+                </Text>
+                {conflicts.map((conflict) => (
+                  <TouchableOpacity
+                    key={conflict.taskId}
+                    style={[styles.backupItem, { backgroundColor: colors.warning + '10', borderColor: colors.warning + '30' }]}
+                    onPress={() => setSelectedConflict(conflict)}
+                  >
+                    <View style={[styles.backupIcon, { backgroundColor: colors.warning + '20' }]}>
+                      <Ionicons name="git-compare-outline" size={20} color={colors.warning} />
+                    </View>
+                    <View style={styles.backupInfo}>
+                      <Text style={[styles.backupDate, { color: colors.textPrimary }]} numberOfLines={1}>
+                        {conflict.local?.title || conflict.cloud?.title}
+                      </Text>
+                      <Text style={[styles.backupMeta, { color: colors.textSecondary }]}>
+                        {conflict.fields.length} {conflict.fields.length === 1 ? 'campo' : 'campos'} en conflicto · {formatDate(conflict.detectedAt)}
+                      </Text>
+                    </View>
+                    <Ionicons name="chevron-forward" size={18} color={colors.textTertiary} />
+                  </TouchableOpacity>
+                ))}
+                <View style={styles.conflictSpacer} />
+              </>
+            )}
+
             {/* Sync button */}
             <TouchableOpacity
               style={styles.actionButton}
@@ -548,11 +787,25 @@ export default function CloudBackup() {
               </LinearGradient>
             </TouchableOpacity>
 
+            {/* Full resync */}
+            <TouchableOpacity
+              style={[styles.resyncButton, { borderColor: colors.glassBorder }]}
+              onPress={handleFullResync}
+              disabled={isLoading || cloudSync.isSyncing}
+            >
+              <Ionicons name="refresh-circle-outline" size={18} color={colors.textSecondary} />
+              <Text style={[styles.resyncText, { color: colors.textSecondary }]}>
+                Resincronizar todo
+              </Text>
+            </TouchableOpacity>
+
             {/* Auto sync info */}
             <View style={[styles.infoCard, { backgroundColor: colors.accentPurple + '10', borderColor: colors.accentPurple + '30' }]}>
               <Ionicons name="information-circle-outline" size={20} color={colors.accentPurple} />
               <Text style={[styles.infoText, { color: colors.textSecondary }]}>
-                La sincronización automática está activada. Tus tareas se sincronizan cada 5 minutos y cuando abres la aplicación.
+                {cloudSync.realtimeConnected
+                  ? 'La sincronización en tiempo real está activa. Los cambios de otros dispositivos aparecen en segundos.'
+                  : 'La sincronización automática está activada. Tus tareas se sincronizan cada 5 minutos y cuando abres la aplicación.'}
               </Text>
             </View>
           </Animated.View>
@@ -583,6 +836,96 @@ export default function CloudBackup() {
               </LinearGradient>
             </TouchableOpacity>
 
+            {/* Automatic backup schedule */}
+            {backupSchedule && (
+              <>
+                <Text style={[styles.sectionTitle, { color: colors.textSecondary }]}>
+                  PROGRAMACIÓN
+                </Text>
+                <View style={[styles.scheduleCard, { backgroundColor: colors.glassLight, borderColor: colors.glassBorder }]}>
+                  <View style={styles.scheduleRow}>
+                    <View style={styles.backupInfo}>
+                      <Text style={[styles.backupDate, { color: colors.textPrimary }]}>
+                        Respaldos automáticos
+                      </Text>
+                      <Text style={[styles.backupMeta, { color: colors.textSecondary }]}>
+                        {backupSchedule.enabled
+                          ? `Próximo: ${new Date(backupSchedule.nextRun) > new Date()
+                            ? formatDate(backupSchedule.nextRun)
+                            : 'en cuanto haya conexión'}`
+                          : 'Desactivados'}
+                      </Text>
+                    </View>
+                    <Switch
+                      value={backupSchedule.enabled}
+                      onValueChange={(enabled) => handleUpdateBackupSettings({ enabled })}
+                      trackColor={{ false: colors.glassMedium, true: colors.accentPurple }}
+                      thumbColor={backupSchedule.enabled ? colors.white : colors.textSecondary}
+                      ios_backgroundColor={colors.glassMedium}
+                    />
+                  </View>
+
+                  {backupSchedule.enabled && (
+                    <>
+                      <View style={styles.intervalRow}>
+                        {BACKUP_INTERVALS.map(({ hours, label }) => {
+                          const selected = backupSchedule.intervalHours === hours;
+                          return (
+                            <TouchableOpacity
+                              key={hours}
+                              style={[
+                                styles.intervalChip,
+                                {
+                                  backgroundColor: selected ? colors.accentPurple + '20' : colors.glassMedium,
+                                  borderColor: selected ? colors.accentPurple : colors.glassBorder,
+                                },
+                              ]}
+                              onPress={() => handleUpdateBackupSettings({ intervalHours: hours })}
+                            >
+                              <Text style={[styles.intervalText, { color: selected ? colors.accentPurple : colors.textSecondary }]}>
+                                {label}
+                              </Text>
+                            </TouchableOpacity>
+                          );
+                        })}
+                      </View>
+
+                      <Text style={[styles.retentionTitle, { color: colors.textTertiary }]}>
+                        Conservar el último respaldo de cada
+                      </Text>
+                      {RETENTION_OPTIONS.map(({ key, label, max }) => {
+                        const value = backupSchedule.retention[key];
+                        return (
+                          <View key={key} style={styles.retentionRow}>
+                            <Text style={[styles.retentionLabel, { color: colors.textPrimary }]}>
+                              {label}
+                            </Text>
+                            <TouchableOpacity
+                              style={[styles.stepperButton, { backgroundColor: colors.glassMedium }]}
+                              onPress={() => handleUpdateBackupSettings({ retention: { [key]: Math.max(0, value - 1) } })}
+                              disabled={value <= 0}
+                            >
+                              <Ionicons name="remove" size={16} color={colors.textSecondary} />
+                            </TouchableOpacity>
+                            <Text style={[styles.retentionValue, { color: colors.textPrimary }]}>
+                              {value}
+                            </Text>
+                            <TouchableOpacity
+                              style={[styles.stepperButton, { backgroundColor: colors.glassMedium }]}
+                              onPress={() => handleUpdateBackupSettings({ retention: { [key]: Math.min(max, value + 1) } })}
+                              disabled={value >= max}
+                            >
+                              <Ionicons name="add" size={16} color={colors.textSecondary} />
+                            </TouchableOpacity>
+                          </View>
+                        );
+                      })}
+                    </>
+                  )}
+                </View>
+              </>
+            )}
+
             {/* Backup list */}
             <Text style={[styles.sectionTitle, { color: colors.textSecondary }]}>
               RESPALDOS RECIENTES
@@ -601,7 +944,11 @@ export default function CloudBackup() {
                   key={backup.id}
                   entering={FadeInUp.delay(index * 50)}
                 >
-                  <View style={[styles.backupItem, { backgroundColor: colors.glassLight, borderColor: colors.glassBorder }]}>
+                  <TouchableOpacity
+                    style={[styles.backupItem, { backgroundColor: colors.glassLight, borderColor: colors.glassBorder }]}
+                    onPress={() => handleSelectBackup(backup)}
+                    disabled={isLoading || isRestoring}
+                  >
                     <View style={[styles.backupIcon, { backgroundColor: colors.accentPurple + '20' }]}>
                       <Ionicons name="cloud-done" size={20} color={colors.accentPurple} />
                     </View>
@@ -614,7 +961,8 @@ export default function CloudBackup() {
                         {backup.is_automatic && ' · Automático'}
                       </Text>
                     </View>
-                  </View>
+                    <Ionicons name="chevron-forward" size={18} color={colors.textTertiary} />
+                  </TouchableOpacity>
                 </Animated.View>
               ))
             )}
@@ -623,12 +971,35 @@ export default function CloudBackup() {
             <View style={[styles.infoCard, { backgroundColor: colors.accentPurple + '10', borderColor: colors.accentPurple + '30' }]}>
               <Ionicons name="information-circle-outline" size={20} color={colors.accentPurple} />
               <Text style={[styles.infoText, { color: colors.textSecondary }]}>
-                Se crean respaldos automáticos cada 24 horas. Se mantienen los últimos 5 respaldos.
+                Se conserva el respaldo más reciente de cada día, semana y mes según la programación. Toca un respaldo para restaurarlo.
               </Text>
             </View>
           </Animated.View>
         )}
       </ScrollView>
+
+      <SyncConflictModal
+        visible={!!selectedConflict}
+        conflict={selectedConflict}
+        onClose={() => setSelectedConflict(null)}
+        onResolve={handleResolveConflict}
+      />
+
+      <RestoreBackupModal
+        visible={!!restoreTarget}
+        preview={restorePreview}
+        backupDate={formatDate(restoreTarget?.created_at)}
+        isRestoring={isRestoring}
+        onClose={() => setRestoreTarget(null)}
+        onRestore={handleRestoreBackup}
+      />
+
+      <EncryptionModal
+        visible={!!encryptionMode}
+        mode={encryptionMode || 'unlock'}
+        onClose={() => setEncryptionMode(null)}
+        onDone={handleEncryptionDone}
+      />
     </View>
   );
 }
@@ -924,6 +1295,23 @@ const styles = StyleSheet.create({
     fontWeight: typography.fontWeight.bold,
   },
 
+  resyncButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: spacing.xs,
+    paddingVertical: spacing.md,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    marginTop: -spacing.sm,
+    marginBottom: spacing.lg,
+  },
+
+  resyncText: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
   infoCard: {
     flexDirection: 'row',
     padding: spacing.lg,
@@ -989,4 +1377,73 @@ const styles = StyleSheet.create({
     fontSize: typography.fontSize.sm,
     marginTop: 2,
   },
+
+  conflictSpacer: {
+    height: spacing.md,
+  },
+
+  scheduleCard: {
+    padding: spacing.md,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    marginBottom: spacing.lg,
+  },
+
+  scheduleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.md,
+  },
+
+  intervalRow: {
+    flexDirection: 'row',
+    gap: spacing.sm,
+    marginTop: spacing.md,
+  },
+
+  intervalChip: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+  },
+
+  intervalText: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  retentionTitle: {
+    fontSize: typography.fontSize.sm,
+    marginTop: spacing.lg,
+    marginBottom: spacing.sm,
+  },
+
+  retentionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.xs,
+    gap: spacing.md,
+  },
+
+  retentionLabel: {
+    flex: 1,
+    fontSize: typography.fontSize.md,
+  },
+
+  retentionValue: {
+    minWidth: 24,
+    textAlign: 'center',
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  stepperButton: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
 });
@@ -97,7 +97,7 @@ const FormatCard = ({ title, subtitle, icon, isSelected, onPress, colors }) => (
 
 export default function DataManagement() {
   const router = useRouter();
-  const { tasks, addTask } = useContext(TaskContext);
+  const { tasks, lists, addTask, addLists } = useContext(TaskContext);
   const { colors, isDarkMode } = useTheme();
 
   const [activeTab, setActiveTab] = useState('export');
@@ -123,16 +123,16 @@ export default function DataManagement() {
       
       switch (exportFormat) {
         case 'json':
-          content = exportToJSON(tasks, { includeCompleted });
+          content = exportToJSON(tasks, { includeCompleted, lists });
           break;
         case 'csv':
-          content = exportToCSV(tasks, { includeCompleted });
+          content = exportToCSV(tasks, { includeCompleted, lists });
           break;
         case 'markdown':
           content = exportToMarkdown(tasks, { includeCompleted });
           break;
         default:
-          content = exportToJSON(tasks, { includeCompleted });
+          content = exportToJSON(tasks, { includeCompleted, lists });
       }
 
       await saveAndShareExport(content, exportFormat);
@@ -162,7 +162,7 @@ export default function DataManagement() {
         return;
       }
 
-      const validation = validateImportData(fileData);
+      const validation = validateImportData(fileData, lists);
       const duplicates = detectDuplicates(validation.tasks, tasks);
 
       setImportPreview({
@@ -192,6 +192,12 @@ export default function DataManagement() {
       const tasksToImport = importPreview.duplicates.unique;
       let importedCount = 0;
 
+      // Create the lists from the file that imported tasks belong to
+      const usedListIds = new Set(tasksToImport.map(t => t.listId));
+      const createdLists = addLists(
+        importPreview.validation.lists.filter(l => usedListIds.has(l.id))
+      );
+
       for (const task of tasksToImport) {
         await addTask(task);
         importedCount++;
@@ -200,6 +206,7 @@ export default function DataManagement() {
       setImportResult({
         success: true,
         imported: importedCount,
+        listsCreated: createdLists.length,
         skipped: importPreview.duplicates.duplicates.length,
       });
 
@@ -386,6 +393,7 @@ export default function DataManagement() {
                 </Text>
                 <Text style={[styles.resultSubtitle, { color: colors.textSecondary }]}>
                   {importResult.imported} tareas importadas
+                  {importResult.listsCreated > 0 && ` · ${importResult.listsCreated} listas nuevas`}
                   {importResult.skipped > 0 && ` (${importResult.skipped} duplicadas omitidas)`}
                 </Text>
                 <TouchableOpacity
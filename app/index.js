@@ -19,6 +19,7 @@ import { GestureHandlerRootView } from 'react-native-gesture-handler';
 import { TaskContext } from '../context/TaskContext';
 import { useTheme } from '../context/ThemeContext';
 import { spacing, typography } from '../constants/theme';
+import { sortByActionable } from '../utils/taskDependencies';
 
 // Components
 import Header from '../components/Header';
@@ -32,9 +33,9 @@ import ConfettiCelebration from '../components/ConfettiCelebration';
 
 export default function Index() {
   const router = useRouter();
-  const { tasks, deleteTask, toggleCompleted, loading } = useContext(TaskContext);
+  const { tasks, lists, deleteTask, toggleCompleted, loading } = useContext(TaskContext);
   const { isDarkMode, colors } = useTheme();
-  const [selectedCategory, setSelectedCategory] = useState('all');
+  const [selectedListId, setSelectedListId] = useState('all');
   const [refreshing, setRefreshing] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   const [showConfetti, setShowConfetti] = useState(false);
@@ -42,23 +43,26 @@ export default function Index() {
   // Track previous pending count to detect when all tasks become completed
   const prevPendingCount = useRef(null);
 
-  // Filter tasks by category
-  const categoryFilteredTasks = selectedCategory === 'all'
+  // Filter tasks by list (back to all once the selected list is archived)
+  const activeListId = lists.some(l => l.id === selectedListId && !l.archived)
+    ? selectedListId
+    : 'all';
+  const listFilteredTasks = activeListId === 'all'
     ? tasks
-    : tasks.filter(task => task.category === selectedCategory);
+    : tasks.filter(task => task.listId === activeListId);
 
   // Filter tasks by search query
   const filteredTasks = searchQuery.trim() === ''
-    ? categoryFilteredTasks
-    : categoryFilteredTasks.filter(task => {
+    ? listFilteredTasks
+    : listFilteredTasks.filter(task => {
         const query = searchQuery.toLowerCase();
         const titleMatch = task.title?.toLowerCase().includes(query);
         const descriptionMatch = task.description?.toLowerCase().includes(query);
         return titleMatch || descriptionMatch;
       });
 
-  // Separate completed and pending
-  const pendingTasks = filteredTasks.filter(t => !t.completed);
+  // Separate completed and pending; blocked tasks go after the actionable ones
+  const pendingTasks = sortByActionable(filteredTasks.filter(t => !t.completed), tasks);
   const completedTasks = filteredTasks.filter(t => t.completed);
 
   // Detect when all tasks are completed and show confetti
@@ -128,10 +132,12 @@ export default function Index() {
       {/* Pomodoro Widget */}
       <PomodoroWidget />
       
-      {/* Category Filter */}
+      {/* List Filter */}
       <CategoryFilter 
-        selected={selectedCategory}
-        onSelect={setSelectedCategory}
+        lists={lists}
+        selected={activeListId}
+        onSelect={setSelectedListId}
+        onManage={() => router.push('/lists')}
       />
       
       {/* Search Bar */}
@@ -0,0 +1,521 @@
+/**
+ * Lists Screen - Manage user-defined task lists
+ * Task List App 2026
+ *
+ * Create, rename, recolor, reorder, archive and delete lists,
+ * share them with other people and join lists shared by invite
+ */
+
+import React, { useState, useContext, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  Platform,
+} from 'react-native';
+import { useRouter } from 'expo-router';
+import Animated, { FadeInDown, FadeInUp } from 'react-native-reanimated';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from 'expo-haptics';
+
+import { TaskContext } from '../context/TaskContext';
+import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
+import ShareListModal from '../components/ShareListModal';
+import { isSharingSupported, canShareList } from '../services/sharingService';
+import { ROLE_LABELS } from '../utils/listPermissions';
+import { spacing, typography, borderRadius } from '../constants/theme';
+import { LIST_COLORS, LIST_ICONS, getActiveLists, sortLists } from '../utils/taskLists';
+
+// Safe haptics wrapper
+const safeHaptics = {
+  impact: (style) => {
+    if (Platform.OS !== 'web') {
+      Haptics.impactAsync(style);
+    }
+  },
+};
+
+const EMPTY_FORM = { id: null, name: '', color: LIST_COLORS[0], icon: LIST_ICONS[0] };
+
+// Small icon button used in list rows
+const RowAction = ({ icon, color, onPress, disabled = false }) => (
+  <TouchableOpacity
+    style={[styles.rowAction, disabled && styles.rowActionDisabled]}
+    onPress={onPress}
+    disabled={disabled}
+    hitSlop={{ top: 6, bottom: 6, left: 6, right: 6 }}
+  >
+    <Ionicons name={icon} size={18} color={color} />
+  </TouchableOpacity>
+);
+
+export default function ListsScreen() {
+  const router = useRouter();
+  const { colors } = useTheme();
+  const { user, isAuthenticated, getDisplayName } = useAuth();
+  const {
+    tasks,
+    recurringSeries,
+    lists,
+    addList,
+    updateList,
+    archiveList,
+    deleteList,
+    reorderLists,
+    canEditList,
+    joinSharedList,
+  } = useContext(TaskContext);
+
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [sharingListId, setSharingListId] = useState(null);
+  const [inviteCode, setInviteCode] = useState('');
+  const [joining, setJoining] = useState(false);
+
+  const sharingEnabled = isAuthenticated && isSharingSupported();
+  const sharingList = lists.find(l => l.id === sharingListId) || null;
+
+  const activeLists = useMemo(() => getActiveLists(lists), [lists]);
+  const archivedLists = useMemo(() => sortLists(lists.filter(l => l.archived)), [lists]);
+  const allSorted = useMemo(() => sortLists(lists), [lists]);
+
+  const taskCounts = useMemo(() => {
+    const counts = {};
+    tasks.forEach(task => {
+      counts[task.listId] = (counts[task.listId] || 0) + 1;
+    });
+    return counts;
+  }, [tasks]);
+
+  const isEditing = !!form.id;
+
+  const handleSave = () => {
+    if (!form.name.trim()) return;
+
+    if (isEditing) {
+      updateList(form.id, { name: form.name.trim(), color: form.color, icon: form.icon });
+    } else {
+      addList(form);
+    }
+    setForm(EMPTY_FORM);
+    safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+  };
+
+  const handleEdit = (list) => {
+    setForm({ id: list.id, name: list.name, color: list.color, icon: list.icon });
+  };
+
+  // Moves within the active lists; archived lists keep their place after them
+  const handleMove = (list, offset) => {
+    const target = activeLists[activeLists.indexOf(list) + offset];
+    if (!target) return;
+    reorderLists(list.id, allSorted.indexOf(target));
+    safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+  };
+
+  const handleArchive = (list) => {
+    if (!archiveList(list.id, true)) {
+      Alert.alert('No se puede archivar', 'Debe quedar al menos una lista activa.');
+      return;
+    }
+    if (form.id === list.id) setForm(EMPTY_FORM);
+  };
+
+  const handleDelete = (list) => {
+    const inUse = (taskCounts[list.id] || 0) > 0
+      || recurringSeries.some(s => s.listId === list.id);
+    if (inUse) {
+      Alert.alert('Lista con tareas', 'Esta lista tiene tareas. Archívala para ocultarla sin perderlas.');
+      return;
+    }
+
+    Alert.alert(
+      'Eliminar lista',
+      `¿Eliminar "${list.name}"? Esta acción no se puede deshacer.`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Eliminar',
+          style: 'destructive',
+          onPress: () => {
+            if (!deleteList(list.id)) {
+              Alert.alert('No se puede eliminar', 'Debe quedar al menos una lista activa.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleJoin = async () => {
+    setJoining(true);
+    try {
+      await joinSharedList(inviteCode, { email: user?.email || null, displayName: getDisplayName() });
+      setInviteCode('');
+      Alert.alert('Lista compartida', 'Te has unido a la lista. Sus tareas aparecerán al sincronizar.');
+    } catch (error) {
+      Alert.alert('No se pudo unir', error.message);
+    } finally {
+      setJoining(false);
+    }
+  };
+
+  const renderRow = (list, index, archived) => (
+    <Animated.View
+      key={list.id}
+      entering={FadeInUp.delay(index * 40).springify()}
+      style={[styles.row, { backgroundColor: colors.glassLight, borderColor: colors.glassBorder }]}
+    >
+      <View style={[styles.rowIcon, { backgroundColor: list.color + '25' }]}>
+        <Ionicons name={list.icon} size={18} color={list.color} />
+      </View>
+      <View style={styles.rowContent}>
+        <Text style={[styles.rowName, { color: archived ? colors.textSecondary : colors.textPrimary }]} numberOfLines={1}>
+          {list.name}
+        </Text>
+        <Text style={[styles.rowCount, { color: colors.textTertiary }]}>
+          {taskCounts[list.id] || 0} tareas
+          {list.shared ? ` · Compartida · ${ROLE_LABELS[list.role] || ''}` : ''}
+        </Text>
+      </View>
+
+      {sharingEnabled && !archived && (list.shared || canShareList(list)) && (
+        <RowAction
+          icon={list.shared ? 'people' : 'people-outline'}
+          color={list.shared ? list.color : colors.textSecondary}
+          onPress={() => setSharingListId(list.id)}
+        />
+      )}
+
+      {!canEditList(list.id) ? null : archived ? (
+        <>
+          <RowAction icon="arrow-undo-outline" color={colors.textSecondary} onPress={() => archiveList(list.id, false)} />
+          <RowAction icon="trash-outline" color={colors.error} onPress={() => handleDelete(list)} />
+        </>
+      ) : (
+        <>
+          <RowAction
+            icon="chevron-up"
+            color={colors.textSecondary}
+            onPress={() => handleMove(list, -1)}
+            disabled={index === 0}
+          />
+          <RowAction
+            icon="chevron-down"
+            color={colors.textSecondary}
+            onPress={() => handleMove(list, 1)}
+            disabled={index === activeLists.length - 1}
+          />
+          <RowAction icon="create-outline" color={colors.textSecondary} onPress={() => handleEdit(list)} />
+          <RowAction icon="archive-outline" color={colors.textSecondary} onPress={() => handleArchive(list)} />
+        </>
+      )}
+    </Animated.View>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: colors.bgPrimary }]}>
+      {/* Header */}
+      <Animated.View
+        style={styles.header}
+        entering={FadeInDown.springify()}
+      >
+        <TouchableOpacity
+          style={[styles.backButton, { backgroundColor: colors.glassMedium }]}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="arrow-back" size={24} color={colors.textPrimary} />
+        </TouchableOpacity>
+
+        <Text style={[styles.headerTitle, { color: colors.textPrimary }]}>
+          Listas
+        </Text>
+
+        <View style={styles.headerRight} />
+      </Animated.View>
+
+      <ScrollView
+        style={styles.content}
+        showsVerticalScrollIndicator={false}
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+      >
+        {/* Create / edit form */}
+        <View style={[styles.formCard, { backgroundColor: colors.glassLight, borderColor: colors.glassBorder }]}>
+          <Text style={[styles.sectionTitle, { color: colors.textTertiary }]}>
+            {isEditing ? 'EDITAR LISTA' : 'NUEVA LISTA'}
+          </Text>
+
+          <TextInput
+            style={[styles.input, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder, color: colors.textPrimary }]}
+            placeholder="Nombre de la lista"
+            placeholderTextColor={colors.textTertiary}
+            value={form.name}
+            onChangeText={(name) => setForm(prev => ({ ...prev, name }))}
+            maxLength={40}
+          />
+
+          <View style={styles.swatches}>
+            {LIST_COLORS.map(color => (
+              <TouchableOpacity
+                key={color}
+                style={[
+                  styles.swatch,
+                  { backgroundColor: color },
+                  form.color === color && { borderColor: colors.textPrimary },
+                ]}
+                onPress={() => setForm(prev => ({ ...prev, color }))}
+              />
+            ))}
+          </View>
+
+          <View style={styles.swatches}>
+            {LIST_ICONS.map(icon => (
+              <TouchableOpacity
+                key={icon}
+                style={[
+                  styles.iconOption,
+                  { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder },
+                  form.icon === icon && { backgroundColor: form.color + '25', borderColor: form.color },
+                ]}
+                onPress={() => setForm(prev => ({ ...prev, icon }))}
+              >
+                <Ionicons name={icon} size={18} color={form.icon === icon ? form.color : colors.textSecondary} />
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.formActions}>
+            {isEditing && (
+              <TouchableOpacity
+                style={[styles.formButton, { backgroundColor: colors.glassMedium }]}
+                onPress={() => setForm(EMPTY_FORM)}
+              >
+                <Text style={[styles.formButtonText, { color: colors.textSecondary }]}>Cancelar</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              style={[
+                styles.formButton,
+                { backgroundColor: form.name.trim() ? colors.accentPurple : colors.glassMedium },
+              ]}
+              onPress={handleSave}
+              disabled={!form.name.trim()}
+            >
+              <Text style={[styles.formButtonText, { color: form.name.trim() ? colors.white : colors.textTertiary }]}>
+                {isEditing ? 'Guardar' : 'Crear lista'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {/* Active lists */}
+        <Text style={[styles.sectionTitle, { color: colors.textTertiary }]}>ACTIVAS</Text>
+        {activeLists.map((list, index) => renderRow(list, index, false))}
+
+        {/* Archived lists */}
+        {archivedLists.length > 0 && (
+          <>
+            <Text style={[styles.sectionTitle, styles.archivedTitle, { color: colors.textTertiary }]}>
+              ARCHIVADAS
+            </Text>
+            {archivedLists.map((list, index) => renderRow(list, index, true))}
+          </>
+        )}
+
+        {/* Join a shared list */}
+        {sharingEnabled && (
+          <View style={[styles.formCard, styles.joinCard, { backgroundColor: colors.glassLight, borderColor: colors.glassBorder }]}>
+            <Text style={[styles.sectionTitle, { color: colors.textTertiary }]}>UNIRSE A UNA LISTA</Text>
+            <TextInput
+              style={[styles.input, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder, color: colors.textPrimary }]}
+              placeholder="Código de invitación"
+              placeholderTextColor={colors.textTertiary}
+              value={inviteCode}
+              onChangeText={setInviteCode}
+              autoCapitalize="characters"
+              autoCorrect={false}
+              maxLength={20}
+            />
+            <View style={styles.formActions}>
+              <TouchableOpacity
+                style={[
+                  styles.formButton,
+                  { backgroundColor: inviteCode.trim() ? colors.accentPurple : colors.glassMedium },
+                ]}
+                onPress={handleJoin}
+                disabled={!inviteCode.trim() || joining}
+              >
+                <Text style={[styles.formButtonText, { color: inviteCode.trim() ? colors.white : colors.textTertiary }]}>
+                  {joining ? 'Uniendo...' : 'Unirse'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+      </ScrollView>
+
+      <ShareListModal
+        visible={!!sharingList}
+        list={sharingList}
+        onClose={() => setSharingListId(null)}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: spacing.lg,
+    paddingTop: Platform.OS === 'ios' ? spacing.xxxl : spacing.xl,
+    paddingBottom: spacing.lg,
+  },
+
+  backButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+
+  headerTitle: {
+    fontSize: typography.fontSize.xl,
+    fontWeight: typography.fontWeight.bold,
+  },
+
+  headerRight: {
+    width: 40,
+  },
+
+  content: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    paddingHorizontal: spacing.lg,
+    paddingBottom: spacing.xxxl,
+  },
+
+  sectionTitle: {
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.semibold,
+    letterSpacing: 1,
+    marginBottom: spacing.md,
+  },
+
+  archivedTitle: {
+    marginTop: spacing.lg,
+  },
+
+  joinCard: {
+    marginTop: spacing.lg,
+  },
+
+  formCard: {
+    borderRadius: borderRadius.xl,
+    padding: spacing.lg,
+    borderWidth: 1,
+    marginBottom: spacing.xl,
+    gap: spacing.md,
+  },
+
+  input: {
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    padding: spacing.md,
+    fontSize: typography.fontSize.md,
+  },
+
+  swatches: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+
+  swatch: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+
+  iconOption: {
+    width: 36,
+    height: 36,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+
+  formActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: spacing.sm,
+  },
+
+  formButton: {
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.lg,
+    borderRadius: borderRadius.full,
+  },
+
+  formButtonText: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.md,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    marginBottom: spacing.sm,
+    gap: spacing.xs,
+  },
+
+  rowIcon: {
+    width: 36,
+    height: 36,
+    borderRadius: borderRadius.md,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: spacing.sm,
+  },
+
+  rowContent: {
+    flex: 1,
+  },
+
+  rowName: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  rowCount: {
+    fontSize: typography.fontSize.xs,
+    marginTop: 2,
+  },
+
+  rowAction: {
+    padding: spacing.xs,
+  },
+
+  rowActionDisabled: {
+    opacity: 0.3,
+  },
+});
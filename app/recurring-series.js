@@ -27,8 +27,10 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { TaskContext } from '../context/TaskContext';
 import { useTheme } from '../context/ThemeContext';
 import { spacing, borderRadius, typography, priorities, categories } from '../constants/theme';
-import { formatRecurrencePreview, DAYS_OF_WEEK } from '../utils/recurringHelpers';
+import { formatRecurrencePreview, getConfigTimeZone, DAYS_OF_WEEK } from '../utils/recurringHelpers';
+import { getDeviceTimeZone } from '../utils/timeZone';
 import TaskCard from '../components/TaskCard';
+import { findList } from '../utils/taskLists';
 
 // Filter options
 const FILTERS = {
@@ -78,6 +80,7 @@ export default function RecurringSeries() {
     getRecurringSeriesInstances,
     toggleCompleted,
     deleteTask,
+    lists,
   } = useContext(TaskContext);
   const { colors } = useTheme();
   
@@ -120,14 +123,20 @@ export default function RecurringSeries() {
     skipped: allInstances.filter(t => t.skipped).length,
   }), [allInstances]);
   
-  // Get priority and category from series
+  // Get priority and list from series
   const priority = priorities[series?.priority] || priorities.medium;
-  const category = categories[series?.category] || categories.personal;
+  const category = findList(lists, series?.listId) || categories.personal;
   
   // Format recurrence pattern
   const recurrenceText = series?.recurringConfig 
     ? formatRecurrencePreview(series.recurringConfig)
     : 'Tarea recurrente';
+
+  // Days are counted in the zone the series was created in
+  const seriesTimeZone = series?.recurringConfig ? getConfigTimeZone(series.recurringConfig) : null;
+  const timeZoneText = seriesTimeZone && seriesTimeZone !== getDeviceTimeZone()
+    ? ` · hora de ${seriesTimeZone}`
+    : '';
   
   // Group instances by month
   const groupedInstances = useMemo(() => {
@@ -238,7 +247,7 @@ export default function RecurringSeries() {
                 {series.title}
               </Text>
               <Text style={[styles.seriesRecurrence, { color: colors.textSecondary }]}>
-                {recurrenceText}
+                {recurrenceText}{timeZoneText}
               </Text>
             </View>
           </View>
@@ -28,6 +28,18 @@ import { useTheme, colorThemes, fontSizeScales } from '../context/ThemeContext';
 import { spacing, typography, borderRadius } from '../constants/theme';
 import ColorThemePicker from '../components/ColorThemePicker';
 import { useAutoSavePreference } from '../hooks/useAutoSave';
+import { DIGEST_TYPES, getDigestTimeOptions, formatDigestTime } from '../utils/dailyDigest';
+
+const DIGEST_LABELS = {
+  [DIGEST_TYPES.MORNING]: {
+    title: 'Resumen matutino',
+    description: 'Tareas para hoy, vencidas y prioritarias',
+  },
+  [DIGEST_TYPES.EVENING]: {
+    title: 'Repaso nocturno',
+    description: 'Lo que has completado durante el día',
+  },
+};
 
 // Setting item component
 const SettingItem = ({ 
@@ -84,12 +96,15 @@ const SectionHeader = ({ title, delay = 0, colors }) => (
 
 export default function Settings() {
   const router = useRouter();
-  const { tasks, notificationsEnabled } = useContext(TaskContext);
+  const { tasks, lists, notificationsEnabled, digestSettings, updateDigestSettings } = useContext(TaskContext);
   const { isDarkMode, toggleTheme, colors, selectedColorTheme, selectedFontSize, setFontSize } = useTheme();
   const { signOut, user, getDisplayName } = useAuth();
   
   // Font size modal state
   const [fontSizeModalVisible, setFontSizeModalVisible] = useState(false);
+
+  // Digest whose time is being picked
+  const [digestTimeType, setDigestTimeType] = useState(null);
   
   // Local settings state
   const [hapticFeedback, setHapticFeedback] = useState(true);
@@ -238,6 +253,27 @@ export default function Settings() {
           onSwitchChange={setShowBadgeCount}
         />
 
+        {[DIGEST_TYPES.MORNING, DIGEST_TYPES.EVENING].map((type, index) => {
+          const setting = digestSettings[type];
+          return (
+            <SettingItem
+              key={type}
+              icon={type === DIGEST_TYPES.MORNING ? 'sunny' : 'moon'}
+              iconColor={type === DIGEST_TYPES.MORNING ? colors.warning : colors.accentPurple}
+              title={DIGEST_LABELS[type].title}
+              subtitle={setting.enabled
+                ? `Cada día a las ${formatDigestTime(setting)} · Toca para cambiar la hora`
+                : DIGEST_LABELS[type].description}
+              onPress={() => setting.enabled && setDigestTimeType(type)}
+              delay={250 + index * 5}
+              colors={colors}
+              isSwitch
+              switchValue={setting.enabled}
+              onSwitchChange={(enabled) => updateDigestSettings(type, { enabled })}
+            />
+          );
+        })}
+
         <SettingItem
           icon="notifications-circle"
           iconColor={colors.accentBlue}
@@ -347,6 +383,16 @@ export default function Settings() {
         {/* Data Section */}
         <SectionHeader title="DATOS" delay={500} colors={colors} />
 
+        <SettingItem
+          icon="list"
+          iconColor={colors.accentPurple}
+          title="Listas"
+          subtitle={`${lists.filter(l => !l.archived).length} listas activas`}
+          onPress={() => router.push('/lists')}
+          delay={510}
+          colors={colors}
+        />
+
         <SettingItem
           icon="cloud-upload"
           iconColor={colors.accentBlue}
@@ -588,6 +634,73 @@ export default function Settings() {
           </Animated.View>
         </TouchableOpacity>
       </Modal>
+
+      {/* Digest Time Modal */}
+      <Modal
+        visible={!!digestTimeType}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => setDigestTimeType(null)}
+      >
+        <TouchableOpacity
+          style={styles.modalOverlay}
+          activeOpacity={1}
+          onPress={() => setDigestTimeType(null)}
+        >
+          {digestTimeType && (
+            <Animated.View
+              entering={FadeInUp.springify()}
+              style={[styles.fontSizeModalContent, { backgroundColor: colors.bgSecondary, borderColor: colors.glassBorder }]}
+            >
+              <Text style={[styles.fontSizeModalTitle, { color: colors.textPrimary }]}>
+                {DIGEST_LABELS[digestTimeType].title}
+              </Text>
+              <Text style={[styles.fontSizeModalSubtitle, { color: colors.textSecondary }]}>
+                ¿A qué hora quieres recibirlo?
+              </Text>
+
+              <View style={styles.digestTimeOptions}>
+                {getDigestTimeOptions(digestTimeType).map((option) => {
+                  const current = digestSettings[digestTimeType];
+                  const selected = current.hour === option.hour && current.minute === option.minute;
+                  return (
+                    <TouchableOpacity
+                      key={formatDigestTime(option)}
+                      style={[
+                        styles.digestTimeOption,
+                        {
+                          backgroundColor: selected ? colors.accentPurple + '20' : colors.glassLight,
+                          borderColor: selected ? colors.accentPurple : colors.glassBorder,
+                        },
+                      ]}
+                      onPress={() => {
+                        updateDigestSettings(digestTimeType, option);
+                        setDigestTimeType(null);
+                      }}
+                      activeOpacity={0.7}
+                    >
+                      <Text style={[
+                        styles.digestTimeText,
+                        { color: selected ? colors.accentPurple : colors.textPrimary },
+                      ]}>
+                        {formatDigestTime(option)}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+
+              <TouchableOpacity
+                style={[styles.fontSizeCloseButton, { backgroundColor: colors.glassMedium }]}
+                onPress={() => setDigestTimeType(null)}
+                activeOpacity={0.7}
+              >
+                <Text style={[styles.fontSizeCloseText, { color: colors.textPrimary }]}>Cerrar</Text>
+              </TouchableOpacity>
+            </Animated.View>
+          )}
+        </TouchableOpacity>
+      </Modal>
     </View>
   );
 }
@@ -882,4 +995,26 @@ const styles = StyleSheet.create({
     fontSize: typography.fontSize.md,
     fontWeight: typography.fontWeight.semibold,
   },
+
+  digestTimeOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: spacing.sm,
+    marginBottom: spacing.lg,
+  },
+
+  digestTimeOption: {
+    minWidth: 64,
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1.5,
+    alignItems: 'center',
+  },
+
+  digestTimeText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
 });
\ No newline at end of file
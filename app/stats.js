@@ -16,6 +16,7 @@ import { useStats } from '../context/StatsContext';
 import { TaskContext } from '../context/TaskContext';
 import { useTheme } from '../context/ThemeContext';
 import { spacing, borderRadius, typography } from '../constants/theme';
+import { getListBreakdown } from '../utils/taskLists';
 
 // Safe haptics wrapper
 const safeHaptics = {
@@ -30,7 +31,7 @@ export default function StatsScreen() {
   const router = useRouter();
   const { colors } = useTheme();
   const { getWeeklyStats, getMonthlyStats, getTodayStats } = useStats();
-  const { tasks, recurringSeries } = useContext(TaskContext);
+  const { tasks, recurringSeries, lists } = useContext(TaskContext);
   const [chartMetric, setChartMetric] = useState('tasksCompleted');
   
   const weeklyStats = getWeeklyStats();
@@ -56,6 +57,11 @@ export default function StatsScreen() {
     };
   }, [tasks, recurringSeries]);
 
+  // Tasks per list; archived lists only while they still have tasks
+  const listStats = useMemo(() => {
+    return getListBreakdown(tasks, lists).filter(({ list, total }) => !list.archived || total > 0);
+  }, [tasks, lists]);
+
   const chartMetrics = [
     { key: 'tasksCompleted', label: 'Tareas', icon: 'checkmark-circle', color: colors.success },
     { key: 'pomodoroSessions', label: 'Pomodoros', icon: 'time', color: colors.accentPurple },
@@ -267,6 +273,44 @@ export default function StatsScreen() {
           </Animated.View>
         </Animated.View>
 
+        {/* Tasks per List */}
+        {listStats.length > 0 && (
+          <Animated.View 
+            style={styles.section}
+            entering={FadeInUp.delay(450).springify()}
+          >
+            <Text style={[styles.sectionTitle, { color: colors.textSecondary }]}>
+              POR LISTA
+            </Text>
+
+            <View style={[styles.listCard, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder }]}>
+              {listStats.map(({ list, total, completed }) => {
+                const rate = total > 0 ? Math.round((completed / total) * 100) : 0;
+                return (
+                  <View key={list.id} style={styles.listRow}>
+                    <View style={[styles.listIcon, { backgroundColor: list.color + '25' }]}>
+                      <Ionicons name={list.icon} size={16} color={list.color} />
+                    </View>
+                    <View style={styles.listInfo}>
+                      <View style={styles.listHeader}>
+                        <Text style={[styles.listName, { color: colors.textPrimary }]} numberOfLines={1}>
+                          {list.name}
+                        </Text>
+                        <Text style={[styles.listCount, { color: colors.textTertiary }]}>
+                          {completed}/{total}
+                        </Text>
+                      </View>
+                      <View style={[styles.listBar, { backgroundColor: colors.glassBorder }]}>
+                        <View style={[styles.listBarFill, { width: `${rate}%`, backgroundColor: list.color }]} />
+                      </View>
+                    </View>
+                  </View>
+                );
+              })}
+            </View>
+          </Animated.View>
+        )}
+
         {/* Recurring Tasks Stats */}
         {recurringStats.seriesCount > 0 && (
           <Animated.View 
@@ -544,6 +588,60 @@ const styles = StyleSheet.create({
   },
 
   // Recurring stats styles
+  listCard: {
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    padding: spacing.lg,
+    gap: spacing.md,
+  },
+
+  listRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.md,
+  },
+
+  listIcon: {
+    width: 32,
+    height: 32,
+    borderRadius: borderRadius.md,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+
+  listInfo: {
+    flex: 1,
+    gap: spacing.xs,
+  },
+
+  listHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+
+  listName: {
+    flex: 1,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  listCount: {
+    fontSize: typography.fontSize.xs,
+    marginLeft: spacing.sm,
+  },
+
+  listBar: {
+    height: 4,
+    borderRadius: borderRadius.full,
+    overflow: 'hidden',
+  },
+
+  listBarFill: {
+    height: '100%',
+    borderRadius: borderRadius.full,
+  },
+
   recurringCard: {
     borderRadius: borderRadius.xl,
     borderWidth: 1,
@@ -3,7 +3,7 @@
  * View and Edit Task Details with Modern Glassmorphism
  */
 
-import React, { useState, useContext, useEffect, useCallback } from 'react';
+import React, { useState, useContext, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -11,6 +11,7 @@ import {
   StyleSheet,
   ScrollView,
   Pressable,
+  TouchableOpacity,
   Alert,
   Platform,
 } from 'react-native';
@@ -23,8 +24,12 @@ import * as Haptics from 'expo-haptics';
 
 import { TaskContext } from '../context/TaskContext';
 import { useTheme } from '../context/ThemeContext';
-import { spacing, borderRadius, typography, categories, priorities } from '../constants/theme';
+import { useAuth } from '../context/AuthContext';
+import { spacing, borderRadius, typography, priorities } from '../constants/theme';
 import DatePickerButton from '../components/DatePickerButton';
+import DurationPicker from '../components/DurationPicker';
+import ReminderList from '../components/ReminderList';
+import PlacePicker from '../components/PlacePicker';
 import ReminderToggle from '../components/ReminderToggle';
 import DraggableSubtaskList from '../components/DraggableSubtaskList';
 import DiscardChangesModal from '../components/DiscardChangesModal';
@@ -34,9 +39,15 @@ import RecurringActionModal from '../components/RecurringActionModal';
 import AttachmentGallery from '../components/AttachmentGallery';
 import AttachmentPicker from '../components/AttachmentPicker';
 import AttachmentViewer from '../components/AttachmentViewer';
+import TaskComments from '../components/TaskComments';
+import TaskDependencies from '../components/TaskDependencies';
+import TaskActivityTimeline from '../components/TaskActivityTimeline';
 import { useFilePicker } from '../hooks/useFilePicker';
-import { formatRelativeTime } from '../utils/dateHelpers';
+import { formatRelativeTime, formatDateShort, formatTime, isAllDay, withDefaultTime, startsAfterDue } from '../utils/dateHelpers';
 import { useHistory, useUndoRedoKeyboard } from '../hooks/useHistory';
+import { DEFAULT_LIST_ID, getActiveLists } from '../utils/taskLists';
+import { createRelativeReminder, getTaskReminders, getPendingSnooze } from '../utils/taskReminders';
+import { canEditTasksInList } from '../utils/listPermissions';
 
 // Safe haptics wrapper for web compatibility
 const safeHaptics = {
@@ -65,17 +76,33 @@ export default function TaskDetails() {
     deleteSubtask, 
     updateSubtask, 
     reorderSubtasks,
+    indentSubtask,
+    outdentSubtask,
+    promoteSubtask,
+    getSubtaskProgress,
     // Recurring task methods
     deleteRecurringSeries,
     updateRecurringSeries,
     getAffectedCount,
     skipRecurringInstance,
     unskipRecurringInstance,
+    // Dependency methods
+    addDependency,
+    removeDependency,
     // Attachment methods
     addAttachment,
     deleteAttachment,
+    updateAttachment,
+    lists,
+    // Comment methods
+    addComment,
+    deleteComment,
+    // Sharing methods
+    canEditTask,
+    assignTask,
   } = useContext(TaskContext);
   const { colors } = useTheme();
+  const { user } = useAuth();
   const { pickImage, takePhoto, pickDocument, isLoading: isFilePicking } = useFilePicker();
   
   // Find the task
@@ -84,10 +111,14 @@ export default function TaskDetails() {
   // Local state for editing
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
-  const [selectedCategory, setSelectedCategory] = useState('personal');
+  const [selectedListId, setSelectedListId] = useState(DEFAULT_LIST_ID);
   const [selectedPriority, setSelectedPriority] = useState('medium');
   const [dueDate, setDueDate] = useState(null);
-  const [enableReminder, setEnableReminder] = useState(false);
+  const [startDate, setStartDate] = useState(null);
+  const [allDay, setAllDay] = useState(true);
+  const [estimatedMinutes, setEstimatedMinutes] = useState(null);
+  const [reminders, setReminders] = useState([]);
+  const [place, setPlace] = useState(null);
   const [hasChanges, setHasChanges] = useState(false);
   
   // Modal and save state
@@ -99,6 +130,8 @@ export default function TaskDetails() {
   const isTitleValid = title.trim().length > 0;
   const canSave = hasChanges && isTitleValid && saveState !== SAVE_STATES.SAVING;
   const [newSubtaskText, setNewSubtaskText] = useState('');
+  const [subtaskParent, setSubtaskParent] = useState(null);
+  const subtaskInputRef = useRef(null);
   
   // Recurring task action modal state
   const [showRecurringModal, setShowRecurringModal] = useState(false);
@@ -111,7 +144,7 @@ export default function TaskDetails() {
   const [selectedAttachment, setSelectedAttachment] = useState(null);
   
   // History for undo/redo
-  const history = useHistory({ title: '', description: '', category: 'personal', priority: 'medium' });
+  const history = useHistory({ title: '', description: '', listId: DEFAULT_LIST_ID, priority: 'medium' });
   
   // Enable keyboard shortcuts for undo/redo (web)
   useUndoRedoKeyboard(
@@ -124,7 +157,7 @@ export default function TaskDetails() {
         if (undoneValue) {
           setTitle(undoneValue.title || '');
           setDescription(undoneValue.description || '');
-          setSelectedCategory(undoneValue.category || 'personal');
+          setSelectedListId(undoneValue.listId || DEFAULT_LIST_ID);
           setSelectedPriority(undoneValue.priority || 'medium');
         }
         safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
@@ -137,7 +170,7 @@ export default function TaskDetails() {
         if (redoneValue) {
           setTitle(redoneValue.title || '');
           setDescription(redoneValue.description || '');
-          setSelectedCategory(redoneValue.category || 'personal');
+          setSelectedListId(redoneValue.listId || DEFAULT_LIST_ID);
           setSelectedPriority(redoneValue.priority || 'medium');
         }
         safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
@@ -151,10 +184,14 @@ export default function TaskDetails() {
     if (task) {
       setTitle(task.title || '');
       setDescription(task.description || '');
-      setSelectedCategory(task.category || 'personal');
+      setSelectedListId(task.listId || DEFAULT_LIST_ID);
       setSelectedPriority(task.priority || 'medium');
       setDueDate(task.dueDate ? new Date(task.dueDate) : null);
-      setEnableReminder(task.enableReminder || false);
+      setStartDate(task.startDate ? new Date(task.startDate) : null);
+      setAllDay(isAllDay(task));
+      setEstimatedMinutes(task.estimatedMinutes || null);
+      setReminders(getTaskReminders(task));
+      setPlace(task.place || null);
     }
   }, [task]);
   
@@ -164,13 +201,17 @@ export default function TaskDetails() {
       const changed = 
         title !== task.title ||
         description !== (task.description || '') ||
-        selectedCategory !== task.category ||
+        selectedListId !== task.listId ||
         selectedPriority !== task.priority ||
         (dueDate?.toISOString() || null) !== task.dueDate ||
-        enableReminder !== task.enableReminder;
+        (startDate?.toISOString() || null) !== (task.startDate || null) ||
+        allDay !== isAllDay(task) ||
+        estimatedMinutes !== (task.estimatedMinutes || null) ||
+        JSON.stringify(reminders) !== JSON.stringify(getTaskReminders(task)) ||
+        JSON.stringify(place) !== JSON.stringify(task.place || null);
       setHasChanges(changed);
     }
-  }, [title, description, selectedCategory, selectedPriority, dueDate, enableReminder, task]);
+  }, [title, description, selectedListId, selectedPriority, dueDate, startDate, allDay, estimatedMinutes, reminders, place, task]);
   
   if (!task) {
     return (
@@ -202,6 +243,22 @@ export default function TaskDetails() {
     }
   }, [hasChanges, router]);
 
+  const scheduleError = startsAfterDue(startDate, dueDate, allDay)
+    ? 'La fecha de inicio es posterior a la fecha límite'
+    : '';
+
+  // Snoozed from a notification and still to fire again
+  const pendingSnooze = getPendingSnooze(task);
+
+  // Switching to a due time gives the dates a default time
+  const handleAllDayChange = (value) => {
+    setAllDay(value);
+    if (!value) {
+      if (dueDate) setDueDate(withDefaultTime(dueDate));
+      if (startDate) setStartDate(withDefaultTime(startDate));
+    }
+  };
+
   // Save changes with state indicator
   const handleSave = useCallback(async (shouldNavigateBack = true) => {
     if (!title.trim()) {
@@ -209,6 +266,10 @@ export default function TaskDetails() {
       safeHaptics.notification(Haptics.NotificationFeedbackType.Error);
       return false;
     }
+    if (scheduleError) {
+      safeHaptics.notification(Haptics.NotificationFeedbackType.Error);
+      return false;
+    }
     
     setSaveState(SAVE_STATES.SAVING);
     
@@ -216,10 +277,14 @@ export default function TaskDetails() {
       await updateTask(taskId, {
         title: title.trim(),
         description: description,
-        category: selectedCategory,
+        listId: selectedListId,
         priority: selectedPriority,
         dueDate: dueDate ? dueDate.toISOString() : null,
-        enableReminder: enableReminder && dueDate !== null,
+        startDate: startDate ? startDate.toISOString() : null,
+        allDay,
+        estimatedMinutes,
+        reminders,
+        place,
       });
       
       setSaveState(SAVE_STATES.SUCCESS);
@@ -237,7 +302,7 @@ export default function TaskDetails() {
       safeHaptics.notification(Haptics.NotificationFeedbackType.Error);
       return false;
     }
-  }, [title, selectedCategory, selectedPriority, dueDate, enableReminder, taskId, updateTask, router]);
+  }, [title, selectedListId, selectedPriority, dueDate, startDate, allDay, estimatedMinutes, scheduleError, reminders, place, taskId, updateTask, router]);
 
   // Modal handlers
   const handleModalSave = async () => {
@@ -352,6 +417,10 @@ export default function TaskDetails() {
     setShowAttachmentViewer(true);
   };
 
+  const handleAttachmentDownloaded = (attachment, localUri) => {
+    updateAttachment(taskId, attachment.id, { localUri, uploadStatus: 'uploaded' });
+  };
+
   const handleAttachmentDelete = async (attachment) => {
     await deleteAttachment(taskId, attachment.id);
     safeHaptics.notification(Haptics.NotificationFeedbackType.Success);
@@ -360,6 +429,37 @@ export default function TaskDetails() {
     }
   };
 
+  const handleAddSubtask = () => {
+    if (!newSubtaskText.trim()) return;
+    addSubtask(taskId, newSubtaskText, subtaskParent?.id || null);
+    setNewSubtaskText('');
+    safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+  };
+
+  const handleAddChildSubtask = (subtask) => {
+    setSubtaskParent(subtask);
+    subtaskInputRef.current?.focus();
+  };
+
+  const handlePromoteSubtask = (tid, subtask) => {
+    Alert.alert(
+      'Convertir en tarea',
+      `«${subtask.title}» pasará a ser una tarea con sus subtareas y seguirá enlazada a esta.`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Convertir',
+          onPress: async () => {
+            const newTask = await promoteSubtask(tid, subtask.id);
+            if (!newTask) return;
+            if (subtaskParent?.id === subtask.id) setSubtaskParent(null);
+            safeHaptics.notification(Haptics.NotificationFeedbackType.Success);
+          },
+        },
+      ]
+    );
+  };
+
   const handleToggleComplete = () => {
     toggleCompleted(taskId);
     safeHaptics.impact(Haptics.ImpactFeedbackStyle.Medium);
@@ -378,10 +478,23 @@ export default function TaskDetails() {
     });
   };
 
-  // Filter out 'all' category
-  const taskCategories = Object.values(categories).filter(c => c.id !== 'all');
+  // Active lists the task can move to, plus its own list if archived or read-only
+  const taskLists = getActiveLists(lists).filter(l => canEditTasksInList(lists, l.id));
+  const currentList = lists.find(l => l.id === task.listId);
+  if (currentList && !taskLists.includes(currentList)) {
+    taskLists.push(currentList);
+  }
   const priority = priorities[task.priority] || priorities.medium;
 
+  // Viewers of a shared list can only read its tasks
+  const readOnly = !canEditTask(task.id);
+  const members = currentList?.members || [];
+
+  // Subtask tree progress and links between promoted subtasks and their parent task
+  const subtaskProgress = getSubtaskProgress(task.id);
+  const parentTask = task.parentTaskId ? tasks.find(t => t.id === task.parentTaskId) : null;
+  const promotedTasks = tasks.filter(t => t.parentTaskId === task.id);
+
   return (
     <GestureHandlerRootView style={[styles.container, { backgroundColor: colors.bgPrimary }]}>
       {/* Header */}
@@ -440,18 +553,32 @@ export default function TaskDetails() {
           </Pressable>
         </View>
         
-        <Pressable 
-          style={[styles.deleteButton, { backgroundColor: colors.error + '15' }]}
-          onPress={handleDelete}
-        >
-          <Ionicons name="trash-outline" size={22} color={colors.error} />
-        </Pressable>
+        {readOnly ? (
+          <View style={styles.deleteButton} />
+        ) : (
+          <Pressable 
+            style={[styles.deleteButton, { backgroundColor: colors.error + '15' }]}
+            onPress={handleDelete}
+          >
+            <Ionicons name="trash-outline" size={22} color={colors.error} />
+          </Pressable>
+        )}
       </Animated.View>
 
       <ScrollView 
         style={styles.content}
         showsVerticalScrollIndicator={false}
       >
+        {/* Read-only notice for viewers of a shared list */}
+        {readOnly && (
+          <View style={[styles.readOnlyBanner, { backgroundColor: colors.warning + '15' }]}>
+            <Ionicons name="eye-outline" size={18} color={colors.warning} />
+            <Text style={[styles.readOnlyText, { color: colors.warning }]}>
+              Solo lectura: {currentList?.name} está compartida contigo como lector
+            </Text>
+          </View>
+        )}
+
         {/* Completion Status */}
         <Animated.View
           entering={FadeInUp.delay(50).springify()}
@@ -630,56 +757,71 @@ export default function TaskDetails() {
         >
           <View style={styles.subtasksHeader}>
             <Text style={[styles.label, { color: colors.textSecondary }]}>Subtareas</Text>
-            {task.subtasks && task.subtasks.length > 0 && (
+            {subtaskProgress.total > 0 && (
               <View style={[styles.subtasksProgress, { backgroundColor: colors.accentPurple + '20' }]}>
                 <Text style={[styles.subtasksProgressText, { color: colors.accentPurple }]}>
-                  {task.subtasks.filter(st => st.completed).length}/{task.subtasks.length}
+                  {subtaskProgress.completed}/{subtaskProgress.total}
                 </Text>
               </View>
             )}
           </View>
+
+          {/* Link to the task this one was promoted from */}
+          {parentTask && (
+            <TouchableOpacity
+              style={[styles.taskLink, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder }]}
+              onPress={() => router.push(`/task-details?taskId=${parentTask.id}`)}
+            >
+              <Ionicons name="return-up-back-outline" size={16} color={colors.accentPurple} />
+              <Text style={[styles.taskLinkText, { color: colors.textSecondary }]} numberOfLines={1}>
+                Subtarea de «{parentTask.title}»
+              </Text>
+            </TouchableOpacity>
+          )}
           
           {/* Progress bar */}
-          {task.subtasks && task.subtasks.length > 0 && (
+          {subtaskProgress.total > 0 && (
             <View style={[styles.progressBarContainer, { backgroundColor: colors.glassMedium }]}>
               <View 
                 style={[
                   styles.progressBarFill, 
                   { 
                     backgroundColor: colors.accentPurple,
-                    width: `${(task.subtasks.filter(st => st.completed).length / task.subtasks.length) * 100}%`
+                    width: `${subtaskProgress.percentage}%`
                   }
                 ]} 
               />
             </View>
           )}
+
+          {/* Parent of the next subtask */}
+          {subtaskParent && (
+            <View style={[styles.subtaskParentChip, { backgroundColor: colors.accentPurple + '20' }]}>
+              <Ionicons name="return-down-forward-outline" size={14} color={colors.accentPurple} />
+              <Text style={[styles.subtaskParentText, { color: colors.accentPurple }]} numberOfLines={1}>
+                Dentro de «{subtaskParent.title}»
+              </Text>
+              <TouchableOpacity onPress={() => setSubtaskParent(null)} hitSlop={{ top: 6, bottom: 6, left: 6, right: 6 }}>
+                <Ionicons name="close" size={14} color={colors.accentPurple} />
+              </TouchableOpacity>
+            </View>
+          )}
           
           {/* Add subtask input */}
           <View style={[styles.addSubtaskContainer, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder }]}>
             <TextInput
+              ref={subtaskInputRef}
               style={[styles.addSubtaskInput, { color: colors.textPrimary }]}
               placeholder="Agregar subtarea..."
               placeholderTextColor={colors.textTertiary}
               value={newSubtaskText}
               onChangeText={setNewSubtaskText}
-              onSubmitEditing={() => {
-                if (newSubtaskText.trim()) {
-                  addSubtask(taskId, newSubtaskText);
-                  setNewSubtaskText('');
-                  safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
-                }
-              }}
+              onSubmitEditing={handleAddSubtask}
               returnKeyType="done"
             />
             <Pressable 
               style={[styles.addSubtaskButton, { backgroundColor: colors.accentPurple }]}
-              onPress={() => {
-                if (newSubtaskText.trim()) {
-                  addSubtask(taskId, newSubtaskText);
-                  setNewSubtaskText('');
-                  safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
-                }
-              }}
+              onPress={handleAddSubtask}
             >
               <Ionicons name="add" size={20} color={colors.white} />
             </Pressable>
@@ -699,6 +841,63 @@ export default function TaskDetails() {
             }}
             onUpdateSubtask={updateSubtask}
             onReorderSubtasks={reorderSubtasks}
+            onIndentSubtask={indentSubtask}
+            onOutdentSubtask={outdentSubtask}
+            onAddChildSubtask={handleAddChildSubtask}
+            onPromoteSubtask={handlePromoteSubtask}
+          />
+
+          {/* Subtasks that became tasks */}
+          {promotedTasks.length > 0 && (
+            <View style={styles.promotedTasks}>
+              <Text style={[styles.promotedTitle, { color: colors.textTertiary }]}>
+                Convertidas en tarea
+              </Text>
+              {promotedTasks.map(promoted => (
+                <TouchableOpacity
+                  key={promoted.id}
+                  style={[styles.taskLink, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder }]}
+                  onPress={() => router.push(`/task-details?taskId=${promoted.id}`)}
+                >
+                  <Ionicons
+                    name={promoted.completed ? 'checkmark-circle' : 'arrow-forward-circle-outline'}
+                    size={16}
+                    color={promoted.completed ? colors.success : colors.accentPurple}
+                  />
+                  <Text
+                    style={[
+                      styles.taskLinkText,
+                      { color: colors.textSecondary },
+                      promoted.completed && { textDecorationLine: 'line-through', color: colors.textTertiary },
+                    ]}
+                    numberOfLines={1}
+                  >
+                    {promoted.title}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+        </Animated.View>
+
+        {/* Dependencies Section */}
+        <Animated.View 
+          style={styles.section}
+          entering={FadeInUp.delay(182).springify()}
+        >
+          <TaskDependencies
+            task={task}
+            tasks={tasks}
+            onAdd={(blockerId) => {
+              if (!addDependency(task.id, blockerId)) {
+                Alert.alert('No se puede añadir', 'Esa dependencia crearía un ciclo entre tareas.');
+                return;
+              }
+              safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+            }}
+            onRemove={(blockerId) => removeDependency(task.id, blockerId)}
+            onOpenTask={(id) => router.push(`/task-details?taskId=${id}`)}
+            editable={!readOnly}
           />
         </Animated.View>
 
@@ -711,53 +910,54 @@ export default function TaskDetails() {
             attachments={task.attachments || []}
             onAttachmentPress={handleAttachmentPress}
             onAttachmentDelete={handleAttachmentDelete}
+            onAttachmentDownloaded={handleAttachmentDownloaded}
             onAddPress={handleAddAttachment}
             editable={!task.completed}
           />
         </Animated.View>
 
-        {/* Category Selection */}
+        {/* List Selection */}
         <Animated.View 
           style={styles.section}
           entering={FadeInUp.delay(200).springify()}
         >
-          <Text style={[styles.label, { color: colors.textSecondary }]}>Categoría</Text>
+          <Text style={[styles.label, { color: colors.textSecondary }]}>Lista</Text>
           <View style={styles.optionsGrid}>
-            {taskCategories.map((category, index) => (
+            {taskLists.map((list, index) => (
               <Animated.View
-                key={category.id}
+                key={list.id}
                 entering={FadeInRight.delay(200 + index * 50).springify()}
               >
                 <Pressable
                   style={[
                     styles.optionCard,
                     { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder },
-                    selectedCategory === category.id && {
-                      backgroundColor: category.color + '20',
-                      borderColor: category.color,
+                    selectedListId === list.id && {
+                      backgroundColor: list.color + '20',
+                      borderColor: list.color,
                     }
                   ]}
                   onPress={() => {
-                    setSelectedCategory(category.id);
+                    setSelectedListId(list.id);
                     safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
                   }}
                 >
                   <View style={[
                     styles.optionIcon,
-                    { backgroundColor: category.color + '30' }
+                    { backgroundColor: list.color + '30' }
                   ]}>
                     <Ionicons 
-                      name={category.icon} 
+                      name={list.icon} 
                       size={20} 
-                      color={category.color} 
+                      color={list.color} 
                     />
                   </View>
                   <Text style={[
                     styles.optionText,
                     { color: colors.textSecondary },
-                    selectedCategory === category.id && { color: category.color }
+                    selectedListId === list.id && { color: list.color }
                   ]}>
-                    {category.name}
+                    {list.name}
                   </Text>
                 </Pressable>
               </Animated.View>
@@ -765,6 +965,52 @@ export default function TaskDetails() {
           </View>
         </Animated.View>
 
+        {/* Assignee, in shared lists */}
+        {members.length > 1 && (
+          <Animated.View 
+            style={styles.section}
+            entering={FadeInUp.delay(225).springify()}
+          >
+            <Text style={[styles.label, { color: colors.textSecondary }]}>Asignada a</Text>
+            <View style={styles.optionsGrid}>
+              {[{ userId: null, displayName: 'Sin asignar' }, ...members].map(member => {
+                const selected = (task.assigneeId || null) === member.userId;
+                return (
+                  <Pressable
+                    key={member.userId || 'none'}
+                    style={[
+                      styles.assigneeChip,
+                      { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder },
+                      selected && {
+                        backgroundColor: colors.accentPink + '20',
+                        borderColor: colors.accentPink,
+                      }
+                    ]}
+                    onPress={() => {
+                      assignTask(task.id, member.userId);
+                      safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+                    }}
+                    disabled={readOnly}
+                  >
+                    <Ionicons
+                      name={member.userId ? 'person' : 'person-remove-outline'}
+                      size={14}
+                      color={selected ? colors.accentPink : colors.textTertiary}
+                    />
+                    <Text style={[
+                      styles.assigneeChipText,
+                      { color: colors.textSecondary },
+                      selected && { color: colors.accentPink }
+                    ]}>
+                      {member.displayName}
+                    </Text>
+                  </Pressable>
+                );
+              })}
+            </View>
+          </Animated.View>
+        )}
+
         {/* Due Date Selection */}
         <Animated.View 
           style={styles.section}
@@ -775,28 +1021,83 @@ export default function TaskDetails() {
             value={dueDate}
             onChange={(date) => {
               setDueDate(date);
-              if (date && !enableReminder) {
-                setEnableReminder(true);
+              // Remind at the due time when the first date is set
+              if (date && !dueDate && reminders.length === 0) {
+                setReminders([createRelativeReminder(0)]);
               }
             }}
             placeholder="Agregar fecha límite"
+            includeTime={!allDay}
           />
           
-          {/* Reminder Toggle */}
+          {/* All-day toggle */}
           {dueDate && (
             <Animated.View
               style={{ marginTop: spacing.md }}
               entering={FadeInUp.springify()}
             >
               <ReminderToggle 
-                enabled={enableReminder}
-                onToggle={setEnableReminder}
-                label="Recordarme a las 9:00 AM"
+                enabled={allDay}
+                onToggle={handleAllDayChange}
+                label="Todo el día"
+                icon="sunny"
               />
             </Animated.View>
           )}
         </Animated.View>
 
+        {/* Reminders */}
+        <Animated.View 
+          style={styles.section}
+          entering={FadeInUp.delay(255).springify()}
+        >
+          <Text style={[styles.label, { color: colors.textSecondary }]}>Recordatorios</Text>
+          <ReminderList
+            reminders={reminders}
+            onChange={setReminders}
+            dueDate={dueDate}
+            allDay={allDay}
+          />
+          {task.snoozeHistory?.length > 0 && (
+            <Text style={[styles.snoozeInfo, { color: colors.textTertiary }]}>
+              {task.snoozeHistory.length === 1 ? 'Pospuesta 1 vez' : `Pospuesta ${task.snoozeHistory.length} veces`}
+              {pendingSnooze ? ` · vuelve a avisar ${formatDateShort(pendingSnooze.until)}, ${formatTime(pendingSnooze.until)}` : ''}
+            </Text>
+          )}
+        </Animated.View>
+
+        {/* Place */}
+        <Animated.View 
+          style={styles.section}
+          entering={FadeInUp.delay(257).springify()}
+        >
+          <Text style={[styles.label, { color: colors.textSecondary }]}>Recordar al llegar a</Text>
+          <PlacePicker value={place} onChange={setPlace} />
+        </Animated.View>
+
+        {/* Start Date and Duration */}
+        <Animated.View 
+          style={styles.section}
+          entering={FadeInUp.delay(275).springify()}
+        >
+          <Text style={[styles.label, { color: colors.textSecondary }]}>Inicio</Text>
+          <DatePickerButton 
+            value={startDate}
+            onChange={setStartDate}
+            placeholder="Agregar fecha de inicio"
+            title="Fecha de inicio"
+            includeTime={!allDay}
+          />
+          {scheduleError ? (
+            <Text style={[styles.scheduleError, { color: colors.error }]}>{scheduleError}</Text>
+          ) : null}
+
+          <Text style={[styles.label, styles.durationLabel, { color: colors.textSecondary }]}>
+            Duración estimada
+          </Text>
+          <DurationPicker value={estimatedMinutes} onChange={setEstimatedMinutes} />
+        </Animated.View>
+
         {/* Priority Selection */}
         <Animated.View 
           style={styles.section}
@@ -842,12 +1143,41 @@ export default function TaskDetails() {
           </View>
         </Animated.View>
         
+        {/* Comments */}
+        <Animated.View 
+          style={styles.section}
+          entering={FadeInUp.delay(325).springify()}
+        >
+          <TaskComments
+            comments={task.comments || []}
+            currentUserId={user?.id || null}
+            onAdd={(text) => {
+              addComment(task.id, text);
+              safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+            }}
+            onDelete={(commentId) => deleteComment(task.id, commentId)}
+            editable={!readOnly}
+          />
+        </Animated.View>
+
+        {/* Activity timeline */}
+        <Animated.View 
+          style={styles.section}
+          entering={FadeInUp.delay(350).springify()}
+        >
+          <TaskActivityTimeline
+            activity={task.activity || []}
+            members={members}
+            currentUserId={user?.id || null}
+          />
+        </Animated.View>
+        
         {/* Spacer for button */}
         <View style={{ height: 120 }} />
       </ScrollView>
 
       {/* Save Button - only show if changes and can save */}
-      {hasChanges && (
+      {hasChanges && !readOnly && (
         <Animated.View 
           style={[styles.footer, { backgroundColor: colors.bgPrimary }]}
           entering={FadeInUp.springify()}
@@ -1100,6 +1430,36 @@ const styles = StyleSheet.create({
     fontWeight: typography.fontWeight.medium,
   },
   
+  assigneeChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+    gap: spacing.xs,
+  },
+  
+  assigneeChipText: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+  
+  readOnlyBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    padding: spacing.md,
+    borderRadius: borderRadius.lg,
+    marginBottom: spacing.lg,
+  },
+  
+  readOnlyText: {
+    flex: 1,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+  
   priorityRow: {
     flexDirection: 'row',
     gap: spacing.md,
@@ -1149,6 +1509,20 @@ const styles = StyleSheet.create({
     fontWeight: typography.fontWeight.semibold,
   },
   
+  scheduleError: {
+    fontSize: typography.fontSize.sm,
+    marginTop: spacing.sm,
+  },
+
+  snoozeInfo: {
+    fontSize: typography.fontSize.xs,
+    marginTop: spacing.sm,
+  },
+  
+  durationLabel: {
+    marginTop: spacing.lg,
+  },
+  
   // Subtasks styles
   subtasksHeader: {
     flexDirection: 'row',
@@ -1208,6 +1582,48 @@ const styles = StyleSheet.create({
   subtasksList: {
     gap: spacing.sm,
   },
+
+  subtaskParentChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: spacing.xs,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    borderRadius: borderRadius.full,
+    marginBottom: spacing.sm,
+  },
+
+  subtaskParentText: {
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.medium,
+    maxWidth: 240,
+  },
+
+  taskLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    padding: spacing.sm,
+    marginBottom: spacing.sm,
+  },
+
+  taskLinkText: {
+    flex: 1,
+    fontSize: typography.fontSize.sm,
+  },
+
+  promotedTasks: {
+    marginTop: spacing.md,
+  },
+
+  promotedTitle: {
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: spacing.xs,
+  },
   
   // Input validation styles
   inputError: {
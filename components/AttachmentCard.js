@@ -21,17 +21,58 @@ import * as Haptics from 'expo-haptics';
 import { useTheme } from '../context/ThemeContext';
 import { spacing, typography, borderRadius } from '../constants/theme';
 import { getFileIcon, formatFileSize, isImageType } from '../constants/storage';
+import {
+  getTransferState,
+  subscribeToTransfer,
+  needsDownload,
+  downloadAttachment,
+} from '../services/attachmentSyncService';
 
 export default function AttachmentCard({
   attachment,
   onPress,
   onDelete,
+  onDownloaded,
   size = 'medium', // small | medium | large
   showActions = true,
 }) {
   const { colors } = useTheme();
   const [imageLoaded, setImageLoaded] = useState(false);
   const [imageError, setImageError] = useState(false);
+  const [transfer, setTransfer] = useState(() => getTransferState(attachment.id));
+  const [downloadFailed, setDownloadFailed] = useState(false);
+
+  // Follow upload/download progress
+  useEffect(() => {
+    setTransfer(getTransferState(attachment.id));
+    return subscribeToTransfer(attachment.id, setTransfer);
+  }, [attachment.id]);
+
+  // Download the file lazily when it only exists in the cloud
+  useEffect(() => {
+    let cancelled = false;
+
+    const download = async () => {
+      if (!(await needsDownload(attachment))) return;
+
+      try {
+        const localUri = await downloadAttachment(attachment);
+        if (!cancelled) {
+          setDownloadFailed(false);
+          setImageError(false);
+          onDownloaded?.(attachment, localUri);
+        }
+      } catch (error) {
+        if (!cancelled) setDownloadFailed(true);
+      }
+    };
+
+    download();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [attachment.id, attachment.localUri, attachment.storagePath]);
 
   const isImage = isImageType(attachment.mimeType);
   const iconName = getFileIcon(attachment.mimeType);
@@ -108,7 +149,7 @@ export default function AttachmentCard({
             },
           ]}
         >
-          {isImage && !imageError ? (
+          {isImage && attachment.localUri && !imageError ? (
             <>
               <Image
                 source={{ uri: attachment.localUri }}
@@ -133,19 +174,50 @@ export default function AttachmentCard({
             </View>
           )}
 
+          {/* Transfer progress */}
+          {transfer && (
+            <View style={[styles.progressOverlay, { backgroundColor: colors.overlay }]}>
+              <Ionicons
+                name={transfer.direction === 'upload' ? 'cloud-upload' : 'cloud-download'}
+                size={config.icon * 0.6}
+                color={colors.white}
+              />
+              <Text style={[styles.progressText, { color: colors.white }]}>
+                {Math.round(transfer.progress * 100)}%
+              </Text>
+              <View style={[styles.progressTrack, { backgroundColor: colors.glassBorder }]}>
+                <View
+                  style={[
+                    styles.progressFill,
+                    {
+                      width: `${Math.round(transfer.progress * 100)}%`,
+                      backgroundColor: colors.accentPurple,
+                    },
+                  ]}
+                />
+              </View>
+            </View>
+          )}
+
           {/* Upload status indicator */}
-          {attachment.uploadStatus === 'uploading' && (
+          {!transfer && attachment.uploadStatus === 'uploading' && (
             <View style={[styles.statusBadge, { backgroundColor: colors.warning }]}>
               <Ionicons name="cloud-upload" size={12} color={colors.white} />
             </View>
           )}
 
-          {attachment.uploadStatus === 'uploaded' && (
+          {!transfer && attachment.uploadStatus === 'uploaded' && (
             <View style={[styles.statusBadge, { backgroundColor: colors.success }]}>
               <Ionicons name="cloud-done" size={12} color={colors.white} />
             </View>
           )}
 
+          {!transfer && (attachment.uploadStatus === 'failed' || downloadFailed) && (
+            <View style={[styles.statusBadge, { backgroundColor: colors.error }]}>
+              <Ionicons name="cloud-offline" size={12} color={colors.white} />
+            </View>
+          )}
+
           {/* Delete button */}
           {showActions && (
             <TouchableOpacity
@@ -215,6 +287,32 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
   },
 
+  progressOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: spacing.sm,
+  },
+
+  progressText: {
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.semibold,
+    marginTop: 2,
+  },
+
+  progressTrack: {
+    width: '100%',
+    height: 4,
+    borderRadius: 2,
+    marginTop: spacing.xs,
+    overflow: 'hidden',
+  },
+
+  progressFill: {
+    height: '100%',
+    borderRadius: 2,
+  },
+
   statusBadge: {
     position: 'absolute',
     bottom: 4,
@@ -23,6 +23,7 @@ export default function AttachmentGallery({
   attachments = [],
   onAttachmentPress,
   onAttachmentDelete,
+  onAttachmentDownloaded,
   onAddPress,
   maxDisplay = 6,
   size = 'medium',
@@ -81,6 +82,7 @@ export default function AttachmentGallery({
                 attachment={attachment}
                 onPress={onAttachmentPress}
                 onDelete={onAttachmentDelete}
+                onDownloaded={onAttachmentDownloaded}
                 size={size}
                 showActions={editable}
               />
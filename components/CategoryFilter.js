@@ -1,5 +1,5 @@
 /**
- * CategoryFilter - Horizontal Category Chips
+ * CategoryFilter - Horizontal List Chips
  * Task List App 2025
  */
 
@@ -14,11 +14,20 @@ import Animated, {
 } from 'react-native-reanimated';
 import { useTheme } from '../context/ThemeContext';
 import { spacing, borderRadius, typography, categories } from '../constants/theme';
+import { getActiveLists } from '../utils/taskLists';
 
 const AnimatedPressable = Animated.createAnimatedComponent(Pressable);
 
-export default function CategoryFilter({ selected, onSelect }) {
+/**
+ * @param {Object} props
+ * @param {Array} props.lists - User-defined lists; archived ones are hidden
+ * @param {string} props.selected - Selected list ID, or 'all'
+ * @param {Function} props.onSelect - Called with the list ID
+ * @param {Function} [props.onManage] - Shows a chip that opens list management
+ */
+export default function CategoryFilter({ lists = [], selected, onSelect, onManage }) {
   const { colors } = useTheme();
+  const chips = [categories.all, ...getActiveLists(lists)];
   
   return (
     <ScrollView 
@@ -30,7 +39,7 @@ export default function CategoryFilter({ selected, onSelect }) {
       alwaysBounceHorizontal={true}
       style={styles.scrollView}
     >
-      {Object.values(categories).map((category, index) => (
+      {chips.map((category, index) => (
         <CategoryChip
           key={category.id}
           category={category}
@@ -40,6 +49,15 @@ export default function CategoryFilter({ selected, onSelect }) {
           colors={colors}
         />
       ))}
+      {onManage && (
+        <CategoryChip
+          category={{ id: 'manage', name: 'Listas', icon: 'options', color: colors.textSecondary }}
+          isSelected={false}
+          onPress={onManage}
+          delay={chips.length * 50}
+          colors={colors}
+        />
+      )}
     </ScrollView>
   );
 }
@@ -1,6 +1,8 @@
 /**
  * DatePickerButton - Due Date Selector
  * Task List App 2026
+ *
+ * Picks a date, or a date and time with `includeTime`
  */
 
 import React, { useState } from 'react';
@@ -10,6 +12,7 @@ import { Ionicons } from '@expo/vector-icons';
 import Animated, { FadeIn, FadeOut } from 'react-native-reanimated';
 import * as Haptics from 'expo-haptics';
 import { colors, spacing, borderRadius, typography } from '../constants/theme';
+import { formatTime, isOverdue as checkOverdue } from '../utils/dateHelpers';
 
 // Safe haptics wrapper for web compatibility
 const safeHaptics = {
@@ -25,21 +28,47 @@ const safeHaptics = {
   }
 };
 
-export default function DatePickerButton({ value, onChange, placeholder = "Sin fecha límite" }) {
+// Value of an <input type="datetime-local"> in local time
+const toLocalInputValue = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+export default function DatePickerButton({
+  value,
+  onChange,
+  placeholder = "Sin fecha límite",
+  title = "Fecha límite",
+  includeTime = false,
+  minimumDate = new Date(),
+}) {
   const [showPicker, setShowPicker] = useState(false);
   const [tempDate, setTempDate] = useState(value || new Date());
+  // Android has no combined picker: pick the date, then the time
+  const [androidMode, setAndroidMode] = useState('date');
   
   const handlePress = () => {
     safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+    setTempDate(value || new Date());
+    setAndroidMode('date');
     setShowPicker(true);
   };
   
   const handleChange = (event, selectedDate) => {
     if (Platform.OS === 'android') {
       setShowPicker(false);
-      if (event.type === 'set' && selectedDate) {
-        onChange(selectedDate);
+      if (event.type !== 'set' || !selectedDate) return;
+
+      if (includeTime && androidMode === 'date') {
+        const next = new Date(tempDate);
+        next.setFullYear(selectedDate.getFullYear(), selectedDate.getMonth(), selectedDate.getDate());
+        setTempDate(next);
+        setAndroidMode('time');
+        setShowPicker(true);
+        return;
       }
+
+      onChange(selectedDate);
     } else {
       setTempDate(selectedDate || tempDate);
     }
@@ -72,18 +101,19 @@ export default function DatePickerButton({ value, onChange, placeholder = "Sin f
     const isToday = date.toDateString() === today.toDateString();
     const isTomorrow = date.toDateString() === tomorrow.toDateString();
     
-    if (isToday) return 'Hoy';
-    if (isTomorrow) return 'Mañana';
+    const day = isToday ? 'Hoy'
+      : isTomorrow ? 'Mañana'
+        : date.toLocaleDateString('es-ES', {
+          weekday: 'short',
+          day: 'numeric',
+          month: 'short'
+        });
     
-    return date.toLocaleDateString('es-ES', {
-      weekday: 'short',
-      day: 'numeric',
-      month: 'short'
-    });
+    return includeTime ? `${day}, ${formatTime(date)}` : day;
   };
   
   // Check if date is overdue
-  const isOverdue = value && value < new Date() && value.toDateString() !== new Date().toDateString();
+  const isOverdue = checkOverdue(value, !includeTime);
   
   return (
     <>
@@ -140,7 +170,7 @@ export default function DatePickerButton({ value, onChange, placeholder = "Sin f
                 <Pressable onPress={handleCancel}>
                   <Text style={styles.pickerCancelText}>Cancelar</Text>
                 </Pressable>
-                <Text style={styles.pickerTitle}>Fecha límite</Text>
+                <Text style={styles.pickerTitle}>{title}</Text>
                 <Pressable onPress={handleConfirm}>
                   <Text style={styles.pickerConfirmText}>Confirmar</Text>
                 </Pressable>
@@ -148,10 +178,10 @@ export default function DatePickerButton({ value, onChange, placeholder = "Sin f
               
               <DateTimePicker
                 value={tempDate}
-                mode="date"
+                mode={includeTime ? 'datetime' : 'date'}
                 display="spinner"
                 onChange={handleChange}
-                minimumDate={new Date()}
+                minimumDate={minimumDate}
                 textColor={colors.textPrimary}
                 themeVariant="dark"
                 style={styles.picker}
@@ -165,10 +195,10 @@ export default function DatePickerButton({ value, onChange, placeholder = "Sin f
       {Platform.OS === 'android' && showPicker && (
         <DateTimePicker
           value={tempDate}
-          mode="date"
+          mode={androidMode}
           display="default"
           onChange={handleChange}
-          minimumDate={new Date()}
+          minimumDate={androidMode === 'date' ? minimumDate : undefined}
         />
       )}
       
@@ -186,9 +216,9 @@ export default function DatePickerButton({ value, onChange, placeholder = "Sin f
               entering={FadeIn}
               exiting={FadeOut}
             >
-              <Text style={styles.pickerTitle}>Seleccionar fecha</Text>
+              <Text style={styles.pickerTitle}>{title}</Text>
               <input
-                type="date"
+                type={includeTime ? 'datetime-local' : 'date'}
                 style={{
                   backgroundColor: colors.bgSecondary,
                   color: colors.textPrimary,
@@ -198,10 +228,12 @@ export default function DatePickerButton({ value, onChange, placeholder = "Sin f
                   fontSize: 16,
                   marginVertical: spacing.lg,
                 }}
-                min={new Date().toISOString().split('T')[0]}
-                defaultValue={tempDate.toISOString().split('T')[0]}
+                min={includeTime ? toLocalInputValue(minimumDate) : toLocalInputValue(minimumDate).split('T')[0]}
+                defaultValue={includeTime ? toLocalInputValue(tempDate) : toLocalInputValue(tempDate).split('T')[0]}
                 onChange={(e) => {
-                  const newDate = new Date(e.target.value);
+                  if (!e.target.value) return;
+                  // Date-only values parse as UTC midnight, so read them as local dates
+                  const newDate = new Date(includeTime ? e.target.value : `${e.target.value}T00:00`);
                   onChange(newDate);
                   setShowPicker(false);
                 }}
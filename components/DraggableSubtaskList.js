@@ -6,9 +6,10 @@
  * - Drag and drop reordering
  * - Animated drag feedback
  * - Visual drop indicators
+ * - Nested subtasks: swipe right to indent, left to outdent
  */
 
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useMemo } from 'react';
 import {
   View,
   StyleSheet,
@@ -28,6 +29,7 @@ import * as Haptics from 'expo-haptics';
 import { useTheme } from '../context/ThemeContext';
 import { spacing, borderRadius } from '../constants/theme';
 import SubtaskItem from './SubtaskItem';
+import { flattenSubtaskTree, getTreeProgress } from '../utils/subtaskTree';
 
 // Safe haptics wrapper for web compatibility
 const safeHaptics = {
@@ -39,6 +41,8 @@ const safeHaptics = {
 };
 
 const ITEM_HEIGHT = 58; // Approximate height of SubtaskItem
+const INDENT_WIDTH = 20; // Offset per nesting level
+const SWIPE_THRESHOLD = 48; // Horizontal swipe distance to indent or outdent
 
 /**
  * Draggable wrapper for individual subtask
@@ -46,9 +50,15 @@ const ITEM_HEIGHT = 58; // Approximate height of SubtaskItem
 function DraggableSubtask({
   subtask,
   index,
+  depth,
+  progress,
   onToggle,
   onDelete,
   onUpdate,
+  onIndent,
+  onOutdent,
+  onAddChild,
+  onPromote,
   onDragStart,
   onDragEnd,
   onDragMove,
@@ -57,6 +67,7 @@ function DraggableSubtask({
 }) {
   const { colors } = useTheme();
   const translateY = useSharedValue(0);
+  const translateX = useSharedValue(0);
   const scale = useSharedValue(1);
   const zIndex = useSharedValue(0);
   const opacity = useSharedValue(1);
@@ -82,6 +93,28 @@ function DraggableSubtask({
       opacity.value = 1;
     });
 
+  // Horizontal swipe changes the nesting level
+  const canIndent = !!onIndent;
+  const canOutdent = !!onOutdent;
+  const swipeGesture = Gesture.Pan()
+    .activeOffsetX([-24, 24])
+    .failOffsetY([-12, 12])
+    .onUpdate((event) => {
+      translateX.value = Math.max(-SWIPE_THRESHOLD, Math.min(SWIPE_THRESHOLD, event.translationX));
+    })
+    .onEnd((event) => {
+      if (event.translationX > SWIPE_THRESHOLD && canIndent) {
+        runOnJS(onIndent)();
+        runOnJS(safeHaptics.impact)(Haptics.ImpactFeedbackStyle.Light);
+      } else if (event.translationX < -SWIPE_THRESHOLD && canOutdent) {
+        runOnJS(onOutdent)();
+        runOnJS(safeHaptics.impact)(Haptics.ImpactFeedbackStyle.Light);
+      }
+      translateX.value = withSpring(0);
+    });
+
+  const gesture = Gesture.Race(panGesture, swipeGesture);
+
   const animatedStyle = useAnimatedStyle(() => {
     // If another item is being dragged, adjust position based on drag
     const shouldMoveUp = isDragging && dragIndex !== null && dragIndex < index;
@@ -89,6 +122,7 @@ function DraggableSubtask({
     
     return {
       transform: [
+        { translateX: translateX.value },
         { translateY: translateY.value },
         { scale: scale.value },
       ],
@@ -103,13 +137,16 @@ function DraggableSubtask({
   });
 
   return (
-    <GestureDetector gesture={panGesture}>
-      <Animated.View style={[styles.draggableItem, animatedStyle]}>
+    <GestureDetector gesture={gesture}>
+      <Animated.View style={[styles.draggableItem, { marginLeft: depth * INDENT_WIDTH }, animatedStyle]}>
         <SubtaskItem
           subtask={subtask}
+          progress={progress}
           onToggle={onToggle}
           onDelete={onDelete}
           onUpdate={onUpdate}
+          onAddChild={onAddChild}
+          onPromote={onPromote}
         />
       </Animated.View>
     </GestureDetector>
@@ -126,8 +163,13 @@ export default function DraggableSubtaskList({
   onDeleteSubtask,
   onUpdateSubtask,
   onReorderSubtasks,
+  onIndentSubtask,
+  onOutdentSubtask,
+  onAddChildSubtask,
+  onPromoteSubtask,
 }) {
   const { colors } = useTheme();
+  const rows = useMemo(() => flattenSubtaskTree(subtasks || []), [subtasks]);
   const [isDragging, setIsDragging] = useState(false);
   const [dragIndex, setDragIndex] = useState(null);
   const [dragOverIndex, setDragOverIndex] = useState(null);
@@ -140,12 +182,12 @@ export default function DraggableSubtaskList({
   const handleDragMove = useCallback((fromIndex, translationY) => {
     // Calculate which index we're hovering over
     const offset = Math.round(translationY / ITEM_HEIGHT);
-    const newIndex = Math.max(0, Math.min(subtasks.length - 1, fromIndex + offset));
+    const newIndex = Math.max(0, Math.min(rows.length - 1, fromIndex + offset));
     
     if (newIndex !== dragOverIndex) {
       setDragOverIndex(newIndex);
     }
-  }, [subtasks.length, dragOverIndex]);
+  }, [rows.length, dragOverIndex]);
 
   const handleDragEnd = useCallback((fromIndex) => {
     if (dragOverIndex !== null && dragOverIndex !== fromIndex && onReorderSubtasks) {
@@ -164,7 +206,7 @@ export default function DraggableSubtaskList({
 
   return (
     <View style={styles.container}>
-      {subtasks.map((subtask, index) => (
+      {rows.map(({ subtask, depth, hasChildren }, index) => (
         <View key={subtask.id}>
           {/* Drop indicator above */}
           {isDragging && dragOverIndex === index && dragIndex !== index && dragIndex > index && (
@@ -174,9 +216,15 @@ export default function DraggableSubtaskList({
           <DraggableSubtask
             subtask={subtask}
             index={index}
+            depth={depth}
+            progress={hasChildren ? getTreeProgress(subtasks, subtask.id) : null}
             onToggle={() => onToggleSubtask(taskId, subtask.id)}
             onDelete={() => onDeleteSubtask(taskId, subtask.id)}
             onUpdate={onUpdateSubtask ? (updates) => onUpdateSubtask(taskId, subtask.id, updates) : undefined}
+            onIndent={onIndentSubtask ? () => onIndentSubtask(taskId, subtask.id) : undefined}
+            onOutdent={onOutdentSubtask && depth > 0 ? () => onOutdentSubtask(taskId, subtask.id) : undefined}
+            onAddChild={onAddChildSubtask ? () => onAddChildSubtask(subtask) : undefined}
+            onPromote={onPromoteSubtask ? () => onPromoteSubtask(taskId, subtask) : undefined}
             onDragStart={handleDragStart}
             onDragEnd={handleDragEnd}
             onDragMove={handleDragMove}
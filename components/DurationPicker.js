@@ -0,0 +1,85 @@
+/**
+ * DurationPicker - Estimated Duration Selector
+ * Task List App 2026
+ *
+ * Chips with common durations. Tapping the selected one clears it.
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet, Pressable, Platform } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from 'expo-haptics';
+import { useTheme } from '../context/ThemeContext';
+import { spacing, borderRadius, typography } from '../constants/theme';
+import { formatDuration } from '../utils/dateHelpers';
+
+// Safe haptics wrapper for web compatibility
+const safeHaptics = {
+  impact: (style) => {
+    if (Platform.OS !== 'web') {
+      Haptics.impactAsync(style);
+    }
+  },
+};
+
+export const DURATION_OPTIONS = [15, 30, 60, 120, 240];
+
+export default function DurationPicker({ value, onChange }) {
+  const { colors } = useTheme();
+
+  const handlePress = (minutes) => {
+    safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+    onChange(value === minutes ? null : minutes);
+  };
+
+  return (
+    <View style={styles.container}>
+      {DURATION_OPTIONS.map(minutes => {
+        const selected = value === minutes;
+        return (
+          <Pressable
+            key={minutes}
+            style={[
+              styles.chip,
+              { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder },
+              selected && { backgroundColor: colors.accentCyan + '20', borderColor: colors.accentCyan },
+            ]}
+            onPress={() => handlePress(minutes)}
+          >
+            <Ionicons
+              name={selected ? 'hourglass' : 'hourglass-outline'}
+              size={14}
+              color={selected ? colors.accentCyan : colors.textTertiary}
+            />
+            <Text style={[styles.chipText, { color: selected ? colors.accentCyan : colors.textSecondary }]}>
+              {formatDuration(minutes)}
+            </Text>
+          </Pressable>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+  },
+
+  chipText: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+});
@@ -0,0 +1,399 @@
+/**
+ * EncryptionModal - Set up or unlock end-to-end encryption
+ * TaskList App - Phase 2 Cloud Backup
+ *
+ * Modes:
+ * - setup: choose a passphrase and turn encryption on
+ * - unlock: enter the passphrase on a new device
+ * - recover: use the recovery code and choose a new passphrase
+ * After setup or recovery the recovery code is shown once.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  Pressable,
+  TextInput,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  StyleSheet,
+} from 'react-native';
+import Animated, { FadeIn, FadeOut, SlideInDown, SlideOutDown } from 'react-native-reanimated';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
+import { MIN_PASSPHRASE_LENGTH } from '../services/encryptionService';
+import { spacing, borderRadius, typography } from '../constants/theme';
+
+const MODE_TEXT = {
+  setup: {
+    icon: 'lock-closed-outline',
+    title: 'Activar cifrado',
+    subtitle: 'Tus tareas se cifrarán en este dispositivo antes de subirlas. Sin la frase ni el código de recuperación no se pueden recuperar.',
+    confirm: 'Activar',
+  },
+  unlock: {
+    icon: 'key-outline',
+    title: 'Desbloquear tareas',
+    subtitle: 'Tu cuenta usa cifrado de extremo a extremo. Introduce tu frase para sincronizar en este dispositivo.',
+    confirm: 'Desbloquear',
+  },
+  recover: {
+    icon: 'medkit-outline',
+    title: 'Recuperar cifrado',
+    subtitle: 'Introduce tu código de recuperación y elige una nueva frase.',
+    confirm: 'Recuperar',
+  },
+};
+
+/**
+ * Passphrase or code input
+ */
+const Field = ({ icon, value, onChangeText, placeholder, secure, colors }) => (
+  <View style={[styles.inputWrapper, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder }]}>
+    <Ionicons name={icon} size={18} color={colors.textTertiary} style={styles.inputIcon} />
+    <TextInput
+      style={[styles.input, { color: colors.textPrimary }]}
+      value={value}
+      onChangeText={onChangeText}
+      placeholder={placeholder}
+      placeholderTextColor={colors.textTertiary}
+      secureTextEntry={secure}
+      autoCapitalize={secure ? 'none' : 'characters'}
+      autoCorrect={false}
+    />
+  </View>
+);
+
+/**
+ * EncryptionModal component
+ * @param {Object} props
+ * @param {boolean} props.visible - Modal visibility
+ * @param {string} props.mode - Initial mode: 'setup' | 'unlock'
+ * @param {Function} props.onClose - Close callback
+ * @param {Function} props.onDone - Called with the mode once encryption is ready
+ */
+const EncryptionModal = ({ visible, mode: initialMode = 'unlock', onClose, onDone }) => {
+  const { colors } = useTheme();
+  const { enableEncryption, unlockEncryption, recoverEncryption } = useAuth();
+
+  const [mode, setMode] = useState(initialMode);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [recoveryInput, setRecoveryInput] = useState('');
+  const [recoveryCode, setRecoveryCode] = useState(null);
+  const [error, setError] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setMode(initialMode);
+      setPassphrase('');
+      setConfirmation('');
+      setRecoveryInput('');
+      setRecoveryCode(null);
+      setError(null);
+    }
+  }, [visible, initialMode]);
+
+  const text = MODE_TEXT[mode];
+  const needsConfirmation = mode === 'setup' || mode === 'recover';
+
+  const handleConfirm = async () => {
+    setError(null);
+
+    if (needsConfirmation) {
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        setError(`La frase debe tener al menos ${MIN_PASSPHRASE_LENGTH} caracteres`);
+        return;
+      }
+      if (passphrase !== confirmation) {
+        setError('Las frases no coinciden');
+        return;
+      }
+    }
+
+    setWorking(true);
+    try {
+      if (mode === 'setup') {
+        const result = await enableEncryption(passphrase);
+        setRecoveryCode(result.recoveryCode);
+      } else if (mode === 'recover') {
+        const result = await recoverEncryption(recoveryInput, passphrase);
+        setRecoveryCode(result.recoveryCode);
+      } else {
+        await unlockEncryption(passphrase);
+        onDone?.(mode);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // The recovery code must be saved before the modal can close
+  const handleClose = () => {
+    if (recoveryCode) {
+      onDone?.(mode);
+      return;
+    }
+    onClose();
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="none"
+      onRequestClose={handleClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.flex}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <Animated.View
+          style={[styles.overlay, { backgroundColor: colors.overlay }]}
+          entering={FadeIn.duration(200)}
+          exiting={FadeOut.duration(200)}
+        >
+          <Pressable style={styles.overlayPressable} onPress={recoveryCode ? undefined : onClose} />
+
+          <Animated.View
+            style={[styles.modalContent, { backgroundColor: colors.bgSecondary }]}
+            entering={SlideInDown.springify().damping(15)}
+            exiting={SlideOutDown.duration(200)}
+          >
+            {recoveryCode ? (
+              <>
+                {/* Recovery code */}
+                <View style={styles.header}>
+                  <View style={[styles.iconContainer, { backgroundColor: colors.success + '20' }]}>
+                    <Ionicons name="shield-checkmark-outline" size={24} color={colors.success} />
+                  </View>
+                  <Text style={[styles.title, { color: colors.textPrimary }]}>
+                    Código de recuperación
+                  </Text>
+                  <Text style={[styles.subtitle, { color: colors.textTertiary }]}>
+                    Guárdalo en un lugar seguro. Es la única forma de recuperar tus tareas si olvidas la frase.
+                  </Text>
+                </View>
+
+                <View style={[styles.codeBox, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder }]}>
+                  <Text selectable style={[styles.codeText, { color: colors.textPrimary }]}>
+                    {recoveryCode}
+                  </Text>
+                </View>
+
+                <Pressable
+                  style={[styles.confirmButton, { backgroundColor: colors.accentPurple }]}
+                  onPress={handleClose}
+                >
+                  <Text style={[styles.confirmText, { color: colors.white }]}>
+                    Ya lo guardé
+                  </Text>
+                </Pressable>
+              </>
+            ) : (
+              <>
+                {/* Header */}
+                <View style={styles.header}>
+                  <View style={[styles.iconContainer, { backgroundColor: colors.accentPurple + '20' }]}>
+                    <Ionicons name={text.icon} size={24} color={colors.accentPurple} />
+                  </View>
+                  <Text style={[styles.title, { color: colors.textPrimary }]}>
+                    {text.title}
+                  </Text>
+                  <Text style={[styles.subtitle, { color: colors.textTertiary }]}>
+                    {text.subtitle}
+                  </Text>
+                </View>
+
+                {mode === 'recover' && (
+                  <Field
+                    icon="medkit-outline"
+                    value={recoveryInput}
+                    onChangeText={setRecoveryInput}
+                    placeholder="XXXX-XXXX-XXXX-XXXX-XXXX"
+                    colors={colors}
+                  />
+                )}
+
+                <Field
+                  icon="key-outline"
+                  value={passphrase}
+                  onChangeText={setPassphrase}
+                  placeholder={mode === 'recover' ? 'Nueva frase de cifrado' : 'Frase de cifrado'}
+                  secure
+                  colors={colors}
+                />
+
+                {needsConfirmation && (
+                  <Field
+                    icon="key-outline"
+                    value={confirmation}
+                    onChangeText={setConfirmation}
+                    placeholder="Repite la frase"
+                    secure
+                    colors={colors}
+                  />
+                )}
+
+                {error && (
+                  <Text style={[styles.errorText, { color: colors.error }]}>
+                    {error}
+                  </Text>
+                )}
+
+                {mode === 'unlock' && (
+                  <Pressable style={styles.linkButton} onPress={() => setMode('recover')}>
+                    <Text style={[styles.linkText, { color: colors.accentPurple }]}>
+                      Usar código de recuperación
+                    </Text>
+                  </Pressable>
+                )}
+
+                {/* Action Buttons */}
+                <View style={styles.buttonRow}>
+                  <Pressable
+                    style={[styles.cancelButton, { borderColor: colors.glassBorder }]}
+                    onPress={onClose}
+                    disabled={working}
+                  >
+                    <Text style={[styles.cancelText, { color: colors.textSecondary }]}>
+                      {mode === 'unlock' ? 'Ahora no' : 'Cancelar'}
+                    </Text>
+                  </Pressable>
+
+                  <Pressable
+                    style={[styles.confirmButton, styles.flex, { backgroundColor: colors.accentPurple }]}
+                    onPress={handleConfirm}
+                    disabled={working}
+                  >
+                    {working ? (
+                      <ActivityIndicator size="small" color={colors.white} />
+                    ) : (
+                      <Text style={[styles.confirmText, { color: colors.white }]}>
+                        {text.confirm}
+                      </Text>
+                    )}
+                  </Pressable>
+                </View>
+              </>
+            )}
+          </Animated.View>
+        </Animated.View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  flex: {
+    flex: 1,
+  },
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+  },
+  overlayPressable: {
+    flex: 1,
+  },
+  modalContent: {
+    borderTopLeftRadius: borderRadius.xxl,
+    borderTopRightRadius: borderRadius.xxl,
+    padding: spacing.xl,
+    paddingBottom: spacing.xxxl,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: spacing.lg,
+  },
+  iconContainer: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: spacing.md,
+  },
+  title: {
+    fontSize: typography.fontSize.xl,
+    fontWeight: typography.fontWeight.bold,
+    marginBottom: spacing.xs,
+  },
+  subtitle: {
+    fontSize: typography.fontSize.md,
+    textAlign: 'center',
+  },
+  inputWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    paddingHorizontal: spacing.md,
+    marginBottom: spacing.md,
+  },
+  inputIcon: {
+    marginRight: spacing.sm,
+  },
+  input: {
+    flex: 1,
+    paddingVertical: spacing.md,
+    fontSize: typography.fontSize.md,
+  },
+  errorText: {
+    fontSize: typography.fontSize.sm,
+    textAlign: 'center',
+    marginBottom: spacing.md,
+  },
+  linkButton: {
+    alignItems: 'center',
+    marginBottom: spacing.lg,
+  },
+  linkText: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.semibold,
+  },
+  codeBox: {
+    alignItems: 'center',
+    padding: spacing.lg,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    marginBottom: spacing.xl,
+  },
+  codeText: {
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.bold,
+    letterSpacing: 1.5,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: spacing.md,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: spacing.lg,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+  confirmButton: {
+    paddingVertical: spacing.lg,
+    borderRadius: borderRadius.lg,
+    alignItems: 'center',
+  },
+  confirmText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+});
+
+export default EncryptionModal;
@@ -0,0 +1,217 @@
+/**
+ * PlacePicker - Task Place Selector
+ * Task List App 2026
+ *
+ * Picks the place a task reminds of on arrival: the current position
+ * or a searched address, and the radius around it.
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  Pressable,
+  Platform,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from 'expo-haptics';
+import { useTheme } from '../context/ThemeContext';
+import { spacing, borderRadius, typography } from '../constants/theme';
+import { getCurrentPlace, searchPlace, requestGeofencePermissions } from '../services/geofenceService';
+import { RADIUS_OPTIONS, DEFAULT_RADIUS, createPlace, formatRadius } from '../utils/taskLocation';
+
+// Safe haptics wrapper for web compatibility
+const safeHaptics = {
+  impact: (style) => {
+    if (Platform.OS !== 'web') {
+      Haptics.impactAsync(style);
+    }
+  },
+};
+
+export default function PlacePicker({ value, onChange }) {
+  const { colors } = useTheme();
+  const [query, setQuery] = useState('');
+  const [searching, setSearching] = useState(false);
+
+  const pick = async (find) => {
+    setSearching(true);
+    try {
+      const found = await find();
+      if (!found) {
+        Alert.alert('Sin resultados', 'No se encontró esa dirección.');
+        return;
+      }
+      safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+      onChange(createPlace({ ...found, radius: DEFAULT_RADIUS }));
+      setQuery('');
+
+      // Reminders on arrival need location in the background
+      if (Platform.OS !== 'web' && !(await requestGeofencePermissions())) {
+        Alert.alert(
+          'Ubicación en segundo plano',
+          'Permite el acceso a la ubicación "Siempre" para recibir el aviso al llegar.'
+        );
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleRadius = (radius) => {
+    safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+    onChange({ ...value, radius });
+  };
+
+  if (value) {
+    return (
+      <View style={styles.container}>
+        <View style={[styles.placeCard, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder }]}>
+          <Ionicons name="location" size={20} color={colors.accentCyan} />
+          <View style={styles.placeInfo}>
+            <Text style={[styles.placeName, { color: colors.textPrimary }]} numberOfLines={1}>
+              {value.name}
+            </Text>
+            <Text style={[styles.placeDetail, { color: colors.textTertiary }]}>
+              Avisar al llegar, a menos de {formatRadius(value.radius)}
+            </Text>
+          </View>
+          <Pressable onPress={() => onChange(null)} hitSlop={8}>
+            <Ionicons name="close-circle" size={20} color={colors.textTertiary} />
+          </Pressable>
+        </View>
+
+        <View style={styles.chips}>
+          {RADIUS_OPTIONS.map(radius => {
+            const selected = value.radius === radius;
+            return (
+              <Pressable
+                key={radius}
+                style={[
+                  styles.chip,
+                  { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder },
+                  selected && { backgroundColor: colors.accentCyan + '20', borderColor: colors.accentCyan },
+                ]}
+                onPress={() => handleRadius(radius)}
+              >
+                <Text style={[styles.chipText, { color: selected ? colors.accentCyan : colors.textSecondary }]}>
+                  {formatRadius(radius)}
+                </Text>
+              </Pressable>
+            );
+          })}
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.searchRow, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder }]}>
+        <Ionicons name="search" size={18} color={colors.textTertiary} />
+        <TextInput
+          style={[styles.searchInput, { color: colors.textPrimary }]}
+          placeholder="Buscar dirección o tienda"
+          placeholderTextColor={colors.textTertiary}
+          value={query}
+          onChangeText={setQuery}
+          onSubmitEditing={() => pick(() => searchPlace(query))}
+          returnKeyType="search"
+          editable={!searching}
+        />
+        {searching && <ActivityIndicator size="small" color={colors.accentCyan} />}
+      </View>
+
+      <Pressable
+        style={[styles.chip, styles.currentButton, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder }]}
+        onPress={() => pick(getCurrentPlace)}
+        disabled={searching}
+      >
+        <Ionicons name="navigate" size={14} color={colors.accentCyan} />
+        <Text style={[styles.chipText, { color: colors.textSecondary }]}>Usar mi ubicación actual</Text>
+      </Pressable>
+
+      {Platform.OS === 'web' && (
+        <Text style={[styles.placeDetail, { color: colors.textTertiary }]}>
+          Los avisos al llegar solo funcionan en la app móvil
+        </Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    gap: spacing.md,
+  },
+
+  placeCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.md,
+    paddingVertical: spacing.md,
+    paddingHorizontal: spacing.lg,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+  },
+
+  placeInfo: {
+    flex: 1,
+  },
+
+  placeName: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  placeDetail: {
+    fontSize: typography.fontSize.xs,
+    marginTop: 2,
+  },
+
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    paddingHorizontal: spacing.lg,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+  },
+
+  searchInput: {
+    flex: 1,
+    paddingVertical: spacing.md,
+    fontSize: typography.fontSize.md,
+  },
+
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+  },
+
+  currentButton: {
+    alignSelf: 'flex-start',
+  },
+
+  chipText: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+});
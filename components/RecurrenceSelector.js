@@ -3,9 +3,11 @@
  * Task List App 2026
  * 
  * Allows users to configure recurring task patterns:
- * - Daily, Weekly, Monthly, or Custom
+ * - Daily, Weekly, Monthly, Yearly, or a Custom RRULE
  * - Frequency selection
  * - Day of week selection (for weekly)
+ * - Day number or nth weekday (for monthly and yearly)
+ * - Calendar or after-completion mode
  * - Start/end date configuration
  */
 
@@ -27,9 +29,15 @@ import DayOfWeekPicker from './DayOfWeekPicker';
 import DatePickerButton from './DatePickerButton';
 import { 
   RECURRENCE_PATTERNS, 
+  RECURRENCE_MODES,
   DEFAULT_RECURRING_CONFIG,
+  MONTHS,
+  WEEKDAYS,
+  WEEK_OF_MONTH_OPTIONS,
+  configToRRule,
   formatRecurrencePreview,
 } from '../utils/recurringHelpers';
+import { isValidRRule } from '../utils/rrule';
 
 // Safe haptics wrapper
 const safeHaptics = {
@@ -154,6 +162,133 @@ const DayOfMonthSelector = ({ value, onChange, colors }) => {
   );
 };
 
+/**
+ * Check circle with a label
+ */
+const CheckToggle = ({ checked, onToggle, label, colors }) => {
+  return (
+    <Pressable
+      style={styles.endDateToggle}
+      onPress={() => {
+        onToggle(!checked);
+        safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+      }}
+    >
+      <View style={[
+        styles.toggleCircle,
+        { 
+          backgroundColor: checked ? colors.accentCyan : 'transparent',
+          borderColor: checked ? colors.accentCyan : colors.glassBorder,
+        }
+      ]}>
+        {checked && (
+          <Ionicons name="checkmark" size={12} color={colors.bgPrimary} />
+        )}
+      </View>
+      <Text style={[styles.toggleLabel, { color: colors.textSecondary }]}>
+        {label}
+      </Text>
+    </Pressable>
+  );
+};
+
+/**
+ * Row of selectable chips
+ */
+const OptionChips = ({ options, selected, onSelect, colors }) => {
+  return (
+    <View style={styles.chips}>
+      {options.map((option) => {
+        const isSelected = option.value === selected;
+        return (
+          <Pressable
+            key={option.value}
+            style={[
+              styles.chip,
+              {
+                backgroundColor: isSelected ? colors.accentCyan + '20' : colors.glassMedium,
+                borderColor: isSelected ? colors.accentCyan : colors.glassBorder,
+              }
+            ]}
+            onPress={() => onSelect(option.value)}
+          >
+            <Text style={[
+              styles.chipText,
+              { color: isSelected ? colors.accentCyan : colors.textSecondary }
+            ]}>
+              {option.label}
+            </Text>
+          </Pressable>
+        );
+      })}
+    </View>
+  );
+};
+
+const MONTH_DAY_MODES = [
+  { value: 'day', label: 'Día del mes' },
+  { value: 'weekday', label: 'Día de la semana' },
+];
+
+const WEEK_OF_MONTH_CHIPS = WEEK_OF_MONTH_OPTIONS.map(o => ({
+  value: o.value,
+  label: o.label.charAt(0).toUpperCase() + o.label.slice(1),
+}));
+
+const MONTH_CHIPS = Object.entries(MONTHS).map(([value, m]) => ({
+  value: Number(value),
+  label: m.short,
+}));
+
+/**
+ * Day within the month, for monthly and yearly patterns:
+ * a day number, or the nth (or last) of some weekdays
+ */
+const MonthDaySection = ({
+  dayOfMonth,
+  onDayOfMonthChange,
+  weekOfMonth,
+  onWeekOfMonthChange,
+  daysOfWeek,
+  onDaysChange,
+  colors,
+}) => {
+  const mode = weekOfMonth ? 'weekday' : 'day';
+
+  return (
+    <View style={styles.section}>
+      <OptionChips
+        options={MONTH_DAY_MODES}
+        selected={mode}
+        onSelect={(value) => onWeekOfMonthChange(value === 'weekday' ? 1 : null)}
+        colors={colors}
+      />
+
+      {mode === 'day' ? (
+        <DayOfMonthSelector
+          value={dayOfMonth}
+          onChange={onDayOfMonthChange}
+          colors={colors}
+        />
+      ) : (
+        <>
+          <OptionChips
+            options={WEEK_OF_MONTH_CHIPS}
+            selected={weekOfMonth}
+            onSelect={onWeekOfMonthChange}
+            colors={colors}
+          />
+          <DayOfWeekPicker
+            selectedDays={daysOfWeek}
+            onDaysChange={onDaysChange}
+            accentColor={colors.accentCyan}
+          />
+        </>
+      )}
+    </View>
+  );
+};
+
 /**
  * Main RecurrenceSelector component
  */
@@ -167,15 +302,24 @@ const RecurrenceSelector = ({
   const [frequency, setFrequency] = useState(config.frequency || 1);
   const [daysOfWeek, setDaysOfWeek] = useState(config.daysOfWeek || []);
   const [dayOfMonth, setDayOfMonth] = useState(config.dayOfMonth || 1);
+  const [weekOfMonth, setWeekOfMonth] = useState(config.weekOfMonth || null);
+  const [month, setMonth] = useState(config.month || new Date().getMonth() + 1);
+  const [customRule, setCustomRule] = useState(
+    config.pattern === RECURRENCE_PATTERNS.CUSTOM ? config.rrule || '' : ''
+  );
   const [startDate, setStartDate] = useState(config.startDate ? new Date(config.startDate) : new Date());
   const [endDate, setEndDate] = useState(config.endDate ? new Date(config.endDate) : null);
   const [hasEndDate, setHasEndDate] = useState(!!config.endDate);
+  const [afterCompletion, setAfterCompletion] = useState(
+    config.mode === RECURRENCE_MODES.AFTER_COMPLETION
+  );
 
   // Pattern tab configuration
   const patterns = [
     { id: RECURRENCE_PATTERNS.DAILY, label: 'Diario', icon: 'today-outline' },
     { id: RECURRENCE_PATTERNS.WEEKLY, label: 'Semanal', icon: 'calendar-outline' },
     { id: RECURRENCE_PATTERNS.MONTHLY, label: 'Mensual', icon: 'calendar-number-outline' },
+    { id: RECURRENCE_PATTERNS.YEARLY, label: 'Anual', icon: 'calendar-clear-outline' },
     { id: RECURRENCE_PATTERNS.CUSTOM, label: 'Custom', icon: 'options-outline' },
   ];
 
@@ -183,39 +327,63 @@ const RecurrenceSelector = ({
   const getUnitLabel = () => {
     switch (pattern) {
       case RECURRENCE_PATTERNS.DAILY:
-      case RECURRENCE_PATTERNS.CUSTOM:
         return frequency === 1 ? 'día' : 'días';
       case RECURRENCE_PATTERNS.WEEKLY:
         return frequency === 1 ? 'semana' : 'semanas';
       case RECURRENCE_PATTERNS.MONTHLY:
         return frequency === 1 ? 'mes' : 'meses';
+      case RECURRENCE_PATTERNS.YEARLY:
+        return frequency === 1 ? 'año' : 'años';
       default:
         return 'días';
     }
   };
 
+  const isCustom = pattern === RECURRENCE_PATTERNS.CUSTOM;
+  // After completion only the frequency counts, so days aren't asked for
+  const countsFromCompletion = afterCompletion && !isCustom;
+  const isMonthBased = !countsFromCompletion
+    && (pattern === RECURRENCE_PATTERNS.MONTHLY || pattern === RECURRENCE_PATTERNS.YEARLY);
+  const byWeekday = isMonthBased && !!weekOfMonth;
+  const customRuleError = isCustom && customRule.trim() && !isValidRRule(customRule)
+    ? 'La regla de repetición no es válida'
+    : '';
+
   // Build and emit config on changes
   useEffect(() => {
     const newConfig = {
+      mode: countsFromCompletion ? RECURRENCE_MODES.AFTER_COMPLETION : RECURRENCE_MODES.CALENDAR,
       pattern,
-      frequency,
-      daysOfWeek: pattern === RECURRENCE_PATTERNS.WEEKLY ? daysOfWeek : [],
-      dayOfMonth: pattern === RECURRENCE_PATTERNS.MONTHLY ? dayOfMonth : null,
+      frequency: isCustom ? 1 : frequency,
+      daysOfWeek: (pattern === RECURRENCE_PATTERNS.WEEKLY && !countsFromCompletion) || byWeekday ? daysOfWeek : [],
+      dayOfMonth: isMonthBased && !byWeekday ? dayOfMonth : null,
+      weekOfMonth: byWeekday ? weekOfMonth : null,
+      month: pattern === RECURRENCE_PATTERNS.YEARLY && !countsFromCompletion ? month : null,
       startDate: startDate?.toISOString() || null,
       endDate: hasEndDate && endDate ? endDate.toISOString() : null,
       endAfterOccurrences: null,
+      rrule: isCustom ? customRule.trim() : null,
+      exdates: [],
     };
-    onChange?.(newConfig);
-  }, [pattern, frequency, daysOfWeek, dayOfMonth, startDate, endDate, hasEndDate]);
+    // An invalid custom rule is kept as typed so validation rejects it
+    onChange?.({
+      ...newConfig,
+      rrule: isCustom && !isValidRRule(newConfig.rrule) ? newConfig.rrule : configToRRule(newConfig),
+    });
+  }, [pattern, frequency, daysOfWeek, dayOfMonth, weekOfMonth, month, customRule, startDate, endDate, hasEndDate, afterCompletion]);
 
   // Get preview text
   const previewConfig = {
+    mode: countsFromCompletion ? RECURRENCE_MODES.AFTER_COMPLETION : RECURRENCE_MODES.CALENDAR,
     pattern,
     frequency,
     daysOfWeek,
     dayOfMonth,
+    weekOfMonth: byWeekday ? weekOfMonth : null,
+    month,
+    rrule: customRule.trim(),
   };
-  const previewText = formatRecurrencePreview(previewConfig);
+  const previewText = customRuleError || formatRecurrencePreview(previewConfig);
 
   const handlePatternChange = (newPattern) => {
     setPattern(newPattern);
@@ -226,6 +394,30 @@ const RecurrenceSelector = ({
       const today = new Date().getDay();
       setDaysOfWeek([today === 0 ? 7 : today]);
     }
+
+    // Start a custom rule from the pattern chosen so far
+    if (newPattern === RECURRENCE_PATTERNS.CUSTOM && !customRule.trim() && !isCustom) {
+      try {
+        setCustomRule(configToRRule({
+          pattern,
+          frequency,
+          daysOfWeek,
+          dayOfMonth,
+          weekOfMonth: byWeekday ? weekOfMonth : null,
+          month,
+        }));
+      } catch (error) {
+        setCustomRule('');
+      }
+    }
+  };
+
+  const handleWeekOfMonthChange = (value) => {
+    setWeekOfMonth(value);
+    if (value && daysOfWeek.length === 0) {
+      const today = new Date().getDay();
+      setDaysOfWeek([today === 0 ? 7 : today]);
+    }
   };
 
   return (
@@ -245,22 +437,30 @@ const RecurrenceSelector = ({
         ))}
       </View>
 
-      {/* Frequency Input */}
-      <Animated.View 
-        style={styles.section}
-        entering={FadeInDown.duration(200)}
-        layout={Layout.springify()}
-      >
-        <FrequencyInput
-          value={frequency}
-          onChange={setFrequency}
-          unit={getUnitLabel()}
-          colors={colors}
-        />
-      </Animated.View>
+      {/* Frequency Input (a custom rule carries its own interval) */}
+      {!isCustom && (
+        <Animated.View 
+          style={styles.section}
+          entering={FadeInDown.duration(200)}
+          layout={Layout.springify()}
+        >
+          <FrequencyInput
+            value={frequency}
+            onChange={setFrequency}
+            unit={getUnitLabel()}
+            colors={colors}
+          />
+          <CheckToggle
+            checked={afterCompletion}
+            onToggle={setAfterCompletion}
+            label="Contar desde que se completa"
+            colors={colors}
+          />
+        </Animated.View>
+      )}
 
       {/* Day of Week Picker (for weekly pattern) */}
-      {pattern === RECURRENCE_PATTERNS.WEEKLY && (
+      {pattern === RECURRENCE_PATTERNS.WEEKLY && !countsFromCompletion && (
         <Animated.View 
           style={styles.section}
           entering={FadeInDown.duration(200)}
@@ -275,25 +475,84 @@ const RecurrenceSelector = ({
             onDaysChange={setDaysOfWeek}
             accentColor={colors.accentCyan}
           />
+          <OptionChips
+            options={[{ value: 'weekdays', label: 'Días laborables' }]}
+            selected={[...daysOfWeek].sort((a, b) => a - b).join() === WEEKDAYS.join() ? 'weekdays' : null}
+            onSelect={() => setDaysOfWeek(WEEKDAYS)}
+            colors={colors}
+          />
         </Animated.View>
       )}
 
-      {/* Day of Month Selector (for monthly pattern) */}
-      {pattern === RECURRENCE_PATTERNS.MONTHLY && (
+      {/* Month (for yearly pattern) */}
+      {pattern === RECURRENCE_PATTERNS.YEARLY && !countsFromCompletion && (
         <Animated.View 
           style={styles.section}
           entering={FadeInDown.duration(200)}
           exiting={FadeOutUp.duration(150)}
           layout={Layout.springify()}
         >
-          <DayOfMonthSelector
-            value={dayOfMonth}
-            onChange={setDayOfMonth}
+          <Text style={[styles.sectionLabel, { color: colors.textSecondary }]}>
+            Mes
+          </Text>
+          <OptionChips
+            options={MONTH_CHIPS}
+            selected={month}
+            onSelect={setMonth}
+            colors={colors}
+          />
+        </Animated.View>
+      )}
+
+      {/* Day within the month (for monthly and yearly patterns) */}
+      {isMonthBased && (
+        <Animated.View 
+          entering={FadeInDown.duration(200)}
+          exiting={FadeOutUp.duration(150)}
+          layout={Layout.springify()}
+        >
+          <MonthDaySection
+            dayOfMonth={dayOfMonth}
+            onDayOfMonthChange={setDayOfMonth}
+            weekOfMonth={weekOfMonth}
+            onWeekOfMonthChange={handleWeekOfMonthChange}
+            daysOfWeek={daysOfWeek}
+            onDaysChange={setDaysOfWeek}
             colors={colors}
           />
         </Animated.View>
       )}
 
+      {/* RRULE input (for custom pattern) */}
+      {isCustom && (
+        <Animated.View 
+          style={styles.section}
+          entering={FadeInDown.duration(200)}
+          exiting={FadeOutUp.duration(150)}
+          layout={Layout.springify()}
+        >
+          <Text style={[styles.sectionLabel, { color: colors.textSecondary }]}>
+            Regla RRULE
+          </Text>
+          <TextInput
+            style={[
+              styles.ruleInput,
+              { 
+                backgroundColor: colors.glassMedium, 
+                borderColor: customRuleError ? colors.error : colors.glassBorder,
+                color: colors.textPrimary,
+              }
+            ]}
+            value={customRule}
+            onChangeText={setCustomRule}
+            placeholder="FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1"
+            placeholderTextColor={colors.textTertiary}
+            autoCapitalize="characters"
+            autoCorrect={false}
+          />
+        </Animated.View>
+      )}
+
       {/* Start Date */}
       <Animated.View 
         style={styles.section}
@@ -314,28 +573,12 @@ const RecurrenceSelector = ({
         style={styles.section}
         layout={Layout.springify()}
       >
-        <Pressable
-          style={styles.endDateToggle}
-          onPress={() => {
-            setHasEndDate(!hasEndDate);
-            safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
-          }}
-        >
-          <View style={[
-            styles.toggleCircle,
-            { 
-              backgroundColor: hasEndDate ? colors.accentCyan : 'transparent',
-              borderColor: hasEndDate ? colors.accentCyan : colors.glassBorder,
-            }
-          ]}>
-            {hasEndDate && (
-              <Ionicons name="checkmark" size={12} color={colors.bgPrimary} />
-            )}
-          </View>
-          <Text style={[styles.toggleLabel, { color: colors.textSecondary }]}>
-            Establecer fecha de fin
-          </Text>
-        </Pressable>
+        <CheckToggle
+          checked={hasEndDate}
+          onToggle={setHasEndDate}
+          label="Establecer fecha de fin"
+          colors={colors}
+        />
 
         {hasEndDate && (
           <Animated.View 
@@ -419,6 +662,28 @@ const styles = StyleSheet.create({
   frequencyUnit: {
     fontSize: typography.fontSize.md,
   },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+  chip: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+  },
+  chipText: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+  ruleInput: {
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    fontSize: typography.fontSize.sm,
+  },
   dayOfMonthContainer: {
     flexDirection: 'row',
     alignItems: 'center',
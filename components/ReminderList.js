@@ -0,0 +1,174 @@
+/**
+ * ReminderList - Task Reminders Editor
+ * Task List App 2026
+ *
+ * Lists the reminders of a task and adds new ones, either relative
+ * to the due time or at an exact date and time.
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet, Pressable, Platform } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from 'expo-haptics';
+import { useTheme } from '../context/ThemeContext';
+import { spacing, borderRadius, typography } from '../constants/theme';
+import DatePickerButton from './DatePickerButton';
+import {
+  REMINDER_TYPES,
+  REMINDER_PRESETS,
+  createRelativeReminder,
+  createAbsoluteReminder,
+  getReminderTime,
+  describeReminder,
+} from '../utils/taskReminders';
+
+// Safe haptics wrapper for web compatibility
+const safeHaptics = {
+  impact: (style) => {
+    if (Platform.OS !== 'web') {
+      Haptics.impactAsync(style);
+    }
+  },
+};
+
+export default function ReminderList({
+  reminders,
+  onChange,
+  dueDate = null,
+  allDay = true,
+  allowRelative = !!dueDate,
+  allowAbsolute = true,
+}) {
+  const { colors } = useTheme();
+  const task = { dueDate, allDay };
+
+  // Soonest first; relative reminders without a due date go last
+  const sorted = [...reminders].sort((a, b) => {
+    const timeA = getReminderTime(task, a)?.getTime() ?? Infinity;
+    const timeB = getReminderTime(task, b)?.getTime() ?? Infinity;
+    return timeA - timeB;
+  });
+
+  const usedOffsets = new Set(
+    reminders.filter(r => r.type === REMINDER_TYPES.RELATIVE).map(r => r.offsetMinutes)
+  );
+  const presets = REMINDER_PRESETS.filter(minutes => !usedOffsets.has(minutes));
+
+  const handleAdd = (reminder) => {
+    safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+    onChange([...reminders, reminder]);
+  };
+
+  const handleRemove = (id) => {
+    safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+    onChange(reminders.filter(r => r.id !== id));
+  };
+
+  return (
+    <View style={styles.container}>
+      {sorted.length === 0 ? (
+        <Text style={[styles.emptyText, { color: colors.textTertiary }]}>Sin recordatorios</Text>
+      ) : (
+        <View style={styles.chips}>
+          {sorted.map(reminder => {
+            const inactive = reminder.type === REMINDER_TYPES.RELATIVE && !allowRelative;
+            return (
+              <View
+                key={reminder.id}
+                style={[
+                  styles.chip,
+                  { backgroundColor: colors.accentPurple + '20', borderColor: colors.accentPurple },
+                  inactive && styles.inactive,
+                ]}
+              >
+                <Ionicons
+                  name={reminder.type === REMINDER_TYPES.ABSOLUTE ? 'calendar' : 'notifications'}
+                  size={14}
+                  color={colors.accentPurple}
+                />
+                <Text style={[styles.chipText, { color: colors.accentPurple }]}>
+                  {describeReminder(reminder, task)}
+                </Text>
+                <Pressable onPress={() => handleRemove(reminder.id)} hitSlop={8}>
+                  <Ionicons name="close" size={14} color={colors.accentPurple} />
+                </Pressable>
+              </View>
+            );
+          })}
+        </View>
+      )}
+
+      {allowRelative && presets.length > 0 && (
+        <View style={styles.chips}>
+          {presets.map(minutes => (
+            <Pressable
+              key={minutes}
+              style={[styles.chip, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder }]}
+              onPress={() => handleAdd(createRelativeReminder(minutes))}
+            >
+              <Ionicons name="add" size={14} color={colors.textTertiary} />
+              <Text style={[styles.chipText, { color: colors.textSecondary }]}>
+                {describeReminder({ type: REMINDER_TYPES.RELATIVE, offsetMinutes: minutes }, task)}
+              </Text>
+            </Pressable>
+          ))}
+        </View>
+      )}
+
+      {!allowRelative && (
+        <Text style={[styles.hint, { color: colors.textTertiary }]}>
+          Agrega una fecha límite para recordatorios antes de la hora límite
+        </Text>
+      )}
+
+      {allowAbsolute && (
+        <DatePickerButton
+          value={null}
+          onChange={(date) => handleAdd(createAbsoluteReminder(date))}
+          placeholder="Fecha y hora exacta"
+          title="Recordatorio"
+          includeTime
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    gap: spacing.md,
+  },
+
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+  },
+
+  chipText: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  inactive: {
+    opacity: 0.5,
+  },
+
+  emptyText: {
+    fontSize: typography.fontSize.sm,
+  },
+
+  hint: {
+    fontSize: typography.fontSize.xs,
+  },
+});
@@ -30,7 +30,8 @@ export default function ReminderToggle({
   enabled, 
   onToggle, 
   disabled = false,
-  label = "Recordarme" 
+  label = "Recordarme",
+  icon = "notifications",
 }) {
   const progress = useSharedValue(enabled ? 1 : 0);
   
@@ -73,7 +74,7 @@ export default function ReminderToggle({
     >
       <View style={styles.labelContainer}>
         <Ionicons 
-          name={enabled ? "notifications" : "notifications-outline"} 
+          name={enabled ? icon : `${icon}-outline`} 
           size={20} 
           color={enabled ? colors.accentPurple : colors.textTertiary} 
         />
@@ -0,0 +1,306 @@
+/**
+ * RestoreBackupModal - Preview and restore a cloud backup
+ * TaskList App - Phase 2 Cloud Backup
+ *
+ * Lets the user pick a restore mode and shows how many tasks
+ * would be added, changed and removed before applying it.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, Modal, Pressable, ActivityIndicator, StyleSheet } from 'react-native';
+import Animated, { FadeIn, FadeOut, SlideInDown, SlideOutDown } from 'react-native-reanimated';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { spacing, borderRadius, typography } from '../constants/theme';
+import { RESTORE_MODES } from '../services/backupService';
+
+const MODE_OPTIONS = [
+  {
+    mode: RESTORE_MODES.REPLACE,
+    icon: 'swap-horizontal-outline',
+    title: 'Reemplazar todo',
+    description: 'Tus tareas actuales se sustituyen por las del respaldo',
+  },
+  {
+    mode: RESTORE_MODES.MERGE,
+    icon: 'git-merge-outline',
+    title: 'Combinar',
+    description: 'Se recuperan las tareas del respaldo y se conservan las nuevas',
+  },
+];
+
+/**
+ * Count row of the diff preview
+ */
+const DiffCount = ({ icon, label, count, color, colors }) => (
+  <View style={styles.diffItem}>
+    <View style={[styles.diffIcon, { backgroundColor: color + '20' }]}>
+      <Ionicons name={icon} size={18} color={color} />
+    </View>
+    <Text style={[styles.diffCount, { color: colors.textPrimary }]}>{count}</Text>
+    <Text style={[styles.diffLabel, { color: colors.textTertiary }]}>{label}</Text>
+  </View>
+);
+
+/**
+ * RestoreBackupModal component
+ * @param {Object} props
+ * @param {boolean} props.visible - Modal visibility
+ * @param {Object} props.preview - Result of previewRestore (null while loading)
+ * @param {string} props.backupDate - Formatted backup date
+ * @param {boolean} props.isRestoring - Restore in progress
+ * @param {Function} props.onClose - Close callback
+ * @param {Function} props.onRestore - Called with the chosen mode
+ */
+const RestoreBackupModal = ({ visible, preview, backupDate, isRestoring, onClose, onRestore }) => {
+  const { colors } = useTheme();
+  const [mode, setMode] = useState(RESTORE_MODES.MERGE);
+
+  useEffect(() => {
+    if (visible) setMode(RESTORE_MODES.MERGE);
+  }, [visible]);
+
+  const counts = preview?.[mode];
+  const hasChanges = !!counts && (counts.added + counts.changed + counts.removed) > 0;
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="none"
+      onRequestClose={onClose}
+    >
+      <Animated.View
+        style={[styles.overlay, { backgroundColor: colors.overlay }]}
+        entering={FadeIn.duration(200)}
+        exiting={FadeOut.duration(200)}
+      >
+        <Pressable style={styles.overlayPressable} onPress={isRestoring ? undefined : onClose} />
+
+        <Animated.View
+          style={[styles.modalContent, { backgroundColor: colors.bgSecondary }]}
+          entering={SlideInDown.springify().damping(15)}
+          exiting={SlideOutDown.duration(200)}
+        >
+          {/* Header */}
+          <View style={styles.header}>
+            <View style={[styles.iconContainer, { backgroundColor: colors.accentPurple + '20' }]}>
+              <Ionicons name="cloud-download-outline" size={24} color={colors.accentPurple} />
+            </View>
+            <Text style={[styles.title, { color: colors.textPrimary }]}>
+              Restaurar respaldo
+            </Text>
+            <Text style={[styles.subtitle, { color: colors.textTertiary }]}>
+              {backupDate}
+            </Text>
+          </View>
+
+          {/* Mode options */}
+          {MODE_OPTIONS.map((option) => {
+            const selected = mode === option.mode;
+            return (
+              <Pressable
+                key={option.mode}
+                style={[
+                  styles.optionButton,
+                  {
+                    backgroundColor: selected ? colors.accentPurple + '20' : colors.glassMedium,
+                    borderColor: selected ? colors.accentPurple : colors.glassBorder,
+                  },
+                ]}
+                onPress={() => setMode(option.mode)}
+                disabled={isRestoring}
+              >
+                <Ionicons
+                  name={option.icon}
+                  size={20}
+                  color={selected ? colors.accentPurple : colors.textSecondary}
+                />
+                <View style={styles.optionTextContainer}>
+                  <Text style={[styles.optionTitle, { color: colors.textPrimary }]}>
+                    {option.title}
+                  </Text>
+                  <Text style={[styles.optionDescription, { color: colors.textTertiary }]}>
+                    {option.description}
+                  </Text>
+                </View>
+                {selected && (
+                  <Ionicons name="checkmark-circle" size={20} color={colors.accentPurple} />
+                )}
+              </Pressable>
+            );
+          })}
+
+          {/* Diff preview */}
+          <View style={[styles.diffCard, { backgroundColor: colors.glassLight, borderColor: colors.glassBorder }]}>
+            {counts ? (
+              <View style={styles.diffRow}>
+                <DiffCount icon="add-circle-outline" label="Nuevas" count={counts.added} color={colors.success} colors={colors} />
+                <DiffCount icon="create-outline" label="Modificadas" count={counts.changed} color={colors.warning} colors={colors} />
+                <DiffCount icon="remove-circle-outline" label="Eliminadas" count={counts.removed} color={colors.error} colors={colors} />
+              </View>
+            ) : (
+              <ActivityIndicator size="small" color={colors.accentPurple} />
+            )}
+          </View>
+
+          <Text style={[styles.note, { color: colors.textTertiary }]}>
+            {counts && !hasChanges
+              ? 'Tus tareas ya coinciden con este respaldo.'
+              : 'Antes de restaurar se crea un respaldo de seguridad con tus tareas actuales.'}
+          </Text>
+
+          {/* Action Buttons */}
+          <View style={styles.buttonRow}>
+            <Pressable
+              style={[styles.cancelButton, { borderColor: colors.glassBorder }]}
+              onPress={onClose}
+              disabled={isRestoring}
+            >
+              <Text style={[styles.cancelText, { color: colors.textSecondary }]}>
+                Cancelar
+              </Text>
+            </Pressable>
+
+            <Pressable
+              style={[
+                styles.confirmButton,
+                { backgroundColor: colors.accentPurple, opacity: hasChanges ? 1 : 0.5 },
+              ]}
+              onPress={() => onRestore(mode)}
+              disabled={!hasChanges || isRestoring}
+            >
+              {isRestoring ? (
+                <ActivityIndicator size="small" color={colors.white} />
+              ) : (
+                <Text style={[styles.confirmText, { color: colors.white }]}>
+                  Restaurar
+                </Text>
+              )}
+            </Pressable>
+          </View>
+        </Animated.View>
+      </Animated.View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+  },
+  overlayPressable: {
+    flex: 1,
+  },
+  modalContent: {
+    borderTopLeftRadius: borderRadius.xxl,
+    borderTopRightRadius: borderRadius.xxl,
+    padding: spacing.xl,
+    paddingBottom: spacing.xxxl,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: spacing.lg,
+  },
+  iconContainer: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: spacing.md,
+  },
+  title: {
+    fontSize: typography.fontSize.xl,
+    fontWeight: typography.fontWeight.bold,
+    marginBottom: spacing.xs,
+  },
+  subtitle: {
+    fontSize: typography.fontSize.md,
+    textAlign: 'center',
+  },
+  optionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.md,
+    padding: spacing.md,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    marginBottom: spacing.sm,
+  },
+  optionTextContainer: {
+    flex: 1,
+  },
+  optionTitle: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+  optionDescription: {
+    fontSize: typography.fontSize.sm,
+    marginTop: 2,
+  },
+  diffCard: {
+    minHeight: 88,
+    justifyContent: 'center',
+    padding: spacing.md,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    marginTop: spacing.sm,
+    marginBottom: spacing.md,
+  },
+  diffRow: {
+    flexDirection: 'row',
+  },
+  diffItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  diffIcon: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: spacing.xs,
+  },
+  diffCount: {
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.bold,
+  },
+  diffLabel: {
+    fontSize: typography.fontSize.xs,
+  },
+  note: {
+    fontSize: typography.fontSize.sm,
+    textAlign: 'center',
+    marginBottom: spacing.lg,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: spacing.md,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: spacing.lg,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+  confirmButton: {
+    flex: 1,
+    paddingVertical: spacing.lg,
+    borderRadius: borderRadius.lg,
+    alignItems: 'center',
+  },
+  confirmText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+});
+
+export default RestoreBackupModal;
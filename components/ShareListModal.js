@@ -0,0 +1,401 @@
+/**
+ * ShareListModal - Invite people to a list and manage its members
+ * TaskList App - Phase 2 Cloud Backup
+ *
+ * The owner creates invite codes for editors or viewers, changes roles
+ * and removes members. Other members can only leave the list.
+ */
+
+import React, { useState, useContext, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  Pressable,
+  ActivityIndicator,
+  Share,
+  Alert,
+  StyleSheet,
+} from 'react-native';
+import Animated, { FadeIn, FadeOut, SlideInDown, SlideOutDown } from 'react-native-reanimated';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
+import { TaskContext } from '../context/TaskContext';
+import { getInviteMessage } from '../services/sharingService';
+import {
+  LIST_ROLES,
+  LIST_ACTIONS,
+  ROLE_LABELS,
+  can,
+  getListRole,
+} from '../utils/listPermissions';
+import { spacing, borderRadius, typography } from '../constants/theme';
+
+const INVITE_ROLES = [LIST_ROLES.EDITOR, LIST_ROLES.VIEWER];
+
+const ShareListModal = ({ visible, list, onClose }) => {
+  const { colors } = useTheme();
+  const { user, getDisplayName } = useAuth();
+  const { shareList, setMemberRole, removeMember, leaveSharedList } = useContext(TaskContext);
+
+  const [role, setRole] = useState(LIST_ROLES.EDITOR);
+  const [invite, setInvite] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      setRole(LIST_ROLES.EDITOR);
+      setInvite(null);
+      setError(null);
+    }
+  }, [visible, list?.id]);
+
+  if (!list) return null;
+
+  const isOwner = can(getListRole(list), LIST_ACTIONS.MANAGE_MEMBERS);
+  const members = list.members || [];
+
+  const run = async (action) => {
+    setWorking(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || 'No se pudo completar la acción');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleInvite = () => run(async () => {
+    const created = await shareList(list.id, role, {
+      email: user?.email || null,
+      displayName: getDisplayName(),
+    });
+    setInvite(created);
+  });
+
+  const handleShareInvite = () => {
+    Share.share({ message: getInviteMessage(invite, list) });
+  };
+
+  const handleToggleRole = (member) => run(() => setMemberRole(
+    list.id,
+    member.userId,
+    member.role === LIST_ROLES.EDITOR ? LIST_ROLES.VIEWER : LIST_ROLES.EDITOR
+  ));
+
+  const handleRemove = (member) => {
+    Alert.alert(
+      'Quitar miembro',
+      `¿Quitar a ${member.displayName} de "${list.name}"?`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        { text: 'Quitar', style: 'destructive', onPress: () => run(() => removeMember(list.id, member.userId)) },
+      ]
+    );
+  };
+
+  const handleLeave = () => {
+    Alert.alert(
+      'Salir de la lista',
+      `Dejarás de ver las tareas de "${list.name}". Las que creaste pasarán a tu lista principal.`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Salir',
+          style: 'destructive',
+          onPress: () => run(async () => {
+            await leaveSharedList(list.id);
+            onClose();
+          }),
+        },
+      ]
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="none"
+      onRequestClose={onClose}
+    >
+      <Animated.View
+        style={[styles.overlay, { backgroundColor: colors.overlay }]}
+        entering={FadeIn.duration(200)}
+        exiting={FadeOut.duration(200)}
+      >
+        <Pressable style={styles.overlayPressable} onPress={onClose} />
+
+        <Animated.View
+          style={[styles.modalContent, { backgroundColor: colors.bgSecondary }]}
+          entering={SlideInDown.springify().damping(15)}
+          exiting={SlideOutDown.duration(200)}
+        >
+          {/* Header */}
+          <View style={styles.header}>
+            <View style={[styles.iconContainer, { backgroundColor: list.color + '25' }]}>
+              <Ionicons name="people-outline" size={24} color={list.color} />
+            </View>
+            <Text style={[styles.title, { color: colors.textPrimary }]} numberOfLines={1}>
+              {list.name}
+            </Text>
+            <Text style={[styles.subtitle, { color: colors.textTertiary }]}>
+              Las listas compartidas no usan cifrado de extremo a extremo.
+            </Text>
+          </View>
+
+          {/* Members */}
+          {members.length > 0 && (
+            <View style={styles.section}>
+              <Text style={[styles.sectionTitle, { color: colors.textTertiary }]}>MIEMBROS</Text>
+              {members.map(member => {
+                const manageable = isOwner && member.role !== LIST_ROLES.OWNER;
+                return (
+                  <View
+                    key={member.userId}
+                    style={[styles.memberRow, { borderColor: colors.glassBorder }]}
+                  >
+                    <View style={styles.memberInfo}>
+                      <Text style={[styles.memberName, { color: colors.textPrimary }]} numberOfLines={1}>
+                        {member.userId === user?.id ? `${member.displayName} (tú)` : member.displayName}
+                      </Text>
+                      <Text style={[styles.memberRole, { color: colors.textTertiary }]}>
+                        {ROLE_LABELS[member.role]}
+                      </Text>
+                    </View>
+                    {manageable && (
+                      <>
+                        <Pressable
+                          style={styles.memberAction}
+                          onPress={() => handleToggleRole(member)}
+                          disabled={working}
+                        >
+                          <Ionicons
+                            name={member.role === LIST_ROLES.EDITOR ? 'eye-outline' : 'create-outline'}
+                            size={18}
+                            color={colors.textSecondary}
+                          />
+                        </Pressable>
+                        <Pressable
+                          style={styles.memberAction}
+                          onPress={() => handleRemove(member)}
+                          disabled={working}
+                        >
+                          <Ionicons name="person-remove-outline" size={18} color={colors.error} />
+                        </Pressable>
+                      </>
+                    )}
+                  </View>
+                );
+              })}
+            </View>
+          )}
+
+          {/* Invite */}
+          {isOwner && (
+            invite ? (
+              <>
+                <View style={[styles.codeBox, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder }]}>
+                  <Text selectable style={[styles.codeText, { color: colors.textPrimary }]}>
+                    {invite.code}
+                  </Text>
+                  <Text style={[styles.codeHint, { color: colors.textTertiary }]}>
+                    {ROLE_LABELS[invite.role]} · válido 7 días, un solo uso
+                  </Text>
+                </View>
+                <Pressable
+                  style={[styles.confirmButton, { backgroundColor: colors.accentPurple }]}
+                  onPress={handleShareInvite}
+                >
+                  <Text style={[styles.confirmText, { color: colors.white }]}>
+                    Enviar invitación
+                  </Text>
+                </Pressable>
+              </>
+            ) : (
+              <>
+                <View style={styles.roleRow}>
+                  {INVITE_ROLES.map(option => (
+                    <Pressable
+                      key={option}
+                      style={[
+                        styles.roleOption,
+                        { borderColor: colors.glassBorder },
+                        role === option && { backgroundColor: colors.accentPurple + '20', borderColor: colors.accentPurple },
+                      ]}
+                      onPress={() => setRole(option)}
+                    >
+                      <Text style={[styles.roleText, { color: role === option ? colors.accentPurple : colors.textSecondary }]}>
+                        {ROLE_LABELS[option]}
+                      </Text>
+                    </Pressable>
+                  ))}
+                </View>
+                <Pressable
+                  style={[styles.confirmButton, { backgroundColor: colors.accentPurple }]}
+                  onPress={handleInvite}
+                  disabled={working}
+                >
+                  {working ? (
+                    <ActivityIndicator size="small" color={colors.white} />
+                  ) : (
+                    <Text style={[styles.confirmText, { color: colors.white }]}>
+                      Crear invitación
+                    </Text>
+                  )}
+                </Pressable>
+              </>
+            )
+          )}
+
+          {!isOwner && (
+            <Pressable
+              style={[styles.cancelButton, { borderColor: colors.error }]}
+              onPress={handleLeave}
+              disabled={working}
+            >
+              <Text style={[styles.cancelText, { color: colors.error }]}>
+                Salir de la lista
+              </Text>
+            </Pressable>
+          )}
+
+          {error && (
+            <Text style={[styles.errorText, { color: colors.error }]}>
+              {error}
+            </Text>
+          )}
+        </Animated.View>
+      </Animated.View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+  },
+  overlayPressable: {
+    flex: 1,
+  },
+  modalContent: {
+    borderTopLeftRadius: borderRadius.xxl,
+    borderTopRightRadius: borderRadius.xxl,
+    padding: spacing.xl,
+    paddingBottom: spacing.xxxl,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: spacing.lg,
+  },
+  iconContainer: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: spacing.md,
+  },
+  title: {
+    fontSize: typography.fontSize.xl,
+    fontWeight: typography.fontWeight.bold,
+    marginBottom: spacing.xs,
+  },
+  subtitle: {
+    fontSize: typography.fontSize.sm,
+    textAlign: 'center',
+  },
+  section: {
+    marginBottom: spacing.lg,
+  },
+  sectionTitle: {
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.semibold,
+    letterSpacing: 1,
+    marginBottom: spacing.sm,
+  },
+  memberRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    gap: spacing.xs,
+  },
+  memberInfo: {
+    flex: 1,
+  },
+  memberName: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.medium,
+  },
+  memberRole: {
+    fontSize: typography.fontSize.xs,
+    marginTop: 2,
+  },
+  memberAction: {
+    padding: spacing.xs,
+  },
+  roleRow: {
+    flexDirection: 'row',
+    gap: spacing.sm,
+    marginBottom: spacing.md,
+  },
+  roleOption: {
+    flex: 1,
+    paddingVertical: spacing.md,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    alignItems: 'center',
+  },
+  roleText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+  codeBox: {
+    alignItems: 'center',
+    padding: spacing.lg,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    marginBottom: spacing.md,
+  },
+  codeText: {
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.bold,
+    letterSpacing: 1.5,
+  },
+  codeHint: {
+    fontSize: typography.fontSize.xs,
+    marginTop: spacing.xs,
+  },
+  errorText: {
+    fontSize: typography.fontSize.sm,
+    textAlign: 'center',
+    marginTop: spacing.md,
+  },
+  cancelButton: {
+    paddingVertical: spacing.lg,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+  confirmButton: {
+    paddingVertical: spacing.lg,
+    borderRadius: borderRadius.lg,
+    alignItems: 'center',
+  },
+  confirmText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+});
+
+export default ShareListModal;
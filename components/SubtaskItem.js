@@ -7,10 +7,11 @@
  * - Glassmorphism design
  * - Delete button
  * - Inline editing with double tap
+ * - Actions to add a nested subtask or turn it into a task
  */
 
 import React, { useState, useRef } from 'react';
-import { View, Text, TextInput, StyleSheet, TouchableOpacity, Pressable, Platform } from 'react-native';
+import { View, Text, TextInput, StyleSheet, TouchableOpacity, Pressable, Platform, Alert } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import Animated, {
   useSharedValue,
@@ -35,7 +36,15 @@ const safeHaptics = {
   },
 };
 
-export default function SubtaskItem({ subtask, onToggle, onDelete, onUpdate }) {
+export default function SubtaskItem({
+  subtask,
+  progress = null,
+  onToggle,
+  onDelete,
+  onUpdate,
+  onAddChild,
+  onPromote,
+}) {
   const { colors } = useTheme();
   const checkScale = useSharedValue(subtask.completed ? 1 : 0);
   
@@ -110,6 +119,17 @@ export default function SubtaskItem({ subtask, onToggle, onDelete, onUpdate }) {
     }
   };
 
+  const handleShowActions = () => {
+    const actions = [];
+    if (onAddChild) {
+      actions.push({ text: 'Añadir subtarea', onPress: onAddChild });
+    }
+    if (onPromote) {
+      actions.push({ text: 'Convertir en tarea', onPress: onPromote });
+    }
+    Alert.alert(subtask.title, null, [...actions, { text: 'Cancelar', style: 'cancel' }]);
+  };
+
   const checkAnimatedStyle = useAnimatedStyle(() => ({
     transform: [{ scale: checkScale.value }],
     opacity: checkScale.value,
@@ -168,6 +188,11 @@ export default function SubtaskItem({ subtask, onToggle, onDelete, onUpdate }) {
           >
             {subtask.title}
           </Text>
+          {progress && (
+            <Text style={[styles.progress, { color: colors.accentPurple }]}>
+              {progress.completed}/{progress.total}
+            </Text>
+          )}
           {!subtask.completed && (
             <Text style={[styles.editHint, { color: colors.textTertiary }]}>
               Doble tap para editar
@@ -176,6 +201,17 @@ export default function SubtaskItem({ subtask, onToggle, onDelete, onUpdate }) {
         </Pressable>
       )}
 
+      {/* Nesting and promote actions */}
+      {!isEditing && (onAddChild || onPromote) && (
+        <TouchableOpacity 
+          style={[styles.moreButton, { backgroundColor: colors.accentPurple + '15' }]}
+          onPress={handleShowActions}
+          activeOpacity={0.7}
+        >
+          <Ionicons name="ellipsis-horizontal" size={16} color={colors.accentPurple} />
+        </TouchableOpacity>
+      )}
+
       {/* Delete button */}
       {!isEditing && (
         <TouchableOpacity 
@@ -214,6 +250,12 @@ const styles = StyleSheet.create({
     fontWeight: typography.fontWeight.regular,
   },
 
+  progress: {
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.medium,
+    marginTop: 2,
+  },
+
   editHint: {
     fontSize: typography.fontSize.xs,
     marginTop: 2,
@@ -245,6 +287,15 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
   },
 
+  moreButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: spacing.xs,
+  },
+
   deleteButton: {
     width: 32,
     height: 32,
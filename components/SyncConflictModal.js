@@ -0,0 +1,391 @@
+/**
+ * SyncConflictModal - Review a sync conflict field by field
+ * TaskList App - Phase 2 Cloud Backup
+ *
+ * Shows the local and cloud versions of each conflicting field
+ * side by side. The user can keep local, keep cloud or pick per field.
+ */
+
+import React, { useState, useEffect, useContext } from 'react';
+import { View, Text, Modal, Pressable, ScrollView, StyleSheet } from 'react-native';
+import Animated, { FadeIn, FadeOut, SlideInDown, SlideOutDown } from 'react-native-reanimated';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { TaskContext } from '../context/TaskContext';
+import { spacing, borderRadius, typography, priorities } from '../constants/theme';
+import { formatDuration } from '../utils/dateHelpers';
+import { describeReminder } from '../utils/taskReminders';
+import { formatRadius } from '../utils/taskLocation';
+
+const FIELD_LABELS = {
+  title: 'Título',
+  description: 'Descripción',
+  listId: 'Lista',
+  priority: 'Prioridad',
+  dueDate: 'Fecha límite',
+  startDate: 'Fecha de inicio',
+  allDay: 'Todo el día',
+  estimatedMinutes: 'Duración estimada',
+  reminders: 'Recordatorios',
+  place: 'Lugar',
+  completed: 'Estado',
+  subtasks: 'Subtareas',
+  attachments: 'Adjuntos',
+};
+
+/**
+ * Format a field value for display
+ * @param {string} field
+ * @param {*} value
+ * @param {Array} lists - Task lists, to show list names
+ */
+const formatValue = (field, value, lists) => {
+  switch (field) {
+    case 'description':
+      return value || 'Sin descripción';
+    case 'listId':
+      return lists.find(l => l.id === value)?.name || value || '-';
+    case 'priority':
+      return priorities[value]?.name || value || '-';
+    case 'dueDate':
+      return value
+        ? new Date(value).toLocaleDateString('es-ES', { day: 'numeric', month: 'short', year: 'numeric' })
+        : 'Sin fecha';
+    case 'startDate':
+      return value
+        ? new Date(value).toLocaleDateString('es-ES', { day: 'numeric', month: 'short', year: 'numeric' })
+        : 'Sin fecha';
+    case 'allDay':
+      return value !== false ? 'Sí' : 'No, a una hora';
+    case 'estimatedMinutes':
+      return formatDuration(value) || 'Sin estimar';
+    case 'place':
+      return value ? `${value.name} (${formatRadius(value.radius)})` : 'Sin lugar';
+    case 'reminders':
+      return (value || []).length
+        ? value.map(r => describeReminder(r)).join(', ')
+        : 'Sin recordatorios';
+    case 'completed':
+      return value ? 'Completada' : 'Pendiente';
+    case 'subtasks': {
+      const list = value || [];
+      const done = list.filter(st => st.completed).length;
+      return `${list.length} subtareas (${done} hechas)`;
+    }
+    case 'attachments':
+      return `${(value || []).length} adjuntos`;
+    default:
+      return value ? String(value) : '-';
+  }
+};
+
+/**
+ * Pick the side that matches the automatic resolution
+ */
+const getDefaultChoices = (conflict) => {
+  const choices = {};
+  (conflict?.fields || []).forEach(({ field, cloud, resolved }) => {
+    choices[field] = JSON.stringify(resolved) === JSON.stringify(cloud) ? 'cloud' : 'local';
+  });
+  return choices;
+};
+
+/**
+ * Selectable version cell
+ */
+const VersionCell = ({ text, selected, onPress, colors }) => (
+  <Pressable
+    style={[
+      styles.versionCell,
+      {
+        backgroundColor: selected ? colors.accentPurple + '20' : colors.glassMedium,
+        borderColor: selected ? colors.accentPurple : colors.glassBorder,
+      },
+    ]}
+    onPress={onPress}
+  >
+    <Text
+      style={[styles.versionText, { color: selected ? colors.textPrimary : colors.textSecondary }]}
+      numberOfLines={3}
+    >
+      {text}
+    </Text>
+    {selected && (
+      <Ionicons name="checkmark-circle" size={16} color={colors.accentPurple} style={styles.versionCheck} />
+    )}
+  </Pressable>
+);
+
+/**
+ * SyncConflictModal component
+ * @param {Object} props
+ * @param {boolean} props.visible - Modal visibility
+ * @param {Object} props.conflict - Conflict record from syncTasks
+ * @param {Function} props.onClose - Close callback
+ * @param {Function} props.onResolve - Called with the chosen field values
+ */
+const SyncConflictModal = ({ visible, conflict, onClose, onResolve }) => {
+  const { colors } = useTheme();
+  const { lists = [] } = useContext(TaskContext) || {};
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => {
+    setChoices(getDefaultChoices(conflict));
+  }, [conflict]);
+
+  if (!conflict) return null;
+
+  const setAll = (side) => {
+    const next = {};
+    conflict.fields.forEach(({ field }) => {
+      next[field] = side;
+    });
+    setChoices(next);
+  };
+
+  const handleConfirm = () => {
+    const values = {};
+    conflict.fields.forEach(({ field, local, cloud }) => {
+      values[field] = choices[field] === 'cloud' ? cloud : local;
+    });
+    onResolve(values);
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="none"
+      onRequestClose={onClose}
+    >
+      <Animated.View
+        style={[styles.overlay, { backgroundColor: colors.overlay }]}
+        entering={FadeIn.duration(200)}
+        exiting={FadeOut.duration(200)}
+      >
+        <Pressable style={styles.overlayPressable} onPress={onClose} />
+
+        <Animated.View
+          style={[styles.modalContent, { backgroundColor: colors.bgSecondary }]}
+          entering={SlideInDown.springify().damping(15)}
+          exiting={SlideOutDown.duration(200)}
+        >
+          {/* Header */}
+          <View style={styles.header}>
+            <View style={[styles.iconContainer, { backgroundColor: colors.warning + '20' }]}>
+              <Ionicons name="git-compare-outline" size={24} color={colors.warning} />
+            </View>
+            <Text style={[styles.title, { color: colors.textPrimary }]}>
+              Conflicto de sincronización
+            </Text>
+            <Text style={[styles.subtitle, { color: colors.textTertiary }]} numberOfLines={2}>
+              {conflict.local?.title || conflict.cloud?.title}
+            </Text>
+          </View>
+
+          {/* Quick choices */}
+          <View style={styles.quickRow}>
+            <Pressable
+              style={[styles.quickButton, { borderColor: colors.glassBorder }]}
+              onPress={() => setAll('local')}
+            >
+              <Ionicons name="phone-portrait-outline" size={16} color={colors.textSecondary} />
+              <Text style={[styles.quickText, { color: colors.textSecondary }]}>
+                Mantener local
+              </Text>
+            </Pressable>
+            <Pressable
+              style={[styles.quickButton, { borderColor: colors.glassBorder }]}
+              onPress={() => setAll('cloud')}
+            >
+              <Ionicons name="cloud-outline" size={16} color={colors.textSecondary} />
+              <Text style={[styles.quickText, { color: colors.textSecondary }]}>
+                Mantener nube
+              </Text>
+            </Pressable>
+          </View>
+
+          {/* Column headers */}
+          <View style={styles.columnHeader}>
+            <Text style={[styles.columnTitle, { color: colors.textTertiary }]}>
+              ESTE DISPOSITIVO
+            </Text>
+            <Text style={[styles.columnTitle, { color: colors.textTertiary }]}>
+              NUBE
+            </Text>
+          </View>
+
+          <ScrollView style={styles.fieldList} showsVerticalScrollIndicator={false}>
+            {conflict.fields.map(({ field, local, cloud }) => (
+              <View key={field} style={styles.fieldRow}>
+                <Text style={[styles.fieldLabel, { color: colors.textSecondary }]}>
+                  {FIELD_LABELS[field] || field}
+                </Text>
+                <View style={styles.versionRow}>
+                  <VersionCell
+                    text={formatValue(field, local, lists)}
+                    selected={choices[field] === 'local'}
+                    onPress={() => setChoices(prev => ({ ...prev, [field]: 'local' }))}
+                    colors={colors}
+                  />
+                  <VersionCell
+                    text={formatValue(field, cloud, lists)}
+                    selected={choices[field] === 'cloud'}
+                    onPress={() => setChoices(prev => ({ ...prev, [field]: 'cloud' }))}
+                    colors={colors}
+                  />
+                </View>
+              </View>
+            ))}
+          </ScrollView>
+
+          {/* Action Buttons */}
+          <View style={styles.buttonRow}>
+            <Pressable
+              style={[styles.cancelButton, { borderColor: colors.glassBorder }]}
+              onPress={onClose}
+            >
+              <Text style={[styles.cancelText, { color: colors.textSecondary }]}>
+                Cancelar
+              </Text>
+            </Pressable>
+
+            <Pressable
+              style={[styles.confirmButton, { backgroundColor: colors.accentPurple }]}
+              onPress={handleConfirm}
+            >
+              <Text style={[styles.confirmText, { color: colors.white }]}>
+                Aplicar
+              </Text>
+            </Pressable>
+          </View>
+        </Animated.View>
+      </Animated.View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+  },
+  overlayPressable: {
+    flex: 1,
+  },
+  modalContent: {
+    maxHeight: '85%',
+    borderTopLeftRadius: borderRadius.xxl,
+    borderTopRightRadius: borderRadius.xxl,
+    padding: spacing.xl,
+    paddingBottom: spacing.xxxl,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: spacing.lg,
+  },
+  iconContainer: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: spacing.md,
+  },
+  title: {
+    fontSize: typography.fontSize.xl,
+    fontWeight: typography.fontWeight.bold,
+    marginBottom: spacing.xs,
+  },
+  subtitle: {
+    fontSize: typography.fontSize.md,
+    textAlign: 'center',
+  },
+  quickRow: {
+    flexDirection: 'row',
+    gap: spacing.md,
+    marginBottom: spacing.lg,
+  },
+  quickButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: spacing.xs,
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+  },
+  quickText: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+  columnHeader: {
+    flexDirection: 'row',
+    gap: spacing.md,
+    marginBottom: spacing.sm,
+  },
+  columnTitle: {
+    flex: 1,
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.semibold,
+    letterSpacing: 1.5,
+  },
+  fieldList: {
+    marginBottom: spacing.lg,
+  },
+  fieldRow: {
+    marginBottom: spacing.md,
+  },
+  fieldLabel: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: spacing.xs,
+  },
+  versionRow: {
+    flexDirection: 'row',
+    gap: spacing.md,
+  },
+  versionCell: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    padding: spacing.md,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+  },
+  versionText: {
+    flex: 1,
+    fontSize: typography.fontSize.sm,
+  },
+  versionCheck: {
+    marginLeft: spacing.xs,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: spacing.md,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: spacing.lg,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+  confirmButton: {
+    flex: 1,
+    paddingVertical: spacing.lg,
+    borderRadius: borderRadius.lg,
+    alignItems: 'center',
+  },
+  confirmText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+});
+
+export default SyncConflictModal;
@@ -0,0 +1,172 @@
+/**
+ * TaskActivityTimeline Component
+ * Task List App 2026
+ *
+ * Timeline of who changed a task and when, newest first
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import Animated, { FadeInUp } from 'react-native-reanimated';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { spacing, typography, borderRadius } from '../constants/theme';
+import { formatRelativeTime } from '../utils/dateHelpers';
+import { describeActivity, sortByTime } from '../utils/taskActivity';
+
+const FIELD_ICONS = {
+  title: 'text-outline',
+  priority: 'flag-outline',
+  dueDate: 'calendar-outline',
+  completed: 'checkmark-circle-outline',
+  assigneeId: 'person-outline',
+  subtasks: 'list-outline',
+};
+
+export default function TaskActivityTimeline({
+  activity = [],
+  members = [],
+  currentUserId = null,
+  maxCollapsed = 5,
+}) {
+  const { colors } = useTheme();
+  const [expanded, setExpanded] = useState(false);
+
+  if (activity.length === 0) {
+    return null;
+  }
+
+  const entries = sortByTime(activity).reverse();
+  const displayed = expanded ? entries : entries.slice(0, maxCollapsed);
+
+  const getMemberName = (userId) => members.find(m => m.userId === userId)?.displayName || null;
+
+  return (
+    <Animated.View
+      entering={FadeInUp.delay(100).springify()}
+      style={[
+        styles.container,
+        { backgroundColor: colors.glassLight, borderColor: colors.glassBorder },
+      ]}
+    >
+      {/* Header */}
+      <View style={styles.header}>
+        <Ionicons name="time-outline" size={20} color={colors.accentPurple} />
+        <Text style={[styles.title, { color: colors.textPrimary }]}>
+          Actividad
+        </Text>
+      </View>
+
+      {/* Timeline */}
+      {displayed.map((entry, index) => (
+        <View key={entry.id} style={styles.entry}>
+          <View style={styles.rail}>
+            <View style={[styles.dot, { backgroundColor: colors.accentPurple + '25' }]}>
+              <Ionicons name={FIELD_ICONS[entry.field] || 'ellipse-outline'} size={12} color={colors.accentPurple} />
+            </View>
+            {index < displayed.length - 1 && (
+              <View style={[styles.line, { backgroundColor: colors.glassBorder }]} />
+            )}
+          </View>
+          <View style={styles.entryContent}>
+            <Text style={[styles.entryText, { color: colors.textSecondary }]}>
+              <Text style={[styles.actor, { color: colors.textPrimary }]}>
+                {entry.actorName || 'Alguien'}
+                {(entry.actorId || null) === currentUserId ? ' (tú)' : ''}
+              </Text>
+              {' '}{describeActivity(entry, getMemberName)}
+            </Text>
+            <Text style={[styles.time, { color: colors.textTertiary }]}>
+              {formatRelativeTime(entry.at)}
+            </Text>
+          </View>
+        </View>
+      ))}
+
+      {entries.length > maxCollapsed && (
+        <TouchableOpacity style={styles.toggle} onPress={() => setExpanded(prev => !prev)}>
+          <Text style={[styles.toggleText, { color: colors.accentPurple }]}>
+            {expanded ? 'Ver menos' : `Ver todo (${entries.length})`}
+          </Text>
+        </TouchableOpacity>
+      )}
+    </Animated.View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: borderRadius.xl,
+    borderWidth: 1,
+    padding: spacing.md,
+    marginBottom: spacing.md,
+  },
+
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    marginBottom: spacing.md,
+  },
+
+  title: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  entry: {
+    flexDirection: 'row',
+    gap: spacing.sm,
+  },
+
+  rail: {
+    alignItems: 'center',
+  },
+
+  dot: {
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+
+  line: {
+    flex: 1,
+    width: 2,
+    marginVertical: 2,
+  },
+
+  entryContent: {
+    flex: 1,
+    paddingBottom: spacing.md,
+  },
+
+  entryText: {
+    fontSize: typography.fontSize.sm,
+  },
+
+  actor: {
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  time: {
+    fontSize: typography.fontSize.xs,
+    marginTop: 2,
+  },
+
+  toggle: {
+    alignItems: 'center',
+    paddingTop: spacing.xs,
+  },
+
+  toggleText: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+});
@@ -7,10 +7,12 @@
  * - Priority indicator with glow
  * - Animated checkbox with Lottie
  * - Swipe to delete
- * - Category badge
+ * - List badge
+ * - Assignee in shared lists
+ * - Greyed out while blocked by other tasks
  */
 
-import React from 'react';
+import React, { useContext } from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, Pressable } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useRouter } from 'expo-router';
@@ -24,30 +26,41 @@ import Animated, {
 } from 'react-native-reanimated';
 import { Gesture, GestureDetector } from 'react-native-gesture-handler';
 import { useTheme } from '../context/ThemeContext';
+import { TaskContext } from '../context/TaskContext';
 import { spacing, borderRadius, typography, shadows, priorities, categories } from '../constants/theme';
 import LottieCheckbox from './LottieCheckbox';
+import { findList } from '../utils/taskLists';
+import { getOpenBlockers } from '../utils/taskDependencies';
+import { getTreeProgress } from '../utils/subtaskTree';
+import { isAllDay, isOverdue as checkOverdue, formatTime } from '../utils/dateHelpers';
 
 const AnimatedPressable = Animated.createAnimatedComponent(Pressable);
 
 export default function TaskCard({ task, onToggle, onDelete, onPress }) {
   const { colors, getFontSize } = useTheme();
+  const { lists = [], tasks = [] } = useContext(TaskContext) || {};
   const router = useRouter();
   const scale = useSharedValue(1);
   const translateX = useSharedValue(0);
   const deleteOpacity = useSharedValue(0);
   const checkScale = useSharedValue(task.completed ? 1 : 0);
   
-  // Get priority and category config
+  // Get priority and list config
   const priority = priorities[task.priority] || priorities.medium;
-  const category = categories[task.category] || categories.personal;
+  const category = findList(lists, task.listId) || categories.personal;
+  const assignee = task.assigneeId
+    ? category.members?.find(m => m.userId === task.assigneeId)
+    : null;
   
-  // Calculate subtask progress
-  const subtasks = task.subtasks || [];
-  const subtaskTotal = subtasks.length;
-  const subtaskCompleted = subtasks.filter(st => st.completed).length;
+  // Pending tasks this one waits for
+  const openBlockers = task.completed ? [] : getOpenBlockers(task, tasks);
+  const isBlocked = openBlockers.length > 0;
+  
+  // Calculate subtask progress across nested subtasks
+  const { total: subtaskTotal, completed: subtaskCompleted } = getTreeProgress(task.subtasks || []);
   const hasSubtasks = subtaskTotal > 0;
   
-  // Format due date for display
+  // Format due date, and due time if any, for display
   const formatDueDate = (dateString) => {
     if (!dateString) return null;
     
@@ -64,17 +77,18 @@ export default function TaskCard({ task, onToggle, onDelete, onPress }) {
     
     const isToday = compareDate.getTime() === today.getTime();
     const isTomorrow = compareDate.getTime() === tomorrow.getTime();
-    const isOverdue = compareDate < today;
+    const isOverdue = checkOverdue(date, isAllDay(task));
+    const time = isAllDay(task) ? '' : ` ${formatTime(date)}`;
     
-    if (isToday) return { text: 'Hoy', isOverdue: false };
-    if (isTomorrow) return { text: 'Mañana', isOverdue: false };
     if (isOverdue) return { 
-      text: 'Vencido', 
+      text: isToday ? `Vencido${time}` : 'Vencido', 
       isOverdue: true 
     };
+    if (isToday) return { text: `Hoy${time}`, isOverdue: false };
+    if (isTomorrow) return { text: `Mañana${time}`, isOverdue: false };
     
     return { 
-      text: date.toLocaleDateString('es-ES', { day: 'numeric', month: 'short' }),
+      text: date.toLocaleDateString('es-ES', { day: 'numeric', month: 'short' }) + time,
       isOverdue: false 
     };
   };
@@ -148,7 +162,12 @@ export default function TaskCard({ task, onToggle, onDelete, onPress }) {
       
       <GestureDetector gesture={panGesture}>
         <AnimatedPressable
-          style={[styles.container, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder }, cardAnimatedStyle]}
+          style={[
+            styles.container,
+            { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder },
+            isBlocked && styles.blocked,
+            cardAnimatedStyle,
+          ]}
           onPressIn={handlePressIn}
           onPressOut={handlePressOut}
           onPress={onPress}
@@ -188,6 +207,29 @@ export default function TaskCard({ task, onToggle, onDelete, onPress }) {
                   </Text>
                 </View>
                 
+                {/* Blocked by pending tasks */}
+                {isBlocked && (
+                  <View style={[styles.blockedBadge, { backgroundColor: colors.textTertiary + '20' }]}>
+                    <Ionicons name="lock-closed" size={10} color={colors.textSecondary} />
+                    <Text style={[styles.blockedText, { color: colors.textSecondary, fontSize: getFontSize(typography.fontSize.xs) }]}>
+                      {openBlockers.length === 1 ? 'Bloqueada' : `Bloqueada (${openBlockers.length})`}
+                    </Text>
+                  </View>
+                )}
+                
+                {/* Assignee in shared lists */}
+                {assignee && (
+                  <View style={[styles.assigneeBadge, { backgroundColor: colors.accentPink + '15' }]}>
+                    <Ionicons name="person" size={10} color={colors.accentPink} />
+                    <Text
+                      style={[styles.assigneeText, { color: colors.accentPink, fontSize: getFontSize(typography.fontSize.xs) }]}
+                      numberOfLines={1}
+                    >
+                      {assignee.displayName}
+                    </Text>
+                  </View>
+                )}
+                
                 {/* Due date if exists */}
                 {dueDateInfo && (
                   <View style={[
@@ -360,6 +402,37 @@ const styles = StyleSheet.create({
     fontWeight: typography.fontWeight.medium,
   },
   
+  blocked: {
+    opacity: 0.55,
+  },
+  
+  blockedBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    borderRadius: borderRadius.full,
+  },
+  
+  blockedText: {
+    fontWeight: typography.fontWeight.medium,
+  },
+  
+  assigneeBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    borderRadius: borderRadius.full,
+    maxWidth: 110,
+  },
+  
+  assigneeText: {
+    fontWeight: typography.fontWeight.medium,
+  },
+  
   dueDateContainer: {
     flexDirection: 'row',
     alignItems: 'center',
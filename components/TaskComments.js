@@ -0,0 +1,184 @@
+/**
+ * TaskComments Component
+ * Task List App 2026
+ *
+ * Comment thread of a task, with an input to add comments.
+ * Authors can delete their own comments.
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import Animated, { FadeInUp } from 'react-native-reanimated';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { spacing, typography, borderRadius } from '../constants/theme';
+import { formatRelativeTime } from '../utils/dateHelpers';
+import { MAX_COMMENT_LENGTH, sortByTime } from '../utils/taskActivity';
+
+export default function TaskComments({
+  comments = [],
+  currentUserId = null,
+  onAdd,
+  onDelete,
+  editable = true,
+}) {
+  const { colors } = useTheme();
+  const [text, setText] = useState('');
+
+  if (comments.length === 0 && !editable) {
+    return null;
+  }
+
+  const handleAdd = () => {
+    if (!text.trim()) return;
+    onAdd?.(text);
+    setText('');
+  };
+
+  return (
+    <Animated.View
+      entering={FadeInUp.delay(100).springify()}
+      style={[
+        styles.container,
+        { backgroundColor: colors.glassLight, borderColor: colors.glassBorder },
+      ]}
+    >
+      {/* Header */}
+      <View style={styles.header}>
+        <Ionicons name="chatbubbles-outline" size={20} color={colors.accentPurple} />
+        <Text style={[styles.title, { color: colors.textPrimary }]}>
+          Comentarios {comments.length > 0 && `(${comments.length})`}
+        </Text>
+      </View>
+
+      {/* Thread */}
+      {sortByTime(comments).map(comment => {
+        const own = (comment.authorId || null) === currentUserId;
+        return (
+          <View key={comment.id} style={[styles.comment, { borderColor: colors.glassBorder }]}>
+            <View style={styles.commentHeader}>
+              <Text style={[styles.author, { color: own ? colors.accentPurple : colors.textPrimary }]}>
+                {own ? 'Tú' : comment.authorName || 'Miembro'}
+              </Text>
+              <Text style={[styles.time, { color: colors.textTertiary }]}>
+                {formatRelativeTime(comment.createdAt)}
+              </Text>
+              {own && editable && (
+                <TouchableOpacity
+                  onPress={() => onDelete?.(comment.id)}
+                  hitSlop={{ top: 6, bottom: 6, left: 6, right: 6 }}
+                >
+                  <Ionicons name="trash-outline" size={14} color={colors.textTertiary} />
+                </TouchableOpacity>
+              )}
+            </View>
+            <Text style={[styles.text, { color: colors.textSecondary }]}>
+              {comment.text}
+            </Text>
+          </View>
+        );
+      })}
+
+      {/* New comment */}
+      {editable && (
+        <View style={[styles.inputRow, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder }]}>
+          <TextInput
+            style={[styles.input, { color: colors.textPrimary }]}
+            placeholder="Escribe un comentario..."
+            placeholderTextColor={colors.textTertiary}
+            value={text}
+            onChangeText={setText}
+            maxLength={MAX_COMMENT_LENGTH}
+            multiline
+          />
+          <TouchableOpacity
+            style={[styles.sendButton, { backgroundColor: text.trim() ? colors.accentPurple : colors.glassMedium }]}
+            onPress={handleAdd}
+            disabled={!text.trim()}
+          >
+            <Ionicons name="send" size={16} color={text.trim() ? colors.white : colors.textTertiary} />
+          </TouchableOpacity>
+        </View>
+      )}
+    </Animated.View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: borderRadius.xl,
+    borderWidth: 1,
+    padding: spacing.md,
+    marginBottom: spacing.md,
+  },
+
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    marginBottom: spacing.md,
+  },
+
+  title: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  comment: {
+    paddingBottom: spacing.sm,
+    marginBottom: spacing.sm,
+    borderBottomWidth: 1,
+  },
+
+  commentHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    marginBottom: 2,
+  },
+
+  author: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  time: {
+    flex: 1,
+    fontSize: typography.fontSize.xs,
+  },
+
+  text: {
+    fontSize: typography.fontSize.sm,
+  },
+
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    padding: spacing.xs,
+    gap: spacing.xs,
+  },
+
+  input: {
+    flex: 1,
+    maxHeight: 100,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+    fontSize: typography.fontSize.sm,
+  },
+
+  sendButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+});
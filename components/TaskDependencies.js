@@ -0,0 +1,252 @@
+/**
+ * TaskDependencies Component
+ * Task List App 2026
+ *
+ * Tasks a task waits for ("Depende de"), with a picker to add more.
+ * Candidates that would create a circular dependency are not offered.
+ */
+
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+} from 'react-native';
+import Animated, { FadeInUp } from 'react-native-reanimated';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { spacing, typography, borderRadius } from '../constants/theme';
+import { getBlockerIds, getBlockerCandidates, getDependents } from '../utils/taskDependencies';
+
+export default function TaskDependencies({
+  task,
+  tasks = [],
+  onAdd,
+  onRemove,
+  onOpenTask,
+  editable = true,
+}) {
+  const { colors } = useTheme();
+  const [picking, setPicking] = useState(false);
+  const [query, setQuery] = useState('');
+
+  const blockers = useMemo(() => {
+    const ids = getBlockerIds(task);
+    return tasks.filter(t => ids.includes(t.id));
+  }, [task, tasks]);
+
+  const dependents = useMemo(() => getDependents(tasks, task.id), [task.id, tasks]);
+
+  const candidates = useMemo(() => {
+    if (!picking) return [];
+    const search = query.trim().toLowerCase();
+    return getBlockerCandidates(tasks, task)
+      .filter(t => !search || t.title?.toLowerCase().includes(search))
+      .sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+  }, [picking, query, task, tasks]);
+
+  if (blockers.length === 0 && dependents.length === 0 && !editable) {
+    return null;
+  }
+
+  const handleAdd = (blockerId) => {
+    onAdd?.(blockerId);
+    setPicking(false);
+    setQuery('');
+  };
+
+  return (
+    <Animated.View
+      entering={FadeInUp.delay(100).springify()}
+      style={[
+        styles.container,
+        { backgroundColor: colors.glassLight, borderColor: colors.glassBorder },
+      ]}
+    >
+      {/* Header */}
+      <View style={styles.header}>
+        <View style={styles.headerLeft}>
+          <Ionicons name="git-branch-outline" size={20} color={colors.accentPurple} />
+          <Text style={[styles.title, { color: colors.textPrimary }]}>
+            Depende de {blockers.length > 0 && `(${blockers.length})`}
+          </Text>
+        </View>
+
+        {editable && (
+          <TouchableOpacity
+            style={[styles.addButton, { backgroundColor: colors.accentPurple + '20' }]}
+            onPress={() => setPicking(prev => !prev)}
+            activeOpacity={0.7}
+          >
+            <Ionicons name={picking ? 'close' : 'add'} size={20} color={colors.accentPurple} />
+            <Text style={[styles.addButtonText, { color: colors.accentPurple }]}>
+              {picking ? 'Cerrar' : 'Añadir'}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {/* Blockers */}
+      {blockers.map(blocker => (
+        <TouchableOpacity
+          key={blocker.id}
+          style={[styles.row, { borderColor: colors.glassBorder }]}
+          onPress={() => onOpenTask?.(blocker.id)}
+        >
+          <Ionicons
+            name={blocker.completed ? 'checkmark-circle' : 'lock-closed-outline'}
+            size={16}
+            color={blocker.completed ? colors.success : colors.warning}
+          />
+          <Text
+            style={[
+              styles.rowText,
+              { color: colors.textSecondary },
+              blocker.completed && { textDecorationLine: 'line-through', color: colors.textTertiary },
+            ]}
+            numberOfLines={1}
+          >
+            {blocker.title}
+          </Text>
+          {editable && (
+            <TouchableOpacity
+              onPress={() => onRemove?.(blocker.id)}
+              hitSlop={{ top: 6, bottom: 6, left: 6, right: 6 }}
+            >
+              <Ionicons name="close-circle-outline" size={18} color={colors.textTertiary} />
+            </TouchableOpacity>
+          )}
+        </TouchableOpacity>
+      ))}
+
+      {blockers.length === 0 && !picking && (
+        <Text style={[styles.emptyText, { color: colors.textTertiary }]}>
+          Esta tarea no espera a ninguna otra
+        </Text>
+      )}
+
+      {/* Picker */}
+      {picking && (
+        <View style={styles.picker}>
+          <TextInput
+            style={[styles.search, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder, color: colors.textPrimary }]}
+            placeholder="Buscar tarea..."
+            placeholderTextColor={colors.textTertiary}
+            value={query}
+            onChangeText={setQuery}
+          />
+          <ScrollView style={styles.candidates} nestedScrollEnabled>
+            {candidates.map(candidate => (
+              <TouchableOpacity
+                key={candidate.id}
+                style={[styles.row, { borderColor: colors.glassBorder }]}
+                onPress={() => handleAdd(candidate.id)}
+              >
+                <Ionicons name="add-circle-outline" size={16} color={colors.accentPurple} />
+                <Text style={[styles.rowText, { color: colors.textSecondary }]} numberOfLines={1}>
+                  {candidate.title}
+                </Text>
+              </TouchableOpacity>
+            ))}
+            {candidates.length === 0 && (
+              <Text style={[styles.emptyText, { color: colors.textTertiary }]}>
+                No hay tareas pendientes que puedan bloquear a esta
+              </Text>
+            )}
+          </ScrollView>
+        </View>
+      )}
+
+      {/* Dependents */}
+      {dependents.length > 0 && (
+        <Text style={[styles.dependents, { color: colors.textTertiary }]}>
+          Bloquea a: {dependents.map(t => t.title).join(', ')}
+        </Text>
+      )}
+    </Animated.View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: borderRadius.xl,
+    borderWidth: 1,
+    padding: spacing.md,
+    marginBottom: spacing.md,
+  },
+
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: spacing.md,
+  },
+
+  headerLeft: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+  },
+
+  title: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    borderRadius: borderRadius.md,
+    gap: spacing.xs,
+  },
+
+  addButtonText: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+  },
+
+  rowText: {
+    flex: 1,
+    fontSize: typography.fontSize.sm,
+  },
+
+  emptyText: {
+    fontSize: typography.fontSize.sm,
+    textAlign: 'center',
+    paddingVertical: spacing.sm,
+  },
+
+  picker: {
+    marginTop: spacing.sm,
+  },
+
+  search: {
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    padding: spacing.sm,
+    fontSize: typography.fontSize.sm,
+    marginBottom: spacing.xs,
+  },
+
+  candidates: {
+    maxHeight: 200,
+  },
+
+  dependents: {
+    fontSize: typography.fontSize.xs,
+    marginTop: spacing.sm,
+  },
+});
@@ -60,8 +60,13 @@ export const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
 export const TABLES = {
   PROFILES: 'profiles',
   TASKS: 'tasks',
+  RECURRING_SERIES: 'recurring_series',
+  TASK_LISTS: 'task_lists',
+  LIST_MEMBERS: 'list_members',
+  LIST_INVITES: 'list_invites',
   BACKUPS: 'backups',
   SYNC_QUEUE: 'sync_queue',
+  ENCRYPTION_KEYS: 'encryption_keys',
 };
 
 // Storage bucket names
@@ -75,15 +80,26 @@ export const SYNC_CONFIG = {
   RETRY_ATTEMPTS: 3,
   RETRY_DELAY_MS: 1000,
   BATCH_SIZE: 50,
-  CONFLICT_RESOLUTION: 'server_wins', // 'server_wins' | 'client_wins' | 'merge'
-  AUTO_SYNC_INTERVAL_MS: 5 * 60 * 1000, // 5 minutes
+  CONFLICT_RESOLUTION: 'merge', // 'server_wins' | 'client_wins' | 'merge'
+  AUTO_SYNC_INTERVAL_MS: 5 * 60 * 1000, // 5 minutes, used while realtime is down
+  REALTIME_ENABLED: true,
+  PUSH_DEBOUNCE_MS: 2000, // Local changes are pushed this long after the last one while realtime is up
+  CURSOR_OVERLAP_MS: 5000, // Delta pulls re-read this window before the cursor to cover concurrent writes
+  PROVIDER: process.env.EXPO_PUBLIC_SYNC_PROVIDER || 'supabase', // 'supabase' | 'rest'
+  REST_URL: process.env.EXPO_PUBLIC_SYNC_REST_URL || null,
 };
 
 // Backup configuration
 export const BACKUP_CONFIG = {
-  MAX_BACKUPS: 5,
   AUTO_BACKUP_ENABLED: true,
   BACKUP_INTERVAL_HOURS: 24,
+  SCHEDULER_CHECK_MS: 15 * 60 * 1000, // How often the scheduler checks if a backup is due
+  // Grandfather-father-son rotation: newest backup of each of the last N days, weeks and months
+  RETENTION: {
+    daily: 7,
+    weekly: 4,
+    monthly: 6,
+  },
 };
 
 /**
@@ -122,13 +138,24 @@ CREATE TABLE tasks (
   user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
   title TEXT NOT NULL,
   description TEXT,
-  category TEXT DEFAULT 'personal',
+  list_id TEXT DEFAULT 'personal',
+  assignee_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
   priority TEXT DEFAULT 'medium',
   completed BOOLEAN DEFAULT FALSE,
   due_date TIMESTAMP WITH TIME ZONE,
+  start_date TIMESTAMP WITH TIME ZONE,
+  all_day BOOLEAN DEFAULT TRUE,
+  estimated_minutes INTEGER,
   enable_reminder BOOLEAN DEFAULT FALSE,
+  reminders JSONB,
   subtasks JSONB DEFAULT '[]',
   attachments JSONB DEFAULT '[]',
+  comments JSONB DEFAULT '[]',
+  activity JSONB DEFAULT '[]',
+  blocked_by JSONB DEFAULT '[]',
+  snooze_history JSONB DEFAULT '[]',
+  place JSONB,
+  parent_task_id TEXT,
   is_recurring BOOLEAN DEFAULT FALSE,
   recurring_series_id TEXT,
   instance_date TEXT,
@@ -140,6 +167,67 @@ CREATE TABLE tasks (
   deleted BOOLEAN DEFAULT FALSE
 );
 
+-- Recurring series table
+CREATE TABLE recurring_series (
+  id TEXT PRIMARY KEY,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  description TEXT,
+  list_id TEXT DEFAULT 'personal',
+  priority TEXT DEFAULT 'medium',
+  enable_reminder BOOLEAN DEFAULT FALSE,
+  reminders JSONB,
+  recurring_config JSONB NOT NULL DEFAULT '{}',
+  exceptions JSONB DEFAULT '[]',
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  synced_at TIMESTAMP WITH TIME ZONE,
+  version INTEGER DEFAULT 1,
+  deleted BOOLEAN DEFAULT FALSE
+);
+
+-- User-defined task lists. Default lists share their id across users.
+CREATE TABLE task_lists (
+  id TEXT NOT NULL,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  color TEXT,
+  icon TEXT,
+  sort_order INTEGER DEFAULT 0,
+  archived BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  synced_at TIMESTAMP WITH TIME ZONE,
+  version INTEGER DEFAULT 1,
+  deleted BOOLEAN DEFAULT FALSE,
+  PRIMARY KEY (user_id, id)
+);
+
+-- Members of shared lists, including the owner
+CREATE TABLE list_members (
+  list_id TEXT NOT NULL,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+  email TEXT,
+  display_name TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (list_id, user_id)
+);
+
+-- Pending invitations to a shared list
+CREATE TABLE list_invites (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  list_id TEXT NOT NULL,
+  code TEXT UNIQUE NOT NULL DEFAULT upper(encode(gen_random_bytes(5), 'hex')),
+  role TEXT NOT NULL CHECK (role IN ('editor', 'viewer')),
+  email TEXT,
+  invited_by UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  accepted_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() + INTERVAL '7 days'
+);
+
 -- Backups table
 CREATE TABLE backups (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -149,13 +237,63 @@ CREATE TABLE backups (
   file_size INTEGER,
   storage_path TEXT,
   is_automatic BOOLEAN DEFAULT TRUE,
-  version TEXT DEFAULT '2.0'
+  version TEXT DEFAULT '2.0',
+  data JSONB
+);
+
+-- Wrapped end-to-end encryption keys (the server never sees the data key)
+CREATE TABLE encryption_keys (
+  user_id UUID PRIMARY KEY REFERENCES profiles(id) ON DELETE CASCADE,
+  kdf_params JSONB NOT NULL,
+  salt TEXT NOT NULL,
+  wrapped_key TEXT NOT NULL,
+  recovery_salt TEXT NOT NULL,
+  recovery_wrapped_key TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Stamp synced rows with the server time on every write.
+-- Incremental sync pulls the rows stamped after its cursor.
+CREATE OR REPLACE FUNCTION stamp_synced_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.synced_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER tasks_stamp_synced_at
+  BEFORE INSERT OR UPDATE ON tasks
+  FOR EACH ROW EXECUTE FUNCTION stamp_synced_at();
+
+CREATE TRIGGER recurring_series_stamp_synced_at
+  BEFORE INSERT OR UPDATE ON recurring_series
+  FOR EACH ROW EXECUTE FUNCTION stamp_synced_at();
+
+CREATE TRIGGER task_lists_stamp_synced_at
+  BEFORE INSERT OR UPDATE ON task_lists
+  FOR EACH ROW EXECUTE FUNCTION stamp_synced_at();
+
+CREATE INDEX tasks_user_synced_at ON tasks (user_id, synced_at);
+CREATE INDEX recurring_series_user_synced_at ON recurring_series (user_id, synced_at);
+CREATE INDEX task_lists_user_synced_at ON task_lists (user_id, synced_at);
+CREATE INDEX tasks_list_synced_at ON tasks (list_id, synced_at);
+CREATE INDEX list_members_user ON list_members (user_id);
+CREATE UNIQUE INDEX list_members_one_owner ON list_members (list_id) WHERE role = 'owner';
+
+-- Enable realtime for tasks
+ALTER PUBLICATION supabase_realtime ADD TABLE tasks;
+
 -- Enable Row Level Security
 ALTER TABLE profiles ENABLE ROW LEVEL SECURITY;
 ALTER TABLE tasks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE recurring_series ENABLE ROW LEVEL SECURITY;
+ALTER TABLE task_lists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE list_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE list_invites ENABLE ROW LEVEL SECURITY;
 ALTER TABLE backups ENABLE ROW LEVEL SECURITY;
+ALTER TABLE encryption_keys ENABLE ROW LEVEL SECURITY;
 
 -- RLS Policies for profiles
 CREATE POLICY "Users can view own profile" ON profiles
@@ -164,23 +302,117 @@ CREATE POLICY "Users can view own profile" ON profiles
 CREATE POLICY "Users can update own profile" ON profiles
   FOR UPDATE USING (auth.uid() = id);
 
--- RLS Policies for tasks
-CREATE POLICY "Users can view own tasks" ON tasks
-  FOR SELECT USING (auth.uid() = user_id);
+-- Role of the current user in a shared list, NULL when it isn't shared with them.
+-- SECURITY DEFINER so policies on list_members can use it without recursing.
+CREATE OR REPLACE FUNCTION list_role(target_list TEXT)
+RETURNS TEXT AS $$
+  SELECT role FROM list_members WHERE list_id = target_list AND user_id = auth.uid();
+$$ LANGUAGE sql SECURITY DEFINER STABLE;
+
+-- RLS Policies for tasks: own tasks outside shared lists, and the tasks of
+-- shared lists by role (viewers read, editors and the owner write)
+CREATE POLICY "Users can view own and shared tasks" ON tasks
+  FOR SELECT USING (auth.uid() = user_id OR list_role(list_id) IS NOT NULL);
 
-CREATE POLICY "Users can insert own tasks" ON tasks
-  FOR INSERT WITH CHECK (auth.uid() = user_id);
+CREATE POLICY "Users can insert own and shared tasks" ON tasks
+  FOR INSERT WITH CHECK (
+    CASE WHEN list_role(list_id) IS NULL THEN auth.uid() = user_id
+    ELSE list_role(list_id) IN ('owner', 'editor') END
+  );
 
-CREATE POLICY "Users can update own tasks" ON tasks
-  FOR UPDATE USING (auth.uid() = user_id);
+CREATE POLICY "Users can update own and shared tasks" ON tasks
+  FOR UPDATE
+  USING (
+    CASE WHEN list_role(list_id) IS NULL THEN auth.uid() = user_id
+    ELSE list_role(list_id) IN ('owner', 'editor') END
+  )
+  WITH CHECK (
+    CASE WHEN list_role(list_id) IS NULL THEN auth.uid() = user_id
+    ELSE list_role(list_id) IN ('owner', 'editor') END
+  );
 
 CREATE POLICY "Users can delete own tasks" ON tasks
   FOR DELETE USING (auth.uid() = user_id);
 
+-- RLS Policies for recurring series (series stay private, even in shared lists)
+CREATE POLICY "Users can manage own recurring series" ON recurring_series
+  FOR ALL USING (auth.uid() = user_id);
+
+-- RLS Policies for task lists: only the owner edits a shared list
+CREATE POLICY "Users can manage own task lists" ON task_lists
+  FOR ALL USING (auth.uid() = user_id);
+
+CREATE POLICY "Members can view shared task lists" ON task_lists
+  FOR SELECT USING (list_role(id) IS NOT NULL);
+
+-- RLS Policies for list members
+CREATE POLICY "Members can view members of their lists" ON list_members
+  FOR SELECT USING (list_role(list_id) IS NOT NULL);
+
+CREATE POLICY "Owners can start sharing their lists" ON list_members
+  FOR INSERT WITH CHECK (
+    auth.uid() = user_id AND role = 'owner' AND
+    EXISTS (SELECT 1 FROM task_lists WHERE id = list_id AND user_id = auth.uid())
+  );
+
+CREATE POLICY "Owners can change member roles" ON list_members
+  FOR UPDATE
+  USING (list_role(list_id) = 'owner' AND role <> 'owner')
+  WITH CHECK (role IN ('editor', 'viewer'));
+
+CREATE POLICY "Owners can remove members and members can leave" ON list_members
+  FOR DELETE USING (
+    role <> 'owner' AND (list_role(list_id) = 'owner' OR auth.uid() = user_id)
+  );
+
+-- RLS Policies for list invites
+CREATE POLICY "Owners can manage invites" ON list_invites
+  FOR ALL USING (list_role(list_id) = 'owner');
+
+-- Join a shared list with an invite code
+CREATE OR REPLACE FUNCTION accept_list_invite(invite_code TEXT, member_email TEXT, member_name TEXT)
+RETURNS list_members AS $$
+DECLARE
+  invite list_invites;
+  member list_members;
+BEGIN
+  SELECT * INTO invite FROM list_invites
+  WHERE code = upper(invite_code) AND accepted_by IS NULL AND expires_at > NOW();
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'invalid_invite';
+  END IF;
+
+  INSERT INTO list_members (list_id, user_id, role, email, display_name)
+  VALUES (invite.list_id, auth.uid(), invite.role, member_email, member_name)
+  ON CONFLICT (list_id, user_id) DO NOTHING;
+
+  UPDATE list_invites SET accepted_by = auth.uid() WHERE id = invite.id;
+
+  SELECT * INTO member FROM list_members
+  WHERE list_id = invite.list_id AND user_id = auth.uid();
+  RETURN member;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
 -- RLS Policies for backups
 CREATE POLICY "Users can manage own backups" ON backups
   FOR ALL USING (auth.uid() = user_id);
 
+-- RLS Policies for encryption keys
+CREATE POLICY "Users can manage own encryption keys" ON encryption_keys
+  FOR ALL USING (auth.uid() = user_id);
+
+-- Attachment files, stored by content hash under the user's folder
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('attachments', 'attachments', FALSE)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "Users can manage own attachment files" ON storage.objects
+  FOR ALL USING (
+    bucket_id = 'attachments' AND (storage.foldername(name))[1] = auth.uid()::text
+  );
+
 -- Create profile automatically on user signup
 CREATE OR REPLACE FUNCTION handle_new_user()
 RETURNS TRIGGER AS $$
@@ -195,6 +427,44 @@ CREATE TRIGGER on_auth_user_created
   AFTER INSERT ON auth.users
   FOR EACH ROW
   EXECUTE FUNCTION handle_new_user();
+
+-- Upgrading a project created before task lists: run the task_lists
+-- statements above, then move categories to list ids
+-- ALTER TABLE tasks RENAME COLUMN category TO list_id;
+-- ALTER TABLE recurring_series RENAME COLUMN category TO list_id;
+
+-- Upgrading a project created before shared lists: drop the old task and
+-- task list policies, run the list_members, list_invites, list_role,
+-- policy and accept_list_invite statements above, then
+-- ALTER TABLE tasks ADD COLUMN assignee_id UUID REFERENCES profiles(id) ON DELETE SET NULL;
+-- ALTER TABLE task_lists DROP CONSTRAINT task_lists_pkey, ADD PRIMARY KEY (user_id, id);
+
+-- Upgrading a project created before task comments and activity
+-- ALTER TABLE tasks ADD COLUMN comments JSONB DEFAULT '[]', ADD COLUMN activity JSONB DEFAULT '[]';
+
+-- Upgrading a project created before task dependencies
+-- ALTER TABLE tasks ADD COLUMN blocked_by JSONB DEFAULT '[]';
+
+-- Upgrading a project created before subtasks could become tasks
+-- ALTER TABLE tasks ADD COLUMN parent_task_id TEXT;
+
+-- Upgrading a project created before start dates and due times
+-- ALTER TABLE tasks ADD COLUMN start_date TIMESTAMP WITH TIME ZONE,
+--   ADD COLUMN all_day BOOLEAN DEFAULT TRUE, ADD COLUMN estimated_minutes INTEGER;
+
+-- Upgrading a project created before multiple reminders (rows without
+-- reminders keep the former enable_reminder behaviour)
+-- ALTER TABLE tasks ADD COLUMN reminders JSONB;
+-- ALTER TABLE recurring_series ADD COLUMN reminders JSONB;
+
+-- Upgrading a project created before snoozing reminders
+-- ALTER TABLE tasks ADD COLUMN snooze_history JSONB DEFAULT '[]';
+
+-- Upgrading a project created before location reminders
+-- ALTER TABLE tasks ADD COLUMN place JSONB;
+
+-- Upgrading a project created before series exceptions
+-- ALTER TABLE recurring_series ADD COLUMN exceptions JSONB DEFAULT '[]';
 `;
 };
 
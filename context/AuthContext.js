@@ -8,6 +8,14 @@
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { Alert, Platform } from 'react-native';
 import { supabase, isSupabaseConfigured } from '../config/supabase';
+import {
+  loadEncryptionState,
+  refreshEncryptionStatus,
+  unlockEncryption as unlockEncryptionKey,
+  enableEncryption as enableEncryptionKey,
+  recoverEncryption as recoverEncryptionKey,
+  lockEncryption,
+} from '../services/encryptionService';
 
 const AuthContext = createContext();
 
@@ -24,12 +32,29 @@ export const AuthProvider = ({ children }) => {
   const [session, setSession] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isConfigured, setIsConfigured] = useState(false);
+  const [encryption, setEncryption] = useState({ enabled: false, unlocked: false });
 
   // Check Supabase configuration on mount
   useEffect(() => {
     setIsConfigured(isSupabaseConfigured());
   }, []);
 
+  /**
+   * Check whether the account uses encryption and this device has the key
+   */
+  const verifyEncryption = useCallback(async () => {
+    setEncryption(await loadEncryptionState());
+    try {
+      const status = await refreshEncryptionStatus();
+      setEncryption(status);
+      return status;
+    } catch (error) {
+      // Offline: keep the state saved on this device
+      console.error('Error checking encryption:', error);
+      return null;
+    }
+  }, []);
+
   // Listen for auth state changes
   useEffect(() => {
     if (!isConfigured) {
@@ -45,6 +70,10 @@ export const AuthProvider = ({ children }) => {
         
         setSession(session);
         setUser(session?.user ?? null);
+
+        if (session) {
+          verifyEncryption();
+        }
       } catch (error) {
         console.error('Error getting session:', error);
       } finally {
@@ -67,7 +96,7 @@ export const AuthProvider = ({ children }) => {
     return () => {
       subscription?.unsubscribe();
     };
-  }, [isConfigured]);
+  }, [isConfigured, verifyEncryption]);
 
   /**
    * Sign up with email and password
@@ -119,14 +148,21 @@ export const AuthProvider = ({ children }) => {
 
       if (error) throw error;
 
-      return { success: true, user: data.user };
+      // Encrypted accounts need the passphrase on each new device
+      const status = await verifyEncryption();
+
+      return {
+        success: true,
+        user: data.user,
+        requiresPassphrase: !!status?.enabled && !status.unlocked,
+      };
     } catch (error) {
       console.error('Sign in error:', error);
       throw error;
     } finally {
       setLoading(false);
     }
-  }, [isConfigured]);
+  }, [isConfigured, verifyEncryption]);
 
   /**
    * Sign out
@@ -138,6 +174,8 @@ export const AuthProvider = ({ children }) => {
       const { error } = await supabase.auth.signOut();
       if (error) throw error;
 
+      await lockEncryption();
+      setEncryption({ enabled: false, unlocked: false });
       setUser(null);
       setSession(null);
       
@@ -196,6 +234,35 @@ export const AuthProvider = ({ children }) => {
     }
   }, [user]);
 
+  /**
+   * Unlock end-to-end encryption with the passphrase
+   */
+  const unlockEncryption = useCallback(async (passphrase) => {
+    const status = await unlockEncryptionKey(passphrase);
+    setEncryption(status);
+    return status;
+  }, []);
+
+  /**
+   * Turn on end-to-end encryption
+   * @returns {Promise<Object>} { recoveryCode }
+   */
+  const enableEncryption = useCallback(async (passphrase) => {
+    const result = await enableEncryptionKey(passphrase);
+    setEncryption({ enabled: true, unlocked: true });
+    return result;
+  }, []);
+
+  /**
+   * Recover encryption with a recovery code and set a new passphrase
+   * @returns {Promise<Object>} { recoveryCode } - the new code
+   */
+  const recoverEncryption = useCallback(async (recoveryCode, newPassphrase) => {
+    const result = await recoverEncryptionKey(recoveryCode, newPassphrase);
+    setEncryption({ enabled: true, unlocked: true });
+    return result;
+  }, []);
+
   /**
    * Get user display name
    */
@@ -212,12 +279,16 @@ export const AuthProvider = ({ children }) => {
     loading,
     isConfigured,
     isAuthenticated: !!session,
+    encryption,
     signUp,
     signIn,
     signOut,
     resetPassword,
     updateProfile,
     getDisplayName,
+    unlockEncryption,
+    enableEncryption,
+    recoverEncryption,
   };
 
   return (
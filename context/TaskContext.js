@@ -3,35 +3,118 @@
  * Task List App 2026
  */
 
-import React, { createContext, useState, useEffect, useCallback, useContext } from "react";
+import React, { createContext, useState, useEffect, useCallback, useContext, useMemo } from "react";
 import { Platform } from "react-native";
-import { loadTasks, saveTasks, loadRecurringSeries, saveRecurringSeries } from "../utils/storage";
+import {
+  loadTasks,
+  saveTasks,
+  loadRecurringSeries,
+  saveRecurringSeries,
+  loadTaskLists,
+  saveTaskLists,
+  loadDigestSettings,
+  saveDigestSettings,
+} from "../utils/storage";
 import { deleteFile } from "../utils/fileManager";
 import {
   requestNotificationPermissions,
-  scheduleTaskDueDateNotification,
-  cancelNotification,
+  scheduleTaskReminders,
+  cancelTaskReminders,
+  sendTaskUnblockedNotification,
 } from "../utils/notifications";
+import { getTaskReminders, remindersChanged, addSnooze } from "../utils/taskReminders";
 import { StatsContext } from "./StatsContext";
+import { useAuth } from "./AuthContext";
 import { 
   createRecurringSeries as createSeriesUtil,
   generateInstancesForSeries,
   filterTasksByScope,
   getAffectedInstanceCount,
+  createNextInstanceAfterCompletion,
+  findUntouchedSuccessor,
 } from "../utils/recurringGenerator";
-import { validateRecurringConfig } from "../utils/recurringHelpers";
+import { validateRecurringConfig, normalizeRecurringConfig, getConfigTimeZone } from "../utils/recurringHelpers";
+import {
+  DEFAULT_LISTS,
+  DEFAULT_LIST_ID,
+  createList,
+  moveList,
+  migrateToList,
+} from "../utils/taskLists";
+import {
+  LIST_ACTIONS,
+  can,
+  getListRole,
+  canEditTasksInList,
+} from "../utils/listPermissions";
+import { applyTaskChanges, createComment } from "../utils/taskActivity";
+import { mergeSyncResult } from "../utils/syncMerge";
+import {
+  getDependents,
+  wouldCreateCycle,
+  getUnblockedByCompletion,
+} from "../utils/taskDependencies";
+import {
+  normalizeSubtasks,
+  addSubtaskToTree,
+  indentSubtask as indentSubtaskInTree,
+  outdentSubtask as outdentSubtaskInTree,
+  moveSubtask,
+  setSubtaskCompleted,
+  removeSubtask,
+  detachSubtask,
+  getTreeProgress,
+} from "../utils/subtaskTree";
+import {
+  SYNC_OPERATIONS,
+  enqueueSyncOperation,
+  enqueueSyncOperations,
+  enqueueSeriesOperation,
+  enqueueListOperation,
+  applyRealtimeChange,
+  getCurrentUserId,
+} from "../services/cloudSyncService";
+import {
+  applyMemberships,
+  inviteToList,
+  joinList,
+  changeMemberRole,
+  removeListMember,
+} from "../services/sharingService";
+import { isAllDay, isTaskOverdue } from "../utils/dateHelpers";
+import { useBackupScheduler } from "../hooks/useBackupScheduler";
+import { useCloudSync } from "../hooks/useCloudSync";
+import { useDigestScheduler } from "../hooks/useDigestScheduler";
+import { syncGeofences } from "../services/geofenceService";
+import { getGeofenceRegions } from "../utils/taskLocation";
+import { DEFAULT_DIGEST_SETTINGS } from "../utils/dailyDigest";
+import {
+  EXCEPTION_TYPES,
+  getUpdatedExceptions,
+  applySeriesException,
+  clearExceptionFields,
+} from "../utils/seriesExceptions";
 
 export const TaskContext = createContext();
 
 export const TaskProvider = ({ children }) => {
   const [tasks, setTasks] = useState([]);
   const [recurringSeries, setRecurringSeries] = useState([]);
+  const [lists, setLists] = useState([]);
   const [loading, setLoading] = useState(true);
   const [notificationsEnabled, setNotificationsEnabled] = useState(false);
+  const [digestSettings, setDigestSettings] = useState(DEFAULT_DIGEST_SETTINGS);
   
   // Access stats context (may be null during provider nesting)
   const statsContext = useContext(StatsContext);
 
+  // Author of comments and activity entries
+  const { user, getDisplayName } = useAuth();
+  const actor = useMemo(() => ({ id: user?.id || null, name: getDisplayName() }), [user, getDisplayName]);
+
+  // Automatic cloud backups, once local tasks are loaded
+  useBackupScheduler(tasks, !loading);
+
   // Request notification permissions on mount
   useEffect(() => {
     const initNotifications = async () => {
@@ -43,27 +126,61 @@ export const TaskProvider = ({ children }) => {
     initNotifications();
   }, []);
 
-  // Load tasks and recurring series on startup
+  // Watch the places of open tasks when they change, once local tasks are loaded
+  const geofenceKey = useMemo(() => JSON.stringify(getGeofenceRegions(tasks)), [tasks]);
+  useEffect(() => {
+    if (!loading) syncGeofences(tasks);
+  }, [geofenceKey, loading]);
+
+  // Load the morning digest and evening review settings
+  useEffect(() => {
+    loadDigestSettings().then((saved) => {
+      if (saved) setDigestSettings({ ...DEFAULT_DIGEST_SETTINGS, ...saved });
+    });
+  }, []);
+
+  // Load tasks, recurring series and lists on startup
   useEffect(() => {
     const loadData = async () => {
-      const [savedTasks, savedSeries] = await Promise.all([
+      const [savedTasks, savedSeries, savedLists] = await Promise.all([
         loadTasks(),
         loadRecurringSeries(),
+        loadTaskLists(),
       ]);
+
+      // First launch with lists: start from the former categories
+      const taskLists = savedLists.length > 0 ? savedLists : DEFAULT_LISTS;
       
       // Ensure all tasks have required fields for backwards compatibility
       const tasksWithDefaults = savedTasks.map(task => ({
-        ...task,
-        subtasks: task.subtasks || [],
+        ...migrateToList(task, taskLists),
+        subtasks: normalizeSubtasks(task.subtasks || []),
         attachments: task.attachments || [],
+        parentTaskId: task.parentTaskId || null,
+        startDate: task.startDate || null,
+        allDay: isAllDay(task),
+        estimatedMinutes: task.estimatedMinutes || null,
+        reminders: getTaskReminders(task),
+        notificationIds: task.notificationIds
+          || (task.notificationId ? { due: task.notificationId } : {}),
         isRecurring: task.isRecurring || false,
         recurringSeriesId: task.recurringSeriesId || null,
         instanceDate: task.instanceDate || null,
         skipped: task.skipped || false,
+        blockedBy: task.blockedBy || [],
+        snoozeHistory: task.snoozeHistory || [],
+        place: task.place || null,
+        comments: task.comments || [],
+        activity: task.activity || [],
       }));
       
       setTasks(tasksWithDefaults);
-      setRecurringSeries(savedSeries || []);
+      setRecurringSeries((savedSeries || []).map(s => ({
+        ...migrateToList(s, taskLists),
+        recurringConfig: normalizeRecurringConfig(s.recurringConfig),
+        exceptions: s.exceptions || [],
+      })));
+      setLists(taskLists);
       setLoading(false);
     };
     loadData();
@@ -79,18 +196,107 @@ export const TaskProvider = ({ children }) => {
     if (!loading) saveRecurringSeries(recurringSeries);
   }, [recurringSeries, loading]);
 
+  // Save lists when they change
+  useEffect(() => {
+    if (!loading) saveTaskLists(lists);
+  }, [lists, loading]);
+
+  /**
+   * Check whether the user may change a task.
+   * Viewers of a shared list can only read its tasks.
+   */
+  const canEditTask = useCallback((taskId) => {
+    const task = tasks.find((t) => t.id === taskId);
+    return !task || canEditTasksInList(lists, task.listId);
+  }, [tasks, lists]);
+
+  /**
+   * Check whether the user may rename, archive or delete a list
+   */
+  const canEditList = useCallback((listId) => {
+    return can(getListRole(lists.find((l) => l.id === listId)), LIST_ACTIONS.EDIT_LIST);
+  }, [lists]);
+
+  /**
+   * Schedule the reminders of a task on this device
+   * @returns {Promise<Object>} Notification ids keyed by reminder id
+   */
+  const scheduleReminders = useCallback(async (task) => {
+    if (!notificationsEnabled) return {};
+    try {
+      return await scheduleTaskReminders(task);
+    } catch (error) {
+      console.error('Error scheduling reminders:', error);
+      return {};
+    }
+  }, [notificationsEnabled]);
+
+  // Series that repeat after completion get their next instance once the
+  // open one is completed or skipped
+  const getNextInstanceAfterCompletion = useCallback(async (task, changes) => {
+    if (!task.recurringSeriesId) return null;
+
+    const series = recurringSeries.find((s) => s.id === task.recurringSeriesId);
+    const updatedTasks = tasks.map((t) => (t.id === task.id ? { ...t, ...changes } : t));
+    const instance = createNextInstanceAfterCompletion(series, updatedTasks);
+    if (instance) {
+      instance.notificationIds = await scheduleReminders(instance);
+    }
+    return instance;
+  }, [recurringSeries, tasks, scheduleReminders]);
+
+  // Reopening that instance removes the next one again, unless it was edited
+  const removeSuccessorOnReopen = useCallback(async (task) => {
+    if (!task.recurringSeriesId) return null;
+
+    const series = recurringSeries.find((s) => s.id === task.recurringSeriesId);
+    const successor = findUntouchedSuccessor(series, tasks, task.id);
+    if (successor) {
+      await cancelTaskReminders(successor);
+      enqueueSyncOperation(SYNC_OPERATIONS.DELETE, successor.id);
+    }
+    return successor;
+  }, [recurringSeries, tasks]);
+
+  // Record on its series how an instance differs from it, so regeneration
+  // never brings back a moved, skipped or deleted occurrence
+  const recordSeriesException = useCallback((task, type = null) => {
+    if (!task.recurringSeriesId) return;
+
+    const series = recurringSeries.find((s) => s.id === task.recurringSeriesId);
+    if (!series || !getUpdatedExceptions(series, task, type)) return;
+
+    // Record on the latest series, so exceptions recorded together all stay
+    setRecurringSeries((prev) =>
+      prev.map((s) => (s.id === series.id ? applySeriesException(s, task, type) : s))
+    );
+    enqueueSeriesOperation(SYNC_OPERATIONS.UPDATE, series.id);
+  }, [recurringSeries]);
+
   /**
-   * Add a new task with optional notification
+   * Add a new task and schedule its reminders
    */
   const addTask = useCallback(async (task) => {
+    if (!canEditTasksInList(lists, task.listId)) return null;
+
     const now = new Date().toISOString();
     const newTask = { 
       ...task, 
       id: Date.now().toString(),
-      notificationId: null,
       subtasks: task.subtasks || [],
       description: task.description || '',
       attachments: task.attachments || [],
+      parentTaskId: task.parentTaskId || null,
+      startDate: task.startDate || null,
+      allDay: isAllDay(task),
+      estimatedMinutes: task.estimatedMinutes || null,
+      reminders: task.reminders || [],
+      enableReminder: (task.reminders || []).length > 0,
+      place: task.place || null,
+      blockedBy: task.blockedBy || [],
+      snoozeHistory: [],
+      comments: [],
+      activity: [],
       isRecurring: false,
       recurringSeriesId: null,
       instanceDate: null,
@@ -99,24 +305,19 @@ export const TaskProvider = ({ children }) => {
       updatedAt: now,
     };
 
-    // Schedule notification if task has due date and reminder is enabled
-    if (task.dueDate && task.enableReminder && notificationsEnabled) {
-      try {
-        const notificationId = await scheduleTaskDueDateNotification(newTask);
-        newTask.notificationId = notificationId;
-      } catch (error) {
-        console.error('Error scheduling notification:', error);
-      }
-    }
+    newTask.notificationIds = await scheduleReminders(newTask);
 
     setTasks((prev) => [...prev, newTask]);
+    enqueueSyncOperation(SYNC_OPERATIONS.CREATE, newTask.id);
     return newTask;
-  }, [notificationsEnabled]);
+  }, [scheduleReminders, lists]);
 
   /**
    * Create a new recurring task series
    */
   const createRecurringTask = useCallback(async (taskData, recurringConfig) => {
+    if (!canEditTasksInList(lists, taskData.listId)) return null;
+
     // Validate configuration
     const validation = validateRecurringConfig(recurringConfig);
     if (!validation.valid) {
@@ -127,24 +328,21 @@ export const TaskProvider = ({ children }) => {
     // Create series and initial instances
     const { series, instances } = createSeriesUtil(taskData, recurringConfig);
 
-    // Schedule notifications for instances if enabled
-    if (taskData.enableReminder && notificationsEnabled) {
-      for (const instance of instances) {
-        try {
-          const notificationId = await scheduleTaskDueDateNotification(instance);
-          instance.notificationId = notificationId;
-        } catch (error) {
-          console.error('Error scheduling notification:', error);
-        }
-      }
+    // Schedule the reminders of each instance
+    for (const instance of instances) {
+      instance.notificationIds = await scheduleReminders(instance);
     }
 
     // Add series and instances
     setRecurringSeries((prev) => [...prev, series]);
     setTasks((prev) => [...prev, ...instances]);
+    enqueueSeriesOperation(SYNC_OPERATIONS.CREATE, series.id);
+    enqueueSyncOperations(
+      instances.map((t) => ({ type: SYNC_OPERATIONS.CREATE, taskId: t.id }))
+    );
 
     return { series, instances };
-  }, [notificationsEnabled]);
+  }, [scheduleReminders, lists]);
 
   /**
    * Add generated recurring task instances (called by useRecurringGenerator)
@@ -152,8 +350,100 @@ export const TaskProvider = ({ children }) => {
   const addGeneratedTasks = useCallback((newTasks) => {
     if (!newTasks || newTasks.length === 0) return;
     setTasks((prev) => [...prev, ...newTasks]);
+    enqueueSyncOperations(
+      newTasks.map((t) => ({ type: SYNC_OPERATIONS.CREATE, taskId: t.id }))
+    );
   }, []);
 
+  /**
+   * Replace tasks with the result of a cloud sync.
+   * Does not enqueue sync operations, since the data came from the cloud.
+   * @param {Array} syncedTasks
+   * @param {Array} [snapshot] - Tasks the sync started from; later local
+   *   changes are kept
+   */
+  const applySyncedTasks = useCallback(async (syncedTasks, snapshot = tasks) => {
+    if (!syncedTasks) return;
+
+    // Cancel reminders for tasks that were deleted on another device
+    const syncedIds = new Set(syncedTasks.map((t) => t.id));
+    for (const task of snapshot) {
+      if (!syncedIds.has(task.id)) {
+        await cancelTaskReminders(task);
+      }
+    }
+
+    // Schedule reminders of tasks new to this device, reschedule those
+    // changed on another device
+    const localById = new Map(snapshot.map((t) => [t.id, t]));
+    const result = [];
+    for (const synced of syncedTasks) {
+      const local = localById.get(synced.id);
+      if (!local) {
+        result.push(synced.completed
+          ? synced
+          : { ...synced, notificationIds: await scheduleReminders(synced) });
+        continue;
+      }
+      if (!remindersChanged(local, synced)) {
+        result.push(synced);
+        continue;
+      }
+      await cancelTaskReminders(synced);
+      result.push({ ...synced, notificationIds: await scheduleReminders(synced) });
+    }
+
+    setTasks((prev) => mergeSyncResult(prev, snapshot, result));
+  }, [tasks, scheduleReminders]);
+
+  /**
+   * Replace recurring series with the result of a cloud sync
+   */
+  const applySyncedSeries = useCallback((syncedSeries) => {
+    if (!syncedSeries) return;
+    setRecurringSeries(syncedSeries);
+  }, []);
+
+  /**
+   * Replace task lists with the result of a cloud sync
+   */
+  const applySyncedLists = useCallback((syncedLists) => {
+    if (!syncedLists || syncedLists.length === 0) return;
+    setLists(syncedLists);
+  }, []);
+
+  /**
+   * Apply a single realtime change from another device
+   * @param {Object} change - { type: 'upsert' | 'delete', taskId, task }
+   * @param {Object|null} base - Last-synced snapshot of the task
+   */
+  const applyRemoteChange = useCallback(async (change, base) => {
+    const local = tasks.find((t) => t.id === change.taskId);
+
+    if (change.type === 'delete') {
+      if (local) {
+        await cancelTaskReminders(local);
+      }
+      setTasks((prev) => applyRealtimeChange(prev, change, base));
+      return;
+    }
+
+    // Same as a full sync: reschedule when the reminders, due date or
+    // completion changed on the other device, otherwise keep this device's
+    let notificationIds = local?.notificationIds || {};
+    const merged = applyRealtimeChange(tasks, change, base).find((t) => t.id === change.taskId);
+    if (merged && (!local || remindersChanged(local, merged))) {
+      if (local) await cancelTaskReminders(local);
+      notificationIds = merged.completed ? {} : await scheduleReminders(merged);
+    }
+
+    setTasks((prev) =>
+      applyRealtimeChange(prev, change, base).map((t) =>
+        t.id === change.taskId ? { ...t, notificationIds } : t
+      )
+    );
+  }, [tasks, scheduleReminders]);
+
   /**
    * Get all instances for a recurring series
    */
@@ -174,72 +464,80 @@ export const TaskProvider = ({ children }) => {
   const getAffectedCount = useCallback((seriesId, scope, taskId) => {
     const task = tasks.find(t => t.id === taskId);
     const fromDate = task?.instanceDate || task?.dueDate;
-    return getAffectedInstanceCount(seriesId, tasks, scope, fromDate);
-  }, [tasks]);
+    const timeZone = getConfigTimeZone(recurringSeries.find(s => s.id === seriesId)?.recurringConfig);
+    return getAffectedInstanceCount(seriesId, tasks, scope, fromDate, timeZone);
+  }, [tasks, recurringSeries]);
 
   /**
    * Update recurring series (all, future, or single instance)
    */
   const updateRecurringSeries = useCallback(async (seriesId, updates, scope, taskId) => {
-    const { affected, remaining } = filterTasksByScope(tasks, seriesId, scope, taskId);
+    const timeZone = getConfigTimeZone(recurringSeries.find(s => s.id === seriesId)?.recurringConfig);
+    const { affected, remaining } = filterTasksByScope(tasks, seriesId, scope, taskId, timeZone);
+    const changes = updates.reminders
+      ? { ...updates, enableReminder: updates.reminders.length > 0 }
+      : updates;
 
-    // Cancel notifications for affected tasks
+    // Cancel reminders for affected tasks
     for (const task of affected) {
-      if (task.notificationId) {
-        await cancelNotification(task.notificationId);
-      }
+      await cancelTaskReminders(task);
     }
 
     // Update affected tasks
     const updatedAffected = affected.map(task => ({
       ...task,
-      ...updates,
+      ...changes,
       updatedAt: new Date().toISOString(),
-      notificationId: null,
+      notificationIds: {},
     }));
 
-    // Re-schedule notifications if needed
-    if (updates.enableReminder && updates.dueDate && notificationsEnabled) {
-      for (const task of updatedAffected) {
-        try {
-          const notificationId = await scheduleTaskDueDateNotification(task);
-          task.notificationId = notificationId;
-        } catch (error) {
-          console.error('Error scheduling notification:', error);
-        }
-      }
+    // Re-schedule all their reminders
+    for (const task of updatedAffected) {
+      task.notificationIds = await scheduleReminders(task);
     }
 
-    // Update series if updating all or future
+    // Update series if updating all or future; occurrences no longer
+    // override the fields the series now sets
     if (scope === 'all' || scope === 'future') {
       setRecurringSeries((prev) =>
         prev.map((s) =>
           s.id === seriesId
-            ? { ...s, ...updates, updatedAt: new Date().toISOString() }
+            ? {
+                ...s,
+                ...changes,
+                exceptions: clearExceptionFields(s.exceptions, Object.keys(changes)),
+                updatedAt: new Date().toISOString(),
+              }
             : s
         )
       );
+      enqueueSeriesOperation(SYNC_OPERATIONS.UPDATE, seriesId);
+    } else {
+      updatedAffected.forEach((task) => recordSeriesException(task));
     }
 
     setTasks([...remaining, ...updatedAffected]);
-  }, [tasks, notificationsEnabled]);
+    enqueueSyncOperations(
+      updatedAffected.map((t) => ({ type: SYNC_OPERATIONS.UPDATE, taskId: t.id }))
+    );
+  }, [tasks, recurringSeries, scheduleReminders, recordSeriesException]);
 
   /**
    * Delete recurring series instances
    */
   const deleteRecurringSeries = useCallback(async (seriesId, scope, taskId) => {
-    const { affected, remaining } = filterTasksByScope(tasks, seriesId, scope, taskId);
+    const timeZone = getConfigTimeZone(recurringSeries.find(s => s.id === seriesId)?.recurringConfig);
+    const { affected, remaining } = filterTasksByScope(tasks, seriesId, scope, taskId, timeZone);
 
-    // Cancel notifications for affected tasks
+    // Cancel reminders for affected tasks
     for (const task of affected) {
-      if (task.notificationId) {
-        await cancelNotification(task.notificationId);
-      }
+      await cancelTaskReminders(task);
     }
 
     // If deleting all, remove the series
     if (scope === 'all') {
       setRecurringSeries((prev) => prev.filter((s) => s.id !== seriesId));
+      enqueueSeriesOperation(SYNC_OPERATIONS.DELETE, seriesId);
     } else if (scope === 'future') {
       // Mark series as inactive if deleting future
       setRecurringSeries((prev) =>
@@ -247,10 +545,16 @@ export const TaskProvider = ({ children }) => {
           s.id === seriesId ? { ...s, active: false, updatedAt: new Date().toISOString() } : s
         )
       );
+      enqueueSeriesOperation(SYNC_OPERATIONS.UPDATE, seriesId);
+    } else {
+      affected.forEach((task) => recordSeriesException(task, EXCEPTION_TYPES.DELETED));
     }
 
     setTasks(remaining);
-  }, [tasks]);
+    enqueueSyncOperations(
+      affected.map((t) => ({ type: SYNC_OPERATIONS.DELETE, taskId: t.id }))
+    );
+  }, [tasks, recurringSeries, recordSeriesException]);
 
   /**
    * Skip a recurring instance
@@ -258,18 +562,23 @@ export const TaskProvider = ({ children }) => {
   const skipRecurringInstance = useCallback(async (taskId) => {
     const task = tasks.find(t => t.id === taskId);
     
-    if (task?.notificationId) {
-      await cancelNotification(task.notificationId);
+    if (task) {
+      await cancelTaskReminders(task);
     }
+    const nextInstance = task ? await getNextInstanceAfterCompletion(task, { skipped: true }) : null;
 
-    setTasks((prev) =>
-      prev.map((t) =>
+    setTasks((prev) => {
+      const updated = prev.map((t) =>
         t.id === taskId
-          ? { ...t, skipped: true, notificationId: null, updatedAt: new Date().toISOString() }
+          ? { ...t, skipped: true, notificationIds: {}, updatedAt: new Date().toISOString() }
           : t
-      )
-    );
-  }, [tasks]);
+      );
+      return nextInstance ? [...updated, nextInstance] : updated;
+    });
+    enqueueSyncOperation(SYNC_OPERATIONS.UPDATE, taskId);
+    if (nextInstance) enqueueSyncOperation(SYNC_OPERATIONS.CREATE, nextInstance.id);
+    if (task) recordSeriesException({ ...task, skipped: true });
+  }, [tasks, getNextInstanceAfterCompletion, recordSeriesException]);
 
   /**
    * Unskip a recurring instance
@@ -278,33 +587,33 @@ export const TaskProvider = ({ children }) => {
     const task = tasks.find(t => t.id === taskId);
     if (!task) return;
 
-    let notificationId = null;
-    if (task.enableReminder && task.dueDate && notificationsEnabled) {
-      try {
-        notificationId = await scheduleTaskDueDateNotification(task);
-      } catch (error) {
-        console.error('Error scheduling notification:', error);
-      }
-    }
+    const notificationIds = await scheduleReminders({ ...task, skipped: false });
+    const successor = await removeSuccessorOnReopen(task);
 
     setTasks((prev) =>
-      prev.map((t) =>
-        t.id === taskId
-          ? { ...t, skipped: false, notificationId, updatedAt: new Date().toISOString() }
-          : t
-      )
+      prev
+        .filter((t) => t.id !== successor?.id)
+        .map((t) =>
+          t.id === taskId
+            ? { ...t, skipped: false, notificationIds, updatedAt: new Date().toISOString() }
+            : t
+        )
     );
-  }, [tasks, notificationsEnabled]);
+    enqueueSyncOperation(SYNC_OPERATIONS.UPDATE, taskId);
+    recordSeriesException({ ...task, skipped: false });
+  }, [tasks, scheduleReminders, recordSeriesException, removeSuccessorOnReopen]);
 
   /**
    * Delete a task and cancel its notification
    */
   const deleteTask = useCallback(async (id) => {
+    if (!canEditTask(id)) return;
+
     const taskToDelete = tasks.find((task) => task.id === id);
     
-    // Cancel notification if exists
-    if (taskToDelete?.notificationId) {
-      await cancelNotification(taskToDelete.notificationId);
+    // Cancel its reminders
+    if (taskToDelete) {
+      await cancelTaskReminders(taskToDelete);
     }
 
     // Delete attachments if any
@@ -314,71 +623,122 @@ export const TaskProvider = ({ children }) => {
       }
     }
 
-    setTasks((prev) => prev.filter((task) => task.id !== id));
-  }, [tasks]);
+    // Tasks waiting for this one are no longer blocked by it
+    const dependents = getDependents(tasks, id).filter((t) => canEditTask(t.id));
+    const now = new Date().toISOString();
+
+    setTasks((prev) => prev
+      .filter((task) => task.id !== id)
+      .map((task) => (dependents.some((d) => d.id === task.id)
+        ? { ...task, blockedBy: task.blockedBy.filter((b) => b !== id), updatedAt: now }
+        : task))
+    );
+    enqueueSyncOperations([
+      { type: SYNC_OPERATIONS.DELETE, taskId: id },
+      ...dependents.map((t) => ({ type: SYNC_OPERATIONS.UPDATE, taskId: t.id })),
+    ]);
+    if (taskToDelete) recordSeriesException(taskToDelete, EXCEPTION_TYPES.DELETED);
+  }, [tasks, canEditTask, recordSeriesException]);
 
   /**
    * Toggle task completion
-   * Cancels notification when task is completed
+   * Cancels reminders when the task is completed, reschedules them when reopened
    */
   const toggleCompleted = useCallback(async (id) => {
+    if (!canEditTask(id)) return;
+
     const task = tasks.find((t) => t.id === id);
+    if (!task) return;
     
-    // If completing and has notification, cancel it
-    if (task && !task.completed && task.notificationId) {
-      await cancelNotification(task.notificationId);
-    }
+    await cancelTaskReminders(task);
+    const notificationIds = task.completed
+      ? await scheduleReminders({ ...task, completed: false })
+      : {};
 
     // Record task completion in stats
     if (task && !task.completed && statsContext?.recordTaskCompleted) {
       statsContext.recordTaskCompleted();
     }
 
-    setTasks((prev) =>
-      prev.map((task) =>
+    // Let the user know which tasks can start now
+    if (task && !task.completed && notificationsEnabled) {
+      getUnblockedByCompletion(tasks, id).forEach((dependent) => {
+        sendTaskUnblockedNotification(dependent, task);
+      });
+    }
+
+    const nextInstance = !task.completed
+      ? await getNextInstanceAfterCompletion(task, { completed: true })
+      : null;
+    const successor = task.completed ? await removeSuccessorOnReopen(task) : null;
+
+    setTasks((prev) => {
+      const updated = prev.filter((t) => t.id !== successor?.id).map((task) =>
         task.id === id 
-          ? { ...task, completed: !task.completed, notificationId: task.completed ? task.notificationId : null } 
+          ? {
+              ...applyTaskChanges(task, { completed: !task.completed }, actor),
+              notificationIds,
+            }
           : task
+      );
+      return nextInstance ? [...updated, nextInstance] : updated;
+    });
+    enqueueSyncOperation(SYNC_OPERATIONS.UPDATE, id);
+    if (nextInstance) enqueueSyncOperation(SYNC_OPERATIONS.CREATE, nextInstance.id);
+  }, [tasks, statsContext, notificationsEnabled, canEditTask, actor, scheduleReminders, getNextInstanceAfterCompletion, removeSuccessorOnReopen]);
+
+  /**
+   * Snooze the reminders of a task, e.g. from a notification action
+   * @param {string} id - Task id
+   * @param {string} option - One of SNOOZE_OPTIONS
+   * @returns {Promise<boolean>} Whether the task was snoozed
+   */
+  const snoozeTask = useCallback(async (id, option) => {
+    const task = tasks.find((t) => t.id === id);
+    if (!task || task.completed || !canEditTask(id)) return false;
+
+    const snoozed = { ...task, snoozeHistory: addSnooze(task.snoozeHistory, option) };
+    await cancelTaskReminders(task);
+    const notificationIds = await scheduleReminders(snoozed);
+
+    setTasks((prev) =>
+      prev.map((t) =>
+        t.id === id
+          ? {
+              ...applyTaskChanges(t, { snoozeHistory: snoozed.snoozeHistory }, actor),
+              notificationIds,
+            }
+          : t
       )
     );
-  }, [tasks, statsContext]);
+    enqueueSyncOperation(SYNC_OPERATIONS.UPDATE, id);
+    return true;
+  }, [tasks, canEditTask, actor, scheduleReminders]);
 
   /**
    * Update a task
    */
   const updateTask = useCallback(async (id, updates) => {
     const existingTask = tasks.find((t) => t.id === id);
-    if (!existingTask) return;
+    if (!existingTask || !canEditTask(id)) return;
+    if (updates.listId && !canEditTasksInList(lists, updates.listId)) return;
 
-    let notificationId = existingTask.notificationId;
+    const changes = updates.reminders
+      ? { ...updates, enableReminder: updates.reminders.length > 0 }
+      : updates;
 
-    // If due date changed and reminder is enabled, reschedule notification
-    if (updates.dueDate !== existingTask.dueDate) {
-      // Cancel old notification
-      if (notificationId) {
-        await cancelNotification(notificationId);
-        notificationId = null;
-      }
-
-      // Schedule new notification if due date exists and reminder enabled
-      if (updates.dueDate && updates.enableReminder && notificationsEnabled) {
-        try {
-          notificationId = await scheduleTaskDueDateNotification({
-            ...existingTask,
-            ...updates,
-          });
-        } catch (error) {
-          console.error('Error rescheduling notification:', error);
-        }
-      }
-    }
+    // Cancel and reschedule all reminders with the edited task
+    await cancelTaskReminders(existingTask);
+    const notificationIds = await scheduleReminders({ ...existingTask, ...changes });
 
     setTasks((prev) =>
       prev.map((task) =>
-        task.id === id ? { ...task, ...updates, notificationId, updatedAt: new Date().toISOString() } : task
+        task.id === id ? { ...applyTaskChanges(task, changes, actor), notificationIds } : task
       )
     );
-  }, [tasks, notificationsEnabled]);
+    enqueueSyncOperation(SYNC_OPERATIONS.UPDATE, id);
+    recordSeriesException({ ...existingTask, ...changes });
+  }, [tasks, lists, canEditTask, actor, scheduleReminders, recordSeriesException]);
 
   /**
    * Get task statistics
@@ -388,24 +748,40 @@ export const TaskProvider = ({ children }) => {
     const completed = tasks.filter((t) => t.completed).length;
     const pending = total - completed;
     const highPriority = tasks.filter((t) => !t.completed && t.priority === 'high').length;
-    const overdue = tasks.filter((t) => {
-      if (t.completed || !t.dueDate) return false;
-      const dueDate = new Date(t.dueDate);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      return dueDate < today;
-    }).length;
+    const overdue = tasks.filter((t) => isTaskOverdue(t)).length;
     const recurring = tasks.filter((t) => t.isRecurring).length;
     const skipped = tasks.filter((t) => t.skipped).length;
 
     return { total, completed, pending, highPriority, overdue, recurring, skipped };
   }, [tasks]);
 
+  // Morning digest and evening review, once local tasks are loaded
+  useDigestScheduler({
+    tasks,
+    settings: digestSettings,
+    enabled: notificationsEnabled && !loading,
+    getStats,
+    getTodayStats: statsContext?.getTodayStats,
+  });
+
   /**
-   * Add a subtask to a task
+   * Change the morning digest or evening review settings
+   * @param {string} type - One of DIGEST_TYPES
+   * @param {Object} changes - { enabled?, hour?, minute? }
    */
-  const addSubtask = useCallback((taskId, title) => {
-    if (!title.trim()) return null;
+  const updateDigestSettings = useCallback((type, changes) => {
+    setDigestSettings((prev) => {
+      const next = { ...prev, [type]: { ...prev[type], ...changes } };
+      saveDigestSettings(next);
+      return next;
+    });
+  }, []);
+
+  /**
+   * Add a subtask to a task, nested under `parentId` if given
+   */
+  const addSubtask = useCallback((taskId, title, parentId = null) => {
+    if (!title.trim() || !canEditTask(taskId)) return null;
     
     const newSubtask = {
       id: Date.now().toString(),
@@ -416,109 +792,205 @@ export const TaskProvider = ({ children }) => {
     setTasks((prev) =>
       prev.map((task) =>
         task.id === taskId
-          ? { ...task, subtasks: [...(task.subtasks || []), newSubtask] }
+          ? applyTaskChanges(task, { subtasks: addSubtaskToTree(task.subtasks || [], newSubtask, parentId) }, actor)
           : task
       )
     );
+    enqueueSyncOperation(SYNC_OPERATIONS.SUBTASK, taskId);
 
     return newSubtask;
-  }, []);
+  }, [canEditTask, actor]);
 
   /**
-   * Toggle subtask completion
+   * Toggle subtask completion, along with its nested subtasks
    */
   const toggleSubtask = useCallback((taskId, subtaskId) => {
+    if (!canEditTask(taskId)) return;
+
     setTasks((prev) =>
-      prev.map((task) =>
-        task.id === taskId
-          ? {
-              ...task,
-              subtasks: (task.subtasks || []).map((st) =>
-                st.id === subtaskId ? { ...st, completed: !st.completed } : st
-              ),
-            }
-          : task
-      )
+      prev.map((task) => {
+        if (task.id !== taskId) return task;
+
+        const subtasks = task.subtasks || [];
+        const subtask = subtasks.find((st) => st.id === subtaskId);
+        if (!subtask) return task;
+
+        return applyTaskChanges(task, {
+          subtasks: setSubtaskCompleted(subtasks, subtaskId, !subtask.completed),
+        }, actor);
+      })
     );
-  }, []);
+    enqueueSyncOperation(SYNC_OPERATIONS.SUBTASK, taskId);
+  }, [canEditTask, actor]);
 
   /**
-   * Delete a subtask
+   * Delete a subtask and its nested subtasks
    */
   const deleteSubtask = useCallback((taskId, subtaskId) => {
+    if (!canEditTask(taskId)) return;
+
     setTasks((prev) =>
       prev.map((task) =>
         task.id === taskId
-          ? {
-              ...task,
-              subtasks: (task.subtasks || []).filter((st) => st.id !== subtaskId),
-            }
+          ? applyTaskChanges(task, {
+              subtasks: removeSubtask(task.subtasks || [], subtaskId),
+            }, actor)
           : task
       )
     );
-  }, []);
+    enqueueSyncOperation(SYNC_OPERATIONS.SUBTASK, taskId);
+  }, [canEditTask, actor]);
 
   /**
-   * Get subtask progress for a task
+   * Get subtask progress for a task, rolled up from the whole tree
    */
   const getSubtaskProgress = useCallback((taskId) => {
     const task = tasks.find((t) => t.id === taskId);
-    if (!task || !task.subtasks || task.subtasks.length === 0) {
-      return { total: 0, completed: 0, percentage: 0 };
-    }
-    const total = task.subtasks.length;
-    const completed = task.subtasks.filter((st) => st.completed).length;
-    return {
-      total,
-      completed,
-      percentage: Math.round((completed / total) * 100),
-    };
+    return getTreeProgress(task?.subtasks || []);
   }, [tasks]);
 
   /**
    * Update a subtask's title
    */
   const updateSubtask = useCallback((taskId, subtaskId, updates) => {
+    if (!canEditTask(taskId)) return;
+
     setTasks((prev) =>
       prev.map((task) =>
         task.id === taskId
-          ? {
-              ...task,
-              updatedAt: new Date().toISOString(),
+          ? applyTaskChanges(task, {
               subtasks: (task.subtasks || []).map((st) =>
                 st.id === subtaskId ? { ...st, ...updates } : st
               ),
+            }, actor)
+          : task
+      )
+    );
+    enqueueSyncOperation(SYNC_OPERATIONS.SUBTASK, taskId);
+  }, [canEditTask, actor]);
+
+  /**
+   * Change the subtasks of a task without logging activity
+   * (moving and nesting are not recorded)
+   */
+  const rearrangeSubtasks = useCallback((taskId, rearrange) => {
+    if (!canEditTask(taskId)) return;
+
+    setTasks((prev) =>
+      prev.map((task) =>
+        task.id === taskId
+          ? {
+              ...task,
+              updatedAt: new Date().toISOString(),
+              subtasks: rearrange(task.subtasks || []),
             }
           : task
       )
     );
-  }, []);
+    enqueueSyncOperation(SYNC_OPERATIONS.SUBTASK, taskId);
+  }, [canEditTask]);
 
   /**
-   * Reorder subtasks within a task
+   * Reorder subtasks within a task. Indexes are positions in display
+   * order; the moved subtask takes its nested subtasks along.
    */
   const reorderSubtasks = useCallback((taskId, fromIndex, toIndex) => {
+    rearrangeSubtasks(taskId, (subtasks) => moveSubtask(subtasks, fromIndex, toIndex));
+  }, [rearrangeSubtasks]);
+
+  /**
+   * Nest a subtask under the subtask above it
+   */
+  const indentSubtask = useCallback((taskId, subtaskId) => {
+    rearrangeSubtasks(taskId, (subtasks) => indentSubtaskInTree(subtasks, subtaskId));
+  }, [rearrangeSubtasks]);
+
+  /**
+   * Move a nested subtask up one level
+   */
+  const outdentSubtask = useCallback((taskId, subtaskId) => {
+    rearrangeSubtasks(taskId, (subtasks) => outdentSubtaskInTree(subtasks, subtaskId));
+  }, [rearrangeSubtasks]);
+
+  /**
+   * Turn a subtask into a full task that links back to its parent task.
+   * Its nested subtasks become the subtasks of the new task.
+   * @returns {Promise<Object|null>} The new task
+   */
+  const promoteSubtask = useCallback(async (taskId, subtaskId) => {
+    const task = tasks.find((t) => t.id === taskId);
+    if (!task || !canEditTask(taskId)) return null;
+
+    const { subtask, descendants, remaining } = detachSubtask(task.subtasks || [], subtaskId);
+    if (!subtask) return null;
+
+    const newTask = await addTask({
+      title: subtask.title,
+      listId: task.listId,
+      priority: task.priority,
+      dueDate: task.dueDate || null,
+      allDay: isAllDay(task),
+      completed: !!subtask.completed,
+      subtasks: descendants,
+      parentTaskId: taskId,
+    });
+    if (!newTask) return null;
+
     setTasks((prev) =>
-      prev.map((task) => {
-        if (task.id !== taskId) return task;
-        
-        const subtasks = [...(task.subtasks || [])];
-        const [movedItem] = subtasks.splice(fromIndex, 1);
-        subtasks.splice(toIndex, 0, movedItem);
-        
-        return {
-          ...task,
-          updatedAt: new Date().toISOString(),
-          subtasks,
-        };
-      })
+      prev.map((t) =>
+        t.id === taskId
+          ? applyTaskChanges(t, { subtasks: remaining }, actor)
+          : t
+      )
     );
-  }, []);
+    enqueueSyncOperation(SYNC_OPERATIONS.SUBTASK, taskId);
+
+    return newTask;
+  }, [tasks, canEditTask, addTask, actor]);
+
+  /**
+   * Make a task wait for another one
+   * @returns {boolean} False if not allowed or it would create a cycle
+   */
+  const addDependency = useCallback((taskId, blockerId) => {
+    const task = tasks.find((t) => t.id === taskId);
+    if (!task || !tasks.some((t) => t.id === blockerId) || !canEditTask(taskId)) return false;
+    if ((task.blockedBy || []).includes(blockerId)) return true;
+    if (wouldCreateCycle(tasks, taskId, blockerId)) return false;
+
+    setTasks((prev) =>
+      prev.map((t) =>
+        t.id === taskId
+          ? { ...t, blockedBy: [...(t.blockedBy || []), blockerId], updatedAt: new Date().toISOString() }
+          : t
+      )
+    );
+    enqueueSyncOperation(SYNC_OPERATIONS.UPDATE, taskId);
+    return true;
+  }, [tasks, canEditTask]);
+
+  /**
+   * Stop a task from waiting for another one
+   */
+  const removeDependency = useCallback((taskId, blockerId) => {
+    if (!canEditTask(taskId)) return;
+
+    setTasks((prev) =>
+      prev.map((t) =>
+        t.id === taskId
+          ? { ...t, blockedBy: (t.blockedBy || []).filter((id) => id !== blockerId), updatedAt: new Date().toISOString() }
+          : t
+      )
+    );
+    enqueueSyncOperation(SYNC_OPERATIONS.UPDATE, taskId);
+  }, [canEditTask]);
 
   /**
    * Add an attachment to a task
    */
   const addAttachment = useCallback((taskId, attachment) => {
+    if (!canEditTask(taskId)) return;
+
     setTasks((prev) =>
       prev.map((task) =>
         task.id === taskId
@@ -530,12 +1002,15 @@ export const TaskProvider = ({ children }) => {
           : task
       )
     );
-  }, []);
+    enqueueSyncOperation(SYNC_OPERATIONS.ATTACHMENT, taskId);
+  }, [canEditTask]);
 
   /**
    * Delete an attachment from a task
    */
   const deleteAttachment = useCallback(async (taskId, attachmentId) => {
+    if (!canEditTask(taskId)) return;
+
     const task = tasks.find((t) => t.id === taskId);
     const attachment = task?.attachments?.find((a) => a.id === attachmentId);
     
@@ -555,7 +1030,254 @@ export const TaskProvider = ({ children }) => {
           : task
       )
     );
-  }, [tasks]);
+    enqueueSyncOperation(SYNC_OPERATIONS.ATTACHMENT, taskId);
+  }, [tasks, canEditTask]);
+
+  /**
+   * Update local attachment state (upload status, stored file, downloaded copy).
+   * Does not touch updatedAt: these fields are device state, the synced ones
+   * are pushed by the sync hook.
+   */
+  const updateAttachment = useCallback((taskId, attachmentId, updates) => {
+    setTasks((prev) =>
+      prev.map((task) =>
+        task.id === taskId
+          ? {
+              ...task,
+              attachments: (task.attachments || []).map((a) =>
+                a.id === attachmentId ? { ...a, ...updates } : a
+              ),
+            }
+          : task
+      )
+    );
+  }, []);
+
+  /**
+   * Create lists after the existing ones
+   * @param {Array} listsData - [{ id?, name, color, icon }]
+   * @returns {Array} Created lists
+   */
+  const addLists = useCallback((listsData) => {
+    const created = [];
+    listsData
+      .filter((data) => data?.name?.trim())
+      .forEach((data) => {
+        created.push(createList(data, [...lists, ...created]));
+      });
+    if (created.length === 0) return [];
+
+    setLists((prev) => [...prev, ...created]);
+    enqueueSyncOperations(
+      created.map((l) => ({ type: SYNC_OPERATIONS.CREATE, listId: l.id }))
+    );
+    return created;
+  }, [lists]);
+
+  /**
+   * Create a list after the existing ones
+   * @param {Object} listData - { name, color, icon }
+   */
+  const addList = useCallback((listData) => {
+    return addLists([listData])[0] || null;
+  }, [addLists]);
+
+  /**
+   * Update a list's name, color or icon
+   */
+  const updateList = useCallback((listId, updates) => {
+    if (!canEditList(listId)) return;
+
+    setLists((prev) =>
+      prev.map((list) =>
+        list.id === listId ? { ...list, ...updates, updatedAt: new Date().toISOString() } : list
+      )
+    );
+    enqueueListOperation(SYNC_OPERATIONS.UPDATE, listId);
+  }, [canEditList]);
+
+  /**
+   * Archive or restore a list. Archived lists keep their tasks
+   * but can't receive new ones.
+   */
+  const archiveList = useCallback((listId, archived = true) => {
+    const activeCount = lists.filter((l) => !l.archived).length;
+    if (!canEditList(listId) || (archived && activeCount <= 1)) return false;
+
+    updateList(listId, { archived });
+    return true;
+  }, [lists, updateList, canEditList]);
+
+  /**
+   * Delete a list that has no tasks or recurring series.
+   * Shared lists must lose their members first.
+   * @returns {boolean} Whether the list was deleted
+   */
+  const deleteList = useCallback((listId) => {
+    const inUse = tasks.some((t) => t.listId === listId)
+      || recurringSeries.some((s) => s.listId === listId);
+    const activeCount = lists.filter((l) => !l.archived && l.id !== listId).length;
+    const shared = lists.find((l) => l.id === listId)?.members?.length > 1;
+    if (inUse || shared || activeCount === 0 || !canEditList(listId)) return false;
+
+    setLists((prev) => prev.filter((l) => l.id !== listId));
+    enqueueListOperation(SYNC_OPERATIONS.DELETE, listId);
+    return true;
+  }, [tasks, recurringSeries, lists, canEditList]);
+
+  /**
+   * Move a list to another position
+   */
+  const reorderLists = useCallback((listId, toIndex) => {
+    const { lists: reordered, changedIds } = moveList(lists, listId, toIndex);
+    if (changedIds.length === 0) return;
+
+    setLists(reordered);
+    enqueueSyncOperations(
+      changedIds.map((id) => ({ type: SYNC_OPERATIONS.UPDATE, listId: id }))
+    );
+  }, [lists]);
+
+  /**
+   * Get a list by ID
+   */
+  const getListById = useCallback((listId) => {
+    return lists.find((l) => l.id === listId);
+  }, [lists]);
+
+  /**
+   * Apply the members of shared lists to the local lists
+   * @param {Array} memberships - Member rows from the sharing service
+   */
+  const applyListMemberships = useCallback(async (memberships) => {
+    const userId = await getCurrentUserId();
+    setLists((prev) => applyMemberships(prev, memberships, userId));
+  }, []);
+
+  /**
+   * Invite someone to a list. Its tasks are uploaded again, since
+   * shared lists are stored without end-to-end encryption.
+   * @param {string} listId
+   * @param {string} role - EDITOR or VIEWER
+   * @param {Object} [profile] - { email, displayName } of the owner
+   * @returns {Promise<Object>} Invite with its code
+   */
+  const shareList = useCallback(async (listId, role, profile = {}) => {
+    const list = lists.find((l) => l.id === listId);
+    const { invite, memberships } = await inviteToList(list, { role, ...profile });
+
+    await applyListMemberships(memberships);
+    enqueueSyncOperations(
+      tasks
+        .filter((t) => t.listId === listId)
+        .map((t) => ({ type: SYNC_OPERATIONS.UPDATE, taskId: t.id }))
+    );
+    return invite;
+  }, [lists, tasks, applyListMemberships]);
+
+  /**
+   * Join a list shared by someone else. Its tasks arrive with the next sync.
+   * @param {string} code - Invite code
+   * @param {Object} [profile] - { email, displayName } shown to the other members
+   * @returns {Promise<Object>} Membership { list_id, role, ... }
+   */
+  const joinSharedList = useCallback(async (code, profile = {}) => {
+    const { member, memberships } = await joinList(code, profile);
+    await applyListMemberships(memberships);
+    return member;
+  }, [applyListMemberships]);
+
+  /**
+   * Change the role of a member of a shared list (owner only)
+   */
+  const setMemberRole = useCallback(async (listId, memberId, role) => {
+    const memberships = await changeMemberRole(listId, memberId, role);
+    await applyListMemberships(memberships);
+  }, [applyListMemberships]);
+
+  /**
+   * Remove a member from a shared list (owner only)
+   */
+  const removeMember = useCallback(async (listId, memberId) => {
+    const memberships = await removeListMember(listId, memberId);
+    await applyListMemberships(memberships);
+  }, [applyListMemberships]);
+
+  /**
+   * Leave a list shared by someone else. Its tasks disappear, except the
+   * ones this user created, which move to the default list.
+   */
+  const leaveSharedList = useCallback(async (listId) => {
+    const memberships = await removeListMember(listId);
+    const now = new Date().toISOString();
+    const ownTasks = tasks.filter((t) => t.listId === listId && !t.ownerId);
+
+    setTasks((prev) => prev
+      .filter((t) => t.listId !== listId || !t.ownerId)
+      .map((t) => (t.listId === listId
+        ? { ...t, listId: DEFAULT_LIST_ID, assigneeId: null, updatedAt: now }
+        : t))
+    );
+    setLists((prev) => prev.filter((l) => l.id !== listId));
+    await applyListMemberships(memberships);
+    enqueueSyncOperations(
+      ownTasks.map((t) => ({ type: SYNC_OPERATIONS.UPDATE, taskId: t.id }))
+    );
+  }, [tasks, applyListMemberships]);
+
+  /**
+   * Assign a task to a member of its list, or unassign it with null
+   */
+  const assignTask = useCallback((taskId, assigneeId) => {
+    const task = tasks.find((t) => t.id === taskId);
+    const list = lists.find((l) => l.id === task?.listId);
+    if (!task || !can(getListRole(list), LIST_ACTIONS.ASSIGN)) return;
+    if (assigneeId && !list?.members?.some((m) => m.userId === assigneeId)) return;
+
+    return updateTask(taskId, { assigneeId: assigneeId || null });
+  }, [tasks, lists, updateTask]);
+
+  /**
+   * Add a comment to a task
+   * @returns {Object|null} The new comment
+   */
+  const addComment = useCallback((taskId, text) => {
+    if (!canEditTask(taskId)) return null;
+
+    const comment = createComment(text, actor);
+    if (!comment) return null;
+
+    setTasks((prev) =>
+      prev.map((task) =>
+        task.id === taskId
+          ? { ...task, comments: [...(task.comments || []), comment], updatedAt: comment.createdAt }
+          : task
+      )
+    );
+    enqueueSyncOperation(SYNC_OPERATIONS.UPDATE, taskId);
+    return comment;
+  }, [canEditTask, actor]);
+
+  /**
+   * Delete a comment. Only its author can delete it.
+   */
+  const deleteComment = useCallback((taskId, commentId) => {
+    const comment = tasks.find((t) => t.id === taskId)?.comments?.find((c) => c.id === commentId);
+    if (!comment || !canEditTask(taskId) || (comment.authorId || null) !== actor.id) return;
+
+    setTasks((prev) =>
+      prev.map((task) =>
+        task.id === taskId
+          ? {
+              ...task,
+              comments: (task.comments || []).filter((c) => c.id !== commentId),
+              updatedAt: new Date().toISOString(),
+            }
+          : task
+      )
+    );
+    enqueueSyncOperation(SYNC_OPERATIONS.UPDATE, taskId);
+  }, [tasks, canEditTask, actor]);
 
   /**
    * Get attachments for a task
@@ -565,16 +1287,35 @@ export const TaskProvider = ({ children }) => {
     return task?.attachments || [];
   }, [tasks]);
 
+  // Cloud sync for the whole app: pulls remote changes and replays the
+  // queue while signed in, whichever screen is open
+  const cloudSync = useCloudSync(tasks, applySyncedTasks, {
+    onRemoteChange: applyRemoteChange,
+    recurringSeries,
+    setRecurringSeries: applySyncedSeries,
+    lists,
+    setLists: applySyncedLists,
+    updateAttachment,
+    enabled: !loading && !!user,
+  });
+
   return (
     <TaskContext.Provider
       value={{ 
         tasks, 
         recurringSeries,
+        lists,
         addTask, 
         deleteTask, 
         toggleCompleted, 
+        snoozeTask,
         updateTask,
         getStats,
+        applySyncedTasks,
+        applySyncedSeries,
+        applySyncedLists,
+        applyRemoteChange,
+        cloudSync,
         // Recurring task methods
         createRecurringTask,
         addGeneratedTasks,
@@ -591,13 +1332,43 @@ export const TaskProvider = ({ children }) => {
         deleteSubtask,
         updateSubtask,
         reorderSubtasks,
+        indentSubtask,
+        outdentSubtask,
+        promoteSubtask,
         getSubtaskProgress,
+        // Dependency methods
+        addDependency,
+        removeDependency,
         // Attachment methods
         addAttachment,
         deleteAttachment,
+        updateAttachment,
         getAttachments,
+        // Comment methods
+        addComment,
+        deleteComment,
+        // List methods
+        addList,
+        addLists,
+        updateList,
+        archiveList,
+        deleteList,
+        reorderLists,
+        getListById,
+        canEditList,
+        // Sharing methods
+        canEditTask,
+        shareList,
+        joinSharedList,
+        setMemberRole,
+        removeMember,
+        leaveSharedList,
+        assignTask,
+        applyListMemberships,
         loading,
         notificationsEnabled,
+        digestSettings,
+        updateDigestSettings,
       }}
     >
       {children}
@@ -0,0 +1,59 @@
+/**
+ * useBackupScheduler Hook
+ * TaskList App - Phase 2 Cloud Backup
+ *
+ * Creates automatic backups on schedule, independently of sync
+ */
+
+import { useEffect, useRef, useCallback } from 'react';
+import { AppState } from 'react-native';
+import { runScheduledBackup } from '../services/backupService';
+import { BACKUP_CONFIG } from '../config/supabase';
+
+/**
+ * Backup scheduler hook
+ * @param {Array} tasks - Current local tasks
+ * @param {boolean} [enabled] - Start checking once local tasks are loaded
+ */
+export const useBackupScheduler = (tasks, enabled = true) => {
+  const tasksRef = useRef(tasks);
+  const isRunningRef = useRef(false);
+
+  useEffect(() => {
+    tasksRef.current = tasks;
+  }, [tasks]);
+
+  const checkSchedule = useCallback(async () => {
+    if (isRunningRef.current) return;
+    isRunningRef.current = true;
+
+    try {
+      await runScheduledBackup(tasksRef.current);
+    } catch (error) {
+      console.error('Scheduled backup error:', error);
+    } finally {
+      isRunningRef.current = false;
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    checkSchedule();
+    const interval = setInterval(checkSchedule, BACKUP_CONFIG.SCHEDULER_CHECK_MS);
+
+    // Also check when the app comes to foreground
+    const subscription = AppState.addEventListener('change', nextAppState => {
+      if (nextAppState === 'active') {
+        checkSchedule();
+      }
+    });
+
+    return () => {
+      clearInterval(interval);
+      subscription.remove();
+    };
+  }, [enabled, checkSchedule]);
+};
+
+export default useBackupScheduler;
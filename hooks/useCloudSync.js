@@ -9,20 +9,90 @@ import { useState, useCallback, useEffect, useRef } from 'react';
 import { AppState } from 'react-native';
 import { 
   syncTasks, 
+  syncRecurringSeries,
+  syncTaskLists,
   getSyncStatus, 
   uploadToCloud,
+  uploadSeriesToCloud,
+  uploadListsToCloud,
   isAuthenticated,
+  getCurrentUserId,
+  getSyncQueue,
+  replaySyncQueue,
+  enqueueSyncOperations,
+  subscribeToSyncQueue,
+  subscribeToTaskChanges,
+  isSyncConfigured,
+  getListMemberships,
+  refreshListMemberships,
+  SYNC_OPERATIONS,
 } from '../services/cloudSyncService';
-import { createBackup, isBackupNeeded } from '../services/backupService';
-import { isSupabaseConfigured, SYNC_CONFIG } from '../config/supabase';
+import { uploadPendingAttachments, applyAttachmentUploads } from '../services/attachmentSyncService';
+import { applyMemberships } from '../services/sharingService';
+import { mergeSyncResult } from '../utils/syncMerge';
+import { SYNC_CONFIG } from '../config/supabase';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Replay the sync queue, retrying with exponential backoff
+ * @param {Array} tasks - Current local tasks
+ * @param {Array} series - Current local recurring series
+ * @param {Array} lists - Current local task lists
+ */
+const replayWithRetry = async (tasks, series, lists) => {
+  let lastError = null;
+
+  for (let attempt = 0; attempt < SYNC_CONFIG.RETRY_ATTEMPTS; attempt++) {
+    try {
+      return await replaySyncQueue(tasks, series, lists);
+    } catch (error) {
+      lastError = error;
+      console.error(`Sync queue replay failed (attempt ${attempt + 1}):`, error);
+      if (attempt < SYNC_CONFIG.RETRY_ATTEMPTS - 1) {
+        await wait(SYNC_CONFIG.RETRY_DELAY_MS * Math.pow(2, attempt));
+      }
+    }
+  }
+
+  throw lastError;
+};
 
 /**
  * Cloud sync hook for managing synchronization
+ * @param {Array} tasks - Current local tasks
+ * @param {Function} setTasks - Applies sync results (syncedTasks, snapshot)
+ *   on top of the local tasks the sync started from
+ * @param {Object} [options]
+ * @param {Function} [options.onRemoteChange] - Applies a realtime change
+ *   (change, base) to local state; enables realtime mode when provided
+ * @param {Array} [options.recurringSeries] - Current local recurring series
+ * @param {Function} [options.setRecurringSeries] - Replaces local series
+ *   with sync results; series are synced when provided
+ * @param {Array} [options.lists] - Current local task lists
+ * @param {Function} [options.setLists] - Replaces local lists with sync
+ *   results; lists are synced when provided
+ * @param {Function} [options.updateAttachment] - Applies attachment upload
+ *   state (taskId, attachmentId, updates); files are uploaded when provided
+ * @param {boolean} [options.enabled=true] - Sync in the background, e.g.
+ *   once the user is signed in and local data is loaded
  */
-export const useCloudSync = (tasks, setTasks) => {
+export const useCloudSync = (tasks, setTasks, {
+  onRemoteChange,
+  recurringSeries,
+  setRecurringSeries,
+  lists,
+  setLists,
+  updateAttachment,
+  enabled = true,
+} = {}) => {
   const [isSyncing, setIsSyncing] = useState(false);
   const [syncError, setSyncError] = useState(null);
   const [lastSync, setLastSync] = useState(null);
+  const [pendingOperations, setPendingOperations] = useState(0);
+  const [realtimeConnected, setRealtimeConnected] = useState(false);
+  // Shared lists followed by the realtime subscription, as a stable key
+  const [sharedListKey, setSharedListKey] = useState('');
   const [syncStatus, setSyncStatus] = useState({
     isConfigured: false,
     isAuthenticated: false,
@@ -31,20 +101,81 @@ export const useCloudSync = (tasks, setTasks) => {
 
   const syncIntervalRef = useRef(null);
   const appStateRef = useRef(AppState.currentState);
+  const onRemoteChangeRef = useRef(onRemoteChange);
+  const performSyncRef = useRef(null);
+  const wasDisconnectedRef = useRef(false);
+  // Set while a sync or push runs, so they never overlap
+  const busyRef = useRef(false);
+  // Latest local state, for pushes that run after a delay
+  const stateRef = useRef({ tasks, recurringSeries, lists });
+  stateRef.current = { tasks, recurringSeries, lists };
 
-  // Check sync status on mount
+  useEffect(() => {
+    onRemoteChangeRef.current = onRemoteChange;
+  }, [onRemoteChange]);
+
+  const realtimeEnabled = SYNC_CONFIG.REALTIME_ENABLED && !!onRemoteChange;
+
+  const canSync = enabled && syncStatus.isAuthenticated && syncStatus.isConfigured;
+
+  // Check sync status on mount and when the signed-in user changes
   useEffect(() => {
     checkSyncStatus();
-  }, []);
+  }, [enabled]);
+
+  // Realtime subscription to remote task changes
+  useEffect(() => {
+    if (!realtimeEnabled || !canSync) {
+      return;
+    }
+
+    let unsubscribe = null;
+    let cancelled = false;
+
+    const subscribe = async () => {
+      const userId = await getCurrentUserId();
+      if (!userId || cancelled) return;
+
+      const sharedListIds = [...new Set((await getListMemberships(userId)).map(m => m.list_id))];
+      if (cancelled) return;
+
+      unsubscribe = subscribeToTaskChanges(
+        userId,
+        (change, base) => onRemoteChangeRef.current?.(change, base),
+        (status) => {
+          if (status === 'SUBSCRIBED') {
+            setRealtimeConnected(true);
+            // Catch up on changes missed while the socket was down
+            if (wasDisconnectedRef.current) {
+              wasDisconnectedRef.current = false;
+              performSyncRef.current?.(true);
+            }
+          } else {
+            wasDisconnectedRef.current = true;
+            setRealtimeConnected(false);
+          }
+        },
+        { sharedListIds }
+      );
+    };
+
+    subscribe();
+
+    return () => {
+      cancelled = true;
+      if (unsubscribe) unsubscribe();
+      setRealtimeConnected(false);
+    };
+  }, [realtimeEnabled, canSync, sharedListKey]);
 
-  // Auto-sync interval
+  // Auto-sync interval, as a fallback while realtime is not connected. While
+  // offline the channel is down too, so queued changes are replayed by the
+  // next tick or by the catch-up sync once the channel reconnects.
   useEffect(() => {
-    if (syncStatus.isAuthenticated && syncStatus.isConfigured) {
+    if (canSync && !realtimeConnected) {
       // Start auto-sync interval
       syncIntervalRef.current = setInterval(() => {
-        if (!isSyncing) {
-          performSync(true); // silent sync
-        }
+        performSyncRef.current?.(true); // silent sync
       }, SYNC_CONFIG.AUTO_SYNC_INTERVAL_MS);
 
       return () => {
@@ -53,17 +184,15 @@ export const useCloudSync = (tasks, setTasks) => {
         }
       };
     }
-  }, [syncStatus.isAuthenticated, syncStatus.isConfigured]);
+  }, [canSync, realtimeConnected]);
 
   // Sync when app comes to foreground
   useEffect(() => {
+    if (!canSync) return;
+
     const subscription = AppState.addEventListener('change', nextAppState => {
-      if (
-        appStateRef.current.match(/inactive|background/) &&
-        nextAppState === 'active' &&
-        syncStatus.isAuthenticated
-      ) {
-        performSync(true);
+      if (appStateRef.current.match(/inactive|background/) && nextAppState === 'active') {
+        performSyncRef.current?.(true);
       }
       appStateRef.current = nextAppState;
     });
@@ -71,16 +200,20 @@ export const useCloudSync = (tasks, setTasks) => {
     return () => {
       subscription?.remove();
     };
-  }, [syncStatus.isAuthenticated]);
+  }, [canSync]);
 
   /**
    * Check current sync status
    */
   const checkSyncStatus = useCallback(async () => {
     try {
-      const status = await getSyncStatus();
+      const [status, queue] = await Promise.all([
+        getSyncStatus(),
+        getSyncQueue(),
+      ]);
       setSyncStatus(status);
       setLastSync(status.lastSync);
+      setPendingOperations(queue.length);
     } catch (error) {
       console.error('Error checking sync status:', error);
     }
@@ -89,29 +222,74 @@ export const useCloudSync = (tasks, setTasks) => {
   /**
    * Perform sync operation
    * @param {boolean} silent - If true, don't show errors to user
+   * @param {Object} [options]
+   * @param {boolean} [options.full=false] - Pull everything instead of the changes since the last sync
    */
-  const performSync = useCallback(async (silent = false) => {
-    if (isSyncing) return;
-    if (!isSupabaseConfigured()) return;
+  const performSync = useCallback(async (silent = false, { full = false } = {}) => {
+    if (busyRef.current) return;
+    if (!isSyncConfigured()) return;
 
+    busyRef.current = true;
     const isAuth = await isAuthenticated();
-    if (!isAuth) return;
+    if (!isAuth) {
+      busyRef.current = false;
+      return;
+    }
 
     setIsSyncing(true);
     setSyncError(null);
 
     try {
-      const result = await syncTasks(tasks);
+      // Members of shared lists decide which lists and tasks are pulled
+      const userId = await getCurrentUserId();
+      const memberships = await refreshListMemberships();
+      setSharedListKey([...new Set(memberships.map(m => m.list_id))].sort().join(','));
+
+      // Lists first, so downloaded tasks and series find their list
+      let taskLists = lists || [];
+      if (setLists) {
+        const listsResult = await syncTaskLists(taskLists, { full });
+        if (listsResult.success) {
+          taskLists = applyMemberships(listsResult.lists, memberships, userId);
+          setLists(taskLists);
+        }
+      }
+
+      // Series next, so downloaded instances have their series to extend them
+      let series = recurringSeries || [];
+      if (setRecurringSeries) {
+        const seriesResult = await syncRecurringSeries(series, { full });
+        if (seriesResult.success) {
+          series = seriesResult.series;
+          setRecurringSeries(series);
+        }
+      }
+
+      // Tasks may change while the network calls run, so the result is
+      // applied on top of the latest state
+      const snapshot = stateRef.current.tasks;
+      const result = await syncTasks(snapshot, { full });
 
       if (result.success) {
-        setTasks(result.tasks);
-        setLastSync(new Date());
-        
-        // Check if auto backup is needed
-        const needsBackup = await isBackupNeeded();
-        if (needsBackup) {
-          await createBackup(result.tasks, true);
+        await setTasks(result.tasks, snapshot);
+
+        // Upload new attachment files, then push their hashes with the queue
+        let uploads = [];
+        if (updateAttachment) {
+          uploads = await uploadPendingAttachments(result.tasks, updateAttachment);
+          if (uploads.length > 0) {
+            const taskIds = [...new Set(uploads.map(({ taskId }) => taskId))];
+            await enqueueSyncOperations(taskIds.map(taskId => ({
+              type: SYNC_OPERATIONS.ATTACHMENT,
+              taskId,
+            })));
+          }
         }
+
+        // Push queued changes (including deletes) from the current state
+        const currentTasks = mergeSyncResult(stateRef.current.tasks, snapshot, result.tasks);
+        await replayWithRetry(applyAttachmentUploads(currentTasks, uploads), series, taskLists);
+        setLastSync(new Date());
       } else if (!silent) {
         setSyncError(result.error);
       }
@@ -125,16 +303,70 @@ export const useCloudSync = (tasks, setTasks) => {
       }
       return { success: false, error: error.message };
     } finally {
+      busyRef.current = false;
       setIsSyncing(false);
     }
-  }, [tasks, setTasks, isSyncing, checkSyncStatus]);
+  }, [setTasks, recurringSeries, setRecurringSeries, lists, setLists, updateAttachment, checkSyncStatus]);
+
+  useEffect(() => {
+    performSyncRef.current = performSync;
+  }, [performSync]);
+
+  // Sync once at launch or sign-in, replaying changes queued while closed
+  useEffect(() => {
+    if (canSync) performSyncRef.current?.(true);
+  }, [canSync]);
+
+  /**
+   * Push queued local changes without pulling; realtime brings remote ones
+   * @returns {Promise<boolean>} False when a sync was running and nothing was pushed
+   */
+  const pushQueue = useCallback(async () => {
+    if (busyRef.current) return false;
+    busyRef.current = true;
+
+    try {
+      const { tasks: currentTasks, recurringSeries: currentSeries, lists: currentLists } = stateRef.current;
+      await replayWithRetry(currentTasks, currentSeries || [], currentLists || []);
+    } catch (error) {
+      // Failed operations stay queued for the next push or sync
+      console.error('Push error:', error);
+    } finally {
+      busyRef.current = false;
+    }
+
+    await checkSyncStatus();
+    return true;
+  }, [checkSyncStatus]);
+
+  // Push local changes shortly after they're queued while realtime is up,
+  // since the auto-sync interval only runs while it's down
+  useEffect(() => {
+    if (!canSync || !realtimeConnected) return;
+
+    let timer = null;
+    const schedulePush = () => {
+      clearTimeout(timer);
+      timer = setTimeout(async () => {
+        // Try again once the running sync finishes
+        if (!(await pushQueue())) schedulePush();
+      }, SYNC_CONFIG.PUSH_DEBOUNCE_MS);
+    };
+
+    const unsubscribe = subscribeToSyncQueue(schedulePush);
+
+    return () => {
+      unsubscribe();
+      clearTimeout(timer);
+    };
+  }, [canSync, realtimeConnected, pushQueue]);
 
   /**
    * Force upload all local tasks to cloud
    */
   const forceUpload = useCallback(async () => {
-    if (!isSupabaseConfigured()) {
-      return { success: false, error: 'Supabase no configurado' };
+    if (!isSyncConfigured()) {
+      return { success: false, error: 'Sincronización no configurada' };
     }
 
     const isAuth = await isAuthenticated();
@@ -146,6 +378,12 @@ export const useCloudSync = (tasks, setTasks) => {
     setSyncError(null);
 
     try {
+      if (lists) {
+        await uploadListsToCloud(lists);
+      }
+      if (recurringSeries) {
+        await uploadSeriesToCloud(recurringSeries);
+      }
       const result = await uploadToCloud(tasks);
       setLastSync(new Date());
       await checkSyncStatus();
@@ -157,7 +395,7 @@ export const useCloudSync = (tasks, setTasks) => {
     } finally {
       setIsSyncing(false);
     }
-  }, [tasks, checkSyncStatus]);
+  }, [tasks, recurringSeries, lists, checkSyncStatus]);
 
   /**
    * Manual sync trigger
@@ -166,6 +404,13 @@ export const useCloudSync = (tasks, setTasks) => {
     return performSync(false);
   }, [performSync]);
 
+  /**
+   * Full resync: pull and compare every task instead of only the changes
+   */
+  const fullResync = useCallback(() => {
+    return performSync(false, { full: true });
+  }, [performSync]);
+
   /**
    * Clear sync error
    */
@@ -177,8 +422,11 @@ export const useCloudSync = (tasks, setTasks) => {
     isSyncing,
     syncError,
     lastSync,
+    pendingOperations,
+    realtimeConnected,
     syncStatus,
     sync,
+    fullResync,
     forceUpload,
     checkSyncStatus,
     clearError,
@@ -0,0 +1,76 @@
+/**
+ * useDigestScheduler Hook
+ * Task List App 2026
+ *
+ * Keeps the morning digest and evening review notifications up to date:
+ * they are rescheduled when tasks or settings change and when the app
+ * comes back to the foreground.
+ */
+
+import { useEffect, useRef, useCallback } from 'react';
+import { AppState, Platform } from 'react-native';
+import {
+  scheduleDigestNotification,
+  cancelDigestNotification,
+} from '../utils/notifications';
+import {
+  DIGEST_TYPES,
+  getNextDigestTime,
+  buildMorningDigest,
+  buildEveningReview,
+} from '../utils/dailyDigest';
+import { isToday } from '../utils/dateHelpers';
+
+// Wait for a burst of task changes to settle before rescheduling
+const RESCHEDULE_DELAY_MS = 1000;
+
+/**
+ * Digest scheduler hook
+ * @param {Object} options
+ * @param {Array} options.tasks - Current local tasks
+ * @param {Object} options.settings - Digest settings keyed by digest type
+ * @param {boolean} options.enabled - Whether notifications are allowed
+ * @param {Function} options.getStats - Task statistics
+ * @param {Function} [options.getTodayStats] - Stats of today, from StatsContext
+ */
+export const useDigestScheduler = ({ tasks, settings, enabled, getStats, getTodayStats }) => {
+  const latestRef = useRef({ tasks, getStats, getTodayStats });
+  latestRef.current = { tasks, getStats, getTodayStats };
+
+  const reschedule = useCallback(async () => {
+    if (Platform.OS === 'web') return;
+    const { tasks, getStats, getTodayStats } = latestRef.current;
+
+    for (const type of Object.values(DIGEST_TYPES)) {
+      const setting = settings?.[type];
+      if (!enabled || !setting?.enabled) {
+        await cancelDigestNotification(type);
+        continue;
+      }
+
+      const time = getNextDigestTime(setting);
+      const content = type === DIGEST_TYPES.MORNING
+        ? buildMorningDigest(tasks, getStats(), time)
+        : buildEveningReview(tasks, isToday(time) ? getTodayStats?.() || null : null, time);
+
+      await scheduleDigestNotification(type, content, time);
+    }
+  }, [settings, enabled]);
+
+  useEffect(() => {
+    const timer = setTimeout(reschedule, RESCHEDULE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [tasks, reschedule]);
+
+  // A new day may have started while the app was in the background
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', nextAppState => {
+      if (nextAppState === 'active') {
+        reschedule();
+      }
+    });
+    return () => subscription.remove();
+  }, [reschedule]);
+};
+
+export default useDigestScheduler;
@@ -1,31 +1,57 @@
 /**
  * useNotifications Hook
  * Task List App 2026
- * 
- * React hook for managing notification state and listeners
+ *
+ * React hook for managing notification state and listeners.
+ * Handles the action buttons of task reminders: Complete and the
+ * snooze options run in place, tapping the notification opens the task.
+ * Responses wait until the app is ready, including the one that launched it.
  */
 
 import { useState, useEffect, useRef } from 'react';
 import { Platform } from 'react-native';
+import { router } from 'expo-router';
 import * as Notifications from 'expo-notifications';
-import { 
+import {
   requestNotificationPermissions,
-  scheduleTaskDueDateNotification,
-  cancelNotification,
+  registerNotificationCategories,
+  scheduleTaskReminders,
+  cancelTaskReminders,
 } from '../utils/notifications';
+import { dispatchNotificationResponse, createResponseQueue } from '../utils/notificationResponses';
 
-export default function useNotifications() {
+/**
+ * @param {Object} [handlers]
+ * @param {Function} [handlers.onComplete] - (taskId) => void
+ * @param {Function} [handlers.onSnooze] - (taskId, option) => void
+ * @param {boolean} [handlers.ready=true] - Whether the handlers can act yet,
+ *   e.g. once tasks are loaded; responses wait until then
+ */
+export default function useNotifications({ onComplete, onSnooze, ready = true } = {}) {
   const [hasPermission, setHasPermission] = useState(false);
   const [notification, setNotification] = useState(null);
   const notificationListener = useRef();
   const responseListener = useRef();
 
+  // Listeners are set up once, so they call the latest handlers
+  const handlersRef = useRef({ onComplete, onSnooze });
+  handlersRef.current = { onComplete, onSnooze };
+
+  const queueRef = useRef(null);
+  if (!queueRef.current) {
+    queueRef.current = createResponseQueue((response) => handleNotificationResponse(response));
+  }
+
+  // Run the responses that arrived before the handlers were ready
   useEffect(() => {
-    // Request permissions on mount
-    checkPermissions();
+    queueRef.current.setReady(ready);
+  }, [ready]);
 
+  useEffect(() => {
     // Set up notification listeners (not on web)
     if (Platform.OS !== 'web') {
+      registerNotificationCategories();
+
       // Listener for when a notification is received while app is foregrounded
       notificationListener.current = Notifications.addNotificationReceivedListener(
         (notification) => {
@@ -34,15 +60,20 @@ export default function useNotifications() {
         }
       );
 
-      // Listener for when user taps on a notification
+      // Listener for when user taps on a notification or one of its actions
       responseListener.current = Notifications.addNotificationResponseReceivedListener(
         (response) => {
-          const data = response.notification.request.content.data;
-          console.log('Notification tapped:', data);
-          // Handle navigation to task here if needed
-          handleNotificationResponse(data);
+          console.log('Notification response:', response.actionIdentifier);
+          queueRef.current.receive(response);
         }
       );
+
+      // The response that launched the app came before the listener
+      Notifications.getLastNotificationResponseAsync()
+        .then((response) => {
+          if (response) queueRef.current.receive(response);
+        })
+        .catch((error) => console.error('Error getting last notification response:', error));
     }
 
     return () => {
@@ -62,36 +93,39 @@ export default function useNotifications() {
     return granted;
   };
 
-  const handleNotificationResponse = (data) => {
-    if (data?.taskId) {
-      // Could emit an event or use navigation here
-      console.log('Should navigate to task:', data.taskId);
+  const handleNotificationResponse = async (response) => {
+    const isAction = await dispatchNotificationResponse(response, {
+      ...handlersRef.current,
+      onOpen: (taskId) => router.push(`/task-details?taskId=${taskId}`),
+    });
+    if (!isAction) return;
+
+    // Actions run in the background, clear the notification they came from
+    try {
+      await Notifications.dismissNotificationAsync(response.notification.request.identifier);
+    } catch (error) {
+      console.error('Error dismissing notification:', error);
     }
   };
 
   /**
-   * Schedule notification for a task with due date
-   * Stores the notification ID on the task for later cancellation
+   * Schedule the reminders of a task
+   * Returns the notification ids to store on the task for later cancellation
    */
   const scheduleForTask = async (task) => {
     if (!hasPermission) {
       const granted = await checkPermissions();
-      if (!granted) return null;
+      if (!granted) return {};
     }
 
-    if (!task.dueDate) return null;
-
-    const notificationId = await scheduleTaskDueDateNotification(task);
-    return notificationId;
+    return scheduleTaskReminders(task);
   };
 
   /**
-   * Cancel notification for a task
+   * Cancel the scheduled reminders of a task
    */
-  const cancelForTask = async (notificationId) => {
-    if (notificationId) {
-      await cancelNotification(notificationId);
-    }
+  const cancelForTask = async (task) => {
+    await cancelTaskReminders(task);
   };
 
   return {
@@ -0,0 +1,79 @@
+import { selectBackupsToKeep } from '../backupService';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: (length) => new Uint8Array(require('crypto').randomBytes(length)),
+}));
+
+jest.mock('expo-secure-store', () => ({
+  getItemAsync: jest.fn(async () => null),
+  setItemAsync: jest.fn(async () => {}),
+  deleteItemAsync: jest.fn(async () => {}),
+}));
+
+jest.mock('../../config/supabase', () => ({
+  supabase: {},
+  TABLES: { BACKUPS: 'backups' },
+  BACKUP_CONFIG: {},
+  SYNC_CONFIG: { BATCH_SIZE: 50 },
+  isSupabaseConfigured: () => true,
+}));
+
+// One automatic backup every day at noon, newest first, ending on Sunday 2026-03-15
+const dailyBackups = (days) => Array.from({ length: days }, (_, i) => {
+  const date = new Date(2026, 2, 15 - i, 12);
+  return { id: `b${i}`, created_at: date.toISOString(), is_automatic: true };
+});
+
+describe('selectBackupsToKeep', () => {
+  it('keeps the newest backup of each of the last days', () => {
+    const backups = [
+      ...dailyBackups(3),
+      { id: 'same-day-older', created_at: new Date(2026, 2, 15, 8).toISOString(), is_automatic: true },
+    ];
+
+    const keep = selectBackupsToKeep(backups, { daily: 2, weekly: 0, monthly: 0 });
+
+    expect([...keep].sort()).toEqual(['b0', 'b1']);
+  });
+
+  it('rotates days, weeks and months together', () => {
+    const backups = dailyBackups(70);
+
+    const keep = selectBackupsToKeep(backups, { daily: 3, weekly: 2, monthly: 3 });
+
+    // Days: Mar 15, 14, 13. Weeks: Mar 15 (week of Mar 9), Mar 8 (week of Mar 2).
+    // Months: Mar 15, Feb 28, Jan 31.
+    const expected = ['b0', 'b1', 'b2', 'b7', 'b15', 'b43'];
+    expect([...keep].sort()).toEqual(expected.sort());
+  });
+
+  it('always keeps the newest backup', () => {
+    const keep = selectBackupsToKeep(dailyBackups(5), { daily: 0, weekly: 0, monthly: 0 });
+
+    expect([...keep]).toEqual(['b0']);
+  });
+
+  it('never rotates manual backups or safety snapshots', () => {
+    const backups = [
+      ...dailyBackups(5),
+      { id: 'manual', created_at: new Date(2026, 1, 1, 12).toISOString(), is_automatic: false },
+      { id: 'snapshot', created_at: new Date(2026, 2, 15, 8).toISOString(), is_automatic: false },
+    ];
+
+    const keep = selectBackupsToKeep(backups, { daily: 1, weekly: 0, monthly: 0 });
+
+    expect([...keep].sort()).toEqual(['b0', 'manual', 'snapshot']);
+  });
+
+  it('does not depend on input order', () => {
+    const backups = dailyBackups(10);
+    const retention = { daily: 2, weekly: 1, monthly: 1 };
+
+    expect(selectBackupsToKeep([...backups].reverse(), retention))
+      .toEqual(selectBackupsToKeep(backups, retention));
+  });
+});
@@ -0,0 +1,191 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { supabase } from '../../config/supabase';
+import {
+  subscribeToTaskChanges,
+  realtimePayloadToChange,
+  applyRealtimeChange,
+  getSyncBase,
+  enqueueSyncOperation,
+  subscribeToSyncQueue,
+  SYNC_OPERATIONS,
+} from '../cloudSyncService';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: (length) => new Uint8Array(require('crypto').randomBytes(length)),
+}));
+
+jest.mock('expo-secure-store', () => ({
+  getItemAsync: jest.fn(async () => null),
+  setItemAsync: jest.fn(async () => {}),
+  deleteItemAsync: jest.fn(async () => {}),
+}));
+
+jest.mock('../../config/supabase', () => {
+  const mockChannel = {
+    handlers: [],
+    statusCallback: null,
+    on: jest.fn(function (type, filter, handler) {
+      this.handlers.push({ type, filter, handler });
+      return this;
+    }),
+    subscribe: jest.fn(function (callback) {
+      this.statusCallback = callback;
+      return this;
+    }),
+    emit(payload) {
+      return Promise.all(this.handlers.map(({ handler }) => handler(payload)));
+    },
+  };
+
+  return {
+    supabase: {
+      channel: jest.fn(() => mockChannel),
+      removeChannel: jest.fn(),
+    },
+    TABLES: { TASKS: 'tasks' },
+    SYNC_CONFIG: { BATCH_SIZE: 50 },
+    isSupabaseConfigured: () => true,
+  };
+});
+
+const cloudRow = (overrides = {}) => ({
+  id: 'task-1',
+  user_id: 'user-1',
+  title: 'Comprar pan',
+  description: null,
+  list_id: 'shopping',
+  priority: 'medium',
+  completed: false,
+  due_date: null,
+  subtasks: '[]',
+  attachments: '[]',
+  updated_at: '2026-01-02T10:00:00.000Z',
+  synced_at: '2026-01-02T10:00:00.000Z',
+  deleted: false,
+  ...overrides,
+});
+
+const localTask = (overrides = {}) => ({
+  id: 'task-1',
+  title: 'Comprar pan',
+  description: '',
+  listId: 'shopping',
+  priority: 'medium',
+  completed: false,
+  dueDate: null,
+  subtasks: [],
+  attachments: [],
+  updatedAt: '2026-01-01T10:00:00.000Z',
+  ...overrides,
+});
+
+describe('realtime sync', () => {
+  let channel;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    channel = supabase.channel();
+    channel.handlers = [];
+    channel.statusCallback = null;
+    jest.clearAllMocks();
+  });
+
+  it('subscribes to the current user\'s task rows', () => {
+    subscribeToTaskChanges('user-1', jest.fn());
+
+    expect(supabase.channel).toHaveBeenCalledWith('tasks:user-1');
+    expect(channel.on).toHaveBeenCalledWith(
+      'postgres_changes',
+      expect.objectContaining({ table: 'tasks', filter: 'user_id=eq.user-1' }),
+      expect.any(Function)
+    );
+  });
+
+  it('reports channel status and removes the channel on unsubscribe', () => {
+    const onStatus = jest.fn();
+    const unsubscribe = subscribeToTaskChanges('user-1', jest.fn(), onStatus);
+
+    channel.statusCallback('SUBSCRIBED');
+    channel.statusCallback('CHANNEL_ERROR');
+    unsubscribe();
+
+    expect(onStatus.mock.calls).toEqual([['SUBSCRIBED'], ['CHANNEL_ERROR']]);
+    expect(supabase.removeChannel).toHaveBeenCalledWith(channel);
+  });
+
+  it('forwards remote inserts in local format and records them as sync base', async () => {
+    const onChange = jest.fn();
+    subscribeToTaskChanges('user-1', onChange);
+
+    await channel.emit({ eventType: 'INSERT', new: cloudRow(), old: {} });
+
+    expect(onChange).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: 'upsert',
+        taskId: 'task-1',
+        task: expect.objectContaining({ title: 'Comprar pan', listId: 'shopping' }),
+      }),
+      null
+    );
+    expect((await getSyncBase())['task-1']).toEqual(
+      expect.objectContaining({ title: 'Comprar pan' })
+    );
+  });
+
+  it('treats tombstones and hard deletes as deletions', () => {
+    expect(realtimePayloadToChange({ eventType: 'UPDATE', new: cloudRow({ deleted: true }) }))
+      .toEqual({ type: 'delete', taskId: 'task-1', task: null });
+    expect(realtimePayloadToChange({ eventType: 'DELETE', new: {}, old: { id: 'task-1' } }))
+      .toEqual({ type: 'delete', taskId: 'task-1', task: null });
+  });
+
+  it('applies inserts, updates and deletes to local tasks', () => {
+    const insert = realtimePayloadToChange({ eventType: 'INSERT', new: cloudRow({ id: 'task-2' }) });
+    const update = realtimePayloadToChange({ eventType: 'UPDATE', new: cloudRow({ priority: 'high' }) });
+    const remove = realtimePayloadToChange({ eventType: 'UPDATE', new: cloudRow({ deleted: true }) });
+
+    let tasks = [localTask()];
+    tasks = applyRealtimeChange(tasks, insert);
+    expect(tasks.map(t => t.id)).toEqual(['task-1', 'task-2']);
+
+    tasks = applyRealtimeChange(tasks, update, localTask());
+    expect(tasks.find(t => t.id === 'task-1').priority).toBe('high');
+
+    tasks = applyRealtimeChange(tasks, remove);
+    expect(tasks.map(t => t.id)).toEqual(['task-2']);
+  });
+
+  it('keeps unsynced local edits to other fields', () => {
+    const base = localTask();
+    const local = localTask({ title: 'Comprar pan integral', updatedAt: '2026-01-01T12:00:00.000Z' });
+    const update = realtimePayloadToChange({ eventType: 'UPDATE', new: cloudRow({ priority: 'high' }) });
+
+    const [merged] = applyRealtimeChange([local], update, base);
+
+    expect(merged.title).toBe('Comprar pan integral');
+    expect(merged.priority).toBe('high');
+  });
+});
+
+describe('sync queue', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  it('notifies subscribers once queued operations are saved', async () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToSyncQueue(listener);
+
+    await enqueueSyncOperation(SYNC_OPERATIONS.UPDATE, 'task-1');
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    unsubscribe();
+    await enqueueSyncOperation(SYNC_OPERATIONS.UPDATE, 'task-2');
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,77 @@
+import * as TaskManager from 'expo-task-manager';
+import * as Location from 'expo-location';
+
+import { GEOFENCE_TASK, handleGeofenceEvent, syncGeofences } from '../geofenceService';
+import { loadTasks } from '../../utils/storage';
+import { sendTaskLocationNotification } from '../../utils/notifications';
+import { createPlace, GEOFENCE_EVENT_TYPES } from '../../utils/taskLocation';
+
+jest.mock('react-native', () => ({ Platform: { OS: 'ios' } }));
+
+jest.mock('expo-task-manager', () => ({
+  defineTask: jest.fn(),
+}));
+
+jest.mock('expo-location', () => ({
+  requestForegroundPermissionsAsync: jest.fn(async () => ({ status: 'granted' })),
+  requestBackgroundPermissionsAsync: jest.fn(async () => ({ status: 'granted' })),
+  getBackgroundPermissionsAsync: jest.fn(async () => ({ status: 'denied' })),
+  hasStartedGeofencingAsync: jest.fn(async () => false),
+  startGeofencingAsync: jest.fn(async () => {}),
+  stopGeofencingAsync: jest.fn(async () => {}),
+}));
+
+jest.mock('../../utils/storage', () => ({
+  loadTasks: jest.fn(async () => []),
+}));
+
+jest.mock('../../utils/notifications', () => ({
+  sendTaskLocationNotification: jest.fn(async () => {}),
+}));
+
+const store = createPlace({ name: 'Mercado', latitude: 40.4168, longitude: -3.7038, radius: 200 });
+const shopping = { id: 'compra', title: 'Comprar fruta', completed: false, place: store };
+
+const locationEvent = (eventType, identifier = 'compra') => ({
+  eventType,
+  region: { identifier, latitude: store.latitude, longitude: store.longitude, radius: 200 },
+});
+
+// The background task registered when the service loads
+const [[taskName, runGeofenceTask]] = TaskManager.defineTask.mock.calls;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('geofenceService', () => {
+  it('registers the background task', () => {
+    expect(taskName).toBe(GEOFENCE_TASK);
+  });
+
+  it('reminds of a watched task when its area is entered', async () => {
+    loadTasks.mockResolvedValue([shopping]);
+
+    await runGeofenceTask({ data: locationEvent(GEOFENCE_EVENT_TYPES.ENTER), error: null });
+    expect(sendTaskLocationNotification).toHaveBeenCalledWith(shopping);
+  });
+
+  it('ignores exits, completed tasks and unknown tasks', async () => {
+    loadTasks.mockResolvedValue([shopping, { ...shopping, id: 'hecha', completed: true }]);
+
+    await runGeofenceTask({ data: locationEvent(GEOFENCE_EVENT_TYPES.EXIT), error: null });
+    await expect(handleGeofenceEvent(locationEvent(GEOFENCE_EVENT_TYPES.ENTER, 'hecha'))).resolves.toBeNull();
+    await expect(handleGeofenceEvent(locationEvent(GEOFENCE_EVENT_TYPES.ENTER, 'borrada'))).resolves.toBeNull();
+    expect(sendTaskLocationNotification).not.toHaveBeenCalled();
+  });
+
+  it('does not ask for permissions when watched places change', async () => {
+    await expect(syncGeofences([shopping])).resolves.toBe(0);
+    expect(Location.requestBackgroundPermissionsAsync).not.toHaveBeenCalled();
+    expect(Location.startGeofencingAsync).not.toHaveBeenCalled();
+
+    Location.getBackgroundPermissionsAsync.mockResolvedValueOnce({ status: 'granted' });
+    await expect(syncGeofences([shopping])).resolves.toBe(1);
+    expect(Location.startGeofencingAsync).toHaveBeenCalledWith(GEOFENCE_TASK, expect.any(Array));
+  });
+});
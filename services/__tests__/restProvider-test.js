@@ -0,0 +1,67 @@
+import { createRestProvider } from '../syncProviders/restProvider';
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+});
+
+describe('REST sync provider', () => {
+  let fetch;
+  let provider;
+
+  beforeEach(() => {
+    fetch = jest.fn(async () => jsonResponse([]));
+    provider = createRestProvider({
+      baseUrl: 'https://sync.example.com',
+      getSession: async () => ({ userId: 'user-1', accessToken: 'token-1' }),
+      fetch,
+    });
+  });
+
+  it('pulls rows changed since a cursor with the session token', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse([{ id: 'task-1' }]));
+
+    const rows = await provider.pull('tasks', {
+      userId: 'user-1',
+      since: '2026-01-01T10:00:00.000Z',
+      includeDeleted: true,
+    });
+
+    expect(rows).toEqual([{ id: 'task-1' }]);
+    expect(fetch).toHaveBeenCalledWith(
+      'https://sync.example.com/tasks?since=2026-01-01T10%3A00%3A00.000Z&include_deleted=true',
+      expect.objectContaining({
+        method: 'GET',
+        headers: expect.objectContaining({ Authorization: 'Bearer token-1' }),
+      })
+    );
+  });
+
+  it('pushes upserts and deletes in one request', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(null, 204));
+
+    await provider.push('tasks', { userId: 'user-1', upserts: [{ id: 'task-1' }], deletes: ['task-2'] });
+    await provider.push('tasks', { userId: 'user-1' });
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledWith('https://sync.example.com/tasks/push', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ upserts: [{ id: 'task-1' }], deletes: ['task-2'] }),
+    }));
+  });
+
+  it('reports server errors and missing sessions', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse({}, 500));
+    await expect(provider.listBackups({ userId: 'user-1' }))
+      .rejects.toThrow('Error del servidor de sincronización (500)');
+
+    const signedOut = createRestProvider({
+      baseUrl: 'https://sync.example.com',
+      getSession: async () => null,
+      fetch,
+    });
+    expect(await signedOut.getUserId()).toBeNull();
+    await expect(signedOut.pull('tasks', {})).rejects.toThrow('Usuario no autenticado');
+  });
+});
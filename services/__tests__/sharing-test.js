@@ -0,0 +1,239 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { setSyncProvider } from '../syncProvider';
+import { createMemoryProvider } from '../syncProviders/memoryProvider';
+import { syncTasks, syncTaskLists, refreshListMemberships } from '../cloudSyncService';
+import {
+  inviteToList,
+  joinList,
+  changeMemberRole,
+  removeListMember,
+  applyMemberships,
+  canShareList,
+} from '../sharingService';
+import { LIST_ROLES, LIST_ACTIONS, can, canChangeMember } from '../../utils/listPermissions';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: (length) => new Uint8Array(require('crypto').randomBytes(length)),
+}));
+
+jest.mock('expo-secure-store', () => ({
+  getItemAsync: jest.fn(async () => null),
+  setItemAsync: jest.fn(async () => {}),
+  deleteItemAsync: jest.fn(async () => {}),
+}));
+
+jest.mock('../../config/supabase', () => ({
+  supabase: {},
+  TABLES: {
+    TASKS: 'tasks',
+    RECURRING_SERIES: 'recurring_series',
+    TASK_LISTS: 'task_lists',
+    BACKUPS: 'backups',
+    LIST_MEMBERS: 'list_members',
+    LIST_INVITES: 'list_invites',
+  },
+  SYNC_CONFIG: { BATCH_SIZE: 50, CONFLICT_RESOLUTION: 'merge', CURSOR_OVERLAP_MS: 5000 },
+  isSupabaseConfigured: () => false,
+}));
+
+const groceries = {
+  id: 'list-groceries',
+  name: 'Compra',
+  color: '#10B981',
+  icon: 'cart-outline',
+  order: 5,
+  archived: false,
+  createdAt: '2026-01-01T09:00:00.000Z',
+  updatedAt: '2026-01-01T09:00:00.000Z',
+};
+
+const localTask = (overrides = {}) => ({
+  id: 'task-milk',
+  title: 'Leche',
+  description: '',
+  listId: groceries.id,
+  priority: 'medium',
+  completed: false,
+  dueDate: null,
+  subtasks: [],
+  attachments: [],
+  createdAt: '2026-01-01T09:00:00.000Z',
+  updatedAt: '2026-01-01T10:00:00.000Z',
+  ...overrides,
+});
+
+describe('listPermissions', () => {
+  it('gives each role its actions', () => {
+    expect(can(LIST_ROLES.OWNER, LIST_ACTIONS.MANAGE_MEMBERS)).toBe(true);
+    expect(can(LIST_ROLES.EDITOR, LIST_ACTIONS.EDIT_TASKS)).toBe(true);
+    expect(can(LIST_ROLES.EDITOR, LIST_ACTIONS.MANAGE_MEMBERS)).toBe(false);
+    expect(can(LIST_ROLES.VIEWER, LIST_ACTIONS.VIEW)).toBe(true);
+    expect(can(LIST_ROLES.VIEWER, LIST_ACTIONS.EDIT_TASKS)).toBe(false);
+    expect(can(null, LIST_ACTIONS.VIEW)).toBe(false);
+  });
+
+  it('protects the owner and lets members leave', () => {
+    const owner = { user_id: 'ana', role: LIST_ROLES.OWNER };
+    const viewer = { user_id: 'bea', role: LIST_ROLES.VIEWER };
+
+    expect(canChangeMember(LIST_ROLES.OWNER, { actorId: 'ana', member: owner })).toBe(false);
+    expect(canChangeMember(LIST_ROLES.OWNER, { actorId: 'ana', member: viewer, nextRole: LIST_ROLES.OWNER })).toBe(false);
+    expect(canChangeMember(LIST_ROLES.OWNER, { actorId: 'ana', member: viewer, nextRole: LIST_ROLES.EDITOR })).toBe(true);
+    expect(canChangeMember(LIST_ROLES.VIEWER, { actorId: 'bea', member: viewer })).toBe(true);
+    expect(canChangeMember(LIST_ROLES.EDITOR, { actorId: 'carla', member: viewer })).toBe(false);
+  });
+});
+
+describe('shared lists with the in-memory provider', () => {
+  let provider;
+
+  // Each user works on their own device, which fetches the members before syncing
+  const signInAs = async (userId) => {
+    await AsyncStorage.clear();
+    provider.setUserId(userId);
+    await refreshListMemberships();
+  };
+
+  // Ana owns the list and invites Bea as editor and Carla as viewer
+  const shareGroceries = async () => {
+    await signInAs('ana');
+    await syncTasks([localTask()]);
+    const editorInvite = await inviteToList(groceries, { role: LIST_ROLES.EDITOR, displayName: 'Ana' });
+    const viewerInvite = await inviteToList(groceries, { role: LIST_ROLES.VIEWER });
+
+    await signInAs('bea');
+    await joinList(editorInvite.invite.code.toLowerCase(), { displayName: 'Bea' });
+
+    await signInAs('carla');
+    await joinList(viewerInvite.invite.code, { email: 'carla@example.com' });
+
+    return { editorInvite, viewerInvite };
+  };
+
+  beforeEach(() => {
+    provider = createMemoryProvider({ userId: 'ana' });
+    setSyncProvider(provider);
+  });
+
+  afterAll(() => {
+    setSyncProvider(null);
+  });
+
+  it('refuses to share default lists', () => {
+    expect(canShareList({ id: 'personal', name: 'Personal' })).toBe(false);
+    expect(canShareList({ ...groceries, ownerId: 'ana' })).toBe(false);
+    expect(canShareList(groceries)).toBe(true);
+  });
+
+  it('lets members pull the tasks and list of a shared list', async () => {
+    await shareGroceries();
+
+    const { tasks } = await syncTasks([]);
+    const { lists } = await syncTaskLists([]);
+
+    expect(tasks).toEqual([expect.objectContaining({ id: 'task-milk', ownerId: 'ana' })]);
+    expect(lists).toEqual([expect.objectContaining({ id: groceries.id, name: 'Compra', ownerId: 'ana' })]);
+  });
+
+  it('annotates lists with members and the role of the user', async () => {
+    await shareGroceries();
+    const memberships = await provider.listMemberships({ userId: 'carla' });
+
+    const [list] = applyMemberships([groceries], memberships, 'carla');
+
+    expect(list.role).toBe(LIST_ROLES.VIEWER);
+    expect(list.members.map(m => [m.displayName, m.role])).toEqual([
+      ['Ana', LIST_ROLES.OWNER],
+      ['Bea', LIST_ROLES.EDITOR],
+      ['carla', LIST_ROLES.VIEWER],
+    ]);
+  });
+
+  it('lets editors change and assign tasks of the owner', async () => {
+    await shareGroceries();
+    await signInAs('bea');
+    const { tasks } = await syncTasks([]);
+
+    await syncTasks([{ ...tasks[0], completed: true, assigneeId: 'bea', updatedAt: new Date().toISOString() }]);
+
+    const row = provider.getRows('tasks').find(r => r.id === 'task-milk');
+    expect(row).toEqual(expect.objectContaining({ user_id: 'ana', completed: true, assignee_id: 'bea' }));
+  });
+
+  it('rejects writes from viewers', async () => {
+    await shareGroceries();
+    const row = provider.getRows('tasks').find(r => r.id === 'task-milk');
+
+    await expect(
+      provider.push('tasks', { userId: 'carla', upserts: [{ ...row, title: 'Cerveza' }] })
+    ).rejects.toThrow('No tienes permiso');
+    await provider.push('tasks', { userId: 'carla', deletes: ['task-milk'] });
+
+    expect(provider.getRows('tasks').find(r => r.id === 'task-milk')).toEqual(
+      expect.objectContaining({ title: 'Leche', deleted: false })
+    );
+  });
+
+  it('does not push the read-only tasks of a viewer', async () => {
+    await shareGroceries();
+    const { tasks } = await syncTasks([]);
+
+    const result = await syncTasks([{ ...tasks[0], title: 'Cerveza', updatedAt: new Date().toISOString() }]);
+
+    expect(result.success).toBe(true);
+    expect(provider.getRows('tasks').find(r => r.id === 'task-milk').title).toBe('Leche');
+  });
+
+  it('only lets the owner manage members', async () => {
+    await shareGroceries();
+
+    await signInAs('bea');
+    await expect(inviteToList({ ...groceries, ownerId: 'ana' }, { role: LIST_ROLES.VIEWER }))
+      .rejects.toThrow('Esta lista no se puede compartir');
+    await expect(provider.createInvite({ userId: 'bea', listId: groceries.id, role: LIST_ROLES.VIEWER }))
+      .rejects.toThrow('No tienes permiso');
+    await expect(removeListMember(groceries.id, 'carla')).rejects.toThrow('No tienes permiso');
+    await expect(changeMemberRole(groceries.id, 'carla', LIST_ROLES.EDITOR)).rejects.toThrow('No tienes permiso');
+
+    await signInAs('ana');
+    await expect(removeListMember(groceries.id, 'ana')).rejects.toThrow('No tienes permiso');
+    await expect(changeMemberRole(groceries.id, 'bea', LIST_ROLES.OWNER)).rejects.toThrow('Rol no válido');
+
+    const memberships = await changeMemberRole(groceries.id, 'carla', LIST_ROLES.EDITOR);
+    expect(memberships.find(m => m.user_id === 'carla').role).toBe(LIST_ROLES.EDITOR);
+  });
+
+  it('stops sharing with removed members', async () => {
+    await shareGroceries();
+    await signInAs('ana');
+    await removeListMember(groceries.id, 'bea');
+
+    await signInAs('bea');
+    const synced = localTask({ ownerId: 'ana', syncedAt: '2026-01-01T11:00:00.000Z' });
+    const { tasks } = await syncTasks([synced]);
+
+    expect(tasks).toEqual([]);
+  });
+
+  it('lets members leave a list', async () => {
+    await shareGroceries();
+    await signInAs('carla');
+
+    const memberships = await removeListMember(groceries.id);
+
+    expect(memberships).toEqual([]);
+  });
+
+  it('rejects unknown and used invite codes', async () => {
+    const { editorInvite } = await shareGroceries();
+    await signInAs('dani');
+
+    await expect(joinList('NOPE')).rejects.toThrow('Invitación no válida o caducada');
+    await expect(joinList(editorInvite.invite.code)).rejects.toThrow('Invitación no válida o caducada');
+  });
+});
@@ -0,0 +1,248 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { setSyncProvider } from '../syncProvider';
+import { createMemoryProvider } from '../syncProviders/memoryProvider';
+import {
+  syncTasks,
+  syncTaskLists,
+  getSyncConflicts,
+  resolveSyncConflict,
+  enqueueSyncOperation,
+  enqueueListOperation,
+  replaySyncQueue,
+  subscribeToTaskChanges,
+  SYNC_OPERATIONS,
+} from '../cloudSyncService';
+import { mergeSyncResult } from '../../utils/syncMerge';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: (length) => new Uint8Array(require('crypto').randomBytes(length)),
+}));
+
+jest.mock('expo-secure-store', () => ({
+  getItemAsync: jest.fn(async () => null),
+  setItemAsync: jest.fn(async () => {}),
+  deleteItemAsync: jest.fn(async () => {}),
+}));
+
+// Encryption status is read from Supabase; report it as not configured
+jest.mock('../../config/supabase', () => ({
+  supabase: {},
+  TABLES: { TASKS: 'tasks', RECURRING_SERIES: 'recurring_series', TASK_LISTS: 'task_lists', BACKUPS: 'backups' },
+  SYNC_CONFIG: { BATCH_SIZE: 50, CONFLICT_RESOLUTION: 'merge', CURSOR_OVERLAP_MS: 5000 },
+  isSupabaseConfigured: () => false,
+}));
+
+const localTask = (overrides = {}) => ({
+  id: 'task-1',
+  title: 'Comprar pan',
+  description: '',
+  listId: 'shopping',
+  priority: 'medium',
+  completed: false,
+  dueDate: null,
+  subtasks: [],
+  attachments: [],
+  createdAt: '2026-01-01T09:00:00.000Z',
+  updatedAt: '2026-01-01T10:00:00.000Z',
+  ...overrides,
+});
+
+describe('syncTasks with the in-memory provider', () => {
+  let provider;
+
+  // Simulate an edit made on another device
+  const editInCloud = async (id, changes) => {
+    const row = provider.getRows('tasks').find(r => r.id === id);
+    await provider.push('tasks', { userId: 'user-1', upserts: [{ ...row, ...changes }] });
+  };
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    provider = createMemoryProvider();
+    setSyncProvider(provider);
+  });
+
+  afterAll(() => {
+    setSyncProvider(null);
+  });
+
+  it('uploads local-only tasks and downloads cloud-only tasks', async () => {
+    await syncTasks([localTask({ id: 'cloud-task', title: 'Desde otro dispositivo' })]);
+
+    const result = await syncTasks([localTask()]);
+
+    expect(result.success).toBe(true);
+    expect(result.tasks.map(t => t.id).sort()).toEqual(['cloud-task', 'task-1']);
+    expect(provider.getRows('tasks').map(r => r.id).sort()).toEqual(['cloud-task', 'task-1']);
+  });
+
+  it('merges edits to different fields without a conflict', async () => {
+    await syncTasks([localTask()]);
+    await editInCloud('task-1', { priority: 'high', updated_at: '2026-01-01T11:00:00.000Z' });
+
+    const result = await syncTasks([
+      localTask({ title: 'Comprar pan integral', updatedAt: '2026-01-01T12:00:00.000Z' }),
+    ]);
+
+    expect(result.conflicts).toEqual([]);
+    expect(result.tasks[0]).toEqual(expect.objectContaining({
+      title: 'Comprar pan integral',
+      priority: 'high',
+    }));
+    expect(provider.getRows('tasks')[0]).toEqual(expect.objectContaining({
+      title: 'Comprar pan integral',
+      priority: 'high',
+    }));
+  });
+
+  it('records a conflict when both sides change the same field', async () => {
+    await syncTasks([localTask()]);
+    await editInCloud('task-1', { title: 'Comprar pan de centeno', updated_at: '2026-01-01T12:00:00.000Z' });
+
+    const local = localTask({ title: 'Comprar pan integral', updatedAt: '2026-01-01T11:00:00.000Z' });
+    const result = await syncTasks([local]);
+
+    // The newer side wins until the user reviews the conflict
+    expect(result.tasks[0].title).toBe('Comprar pan de centeno');
+    expect(result.conflicts).toHaveLength(1);
+    expect(result.conflicts[0].fields).toEqual([
+      expect.objectContaining({
+        field: 'title',
+        local: 'Comprar pan integral',
+        cloud: 'Comprar pan de centeno',
+      }),
+    ]);
+
+    await resolveSyncConflict('task-1', { ...result.tasks[0], title: 'Comprar pan integral' });
+
+    expect(await getSyncConflicts()).toEqual([]);
+    expect(provider.getRows('tasks')[0].title).toBe('Comprar pan integral');
+  });
+
+  it('drops tasks deleted on another device and writes tombstones for local deletes', async () => {
+    await syncTasks([localTask(), localTask({ id: 'task-2' })]);
+    await provider.push('tasks', { userId: 'user-1', deletes: ['task-1'] });
+
+    // task-2 deleted on this device while offline
+    await enqueueSyncOperation(SYNC_OPERATIONS.DELETE, 'task-2');
+    const result = await syncTasks([localTask()]);
+
+    expect(result.tasks).toEqual([]);
+    expect(result.stats.deleted).toBe(1);
+
+    await replaySyncQueue([]);
+
+    expect(provider.getRows('tasks').every(r => r.deleted)).toBe(true);
+  });
+
+  it('uploads again a task restored after another device deleted it', async () => {
+    await syncTasks([localTask()]);
+    await provider.push('tasks', { userId: 'user-1', deletes: ['task-1'] });
+
+    // Restored from a backup after the delete
+    const restored = localTask({ updatedAt: new Date(Date.now() + 1000).toISOString() });
+    const result = await syncTasks([restored]);
+
+    expect(result.tasks.map(t => t.id)).toEqual(['task-1']);
+    expect(result.stats.deleted).toBe(0);
+    expect(provider.getRows('tasks')[0].deleted).toBe(false);
+  });
+
+  it('keeps local changes made while a sync runs', async () => {
+    await syncTasks([localTask({ id: 'cloud-task', title: 'Desde otro dispositivo' })]);
+
+    const snapshot = [localTask(), localTask({ id: 'task-2' })];
+    const result = await syncTasks(snapshot);
+
+    // Edited, deleted and created on this device during the network calls
+    const current = [
+      localTask({ title: 'Comprar pan integral', updatedAt: '2026-01-01T12:00:00.000Z' }),
+      localTask({ id: 'task-3' }),
+    ];
+    const merged = mergeSyncResult(current, snapshot, result.tasks);
+
+    expect(merged.map(t => t.id).sort()).toEqual(['cloud-task', 'task-1', 'task-3']);
+    expect(merged.find(t => t.id === 'task-1').title).toBe('Comprar pan integral');
+  });
+
+  it('pulls only rows changed since the last sync and pushes only local changes', async () => {
+    const first = await syncTasks([localTask(), localTask({ id: 'task-2' })]);
+    await editInCloud('task-2', { priority: 'high' });
+
+    const pull = jest.spyOn(provider, 'pull');
+    const push = jest.spyOn(provider, 'push');
+    const [task1, task2] = first.tasks;
+    const result = await syncTasks([
+      { ...task1, title: 'Comprar pan integral', updatedAt: new Date(Date.now() + 1000).toISOString() },
+      task2,
+    ]);
+
+    expect(pull).toHaveBeenCalledWith('tasks', expect.objectContaining({ since: expect.any(String) }));
+    expect(result.stats.full).toBe(false);
+    expect(result.tasks.find(t => t.id === 'task-2').priority).toBe('high');
+    expect(push).toHaveBeenCalledTimes(1);
+    expect(push.mock.calls[0][1].upserts.map(r => r.id)).toEqual(['task-1']);
+  });
+
+  it('re-uploads tasks missing in the cloud only on a full resync', async () => {
+    const { tasks } = await syncTasks([localTask()]);
+    provider = createMemoryProvider();
+    setSyncProvider(provider);
+
+    await syncTasks(tasks);
+    // A fresh provider has no rows after the cursor, so nothing changed
+    expect(provider.getRows('tasks')).toEqual([]);
+
+    const result = await syncTasks(tasks, { full: true });
+
+    expect(result.stats.full).toBe(true);
+    expect(provider.getRows('tasks').map(r => r.id)).toEqual(['task-1']);
+  });
+
+  it('merges list edits from two devices and replays list deletes', async () => {
+    const work = { id: 'work', name: 'Trabajo', color: '#3B82F6', icon: 'briefcase', order: 0, archived: false };
+    const trips = { id: 'trips', name: 'Viajes', color: '#EF4444', icon: 'airplane', order: 1, archived: false };
+    const first = await syncTaskLists([work, trips]);
+
+    // Renamed on another device, archived on this one
+    const row = provider.getRows('task_lists').find(r => r.id === 'work');
+    await provider.push('task_lists', { userId: 'user-1', upserts: [{ ...row, name: 'Oficina' }] });
+    const local = first.lists.map(l =>
+      l.id === 'work' ? { ...l, archived: true, updatedAt: new Date(Date.now() + 1000).toISOString() } : l
+    );
+
+    const result = await syncTaskLists(local);
+
+    expect(result.stats.conflicts).toBe(0);
+    expect(result.lists.find(l => l.id === 'work')).toEqual(expect.objectContaining({
+      name: 'Oficina',
+      archived: true,
+    }));
+
+    await enqueueListOperation(SYNC_OPERATIONS.DELETE, 'trips');
+    await replaySyncQueue([], [], result.lists.filter(l => l.id !== 'trips'));
+
+    expect(provider.getRows('task_lists').find(r => r.id === 'trips').deleted).toBe(true);
+  });
+
+  it('streams changes from other devices', async () => {
+    const onChange = jest.fn();
+    const onStatus = jest.fn();
+    await syncTasks([localTask()]);
+    subscribeToTaskChanges('user-1', onChange, onStatus);
+
+    await editInCloud('task-1', { priority: 'low' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(onStatus).toHaveBeenCalledWith('SUBSCRIBED');
+    expect(onChange).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'upsert', task: expect.objectContaining({ priority: 'low' }) }),
+      expect.objectContaining({ priority: 'medium' })
+    );
+  });
+});
@@ -0,0 +1,308 @@
+/**
+ * Attachment Sync Service
+ * TaskList App - Phase 2 Cloud Backup
+ *
+ * Uploads attachment files to Supabase Storage by content hash and
+ * downloads missing files into the local attachments directory
+ */
+
+import * as FileSystem from 'expo-file-system/legacy';
+import { supabase, BUCKETS, isSupabaseConfigured } from '../config/supabase';
+import { getCurrentUserId } from './cloudSyncService';
+import { ensureDirectoryExists, getAttachmentUri, getFileInfo } from '../utils/fileManager';
+
+// Seconds a signed download URL stays valid
+const SIGNED_URL_EXPIRY = 60;
+
+// Transfers in progress, by attachment ID
+const transfers = new Map();
+const transferListeners = new Map();
+
+/**
+ * Publish the progress of a transfer (null when it finished)
+ * @param {string} attachmentId
+ * @param {Object|null} state - { direction: 'upload' | 'download', progress: 0..1 }
+ */
+const setTransferState = (attachmentId, state) => {
+  if (state) {
+    transfers.set(attachmentId, state);
+  } else {
+    transfers.delete(attachmentId);
+  }
+  (transferListeners.get(attachmentId) || []).forEach(listener => listener(state));
+};
+
+/**
+ * Get the current transfer of an attachment
+ * @param {string} attachmentId
+ * @returns {Object|null} { direction, progress } or null
+ */
+export const getTransferState = (attachmentId) => {
+  return transfers.get(attachmentId) || null;
+};
+
+/**
+ * Listen to the upload/download progress of an attachment
+ * @param {string} attachmentId
+ * @param {Function} listener - Called with { direction, progress } or null
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToTransfer = (attachmentId, listener) => {
+  const listeners = transferListeners.get(attachmentId) || [];
+  transferListeners.set(attachmentId, [...listeners, listener]);
+
+  return () => {
+    const remaining = (transferListeners.get(attachmentId) || []).filter(l => l !== listener);
+    if (remaining.length > 0) {
+      transferListeners.set(attachmentId, remaining);
+    } else {
+      transferListeners.delete(attachmentId);
+    }
+  };
+};
+
+/**
+ * Storage path of a file: one folder per user, one object per content hash
+ * @param {string} userId
+ * @param {string} contentHash
+ * @returns {string}
+ */
+export const getStoragePath = (userId, contentHash) => `${userId}/${contentHash}`;
+
+/**
+ * Compute the content hash of a local file
+ * @param {string} localUri
+ * @returns {Promise<string|null>} MD5 hash or null if the file is missing
+ */
+export const getContentHash = async (localUri) => {
+  const info = await FileSystem.getInfoAsync(localUri, { md5: true });
+  return info.exists ? info.md5 : null;
+};
+
+/**
+ * Check whether an attachment still has to be uploaded
+ * @param {Object} attachment
+ * @returns {boolean}
+ */
+export const needsUpload = (attachment) => {
+  return !!attachment.localUri && (!attachment.storagePath || attachment.uploadStatus !== 'uploaded');
+};
+
+/**
+ * Check whether a file is already stored in the bucket
+ */
+const fileExistsInStorage = async (userId, contentHash) => {
+  const { data, error } = await supabase.storage
+    .from(BUCKETS.ATTACHMENTS)
+    .list(userId, { search: contentHash, limit: 1 });
+
+  if (error) throw error;
+  return (data || []).some(file => file.name === contentHash);
+};
+
+/**
+ * Upload an attachment file. Files with the same content are stored once.
+ * @param {Object} attachment - Attachment with a localUri
+ * @param {string} userId
+ * @returns {Promise<Object>} { contentHash, storagePath }
+ */
+export const uploadAttachment = async (attachment, userId) => {
+  const contentHash = await getContentHash(attachment.localUri);
+  if (!contentHash) {
+    throw new Error('El archivo no existe');
+  }
+
+  const storagePath = getStoragePath(userId, contentHash);
+  setTransferState(attachment.id, { direction: 'upload', progress: 0 });
+
+  try {
+    if (!(await fileExistsInStorage(userId, contentHash))) {
+      const { data, error } = await supabase.storage
+        .from(BUCKETS.ATTACHMENTS)
+        .createSignedUploadUrl(storagePath);
+
+      if (error) throw error;
+
+      const uploadTask = FileSystem.createUploadTask(
+        data.signedUrl,
+        attachment.localUri,
+        {
+          httpMethod: 'PUT',
+          uploadType: FileSystem.FileSystemUploadType.BINARY_CONTENT,
+          headers: { 'Content-Type': attachment.mimeType || 'application/octet-stream' },
+        },
+        ({ totalBytesSent, totalBytesExpectedToSend }) => {
+          if (totalBytesExpectedToSend > 0) {
+            setTransferState(attachment.id, {
+              direction: 'upload',
+              progress: totalBytesSent / totalBytesExpectedToSend,
+            });
+          }
+        }
+      );
+
+      const response = await uploadTask.uploadAsync();
+      if (!response || response.status >= 300) {
+        throw new Error(`Error al subir el archivo (${response?.status})`);
+      }
+    }
+
+    return { contentHash, storagePath };
+  } finally {
+    setTransferState(attachment.id, null);
+  }
+};
+
+/**
+ * Upload every attachment of the given tasks that is not in storage yet
+ * @param {Array} tasks - Local tasks
+ * @param {Function} [onAttachmentUpdate] - Called with
+ *   (taskId, attachmentId, updates) as upload status changes
+ * @returns {Promise<Array>} Successful uploads as { taskId, attachmentId, updates }
+ */
+export const uploadPendingAttachments = async (tasks, onAttachmentUpdate) => {
+  if (!isSupabaseConfigured()) {
+    return [];
+  }
+
+  const userId = await getCurrentUserId();
+  if (!userId) {
+    return [];
+  }
+
+  const uploads = [];
+
+  for (const task of tasks) {
+    for (const attachment of task.attachments || []) {
+      if (!needsUpload(attachment)) continue;
+
+      onAttachmentUpdate?.(task.id, attachment.id, { uploadStatus: 'uploading' });
+
+      try {
+        const { contentHash, storagePath } = await uploadAttachment(attachment, userId);
+        const updates = { contentHash, storagePath, uploadStatus: 'uploaded' };
+        onAttachmentUpdate?.(task.id, attachment.id, updates);
+        uploads.push({ taskId: task.id, attachmentId: attachment.id, updates });
+      } catch (error) {
+        console.error('Error uploading attachment:', error);
+        onAttachmentUpdate?.(task.id, attachment.id, { uploadStatus: 'failed' });
+      }
+    }
+  }
+
+  return uploads;
+};
+
+/**
+ * Apply upload results to a list of tasks
+ * @param {Array} tasks
+ * @param {Array} uploads - Result of uploadPendingAttachments
+ * @returns {Array} Tasks with updated attachment metadata
+ */
+export const applyAttachmentUploads = (tasks, uploads) => {
+  if (uploads.length === 0) return tasks;
+
+  return tasks.map(task => {
+    const taskUploads = uploads.filter(u => u.taskId === task.id);
+    if (taskUploads.length === 0) return task;
+
+    return {
+      ...task,
+      attachments: (task.attachments || []).map(attachment => {
+        const upload = taskUploads.find(u => u.attachmentId === attachment.id);
+        return upload ? { ...attachment, ...upload.updates } : attachment;
+      }),
+    };
+  });
+};
+
+/**
+ * Check whether an attachment is stored in the cloud but missing locally
+ * @param {Object} attachment
+ * @returns {Promise<boolean>}
+ */
+export const needsDownload = async (attachment) => {
+  if (!attachment.storagePath) return false;
+  if (!attachment.localUri) return true;
+  return !(await getFileInfo(attachment.localUri));
+};
+
+/**
+ * Download an attachment file into the attachments directory
+ * @param {Object} attachment - Attachment with a storagePath
+ * @returns {Promise<string>} Local URI of the downloaded file
+ */
+export const downloadAttachment = async (attachment) => {
+  if (!isSupabaseConfigured()) {
+    throw new Error('Supabase no está configurado');
+  }
+
+  // A download for this attachment is already running
+  if (transfers.get(attachment.id)?.direction === 'download') {
+    return new Promise((resolve, reject) => {
+      const unsubscribe = subscribeToTransfer(attachment.id, async (state) => {
+        if (state) return;
+        unsubscribe();
+        const localUri = getAttachmentUri(attachment.id, attachment.filename);
+        if (await getFileInfo(localUri)) {
+          resolve(localUri);
+        } else {
+          reject(new Error('No se pudo descargar el archivo'));
+        }
+      });
+    });
+  }
+
+  setTransferState(attachment.id, { direction: 'download', progress: 0 });
+
+  try {
+    const { data, error } = await supabase.storage
+      .from(BUCKETS.ATTACHMENTS)
+      .createSignedUrl(attachment.storagePath, SIGNED_URL_EXPIRY);
+
+    if (error) throw error;
+
+    await ensureDirectoryExists();
+    const localUri = getAttachmentUri(attachment.id, attachment.filename);
+
+    const download = FileSystem.createDownloadResumable(
+      data.signedUrl,
+      localUri,
+      {},
+      ({ totalBytesWritten, totalBytesExpectedToWrite }) => {
+        if (totalBytesExpectedToWrite > 0) {
+          setTransferState(attachment.id, {
+            direction: 'download',
+            progress: totalBytesWritten / totalBytesExpectedToWrite,
+          });
+        }
+      }
+    );
+
+    const result = await download.downloadAsync();
+    if (!result || result.status >= 300) {
+      await FileSystem.deleteAsync(localUri, { idempotent: true });
+      throw new Error(`Error al descargar el archivo (${result?.status})`);
+    }
+
+    return localUri;
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    throw error;
+  } finally {
+    setTransferState(attachment.id, null);
+  }
+};
+
+export default {
+  getTransferState,
+  subscribeToTransfer,
+  getStoragePath,
+  getContentHash,
+  needsUpload,
+  uploadAttachment,
+  uploadPendingAttachments,
+  applyAttachmentUploads,
+  needsDownload,
+  downloadAttachment,
+};
@@ -2,11 +2,34 @@
  * Backup Service
  * TaskList App - Phase 2 Cloud Backup
  * 
- * Handles task backups to Supabase cloud storage
+ * Handles task backups to cloud storage through the active sync provider
  */
 
-import { supabase, TABLES, BACKUP_CONFIG, isSupabaseConfigured } from '../config/supabase';
-import { getCurrentUserId } from './cloudSyncService';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { BACKUP_CONFIG } from '../config/supabase';
+import {
+  getCurrentUserId,
+  isAuthenticated,
+  isSyncConfigured,
+  enqueueSyncOperations,
+  SYNC_OPERATIONS,
+} from './cloudSyncService';
+import { hasFieldChanges } from '../utils/syncMerge';
+import { TASK_ENCRYPTED_FIELDS, encryptFields, decryptFields } from '../utils/encryption';
+import { getEncryptionKey, assertEncryptionUnlocked } from './encryptionService';
+import { getSyncProvider } from './syncProvider';
+
+// Storage keys
+const BACKUP_SETTINGS_KEY = '@tasklist_backup_settings';
+const LAST_AUTO_BACKUP_KEY = '@tasklist_last_auto_backup';
+
+/**
+ * Restore modes
+ */
+export const RESTORE_MODES = {
+  REPLACE: 'replace', // Backup replaces all local tasks
+  MERGE: 'merge',     // Backup tasks replace local tasks with the same id
+};
 
 /**
  * Create a backup of all tasks
@@ -15,8 +38,8 @@ import { getCurrentUserId } from './cloudSyncService';
  * @returns {Promise<Object>} Backup result
  */
 export const createBackup = async (tasks, isAutomatic = false) => {
-  if (!isSupabaseConfigured()) {
-    throw new Error('Supabase no está configurado');
+  if (!isSyncConfigured()) {
+    throw new Error('La sincronización no está configurada');
   }
 
   const userId = await getCurrentUserId();
@@ -25,20 +48,29 @@ export const createBackup = async (tasks, isAutomatic = false) => {
   }
 
   try {
+    // Never store plaintext for an account that uses encryption
+    assertEncryptionUnlocked();
+    const key = getEncryptionKey();
+
     // Create backup data
     const backupData = {
       version: '2.0',
       created_at: new Date().toISOString(),
       task_count: tasks.length,
+      encrypted: !!key,
       tasks: tasks.map(task => ({
-        ...task,
+        ...(key ? encryptFields(task, key, TASK_ENCRYPTED_FIELDS) : task),
         // Remove local-only data
         notificationId: null,
+        notificationIds: {},
         attachments: (task.attachments || []).map(a => ({
           id: a.id,
           filename: a.filename,
           type: a.type,
           filesize: a.filesize,
+          mimeType: a.mimeType || null,
+          contentHash: a.contentHash || null,
+          storagePath: a.storagePath || null,
         })),
       })),
     };
@@ -51,29 +83,18 @@ export const createBackup = async (tasks, isAutomatic = false) => {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const storagePath = `backups/${userId}/${timestamp}.json`;
 
-    // Upload to Supabase Storage (if bucket exists) or save metadata only
-    // For simplicity, we'll store the backup in the database as JSONB
-    
-    // Insert backup record
-    const { data, error } = await supabase
-      .from(TABLES.BACKUPS)
-      .insert({
-        user_id: userId,
-        task_count: tasks.length,
-        file_size: backupSize,
-        storage_path: storagePath,
-        is_automatic: isAutomatic,
-        version: '2.0',
-      })
-      .select()
-      .single();
-
-    if (error) {
-      console.error('Error creating backup record:', error);
-      throw error;
-    }
+    // Insert backup record, with the backup stored alongside as JSON
+    const data = await getSyncProvider().createBackup({
+      user_id: userId,
+      task_count: tasks.length,
+      file_size: backupSize,
+      storage_path: storagePath,
+      is_automatic: isAutomatic,
+      version: '2.0',
+      data: backupData,
+    });
 
-    // Clean up old backups
+    // Apply the retention policy
     await cleanupOldBackups(userId);
 
     return {
@@ -95,7 +116,7 @@ export const createBackup = async (tasks, isAutomatic = false) => {
  * @returns {Promise<Array>} List of backups
  */
 export const listBackups = async (limit = 10) => {
-  if (!isSupabaseConfigured()) {
+  if (!isSyncConfigured()) {
     return [];
   }
 
@@ -105,19 +126,7 @@ export const listBackups = async (limit = 10) => {
   }
 
   try {
-    const { data, error } = await supabase
-      .from(TABLES.BACKUPS)
-      .select('*')
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false })
-      .limit(limit);
-
-    if (error) {
-      console.error('Error listing backups:', error);
-      throw error;
-    }
-
-    return data || [];
+    return await getSyncProvider().listBackups({ userId, limit });
   } catch (error) {
     console.error('Error listing backups:', error);
     return [];
@@ -129,8 +138,8 @@ export const listBackups = async (limit = 10) => {
  * @param {string} backupId - Backup ID to delete
  */
 export const deleteBackup = async (backupId) => {
-  if (!isSupabaseConfigured()) {
-    throw new Error('Supabase no está configurado');
+  if (!isSyncConfigured()) {
+    throw new Error('La sincronización no está configurada');
   }
 
   const userId = await getCurrentUserId();
@@ -139,16 +148,7 @@ export const deleteBackup = async (backupId) => {
   }
 
   try {
-    const { error } = await supabase
-      .from(TABLES.BACKUPS)
-      .delete()
-      .eq('id', backupId)
-      .eq('user_id', userId);
-
-    if (error) {
-      console.error('Error deleting backup:', error);
-      throw error;
-    }
+    await getSyncProvider().deleteBackups({ userId, backupIds: [backupId] });
 
     return { success: true };
   } catch (error) {
@@ -158,33 +158,115 @@ export const deleteBackup = async (backupId) => {
 };
 
 /**
- * Clean up old backups, keeping only the most recent ones
+ * Get the automatic backup settings
+ * @returns {Promise<Object>} { enabled, intervalHours, retention: { daily, weekly, monthly } }
+ */
+export const getBackupSettings = async () => {
+  const defaults = {
+    enabled: BACKUP_CONFIG.AUTO_BACKUP_ENABLED,
+    intervalHours: BACKUP_CONFIG.BACKUP_INTERVAL_HOURS,
+    retention: { ...BACKUP_CONFIG.RETENTION },
+  };
+
+  try {
+    const stored = await AsyncStorage.getItem(BACKUP_SETTINGS_KEY);
+    if (!stored) return defaults;
+
+    const settings = JSON.parse(stored);
+    return {
+      ...defaults,
+      ...settings,
+      retention: { ...defaults.retention, ...settings.retention },
+    };
+  } catch (error) {
+    console.error('Error loading backup settings:', error);
+    return defaults;
+  }
+};
+
+/**
+ * Update the automatic backup settings
+ * @param {Object} updates - Partial settings
+ * @returns {Promise<Object>} Updated settings
+ */
+export const saveBackupSettings = async (updates) => {
+  const current = await getBackupSettings();
+  const settings = {
+    ...current,
+    ...updates,
+    retention: { ...current.retention, ...updates.retention },
+  };
+  await AsyncStorage.setItem(BACKUP_SETTINGS_KEY, JSON.stringify(settings));
+  return settings;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Period keys for grandfather-father-son rotation, in local time
+ */
+const RETENTION_PERIODS = {
+  daily: (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+  weekly: (date) => {
+    // Weeks start on Monday
+    const monday = new Date(date);
+    monday.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return RETENTION_PERIODS.daily(monday);
+  },
+  monthly: (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}`,
+};
+
+/**
+ * Pick the backups kept by the retention policy: the newest automatic
+ * backup of each of the last N days, weeks and months. Manual backups and
+ * safety snapshots are never rotated, and the newest automatic backup is
+ * always kept.
+ * @param {Array} backups - Backups with id, created_at and is_automatic
+ * @param {Object} retention - { daily, weekly, monthly }
+ * @returns {Set<string>} IDs of the backups to keep
+ */
+export const selectBackupsToKeep = (backups, retention) => {
+  const sorted = backups
+    .filter(backup => backup.is_automatic)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  const keep = new Set([
+    ...backups.filter(backup => !backup.is_automatic).map(backup => backup.id),
+    ...(sorted.length > 0 ? [sorted[0].id] : []),
+  ]);
+
+  Object.entries(RETENTION_PERIODS).forEach(([period, getPeriodKey]) => {
+    const limit = retention?.[period] || 0;
+    const periods = new Set();
+
+    for (const backup of sorted) {
+      if (periods.size >= limit) break;
+
+      const key = getPeriodKey(new Date(backup.created_at));
+      if (periods.has(key)) continue;
+
+      periods.add(key);
+      keep.add(backup.id);
+    }
+  });
+
+  return keep;
+};
+
+/**
+ * Delete the backups that fall outside the retention policy
  * @param {string} userId - User ID
  */
 const cleanupOldBackups = async (userId) => {
   try {
-    // Get all backups sorted by date
-    const { data: backups, error } = await supabase
-      .from(TABLES.BACKUPS)
-      .select('id, created_at')
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false });
-
-    if (error) {
-      console.error('Error getting backups for cleanup:', error);
-      return;
-    }
+    const provider = getSyncProvider();
+    const backups = await provider.listBackups({ userId });
+
+    const { retention } = await getBackupSettings();
+    const keep = selectBackupsToKeep(backups, retention);
+    const toDelete = backups.filter(backup => !keep.has(backup.id));
 
-    // Delete old backups beyond the limit
-    if (backups && backups.length > BACKUP_CONFIG.MAX_BACKUPS) {
-      const toDelete = backups.slice(BACKUP_CONFIG.MAX_BACKUPS);
-      
-      for (const backup of toDelete) {
-        await supabase
-          .from(TABLES.BACKUPS)
-          .delete()
-          .eq('id', backup.id);
-      }
+    if (toDelete.length > 0) {
+      await provider.deleteBackups({ userId, backupIds: toDelete.map(backup => backup.id) });
 
       console.log(`Cleaned up ${toDelete.length} old backups`);
     }
@@ -198,7 +280,7 @@ const cleanupOldBackups = async (userId) => {
  * @returns {Promise<Object>} Backup stats
  */
 export const getBackupStats = async () => {
-  if (!isSupabaseConfigured()) {
+  if (!isSyncConfigured()) {
     return {
       totalBackups: 0,
       latestBackup: null,
@@ -216,19 +298,9 @@ export const getBackupStats = async () => {
   }
 
   try {
-    const { data, error } = await supabase
-      .from(TABLES.BACKUPS)
-      .select('*')
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false });
-
-    if (error) {
-      console.error('Error getting backup stats:', error);
-      throw error;
-    }
+    const backups = await getSyncProvider().listBackups({ userId });
+
 
-    const backups = data || [];
-    
     return {
       totalBackups: backups.length,
       latestBackup: backups[0] || null,
@@ -245,26 +317,229 @@ export const getBackupStats = async () => {
   }
 };
 
+/**
+ * Get the tasks stored in a backup
+ * @param {string} backupId - Backup ID
+ * @returns {Promise<Object>} { backup, tasks }
+ */
+const getBackupTasks = async (backupId) => {
+  if (!isSyncConfigured()) {
+    throw new Error('La sincronización no está configurada');
+  }
+
+  const userId = await getCurrentUserId();
+  if (!userId) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  let data;
+  try {
+    data = await getSyncProvider().getBackup({ userId, backupId });
+  } catch (error) {
+    console.error('Error getting backup:', error);
+    throw error;
+  }
+
+  const { data: contents, ...backup } = data;
+  const backupData = typeof contents === 'string' ? JSON.parse(contents) : contents;
+  if (!backupData || !Array.isArray(backupData.tasks)) {
+    throw new Error('Este respaldo no contiene datos de tareas');
+  }
+
+  const key = getEncryptionKey();
+  return {
+    backup,
+    tasks: backupData.tasks.map(task => decryptFields(task, key, TASK_ENCRYPTED_FIELDS)),
+  };
+};
+
+/**
+ * Compare local tasks with a backup
+ * @param {Array} localTasks - Current local tasks
+ * @param {Array} backupTasks - Tasks stored in the backup
+ * @param {string} mode - One of RESTORE_MODES
+ * @returns {Object} { added, changed, removed } lists of task IDs
+ */
+export const diffBackup = (localTasks, backupTasks, mode) => {
+  const localMap = new Map(localTasks.map(task => [task.id, task]));
+  const backupIds = new Set(backupTasks.map(task => task.id));
+
+  const added = [];
+  const changed = [];
+  backupTasks.forEach(backupTask => {
+    const localTask = localMap.get(backupTask.id);
+    if (!localTask) {
+      added.push(backupTask.id);
+    } else if (hasFieldChanges(localTask, backupTask)) {
+      changed.push(backupTask.id);
+    }
+  });
+
+  const removed = mode === RESTORE_MODES.REPLACE
+    ? localTasks.filter(task => !backupIds.has(task.id)).map(task => task.id)
+    : [];
+
+  return { added, changed, removed };
+};
+
+/**
+ * Build the task list that results from restoring a backup
+ * @param {Array} localTasks - Current local tasks
+ * @param {Array} backupTasks - Tasks stored in the backup
+ * @param {string} mode - One of RESTORE_MODES
+ * @returns {Array} Restored tasks
+ */
+export const buildRestoredTasks = (localTasks, backupTasks, mode) => {
+  const localMap = new Map(localTasks.map(task => [task.id, task]));
+  const { added, changed } = diffBackup(localTasks, backupTasks, mode);
+  const touched = new Set([...added, ...changed]);
+  const now = new Date().toISOString();
+
+  const restored = backupTasks.map(backupTask => {
+    const localTask = localMap.get(backupTask.id);
+    if (!touched.has(backupTask.id)) return localTask;
+
+    // Keep device-only data: scheduled reminders and downloaded files
+    const localAttachments = new Map((localTask?.attachments || []).map(a => [a.id, a]));
+    return {
+      ...backupTask,
+      notificationIds: localTask?.notificationIds || {},
+      attachments: (backupTask.attachments || []).map(a => ({
+        ...localAttachments.get(a.id),
+        ...a,
+      })),
+      updatedAt: now,
+    };
+  });
+
+  if (mode === RESTORE_MODES.REPLACE) {
+    return restored;
+  }
+
+  const backupIds = new Set(backupTasks.map(task => task.id));
+  return [
+    ...restored,
+    ...localTasks.filter(task => !backupIds.has(task.id)),
+  ];
+};
+
+/**
+ * Preview what restoring a backup would change, for both modes
+ * @param {string} backupId - Backup ID
+ * @param {Array} localTasks - Current local tasks
+ * @returns {Promise<Object>} { backup, replace, merge } with counts per mode
+ */
+export const previewRestore = async (backupId, localTasks) => {
+  const { backup, tasks } = await getBackupTasks(backupId);
+
+  const toCounts = (diff) => ({
+    added: diff.added.length,
+    changed: diff.changed.length,
+    removed: diff.removed.length,
+  });
+
+  return {
+    backup,
+    [RESTORE_MODES.REPLACE]: toCounts(diffBackup(localTasks, tasks, RESTORE_MODES.REPLACE)),
+    [RESTORE_MODES.MERGE]: toCounts(diffBackup(localTasks, tasks, RESTORE_MODES.MERGE)),
+  };
+};
+
+/**
+ * Restore a backup. A safety backup of the current tasks is created first.
+ * @param {string} backupId - Backup ID
+ * @param {string} mode - One of RESTORE_MODES
+ * @param {Array} localTasks - Current local tasks
+ * @returns {Promise<Object>} Restored tasks, diff and safety backup ID
+ */
+export const restoreBackup = async (backupId, mode, localTasks) => {
+  if (!Object.values(RESTORE_MODES).includes(mode)) {
+    throw new Error(`Modo de restauración no válido: ${mode}`);
+  }
+
+  try {
+    const { tasks: backupTasks } = await getBackupTasks(backupId);
+
+    // Safety snapshot, so the restore can be undone by restoring it
+    const snapshot = await createBackup(localTasks, false);
+
+    const diff = diffBackup(localTasks, backupTasks, mode);
+    const tasks = buildRestoredTasks(localTasks, backupTasks, mode);
+
+    await enqueueSyncOperations([
+      ...[...diff.added, ...diff.changed].map(taskId => ({ type: SYNC_OPERATIONS.UPDATE, taskId })),
+      ...diff.removed.map(taskId => ({ type: SYNC_OPERATIONS.DELETE, taskId })),
+    ]);
+
+    return {
+      success: true,
+      tasks,
+      added: diff.added.length,
+      changed: diff.changed.length,
+      removed: diff.removed.length,
+      snapshotId: snapshot.backupId,
+    };
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get when the last automatic backup ran and when the next one is due
+ * @returns {Promise<Object>} { enabled, intervalHours, retention, lastRun, nextRun }
+ */
+export const getBackupSchedule = async () => {
+  const settings = await getBackupSettings();
+
+  let lastRun = await AsyncStorage.getItem(LAST_AUTO_BACKUP_KEY);
+  if (!lastRun) {
+    // First check on this device, fall back to the latest cloud backup
+    const stats = await getBackupStats();
+    lastRun = stats.lastBackupDate || null;
+  }
+
+  const nextRun = lastRun
+    ? new Date(new Date(lastRun).getTime() + settings.intervalHours * 60 * 60 * 1000).toISOString()
+    : new Date().toISOString();
+
+  return {
+    ...settings,
+    lastRun,
+    nextRun: settings.enabled ? nextRun : null,
+  };
+};
+
 /**
  * Check if auto backup is needed
  * @returns {Promise<boolean>} True if backup is needed
  */
 export const isBackupNeeded = async () => {
-  if (!BACKUP_CONFIG.AUTO_BACKUP_ENABLED) {
+  const schedule = await getBackupSchedule();
+  if (!schedule.enabled || !schedule.nextRun) {
     return false;
   }
 
-  const stats = await getBackupStats();
-  
-  if (!stats.lastBackupDate) {
-    return true;
+  return new Date(schedule.nextRun) <= new Date();
+};
+
+/**
+ * Create an automatic backup if one is due
+ * @param {Array} tasks - Current local tasks
+ * @returns {Promise<Object|null>} Backup result, or null if none was due
+ */
+export const runScheduledBackup = async (tasks) => {
+  if (!isSyncConfigured() || !(await isAuthenticated())) {
+    return null;
   }
 
-  const lastBackup = new Date(stats.lastBackupDate);
-  const now = new Date();
-  const hoursSinceLastBackup = (now - lastBackup) / (1000 * 60 * 60);
+  if (!(await isBackupNeeded())) {
+    return null;
+  }
 
-  return hoursSinceLastBackup >= BACKUP_CONFIG.BACKUP_INTERVAL_HOURS;
+  const result = await createBackup(tasks, true);
+  await AsyncStorage.setItem(LAST_AUTO_BACKUP_KEY, result.createdAt || new Date().toISOString());
+  return result;
 };
 
 export default {
@@ -272,5 +547,14 @@ export default {
   listBackups,
   deleteBackup,
   getBackupStats,
+  getBackupSettings,
+  saveBackupSettings,
+  selectBackupsToKeep,
+  getBackupSchedule,
   isBackupNeeded,
+  runScheduledBackup,
+  diffBackup,
+  buildRestoredTasks,
+  previewRestore,
+  restoreBackup,
 };
@@ -2,32 +2,63 @@
  * Cloud Sync Service
  * TaskList App - Phase 2 Cloud Backup
  * 
- * Handles synchronization between local storage and Supabase cloud
+ * Handles synchronization between local storage and the cloud.
+ * The backend is reached only through the active sync provider.
  */
 
-import { supabase, TABLES, SYNC_CONFIG, isSupabaseConfigured } from '../config/supabase';
+import { TABLES, SYNC_CONFIG } from '../config/supabase';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  SERIES_MERGE_FIELDS,
+  LIST_MERGE_FIELDS,
+  mergeTask,
+  mergeRecord,
+  hasFieldChanges,
+  toSyncBase,
+} from '../utils/syncMerge';
+import {
+  TASK_ENCRYPTED_FIELDS,
+  SERIES_ENCRYPTED_FIELDS,
+  LIST_ENCRYPTED_FIELDS,
+  isEncryptedValue,
+  encryptFields,
+  decryptFields,
+} from '../utils/encryption';
+import {
+  getEncryptionKey,
+  assertEncryptionUnlocked,
+  refreshEncryptionStatus,
+} from './encryptionService';
+import { getSyncProvider } from './syncProvider';
+import { DEFAULT_LIST_ID } from '../utils/taskLists';
+import { LIST_ACTIONS, can } from '../utils/listPermissions';
+import { getTaskReminders, getSeriesReminders } from '../utils/taskReminders';
 
 // Storage keys
 const LAST_SYNC_KEY = '@tasklist_last_sync';
 const SYNC_QUEUE_KEY = '@tasklist_sync_queue';
 const USER_ID_KEY = '@tasklist_user_id';
+const SYNC_BASE_KEY = '@tasklist_sync_base';
+const SERIES_SYNC_BASE_KEY = '@tasklist_series_sync_base';
+const LIST_SYNC_BASE_KEY = '@tasklist_list_sync_base';
+const SYNC_CONFLICTS_KEY = '@tasklist_sync_conflicts';
+const SYNC_CURSORS_KEY = '@tasklist_sync_cursors';
+const LIST_MEMBERS_KEY = '@tasklist_list_members';
+
+/**
+ * Check if a sync backend is configured
+ */
+export const isSyncConfigured = () => getSyncProvider().isConfigured();
 
 /**
  * Get current user ID
  */
-export const getCurrentUserId = async () => {
-  const { data: { user } } = await supabase.auth.getUser();
-  return user?.id || null;
-};
+export const getCurrentUserId = () => getSyncProvider().getUserId();
 
 /**
  * Check if user is authenticated
  */
-export const isAuthenticated = async () => {
-  const { data: { session } } = await supabase.auth.getSession();
-  return !!session;
-};
+export const isAuthenticated = () => getSyncProvider().isAuthenticated();
 
 /**
  * Get last sync timestamp
@@ -54,26 +85,517 @@ export const setLastSyncTime = async (date = new Date()) => {
 };
 
 /**
- * Convert local task to cloud format
+ * Get last-synced task snapshots, used as the base for three-way merges
+ * @returns {Promise<Object>} Map of task ID to snapshot
  */
-const taskToCloudFormat = (task, userId) => {
+export const getSyncBase = async () => {
+  try {
+    const saved = await AsyncStorage.getItem(SYNC_BASE_KEY);
+    return saved ? JSON.parse(saved) : {};
+  } catch (error) {
+    console.error('Error getting sync base:', error);
+    return {};
+  }
+};
+
+/**
+ * Store synced tasks as the base for the next merge
+ * @param {Array} tasks - Tasks as they are now in the cloud
+ */
+export const setSyncBase = async (tasks) => {
+  try {
+    const base = {};
+    tasks.forEach(task => {
+      base[task.id] = toSyncBase(task);
+    });
+    await AsyncStorage.setItem(SYNC_BASE_KEY, JSON.stringify(base));
+  } catch (error) {
+    console.error('Error setting sync base:', error);
+  }
+};
+
+/**
+ * Update the base snapshot of individual tasks
+ * @param {Array} tasks - Tasks as they are now in the cloud
+ */
+const updateSyncBase = async (tasks) => {
+  const base = await getSyncBase();
+  tasks.forEach(task => {
+    base[task.id] = toSyncBase(task);
+  });
+
+  try {
+    await AsyncStorage.setItem(SYNC_BASE_KEY, JSON.stringify(base));
+  } catch (error) {
+    console.error('Error updating sync base:', error);
+  }
+};
+
+/**
+ * Get the last-synced snapshots of recurring series or lists
+ * @param {string} key - SERIES_SYNC_BASE_KEY or LIST_SYNC_BASE_KEY
+ */
+const getRecordSyncBase = async (key) => {
+  try {
+    const saved = await AsyncStorage.getItem(key);
+    return saved ? JSON.parse(saved) : {};
+  } catch (error) {
+    console.error('Error getting record sync base:', error);
+    return {};
+  }
+};
+
+/**
+ * Store synced recurring series or lists as the base for the next merge
+ * @param {string} key - SERIES_SYNC_BASE_KEY or LIST_SYNC_BASE_KEY
+ * @param {Array} records - Records as they are now in the cloud
+ * @param {string[]} fields - Merged fields of the records
+ */
+const setRecordSyncBase = async (key, records, fields) => {
+  try {
+    const base = {};
+    records.forEach(record => {
+      base[record.id] = toSyncBase(record, fields);
+    });
+    await AsyncStorage.setItem(key, JSON.stringify(base));
+  } catch (error) {
+    console.error('Error setting record sync base:', error);
+  }
+};
+
+/**
+ * Update the base snapshot of individual recurring series or lists
+ * @param {string} key - SERIES_SYNC_BASE_KEY or LIST_SYNC_BASE_KEY
+ * @param {Array} records - Records as they are now in the cloud
+ * @param {string[]} fields - Merged fields of the records
+ */
+const updateRecordSyncBase = async (key, records, fields) => {
+  const base = await getRecordSyncBase(key);
+  records.forEach(record => {
+    base[record.id] = toSyncBase(record, fields);
+  });
+
+  try {
+    await AsyncStorage.setItem(key, JSON.stringify(base));
+  } catch (error) {
+    console.error('Error updating record sync base:', error);
+  }
+};
+
+/**
+ * Get the delta sync cursor of a collection: the newest server stamp
+ * (synced_at) already pulled. The edit time (updated_at) can't be used,
+ * since edits made offline reach the server with an older one.
+ * @param {string} collection - Table name
+ * @param {string} userId - Current user ID; cursors of another account are ignored
+ * @returns {Promise<string|null>} ISO timestamp, or null for a full pull
+ */
+const getSyncCursor = async (collection, userId) => {
+  try {
+    const saved = await AsyncStorage.getItem(SYNC_CURSORS_KEY);
+    const cursors = saved ? JSON.parse(saved) : {};
+    return cursors.userId === userId ? cursors[collection] || null : null;
+  } catch (error) {
+    console.error('Error getting sync cursor:', error);
+    return null;
+  }
+};
+
+/**
+ * Advance the delta sync cursor past the pulled rows
+ * @param {string} collection - Table name
+ * @param {string} userId - Current user ID
+ * @param {string|null} cursor - Cursor used for the pull
+ * @param {Array} rows - Pulled rows in local format
+ */
+const advanceSyncCursor = async (collection, userId, cursor, rows) => {
+  // After a full pull of an empty collection, the next pull starts from the beginning
+  const latest = rows.reduce((max, row) => {
+    if (!row.syncedAt) return max;
+    return new Date(row.syncedAt) > new Date(max) ? row.syncedAt : max;
+  }, cursor || new Date(0).toISOString());
+
+  try {
+    const saved = await AsyncStorage.getItem(SYNC_CURSORS_KEY);
+    const cursors = saved ? JSON.parse(saved) : {};
+    const next = cursors.userId === userId ? cursors : { userId };
+    await AsyncStorage.setItem(SYNC_CURSORS_KEY, JSON.stringify({ ...next, [collection]: latest }));
+  } catch (error) {
+    console.error('Error setting sync cursor:', error);
+  }
+};
+
+/**
+ * Forget the delta sync cursors, so the next sync pulls everything
+ */
+export const resetSyncCursors = async () => {
+  try {
+    await AsyncStorage.removeItem(SYNC_CURSORS_KEY);
+  } catch (error) {
+    console.error('Error resetting sync cursors:', error);
+  }
+};
+
+/**
+ * Get the last fetched members of the user's shared lists
+ * @param {string} userId - Current user ID; members cached for another account are ignored
+ * @returns {Promise<Array>} Member rows { list_id, user_id, role, email, display_name }
+ */
+export const getListMemberships = async (userId) => {
+  try {
+    const saved = await AsyncStorage.getItem(LIST_MEMBERS_KEY);
+    const cached = saved ? JSON.parse(saved) : null;
+    return cached?.userId === userId ? cached.members : [];
+  } catch (error) {
+    console.error('Error getting list members:', error);
+    return [];
+  }
+};
+
+/**
+ * Fetch the members of the user's shared lists and keep them for offline use.
+ * Joining a list resets the sync cursors, since its older rows were stamped
+ * before them. Falls back to the cached members when the backend is unreachable.
+ * @returns {Promise<Array>} Member rows
+ */
+export const refreshListMemberships = async () => {
+  const provider = getSyncProvider();
+  const userId = await getCurrentUserId();
+  if (!userId || !provider.listMemberships) return [];
+
+  try {
+    const previous = new Set((await getListMemberships(userId)).map(m => m.list_id));
+    const members = await provider.listMemberships({ userId });
+
+    if (members.some(m => !previous.has(m.list_id))) {
+      await resetSyncCursors();
+    }
+    await AsyncStorage.setItem(LIST_MEMBERS_KEY, JSON.stringify({ userId, members }));
+    return members;
+  } catch (error) {
+    console.error('Error refreshing list members:', error);
+    return getListMemberships(userId);
+  }
+};
+
+/**
+ * Lists shared with or by the user, as seen by the sync
+ * @param {Array} memberships - Member rows of the user's lists
+ * @param {string|null} userId - Current user ID
+ * @returns {{ listIds: Array<string>, isShared: Function, canEditTasks: Function }}
+ */
+const getSharedScope = (memberships, userId) => {
+  const listIds = [...new Set(memberships.map(m => m.list_id))];
+  const readOnly = new Set(
+    memberships
+      .filter(m => m.user_id === userId && !can(m.role, LIST_ACTIONS.EDIT_TASKS))
+      .map(m => m.list_id)
+  );
+
   return {
-    id: task.id,
-    user_id: userId,
+    listIds,
+    isShared: (listId) => listIds.includes(listId),
+    canEditTasks: (listId) => !readOnly.has(listId),
+  };
+};
+
+const NOT_SHARED = getSharedScope([], null);
+
+const loadSharedScope = async (userId) => {
+  return getSharedScope(await getListMemberships(userId), userId);
+};
+
+/**
+ * Start of the pull window for a cursor. Re-reads a short overlap, since
+ * rows written concurrently with the last pull may carry an older stamp.
+ * @param {string|null} cursor
+ * @returns {string|null}
+ */
+const getPullSince = (cursor) => {
+  if (!cursor) return null;
+  return new Date(new Date(cursor).getTime() - SYNC_CONFIG.CURSOR_OVERLAP_MS).toISOString();
+};
+
+/**
+ * Check whether a local record changed since it was last synced
+ * @param {Object} record - Task or series in local format
+ * @returns {boolean}
+ */
+const hasUnsyncedChanges = (record) => {
+  return !record.syncedAt || new Date(record.updatedAt || 0) > new Date(record.syncedAt);
+};
+
+/**
+ * Get conflicts detected by previous syncs that the user hasn't reviewed
+ * @returns {Promise<Array>} Conflict records, one per task
+ */
+export const getSyncConflicts = async () => {
+  try {
+    const saved = await AsyncStorage.getItem(SYNC_CONFLICTS_KEY);
+    return saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.error('Error getting sync conflicts:', error);
+    return [];
+  }
+};
+
+const saveSyncConflicts = async (conflicts) => {
+  try {
+    await AsyncStorage.setItem(SYNC_CONFLICTS_KEY, JSON.stringify(conflicts));
+  } catch (error) {
+    console.error('Error saving sync conflicts:', error);
+  }
+};
+
+/**
+ * Store new conflicts, replacing older records for the same task
+ * @param {Array} conflicts - Conflict records from syncTasks
+ */
+const storeSyncConflicts = async (conflicts) => {
+  const taskIds = new Set(conflicts.map(c => c.taskId));
+  const existing = await getSyncConflicts();
+  await saveSyncConflicts([
+    ...existing.filter(c => !taskIds.has(c.taskId)),
+    ...conflicts,
+  ]);
+};
+
+/**
+ * Upload the user's resolution of a conflict and forget the record
+ * @param {string} taskId - Task ID of the conflict
+ * @param {Object} resolvedTask - Task as chosen by the user
+ * @returns {Promise<Object>} Result
+ */
+export const resolveSyncConflict = async (taskId, resolvedTask) => {
+  if (!isSyncConfigured()) {
+    throw new Error('La sincronización no está configurada');
+  }
+
+  const userId = await getCurrentUserId();
+  if (!userId) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  try {
+    const scope = await loadSharedScope(userId);
+    await getSyncProvider().push(TABLES.TASKS, {
+      userId,
+      upserts: [taskToCloudFormat(resolvedTask, userId, scope)],
+    });
+
+    await updateSyncBase([resolvedTask]);
+
+    const conflicts = await getSyncConflicts();
+    await saveSyncConflicts(conflicts.filter(c => c.taskId !== taskId));
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error resolving sync conflict:', error);
+    throw error;
+  }
+};
+
+/**
+ * Sync queue operation types
+ */
+export const SYNC_OPERATIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  SUBTASK: 'subtask',
+  ATTACHMENT: 'attachment',
+};
+
+// Serializes read-modify-write access to the persisted queue
+let queueLock = Promise.resolve();
+
+const withQueueLock = (fn) => {
+  const run = queueLock.then(fn, fn);
+  queueLock = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Get pending sync operations
+ * @returns {Promise<Array>} Queued operations, oldest first
+ */
+export const getSyncQueue = async () => {
+  try {
+    const saved = await AsyncStorage.getItem(SYNC_QUEUE_KEY);
+    return saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.error('Error getting sync queue:', error);
+    return [];
+  }
+};
+
+const saveSyncQueue = async (queue) => {
+  try {
+    await AsyncStorage.setItem(SYNC_QUEUE_KEY, JSON.stringify(queue));
+  } catch (error) {
+    console.error('Error saving sync queue:', error);
+  }
+};
+
+// Operations on a recurring series or list carry a seriesId or listId instead of a taskId
+const operationKey = (op) => {
+  if (op.seriesId) return `series:${op.seriesId}`;
+  if (op.listId) return `list:${op.listId}`;
+  return op.taskId;
+};
+
+const operationTarget = (op) => {
+  if (op.seriesId) return { seriesId: op.seriesId };
+  if (op.listId) return { listId: op.listId };
+  return { taskId: op.taskId };
+};
+
+// Notified after operations are queued, so they can be pushed right away
+const queueListeners = new Set();
+
+/**
+ * Listen for operations added to the sync queue
+ * @param {Function} listener - Called after new operations are saved
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToSyncQueue = (listener) => {
+  queueListeners.add(listener);
+  return () => {
+    queueListeners.delete(listener);
+  };
+};
+
+/**
+ * Add operations to the persistent sync queue.
+ * Only the latest operation per task, series or list is kept, since replay
+ * always uploads the current local state.
+ * @param {Array<{ type: string, taskId?: string, seriesId?: string, listId?: string }>} operations
+ */
+export const enqueueSyncOperations = (operations) => {
+  if (!operations || operations.length === 0) return Promise.resolve();
+
+  return withQueueLock(async () => {
+    const queue = await getSyncQueue();
+    const now = new Date().toISOString();
+    const keys = new Set(operations.map(operationKey));
+
+    const nextQueue = [
+      ...queue.filter(op => !keys.has(operationKey(op))),
+      ...operations.map(op => ({
+        id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        type: op.type,
+        ...operationTarget(op),
+        createdAt: now,
+      })),
+    ];
+
+    await saveSyncQueue(nextQueue);
+  }).then(() => {
+    queueListeners.forEach(listener => listener());
+  });
+};
+
+/**
+ * Add a single operation to the persistent sync queue
+ * @param {string} type - One of SYNC_OPERATIONS
+ * @param {string} taskId - Affected task ID
+ */
+export const enqueueSyncOperation = (type, taskId) => {
+  return enqueueSyncOperations([{ type, taskId }]);
+};
+
+/**
+ * Add a recurring series operation to the persistent sync queue
+ * @param {string} type - CREATE, UPDATE or DELETE from SYNC_OPERATIONS
+ * @param {string} seriesId - Affected series ID
+ */
+export const enqueueSeriesOperation = (type, seriesId) => {
+  return enqueueSyncOperations([{ type, seriesId }]);
+};
+
+/**
+ * Add a task list operation to the persistent sync queue
+ * @param {string} type - CREATE, UPDATE or DELETE from SYNC_OPERATIONS
+ * @param {string} listId - Affected list ID
+ */
+export const enqueueListOperation = (type, listId) => {
+  return enqueueSyncOperations([{ type, listId }]);
+};
+
+/**
+ * Remove all pending sync operations
+ */
+export const clearSyncQueue = () => {
+  return withQueueLock(() => saveSyncQueue([]));
+};
+
+/**
+ * Encrypt sensitive fields when the account uses end-to-end encryption.
+ * Refuses to return plaintext for an encrypted account without a key.
+ */
+const sealFields = (record, fields) => {
+  assertEncryptionUnlocked();
+  const key = getEncryptionKey();
+  return key ? encryptFields(record, key, fields) : record;
+};
+
+/**
+ * Parse a JSON column that may hold an encrypted value
+ */
+const parseJsonColumn = (value, fallback) => {
+  if (isEncryptedValue(value)) return value;
+  if (typeof value === 'string') return JSON.parse(value);
+  return value ?? fallback;
+};
+
+/**
+ * Convert local task to cloud format.
+ * Members of a shared list don't have this account's key, so its tasks
+ * are stored without end-to-end encryption and keep their creator as owner.
+ */
+const taskToCloudFormat = (task, userId, scope = NOT_SHARED) => {
+  const shared = scope.isShared(task.listId);
+  const fields = {
     title: task.title,
     description: task.description || null,
-    category: task.category || 'personal',
+    subtasks: task.subtasks || [],
+    comments: task.comments || [],
+    activity: task.activity || [],
+    place: task.place || null,
+  };
+  const sealed = shared ? fields : sealFields(fields, TASK_ENCRYPTED_FIELDS);
+
+  return {
+    id: task.id,
+    user_id: shared && task.ownerId ? task.ownerId : userId,
+    title: sealed.title,
+    description: sealed.description,
+    list_id: task.listId || DEFAULT_LIST_ID,
+    assignee_id: task.assigneeId || null,
     priority: task.priority || 'medium',
     completed: task.completed || false,
     due_date: task.dueDate || null,
+    start_date: task.startDate || null,
+    all_day: task.allDay !== false,
+    estimated_minutes: task.estimatedMinutes || null,
     enable_reminder: task.enableReminder || false,
-    subtasks: JSON.stringify(task.subtasks || []),
+    reminders: JSON.stringify(task.reminders || []),
+    subtasks: JSON.stringify(sealed.subtasks),
+    comments: JSON.stringify(sealed.comments),
+    activity: JSON.stringify(sealed.activity),
+    place: sealed.place ? JSON.stringify(sealed.place) : null,
     attachments: JSON.stringify((task.attachments || []).map(a => ({
       id: a.id,
       filename: a.filename,
       type: a.type,
       filesize: a.filesize,
+      mimeType: a.mimeType || null,
+      contentHash: a.contentHash || null,
+      storagePath: a.storagePath || null,
     }))),
+    blocked_by: JSON.stringify(task.blockedBy || []),
+    snooze_history: JSON.stringify(task.snoozeHistory || []),
+    parent_task_id: task.parentTaskId || null,
     is_recurring: task.isRecurring || false,
     recurring_series_id: task.recurringSeriesId || null,
     instance_date: task.instanceDate || null,
@@ -88,28 +610,54 @@ const taskToCloudFormat = (task, userId) => {
 
 /**
  * Convert cloud task to local format
+ * @param {Object} cloudTask - Task row
+ * @param {string|null} [userId] - Current user ID; tasks of other users keep their owner
  */
-const taskToLocalFormat = (cloudTask) => {
+const taskToLocalFormat = (cloudTask, userId = null) => {
+  const opened = decryptFields({
+    title: cloudTask.title,
+    description: cloudTask.description,
+    subtasks: parseJsonColumn(cloudTask.subtasks, []),
+    comments: parseJsonColumn(cloudTask.comments, []),
+    activity: parseJsonColumn(cloudTask.activity, []),
+    place: parseJsonColumn(cloudTask.place, null),
+  }, getEncryptionKey(), TASK_ENCRYPTED_FIELDS);
+
   return {
     id: cloudTask.id,
-    title: cloudTask.title,
-    description: cloudTask.description || '',
-    category: cloudTask.category || 'personal',
+    title: opened.title,
+    description: opened.description || '',
+    // Rows written before lists existed only have a category
+    listId: cloudTask.list_id || cloudTask.category || DEFAULT_LIST_ID,
+    assigneeId: cloudTask.assignee_id || null,
+    ownerId: userId && cloudTask.user_id !== userId ? cloudTask.user_id : null,
     priority: cloudTask.priority || 'medium',
     completed: cloudTask.completed || false,
     dueDate: cloudTask.due_date,
+    startDate: cloudTask.start_date || null,
+    allDay: cloudTask.all_day !== false,
+    estimatedMinutes: cloudTask.estimated_minutes || null,
     enableReminder: cloudTask.enable_reminder || false,
-    subtasks: typeof cloudTask.subtasks === 'string' 
-      ? JSON.parse(cloudTask.subtasks) 
-      : (cloudTask.subtasks || []),
+    reminders: getTaskReminders({
+      reminders: parseJsonColumn(cloudTask.reminders, null),
+      enableReminder: cloudTask.enable_reminder,
+      dueDate: cloudTask.due_date,
+    }),
+    subtasks: opened.subtasks || [],
+    comments: opened.comments || [],
+    activity: opened.activity || [],
+    place: opened.place || null,
     attachments: typeof cloudTask.attachments === 'string'
       ? JSON.parse(cloudTask.attachments)
       : (cloudTask.attachments || []),
+    blockedBy: parseJsonColumn(cloudTask.blocked_by, []),
+    snoozeHistory: parseJsonColumn(cloudTask.snooze_history, []),
+    parentTaskId: cloudTask.parent_task_id || null,
     isRecurring: cloudTask.is_recurring || false,
     recurringSeriesId: cloudTask.recurring_series_id,
     instanceDate: cloudTask.instance_date,
     skipped: cloudTask.skipped || false,
-    notificationId: null,
+    notificationIds: {},
     createdAt: cloudTask.created_at,
     updatedAt: cloudTask.updated_at,
     syncedAt: cloudTask.synced_at,
@@ -117,14 +665,256 @@ const taskToLocalFormat = (cloudTask) => {
   };
 };
 
+/**
+ * Convert local recurring series to cloud format
+ */
+const seriesToCloudFormat = (series, userId) => {
+  const sealed = sealFields({
+    title: series.title,
+    description: series.description || null,
+  }, SERIES_ENCRYPTED_FIELDS);
+
+  return {
+    id: series.id,
+    user_id: userId,
+    title: sealed.title,
+    description: sealed.description,
+    list_id: series.listId || DEFAULT_LIST_ID,
+    priority: series.priority || 'medium',
+    enable_reminder: series.enableReminder || false,
+    reminders: JSON.stringify(series.reminders || []),
+    recurring_config: JSON.stringify(series.recurringConfig || {}),
+    exceptions: JSON.stringify(series.exceptions || []),
+    active: series.active !== false,
+    created_at: series.createdAt || new Date().toISOString(),
+    updated_at: series.updatedAt || new Date().toISOString(),
+    synced_at: new Date().toISOString(),
+    version: (series.version || 0) + 1,
+    deleted: false,
+  };
+};
+
+/**
+ * Convert cloud recurring series to local format
+ */
+const seriesToLocalFormat = (cloudSeries) => {
+  const opened = decryptFields({
+    title: cloudSeries.title,
+    description: cloudSeries.description,
+  }, getEncryptionKey(), SERIES_ENCRYPTED_FIELDS);
+
+  return {
+    id: cloudSeries.id,
+    title: opened.title,
+    description: opened.description || '',
+    listId: cloudSeries.list_id || cloudSeries.category || DEFAULT_LIST_ID,
+    priority: cloudSeries.priority || 'medium',
+    enableReminder: cloudSeries.enable_reminder || false,
+    reminders: getSeriesReminders({
+      reminders: parseJsonColumn(cloudSeries.reminders, null),
+      enableReminder: cloudSeries.enable_reminder,
+    }),
+    recurringConfig: typeof cloudSeries.recurring_config === 'string'
+      ? JSON.parse(cloudSeries.recurring_config)
+      : (cloudSeries.recurring_config || {}),
+    exceptions: parseJsonColumn(cloudSeries.exceptions, []),
+    active: cloudSeries.active !== false,
+    createdAt: cloudSeries.created_at,
+    updatedAt: cloudSeries.updated_at,
+    syncedAt: cloudSeries.synced_at,
+    version: cloudSeries.version || 1,
+  };
+};
+
+/**
+ * Convert local task list to cloud format. Shared lists aren't encrypted.
+ */
+const listToCloudFormat = (list, userId, scope = NOT_SHARED) => {
+  const sealed = scope.isShared(list.id)
+    ? { name: list.name }
+    : sealFields({ name: list.name }, LIST_ENCRYPTED_FIELDS);
+
+  return {
+    id: list.id,
+    user_id: list.ownerId || userId,
+    name: sealed.name,
+    color: list.color || null,
+    icon: list.icon || null,
+    sort_order: list.order ?? 0,
+    archived: list.archived || false,
+    created_at: list.createdAt || new Date().toISOString(),
+    updated_at: list.updatedAt || new Date().toISOString(),
+    synced_at: new Date().toISOString(),
+    version: (list.version || 0) + 1,
+    deleted: false,
+  };
+};
+
+/**
+ * Convert cloud task list to local format
+ * @param {Object} cloudList - List row
+ * @param {string|null} [userId] - Current user ID; lists shared by other users keep their owner
+ */
+const listToLocalFormat = (cloudList, userId = null) => {
+  const opened = decryptFields({ name: cloudList.name }, getEncryptionKey(), LIST_ENCRYPTED_FIELDS);
+
+  return {
+    id: cloudList.id,
+    ownerId: userId && cloudList.user_id !== userId ? cloudList.user_id : null,
+    name: opened.name,
+    color: cloudList.color,
+    icon: cloudList.icon,
+    order: cloudList.sort_order ?? 0,
+    archived: cloudList.archived || false,
+    createdAt: cloudList.created_at,
+    updatedAt: cloudList.updated_at,
+    syncedAt: cloudList.synced_at,
+    version: cloudList.version || 1,
+  };
+};
+
+/**
+ * Upsert queued records and write tombstones for queued deletes
+ * @returns {Promise<{ uploaded: number, deleted: number }>}
+ */
+const replayOperations = async ({
+  ops,
+  idKey,
+  table,
+  localMap,
+  toCloud,
+  userId,
+  completedIds,
+  canPush = () => true,
+}) => {
+  const deleteOps = ops.filter(op => op.type === SYNC_OPERATIONS.DELETE);
+  const isUploadable = (op) => localMap.has(op[idKey]) && canPush(localMap.get(op[idKey]));
+  const upsertOps = ops.filter(op =>
+    op.type !== SYNC_OPERATIONS.DELETE && isUploadable(op)
+  );
+
+  // Records deleted locally after the operation was queued, or read-only for this user
+  ops
+    .filter(op => op.type !== SYNC_OPERATIONS.DELETE && !isUploadable(op))
+    .forEach(op => completedIds.add(op.id));
+
+  const provider = getSyncProvider();
+  const batchSize = SYNC_CONFIG.BATCH_SIZE;
+
+  for (let i = 0; i < upsertOps.length; i += batchSize) {
+    const batch = upsertOps.slice(i, i + batchSize);
+
+    await provider.push(table, {
+      userId,
+      upserts: batch.map(op => toCloud(localMap.get(op[idKey]), userId)),
+    });
+    batch.forEach(op => completedIds.add(op.id));
+  }
+
+  for (let i = 0; i < deleteOps.length; i += batchSize) {
+    const batch = deleteOps.slice(i, i + batchSize);
+
+    await provider.push(table, {
+      userId,
+      deletes: batch.map(op => op[idKey]),
+    });
+    batch.forEach(op => completedIds.add(op.id));
+  }
+
+  return { uploaded: upsertOps.length, deleted: deleteOps.length };
+};
+
+/**
+ * Replay queued operations against the cloud.
+ * Deletes are written as tombstones (deleted: true) so other devices
+ * drop the task instead of downloading it again.
+ * @param {Array} localTasks - Current local tasks
+ * @param {Array} [localSeries] - Current local recurring series
+ * @param {Array} [localLists] - Current local task lists
+ * @returns {Promise<Object>} Replay result
+ */
+export const replaySyncQueue = async (localTasks, localSeries = [], localLists = []) => {
+  if (!isSyncConfigured()) {
+    throw new Error('La sincronización no está configurada');
+  }
+
+  const userId = await getCurrentUserId();
+  if (!userId) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  const queue = await getSyncQueue();
+  if (queue.length === 0) {
+    return { success: true, uploaded: 0, deleted: 0 };
+  }
+
+  const scope = await loadSharedScope(userId);
+  const completedIds = new Set();
+  let taskResult = { uploaded: 0, deleted: 0 };
+  let seriesResult = { uploaded: 0, deleted: 0 };
+  let listResult = { uploaded: 0, deleted: 0 };
+
+  try {
+    // Lists and series first, so tasks never reference one missing in the cloud
+    listResult = await replayOperations({
+      ops: queue.filter(op => op.listId),
+      idKey: 'listId',
+      table: TABLES.TASK_LISTS,
+      localMap: new Map(localLists.map(l => [l.id, l])),
+      toCloud: (list, uid) => listToCloudFormat(list, uid, scope),
+      userId,
+      completedIds,
+      // Only the owner edits a shared list
+      canPush: list => !list.ownerId,
+    });
+
+    seriesResult = await replayOperations({
+      ops: queue.filter(op => op.seriesId),
+      idKey: 'seriesId',
+      table: TABLES.RECURRING_SERIES,
+      localMap: new Map(localSeries.map(s => [s.id, s])),
+      toCloud: seriesToCloudFormat,
+      userId,
+      completedIds,
+    });
+
+    taskResult = await replayOperations({
+      ops: queue.filter(op => op.taskId),
+      idKey: 'taskId',
+      table: TABLES.TASKS,
+      localMap: new Map(localTasks.map(t => [t.id, t])),
+      toCloud: (task, uid) => taskToCloudFormat(task, uid, scope),
+      userId,
+      completedIds,
+      canPush: task => scope.canEditTasks(task.listId),
+    });
+  } finally {
+    // Drop what was replayed, keeping anything queued meanwhile
+    await withQueueLock(async () => {
+      const current = await getSyncQueue();
+      await saveSyncQueue(current.filter(op => !completedIds.has(op.id)));
+    });
+  }
+
+  return {
+    success: true,
+    uploaded: taskResult.uploaded,
+    deleted: taskResult.deleted,
+    seriesUploaded: seriesResult.uploaded,
+    seriesDeleted: seriesResult.deleted,
+    listsUploaded: listResult.uploaded,
+    listsDeleted: listResult.deleted,
+  };
+};
+
 /**
  * Upload local tasks to cloud (full sync)
  * @param {Array} localTasks - Local tasks to sync
  * @returns {Promise<Object>} Sync result
  */
 export const uploadToCloud = async (localTasks) => {
-  if (!isSupabaseConfigured()) {
-    throw new Error('Supabase no está configurado');
+  if (!isSyncConfigured()) {
+    throw new Error('La sincronización no está configurada');
   }
 
   const userId = await getCurrentUserId();
@@ -133,7 +923,10 @@ export const uploadToCloud = async (localTasks) => {
   }
 
   try {
-    const cloudTasks = localTasks.map(task => taskToCloudFormat(task, userId));
+    const scope = await loadSharedScope(userId);
+    const cloudTasks = localTasks
+      .filter(task => scope.canEditTasks(task.listId))
+      .map(task => taskToCloudFormat(task, userId, scope));
     
     // Upsert tasks in batches
     const batchSize = SYNC_CONFIG.BATCH_SIZE;
@@ -141,23 +934,14 @@ export const uploadToCloud = async (localTasks) => {
     
     for (let i = 0; i < cloudTasks.length; i += batchSize) {
       const batch = cloudTasks.slice(i, i + batchSize);
-      
-      const { error } = await supabase
-        .from(TABLES.TASKS)
-        .upsert(batch, { 
-          onConflict: 'id',
-          ignoreDuplicates: false,
-        });
-
-      if (error) {
-        console.error('Error uploading batch:', error);
-        throw error;
-      }
-      
+
+      await getSyncProvider().push(TABLES.TASKS, { userId, upserts: batch });
+
       uploaded += batch.length;
     }
 
     await setLastSyncTime();
+    await setSyncBase(localTasks);
 
     return {
       success: true,
@@ -172,11 +956,15 @@ export const uploadToCloud = async (localTasks) => {
 
 /**
  * Download tasks from cloud
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDeleted=false] - Also return tombstones
+ * @param {string|null} [options.since=null] - Only tasks the server stamped after this time
+ * @param {Array<string>} [options.sharedListIds=[]] - Shared lists whose tasks are included
  * @returns {Promise<Array>} Cloud tasks in local format
  */
-export const downloadFromCloud = async () => {
-  if (!isSupabaseConfigured()) {
-    throw new Error('Supabase no está configurado');
+export const downloadFromCloud = async ({ includeDeleted = false, since = null, sharedListIds = [] } = {}) => {
+  if (!isSyncConfigured()) {
+    throw new Error('La sincronización no está configurada');
   }
 
   const userId = await getCurrentUserId();
@@ -185,19 +973,12 @@ export const downloadFromCloud = async () => {
   }
 
   try {
-    const { data, error } = await supabase
-      .from(TABLES.TASKS)
-      .select('*')
-      .eq('user_id', userId)
-      .eq('deleted', false)
-      .order('updated_at', { ascending: false });
-
-    if (error) {
-      console.error('Error downloading from cloud:', error);
-      throw error;
-    }
+    const rows = await getSyncProvider().pull(TABLES.TASKS, { userId, includeDeleted, since, sharedListIds });
 
-    return (data || []).map(taskToLocalFormat);
+    return rows.map(cloudTask => includeDeleted
+      ? { ...taskToLocalFormat(cloudTask, userId), deleted: cloudTask.deleted || false }
+      : taskToLocalFormat(cloudTask, userId)
+    );
   } catch (error) {
     console.error('Error downloading from cloud:', error);
     throw error;
@@ -205,16 +986,19 @@ export const downloadFromCloud = async () => {
 };
 
 /**
- * Sync local and cloud tasks
- * Uses "server wins" conflict resolution by default
+ * Sync local and cloud tasks.
+ * Pulls only the tasks changed in the cloud since the last sync and pushes
+ * only the local tasks changed since they were last synced.
  * @param {Array} localTasks - Current local tasks
+ * @param {Object} [options]
+ * @param {boolean} [options.full=false] - Pull and compare every task
  * @returns {Promise<Object>} Sync result with merged tasks
  */
-export const syncTasks = async (localTasks) => {
-  if (!isSupabaseConfigured()) {
+export const syncTasks = async (localTasks, { full = false } = {}) => {
+  if (!isSyncConfigured()) {
     return {
       success: false,
-      error: 'Supabase no está configurado',
+      error: 'La sincronización no está configurada',
       tasks: localTasks,
     };
   }
@@ -229,16 +1013,57 @@ export const syncTasks = async (localTasks) => {
   }
 
   try {
+    // Another device may have turned on encryption since the last sync
+    await refreshEncryptionStatus();
+    assertEncryptionUnlocked();
+
     const userId = await getCurrentUserId();
-    const lastSync = await getLastSyncTime();
+    const syncBase = await getSyncBase();
+    const scope = await loadSharedScope(userId);
+    const cursor = full ? null : await getSyncCursor(TABLES.TASKS, userId);
+
+    // Get changed cloud tasks, including tombstones of deleted ones
+    const cloudRows = await downloadFromCloud({
+      includeDeleted: true,
+      since: getPullSince(cursor),
+      sharedListIds: scope.listIds,
+    });
+    const tombstones = new Map(cloudRows.filter(t => t.deleted).map(t => [t.id, t.updatedAt]));
+    const cloudTasks = cloudRows
+      .filter(t => !t.deleted)
+      .map(({ deleted, ...task }) => task);
+
+    // A local copy changed after the delete, e.g. restored from a backup,
+    // wins over the tombstone and is uploaded again
+    const isDeletedInCloud = (task) => tombstones.has(task.id)
+      && new Date(task.updatedAt || 0) <= new Date(tombstones.get(task.id) || 0);
+    const revived = new Set(
+      localTasks.filter(t => tombstones.has(t.id) && !isDeletedInCloud(t)).map(t => t.id)
+    );
+
+    // Deletes still waiting in the queue must not be downloaded again
+    const pendingDeletes = new Set(
+      (await getSyncQueue())
+        .filter(op => op.type === SYNC_OPERATIONS.DELETE && op.taskId)
+        .map(op => op.taskId)
+    );
+
+    // Tasks of other users stay only while their list is shared with this one
+    const revoked = new Set(
+      localTasks
+        .filter(t => t.ownerId && !scope.isShared(t.listId) && !hasUnsyncedChanges(t))
+        .map(t => t.id)
+    );
 
-    // Get cloud tasks
-    const cloudTasks = await downloadFromCloud();
-    
     // Build maps for comparison
-    const localMap = new Map(localTasks.map(t => [t.id, t]));
-    const cloudMap = new Map(cloudTasks.map(t => [t.id, t]));
+    const localMap = new Map(
+      localTasks.filter(t => !isDeletedInCloud(t) && !revoked.has(t.id)).map(t => [t.id, t])
+    );
+    const cloudMap = new Map(
+      cloudTasks.filter(t => !pendingDeletes.has(t.id)).map(t => [t.id, t])
+    );
 
+    const syncedAt = new Date().toISOString();
     const mergedTasks = [];
     const conflicts = [];
     const toUpload = [];
@@ -258,57 +1083,82 @@ export const syncTasks = async (localTasks) => {
         if (SYNC_CONFIG.CONFLICT_RESOLUTION === 'server_wins') {
           // Server (cloud) wins
           if (cloudUpdated >= localUpdated) {
-            mergedTasks.push({ ...local, ...cloud, syncedAt: new Date().toISOString() });
+            mergedTasks.push({ ...local, ...cloud, syncedAt });
           } else {
-            mergedTasks.push(local);
+            mergedTasks.push({ ...local, syncedAt });
             toUpload.push(local);
           }
         } else if (SYNC_CONFIG.CONFLICT_RESOLUTION === 'client_wins') {
           // Client (local) wins
-          mergedTasks.push(local);
+          mergedTasks.push({ ...local, syncedAt });
           toUpload.push(local);
         } else {
-          // Merge - keep most recent updatedAt, merge subtasks and attachments
-          const merged = cloudUpdated >= localUpdated ? cloud : local;
-          mergedTasks.push({
-            ...merged,
-            subtasks: mergeArrays(local.subtasks, cloud.subtasks, 'id'),
-            syncedAt: new Date().toISOString(),
-          });
-          conflicts.push({ local, cloud, resolved: merged });
+          // Merge - three-way per field, using the last-synced copy as base
+          const { task: merged, conflicts: fieldConflicts } = mergeTask(
+            syncBase[id] || null,
+            local,
+            cloud
+          );
+          mergedTasks.push({ ...merged, syncedAt });
+
+          if (hasFieldChanges(merged, cloud)) {
+            toUpload.push(merged);
+          }
+
+          if (fieldConflicts.length > 0) {
+            conflicts.push({
+              taskId: id,
+              local,
+              cloud,
+              resolved: merged,
+              fields: fieldConflicts,
+              detectedAt: new Date().toISOString(),
+            });
+          }
         }
       } else if (local && !cloud) {
-        // Only exists locally - upload to cloud
-        mergedTasks.push(local);
-        toUpload.push(local);
+        // Unchanged in the cloud - upload if changed locally (or missing, on a full sync)
+        if (!cursor || revived.has(id) || hasUnsyncedChanges(local)) {
+          mergedTasks.push({ ...local, syncedAt });
+          toUpload.push(local);
+        } else {
+          mergedTasks.push(local);
+        }
       } else if (!local && cloud) {
         // Only exists in cloud - download to local
-        mergedTasks.push(cloud);
+        mergedTasks.push({ ...cloud, syncedAt });
       }
     }
 
-    // Upload local-only tasks to cloud
-    if (toUpload.length > 0) {
-      const uploadTasks = toUpload.map(t => taskToCloudFormat(t, userId));
-      
-      const { error } = await supabase
-        .from(TABLES.TASKS)
-        .upsert(uploadTasks, { onConflict: 'id' });
-
-      if (error) {
-        console.error('Error uploading during sync:', error);
-      }
+    // Upload local-only tasks to cloud, except in lists this user can only read
+    const uploads = toUpload.filter(t => scope.canEditTasks(t.listId));
+    if (uploads.length > 0) {
+      // Throws before the sync base is recorded, so it never gets ahead of the cloud
+      await getSyncProvider().push(TABLES.TASKS, {
+        userId,
+        upserts: uploads.map(t => taskToCloudFormat(t, userId, scope)),
+      });
     }
 
     await setLastSyncTime();
+    await setSyncBase(mergedTasks);
+    await advanceSyncCursor(TABLES.TASKS, userId, cursor, cloudRows);
+
+    if (conflicts.length > 0) {
+      await storeSyncConflicts(conflicts);
+    }
 
     return {
       success: true,
       tasks: mergedTasks,
+      conflicts,
       stats: {
+        full: !cursor,
+        pulled: cloudRows.length,
         total: mergedTasks.length,
-        uploaded: toUpload.length,
+        uploaded: uploads.length,
         downloaded: cloudTasks.filter(c => !localMap.has(c.id)).length,
+        deleted: localTasks.filter(t => isDeletedInCloud(t) || revoked.has(t.id)).length,
         conflicts: conflicts.length,
       },
       lastSync: new Date().toISOString(),
@@ -323,49 +1173,432 @@ export const syncTasks = async (localTasks) => {
   }
 };
 
+/**
+ * Upload local recurring series to cloud (full sync)
+ * @param {Array} localSeries - Local recurring series
+ * @returns {Promise<Object>} Upload result
+ */
+export const uploadSeriesToCloud = async (localSeries) => {
+  if (!isSyncConfigured()) {
+    throw new Error('La sincronización no está configurada');
+  }
+
+  const userId = await getCurrentUserId();
+  if (!userId) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  try {
+    const cloudSeries = localSeries.map(s => seriesToCloudFormat(s, userId));
+    const batchSize = SYNC_CONFIG.BATCH_SIZE;
+
+    for (let i = 0; i < cloudSeries.length; i += batchSize) {
+      await getSyncProvider().push(TABLES.RECURRING_SERIES, {
+        userId,
+        upserts: cloudSeries.slice(i, i + batchSize),
+      });
+    }
+
+    await setRecordSyncBase(SERIES_SYNC_BASE_KEY, localSeries, SERIES_MERGE_FIELDS);
+
+    return { success: true, uploaded: cloudSeries.length };
+  } catch (error) {
+    console.error('Error uploading recurring series:', error);
+    throw error;
+  }
+};
+
+/**
+ * Download recurring series from cloud
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDeleted=false] - Also return tombstones
+ * @param {string|null} [options.since=null] - Only series the server stamped after this time
+ * @returns {Promise<Array>} Cloud series in local format
+ */
+export const downloadSeriesFromCloud = async ({ includeDeleted = false, since = null } = {}) => {
+  if (!isSyncConfigured()) {
+    throw new Error('La sincronización no está configurada');
+  }
+
+  const userId = await getCurrentUserId();
+  if (!userId) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  try {
+    const rows = await getSyncProvider().pull(TABLES.RECURRING_SERIES, { userId, includeDeleted, since });
+
+    return rows.map(row => includeDeleted
+      ? { ...seriesToLocalFormat(row), deleted: row.deleted || false }
+      : seriesToLocalFormat(row)
+    );
+  } catch (error) {
+    console.error('Error downloading recurring series:', error);
+    throw error;
+  }
+};
+
+/**
+ * Merge local records of a collection with the cloud rows changed since
+ * its cursor, using the same rules as tasks. Shared by recurring series
+ * and task lists.
+ * @param {Object} options
+ * @param {Function} options.toCloud - (record, userId) => row
+ * @param {Function} options.toLocal - (row, userId) => record
+ * @param {Array<string>} [options.sharedListIds] - Shared lists whose rows are pulled too
+ * @param {Function} [options.canPush] - Whether this user may upload a record
+ * @param {Function} [options.isRevoked] - Whether a local record is no longer shared with this user
+ * @returns {Promise<Object>} Merged records and sync stats
+ */
+const syncRecordCollection = async ({
+  table,
+  localRecords,
+  fields,
+  baseKey,
+  idKey,
+  toCloud,
+  toLocal,
+  full,
+  sharedListIds = [],
+  canPush = () => true,
+  isRevoked = () => false,
+}) => {
+  await refreshEncryptionStatus();
+  assertEncryptionUnlocked();
+
+  const userId = await getCurrentUserId();
+  const syncBase = await getRecordSyncBase(baseKey);
+  const cursor = full ? null : await getSyncCursor(table, userId);
+
+  const cloudRows = (await getSyncProvider().pull(table, {
+    userId,
+    includeDeleted: true,
+    since: getPullSince(cursor),
+    sharedListIds,
+  })).map(row => ({ ...toLocal(row, userId), deleted: row.deleted || false }));
+  const tombstones = new Set(cloudRows.filter(r => r.deleted).map(r => r.id));
+  const pendingDeletes = new Set(
+    (await getSyncQueue())
+      .filter(op => op.type === SYNC_OPERATIONS.DELETE && op[idKey])
+      .map(op => op[idKey])
+  );
+
+  const revoked = new Set(localRecords.filter(isRevoked).map(r => r.id));
+
+  const localMap = new Map(
+    localRecords.filter(r => !tombstones.has(r.id) && !revoked.has(r.id)).map(r => [r.id, r])
+  );
+  const cloudMap = new Map(
+    cloudRows
+      .filter(r => !r.deleted && !pendingDeletes.has(r.id))
+      .map(({ deleted, ...record }) => [record.id, record])
+  );
+
+  const syncedAt = new Date().toISOString();
+  const merged = [];
+  const toUpload = [];
+  let conflicts = 0;
+
+  for (const id of new Set([...localMap.keys(), ...cloudMap.keys()])) {
+    const local = localMap.get(id);
+    const cloud = cloudMap.get(id);
+
+    if (local && cloud) {
+      const cloudIsNewer = new Date(cloud.updatedAt || 0) >= new Date(local.updatedAt || 0);
+
+      if (SYNC_CONFIG.CONFLICT_RESOLUTION === 'server_wins') {
+        if (cloudIsNewer) {
+          merged.push({ ...local, ...cloud, syncedAt });
+        } else {
+          merged.push({ ...local, syncedAt });
+          toUpload.push(local);
+        }
+      } else if (SYNC_CONFIG.CONFLICT_RESOLUTION === 'client_wins') {
+        merged.push({ ...local, syncedAt });
+        toUpload.push(local);
+      } else {
+        const { record, conflicts: fieldConflicts } = mergeRecord(
+          syncBase[id] || null,
+          local,
+          cloud,
+          fields
+        );
+        merged.push({ ...record, syncedAt });
+        conflicts += fieldConflicts.length > 0 ? 1 : 0;
+
+        if (hasFieldChanges(record, cloud, fields)) {
+          toUpload.push(record);
+        }
+      }
+    } else if (local) {
+      if (!cursor || hasUnsyncedChanges(local)) {
+        merged.push({ ...local, syncedAt });
+        toUpload.push(local);
+      } else {
+        merged.push(local);
+      }
+    } else {
+      merged.push({ ...cloud, syncedAt });
+    }
+  }
+
+  const uploads = toUpload.filter(canPush);
+  if (uploads.length > 0) {
+    await getSyncProvider().push(table, {
+      userId,
+      upserts: uploads.map(r => toCloud(r, userId)),
+    });
+  }
+
+  await setRecordSyncBase(baseKey, merged, fields);
+  await advanceSyncCursor(table, userId, cursor, cloudRows);
+
+  return {
+    records: merged,
+    stats: {
+      full: !cursor,
+      pulled: cloudRows.length,
+      total: merged.length,
+      uploaded: uploads.length,
+      downloaded: [...cloudMap.keys()].filter(id => !localMap.has(id)).length,
+      deleted: localRecords.filter(r => tombstones.has(r.id) || revoked.has(r.id)).length,
+      conflicts,
+    },
+  };
+};
+
+/**
+ * Sync local and cloud recurring series with the same rules as tasks
+ * @param {Array} localSeries - Current local recurring series
+ * @param {Object} [options]
+ * @param {boolean} [options.full=false] - Pull and compare every series
+ * @returns {Promise<Object>} Sync result with merged series
+ */
+export const syncRecurringSeries = async (localSeries, { full = false } = {}) => {
+  if (!isSyncConfigured()) {
+    return { success: false, error: 'La sincronización no está configurada', series: localSeries };
+  }
+
+  const isAuth = await isAuthenticated();
+  if (!isAuth) {
+    return { success: false, error: 'Usuario no autenticado', series: localSeries };
+  }
+
+  try {
+    const { records, stats } = await syncRecordCollection({
+      table: TABLES.RECURRING_SERIES,
+      localRecords: localSeries,
+      fields: SERIES_MERGE_FIELDS,
+      baseKey: SERIES_SYNC_BASE_KEY,
+      idKey: 'seriesId',
+      toCloud: seriesToCloudFormat,
+      toLocal: seriesToLocalFormat,
+      full,
+    });
+
+    return { success: true, series: records, stats };
+  } catch (error) {
+    console.error('Recurring series sync error:', error);
+    return { success: false, error: error.message, series: localSeries };
+  }
+};
+
+/**
+ * Upload local task lists to cloud (full sync)
+ * @param {Array} localLists - Local task lists
+ * @returns {Promise<Object>} Upload result
+ */
+export const uploadListsToCloud = async (localLists) => {
+  if (!isSyncConfigured()) {
+    throw new Error('La sincronización no está configurada');
+  }
+
+  const userId = await getCurrentUserId();
+  if (!userId) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  try {
+    const scope = await loadSharedScope(userId);
+    const cloudLists = localLists
+      .filter(l => !l.ownerId)
+      .map(l => listToCloudFormat(l, userId, scope));
+    const batchSize = SYNC_CONFIG.BATCH_SIZE;
+
+    for (let i = 0; i < cloudLists.length; i += batchSize) {
+      await getSyncProvider().push(TABLES.TASK_LISTS, {
+        userId,
+        upserts: cloudLists.slice(i, i + batchSize),
+      });
+    }
+
+    await updateRecordSyncBase(LIST_SYNC_BASE_KEY, localLists, LIST_MERGE_FIELDS);
+
+    return { success: true, uploaded: cloudLists.length };
+  } catch (error) {
+    console.error('Error uploading task lists:', error);
+    throw error;
+  }
+};
+
+/**
+ * Sync local and cloud task lists with the same rules as tasks
+ * @param {Array} localLists - Current local task lists
+ * @param {Object} [options]
+ * @param {boolean} [options.full=false] - Pull and compare every list
+ * @returns {Promise<Object>} Sync result with merged lists
+ */
+export const syncTaskLists = async (localLists, { full = false } = {}) => {
+  if (!isSyncConfigured()) {
+    return { success: false, error: 'La sincronización no está configurada', lists: localLists };
+  }
+
+  const isAuth = await isAuthenticated();
+  if (!isAuth) {
+    return { success: false, error: 'Usuario no autenticado', lists: localLists };
+  }
+
+  try {
+    const scope = await loadSharedScope(await getCurrentUserId());
+    const { records, stats } = await syncRecordCollection({
+      table: TABLES.TASK_LISTS,
+      localRecords: localLists,
+      fields: LIST_MERGE_FIELDS,
+      baseKey: LIST_SYNC_BASE_KEY,
+      idKey: 'listId',
+      toCloud: (list, userId) => listToCloudFormat(list, userId, scope),
+      toLocal: listToLocalFormat,
+      full,
+      sharedListIds: scope.listIds,
+      // Members keep local edits, such as the order, but only the owner uploads
+      canPush: list => !list.ownerId,
+      isRevoked: list => !!list.ownerId && !scope.isShared(list.id),
+    });
+
+    return { success: true, lists: records, stats };
+  } catch (error) {
+    console.error('Task lists sync error:', error);
+    return { success: false, error: error.message, lists: localLists };
+  }
+};
+
 /**
  * Delete task from cloud
  * @param {string} taskId - Task ID to delete
  */
 export const deleteFromCloud = async (taskId) => {
-  if (!isSupabaseConfigured()) return;
+  if (!isSyncConfigured()) return;
 
   const userId = await getCurrentUserId();
   if (!userId) return;
 
   try {
     // Soft delete - mark as deleted
-    await supabase
-      .from(TABLES.TASKS)
-      .update({ deleted: true, updated_at: new Date().toISOString() })
-      .eq('id', taskId)
-      .eq('user_id', userId);
+    await getSyncProvider().push(TABLES.TASKS, { userId, deletes: [taskId] });
   } catch (error) {
     console.error('Error deleting from cloud:', error);
   }
 };
 
 /**
- * Helper to merge arrays by ID
+ * Convert a realtime payload into a local change
+ * @param {Object} payload - Row change { eventType, new, old } from the provider
+ * @param {string|null} [userId] - Current user ID
+ * @returns {{ type: 'upsert'|'delete', taskId: string, task: Object|null }|null}
  */
-const mergeArrays = (arr1 = [], arr2 = [], idKey = 'id') => {
-  const map = new Map();
-  
-  arr1.forEach(item => map.set(item[idKey], item));
-  arr2.forEach(item => {
-    if (!map.has(item[idKey])) {
-      map.set(item[idKey], item);
-    }
+export const realtimePayloadToChange = (payload, userId = null) => {
+  const { eventType, new: newRow, old: oldRow } = payload || {};
+
+  if (eventType === 'DELETE') {
+    return oldRow?.id ? { type: 'delete', taskId: oldRow.id, task: null } : null;
+  }
+
+  if (!newRow?.id) return null;
+
+  // Soft deletes arrive as updates of the tombstone
+  if (newRow.deleted) {
+    return { type: 'delete', taskId: newRow.id, task: null };
+  }
+
+  try {
+    return { type: 'upsert', taskId: newRow.id, task: taskToLocalFormat(newRow, userId) };
+  } catch (error) {
+    // Encrypted row while this device is locked
+    console.error('Error reading realtime change:', error);
+    return null;
+  }
+};
+
+/**
+ * Apply a realtime change to the local task list
+ * @param {Array} tasks - Current local tasks
+ * @param {Object} change - Change from realtimePayloadToChange
+ * @param {Object|null} base - Last-synced snapshot of the task
+ * @returns {Array} Updated tasks
+ */
+export const applyRealtimeChange = (tasks, change, base = null) => {
+  if (change.type === 'delete') {
+    return tasks.filter(t => t.id !== change.taskId);
+  }
+
+  const local = tasks.find(t => t.id === change.taskId);
+  if (!local) {
+    return [...tasks, change.task];
+  }
+
+  // Keep unsynced local edits to other fields
+  const { task } = mergeTask(base, local, change.task);
+  return tasks.map(t =>
+    t.id === change.taskId ? { ...task, syncedAt: change.task.syncedAt } : t
+  );
+};
+
+/**
+ * Subscribe to row changes of the user's tasks and of the tasks in lists
+ * shared with them. Lists joined later are included after resubscribing.
+ * @param {string} userId - Current user ID
+ * @param {Function} onChange - Called with (change, base) for each remote change
+ * @param {Function} [onStatusChange] - Called with the channel status
+ * @param {Object} [options]
+ * @param {Array<string>} [options.sharedListIds=[]] - Shared lists to follow
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToTaskChanges = (userId, onChange, onStatusChange, { sharedListIds = [] } = {}) => {
+  const provider = getSyncProvider();
+
+  // Backends without push notifications fall back to periodic sync
+  if (!provider.subscribe) {
+    if (onStatusChange) onStatusChange('CLOSED');
+    return () => {};
+  }
+
+  return provider.subscribe(TABLES.TASKS, {
+    userId,
+    sharedListIds,
+    onStatusChange,
+    onChange: async (payload) => {
+      const change = realtimePayloadToChange(payload, userId);
+      if (!change) return;
+
+      try {
+        const base = (await getSyncBase())[change.taskId] || null;
+        onChange(change, base);
+
+        if (change.task) {
+          await updateSyncBase([change.task]);
+        }
+      } catch (error) {
+        console.error('Error applying realtime change:', error);
+      }
+    },
   });
-  
-  return Array.from(map.values());
 };
 
 /**
  * Get sync status information
  */
 export const getSyncStatus = async () => {
-  const isConfigured = isSupabaseConfigured();
+  const isConfigured = isSyncConfigured();
   const isAuth = await isAuthenticated();
   const lastSync = await getLastSyncTime();
 
@@ -380,12 +1613,33 @@ export const getSyncStatus = async () => {
 };
 
 export default {
+  isSyncConfigured,
   isAuthenticated,
   getCurrentUserId,
   getLastSyncTime,
   uploadToCloud,
   downloadFromCloud,
   syncTasks,
+  uploadSeriesToCloud,
+  downloadSeriesFromCloud,
+  syncRecurringSeries,
+  uploadListsToCloud,
+  syncTaskLists,
+  getSyncBase,
+  resetSyncCursors,
+  getListMemberships,
+  refreshListMemberships,
+  getSyncConflicts,
+  resolveSyncConflict,
+  subscribeToTaskChanges,
+  getSyncQueue,
+  enqueueSyncOperation,
+  enqueueSyncOperations,
+  subscribeToSyncQueue,
+  enqueueSeriesOperation,
+  enqueueListOperation,
+  clearSyncQueue,
+  replaySyncQueue,
   deleteFromCloud,
   getSyncStatus,
 };
@@ -0,0 +1,302 @@
+/**
+ * Encryption Service
+ * TaskList App - Phase 2 Cloud Backup
+ *
+ * Manages the end-to-end encryption key: setup, unlock with the
+ * passphrase, recovery codes and the key cached on this device
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import { supabase, TABLES, isSupabaseConfigured } from '../config/supabase';
+import {
+  KDF_PARAMS,
+  generateKey,
+  generateSalt,
+  deriveKey,
+  wrapKey,
+  unwrapKey,
+  generateRecoveryCode,
+  normalizeRecoveryCode,
+} from '../utils/encryption';
+
+// Storage keys
+const ENCRYPTION_ENABLED_KEY = '@tasklist_encryption_enabled';
+const DATA_KEY_SECURE_KEY = 'tasklist_encryption_data_key';
+
+// Minimum passphrase length
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// Unlocked data key, kept in memory for the sync converters
+let dataKey = null;
+let encryptionEnabled = false;
+
+const keyToString = (key) => Array.from(key, byte => byte.toString(16).padStart(2, '0')).join('');
+
+const stringToKey = (hex) => new Uint8Array(hex.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+
+const getUserId = async () => {
+  const { data: { user } } = await supabase.auth.getUser();
+  return user?.id || null;
+};
+
+/**
+ * Remember the unlocked data key on this device
+ */
+const setDataKey = async (key) => {
+  dataKey = key;
+  encryptionEnabled = true;
+  await SecureStore.setItemAsync(DATA_KEY_SECURE_KEY, keyToString(key));
+  await AsyncStorage.setItem(ENCRYPTION_ENABLED_KEY, 'true');
+};
+
+/**
+ * Get the unlocked data key
+ * @returns {Uint8Array|null} Key, or null if encryption is off or locked
+ */
+export const getEncryptionKey = () => dataKey;
+
+/**
+ * Check whether encryption is enabled for the account
+ * @returns {boolean}
+ */
+export const isEncryptionEnabled = () => encryptionEnabled;
+
+/**
+ * Load the encryption state saved on this device
+ * @returns {Promise<Object>} { enabled, unlocked }
+ */
+export const loadEncryptionState = async () => {
+  try {
+    encryptionEnabled = (await AsyncStorage.getItem(ENCRYPTION_ENABLED_KEY)) === 'true';
+    const storedKey = await SecureStore.getItemAsync(DATA_KEY_SECURE_KEY);
+    dataKey = encryptionEnabled && storedKey ? stringToKey(storedKey) : null;
+  } catch (error) {
+    console.error('Error loading encryption state:', error);
+  }
+  return { enabled: encryptionEnabled, unlocked: !!dataKey };
+};
+
+/**
+ * Get the wrapped keys of the current user
+ */
+const getKeyRecord = async (userId) => {
+  const { data, error } = await supabase
+    .from(TABLES.ENCRYPTION_KEYS)
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Check with the server whether the account uses encryption
+ * @returns {Promise<Object>} { enabled, unlocked }
+ */
+export const refreshEncryptionStatus = async () => {
+  if (!isSupabaseConfigured()) {
+    return { enabled: false, unlocked: false };
+  }
+
+  const userId = await getUserId();
+  if (!userId) {
+    return { enabled: encryptionEnabled, unlocked: !!dataKey };
+  }
+
+  const record = await getKeyRecord(userId);
+  encryptionEnabled = !!record;
+  await AsyncStorage.setItem(ENCRYPTION_ENABLED_KEY, encryptionEnabled ? 'true' : 'false');
+
+  if (!encryptionEnabled && dataKey) {
+    dataKey = null;
+    await SecureStore.deleteItemAsync(DATA_KEY_SECURE_KEY);
+  }
+
+  return { enabled: encryptionEnabled, unlocked: !!dataKey };
+};
+
+/**
+ * Throw if the account is encrypted but this device has no key yet.
+ * Called before sync so plaintext is never uploaded to an encrypted account.
+ */
+export const assertEncryptionUnlocked = () => {
+  if (encryptionEnabled && !dataKey) {
+    throw new Error('Introduce tu frase de cifrado para sincronizar');
+  }
+};
+
+/**
+ * Turn on end-to-end encryption for the account
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<Object>} { recoveryCode } - shown to the user once
+ */
+export const enableEncryption = async (passphrase) => {
+  if (!isSupabaseConfigured()) {
+    throw new Error('Supabase no está configurado');
+  }
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`La frase debe tener al menos ${MIN_PASSPHRASE_LENGTH} caracteres`);
+  }
+
+  const userId = await getUserId();
+  if (!userId) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  if (await getKeyRecord(userId)) {
+    throw new Error('El cifrado ya está activado en esta cuenta');
+  }
+
+  try {
+    const key = generateKey();
+    const recoveryCode = generateRecoveryCode();
+    const salt = generateSalt();
+    const recoverySalt = generateSalt();
+
+    const [passphraseKey, recoveryKey] = await Promise.all([
+      deriveKey(passphrase, salt),
+      deriveKey(normalizeRecoveryCode(recoveryCode), recoverySalt),
+    ]);
+
+    const { error } = await supabase
+      .from(TABLES.ENCRYPTION_KEYS)
+      .insert({
+        user_id: userId,
+        kdf_params: KDF_PARAMS,
+        salt,
+        wrapped_key: wrapKey(passphraseKey, key),
+        recovery_salt: recoverySalt,
+        recovery_wrapped_key: wrapKey(recoveryKey, key),
+      });
+
+    if (error) throw error;
+
+    await setDataKey(key);
+    return { recoveryCode };
+  } catch (error) {
+    console.error('Error enabling encryption:', error);
+    throw error;
+  }
+};
+
+/**
+ * Unlock the data key with the passphrase
+ * @param {string} passphrase
+ * @returns {Promise<Object>} { enabled, unlocked }
+ */
+export const unlockEncryption = async (passphrase) => {
+  const userId = await getUserId();
+  if (!userId) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  const record = await getKeyRecord(userId);
+  if (!record) {
+    throw new Error('El cifrado no está activado en esta cuenta');
+  }
+
+  const passphraseKey = await deriveKey(passphrase || '', record.salt, record.kdf_params);
+
+  let key;
+  try {
+    key = unwrapKey(passphraseKey, record.wrapped_key);
+  } catch (error) {
+    throw new Error('Frase de cifrado incorrecta');
+  }
+
+  await setDataKey(key);
+  return { enabled: true, unlocked: true };
+};
+
+/**
+ * Recover the data key with the recovery code and set a new passphrase.
+ * The used recovery code is replaced by a new one.
+ * @param {string} recoveryCode
+ * @param {string} newPassphrase
+ * @returns {Promise<Object>} { recoveryCode } - the new code
+ */
+export const recoverEncryption = async (recoveryCode, newPassphrase) => {
+  if (!newPassphrase || newPassphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`La frase debe tener al menos ${MIN_PASSPHRASE_LENGTH} caracteres`);
+  }
+
+  const userId = await getUserId();
+  if (!userId) {
+    throw new Error('Usuario no autenticado');
+  }
+
+  const record = await getKeyRecord(userId);
+  if (!record) {
+    throw new Error('El cifrado no está activado en esta cuenta');
+  }
+
+  const oldRecoveryKey = await deriveKey(
+    normalizeRecoveryCode(recoveryCode),
+    record.recovery_salt,
+    record.kdf_params
+  );
+
+  let key;
+  try {
+    key = unwrapKey(oldRecoveryKey, record.recovery_wrapped_key);
+  } catch (error) {
+    throw new Error('Código de recuperación incorrecto');
+  }
+
+  const nextRecoveryCode = generateRecoveryCode();
+  const salt = generateSalt();
+  const recoverySalt = generateSalt();
+  const [passphraseKey, recoveryKey] = await Promise.all([
+    deriveKey(newPassphrase, salt),
+    deriveKey(normalizeRecoveryCode(nextRecoveryCode), recoverySalt),
+  ]);
+
+  const { error } = await supabase
+    .from(TABLES.ENCRYPTION_KEYS)
+    .update({
+      kdf_params: KDF_PARAMS,
+      salt,
+      wrapped_key: wrapKey(passphraseKey, key),
+      recovery_salt: recoverySalt,
+      recovery_wrapped_key: wrapKey(recoveryKey, key),
+      updated_at: new Date().toISOString(),
+    })
+    .eq('user_id', userId);
+
+  if (error) {
+    console.error('Error updating encryption keys:', error);
+    throw error;
+  }
+
+  await setDataKey(key);
+  return { recoveryCode: nextRecoveryCode };
+};
+
+/**
+ * Forget the key on this device (on sign out)
+ */
+export const lockEncryption = async () => {
+  dataKey = null;
+  encryptionEnabled = false;
+  try {
+    await SecureStore.deleteItemAsync(DATA_KEY_SECURE_KEY);
+    await AsyncStorage.removeItem(ENCRYPTION_ENABLED_KEY);
+  } catch (error) {
+    console.error('Error clearing encryption key:', error);
+  }
+};
+
+export default {
+  MIN_PASSPHRASE_LENGTH,
+  getEncryptionKey,
+  isEncryptionEnabled,
+  loadEncryptionState,
+  refreshEncryptionStatus,
+  assertEncryptionUnlocked,
+  enableEncryption,
+  unlockEncryption,
+  recoverEncryption,
+  lockEncryption,
+};
@@ -5,14 +5,14 @@
  * Exports tasks to JSON, CSV, and Markdown formats
  */
 
-import * as FileSystem from 'expo-file-system';
+import * as FileSystem from 'expo-file-system/legacy';
 import * as Sharing from 'expo-sharing';
 import { Platform } from 'react-native';
 
 /**
  * Export version for compatibility tracking
  */
-const EXPORT_VERSION = '2.0';
+const EXPORT_VERSION = '2.1';
 
 /**
  * Escape special characters for CSV
@@ -27,10 +27,19 @@ const escapeCsvValue = (value) => {
   return stringValue;
 };
 
+/**
+ * Name of a task's list, or its id if the list is unknown
+ */
+const getListName = (lists, listId) => {
+  return lists.find(l => l.id === listId)?.name || listId || '';
+};
+
 /**
  * Export tasks to JSON format
  * @param {Array} tasks - Tasks to export
  * @param {Object} options - Export options
+ * @param {Array} [options.lists] - Task lists, exported with the tasks
+ * @param {Array} [options.listIds] - Only export tasks of these lists
  * @returns {string} JSON string
  */
 export const exportToJSON = (tasks, options = {}) => {
@@ -38,7 +47,9 @@ export const exportToJSON = (tasks, options = {}) => {
     includeCompleted = true,
     includeAttachments = false,
     dateRange = null,
-    categories = null,
+    listIds = null,
+    lists = [],
+    ...otherOptions
   } = options;
 
   let filteredTasks = [...tasks];
@@ -58,9 +69,9 @@ export const exportToJSON = (tasks, options = {}) => {
     });
   }
 
-  // Filter by categories
-  if (categories && categories.length > 0) {
-    filteredTasks = filteredTasks.filter(t => categories.includes(t.category));
+  // Filter by lists
+  if (listIds && listIds.length > 0) {
+    filteredTasks = filteredTasks.filter(t => listIds.includes(t.listId));
   }
 
   // Prepare tasks for export
@@ -81,18 +92,25 @@ export const exportToJSON = (tasks, options = {}) => {
     return exportTask;
   });
 
+  // Only the lists the exported tasks belong to
+  const usedListIds = new Set(exportTasks.map(t => t.listId));
+  const exportLists = lists
+    .filter(l => usedListIds.has(l.id))
+    .map(({ id, name, color, icon, order, archived }) => ({ id, name, color, icon, order, archived }));
+
   // Build export object
   const exportData = {
     version: EXPORT_VERSION,
     exportDate: new Date().toISOString(),
     appName: 'Bitrova',
     tasks: exportTasks,
+    lists: exportLists,
     metadata: {
       totalTasks: exportTasks.length,
       completedTasks: exportTasks.filter(t => t.completed).length,
       pendingTasks: exportTasks.filter(t => !t.completed).length,
-      categories: [...new Set(exportTasks.map(t => t.category))],
-      exportOptions: options,
+      lists: [...usedListIds].map(id => getListName(lists, id)),
+      exportOptions: { includeCompleted, includeAttachments, dateRange, listIds, ...otherOptions },
     },
   };
 
@@ -103,10 +121,11 @@ export const exportToJSON = (tasks, options = {}) => {
  * Export tasks to CSV format
  * @param {Array} tasks - Tasks to export
  * @param {Object} options - Export options
+ * @param {Array} [options.lists] - Task lists, to write list names
  * @returns {string} CSV string
  */
 export const exportToCSV = (tasks, options = {}) => {
-  const { includeCompleted = true } = options;
+  const { includeCompleted = true, lists = [] } = options;
 
   let filteredTasks = [...tasks];
   if (!includeCompleted) {
@@ -118,7 +137,7 @@ export const exportToCSV = (tasks, options = {}) => {
     'ID',
     'Title',
     'Description',
-    'Category',
+    'List',
     'Priority',
     'Completed',
     'Due Date',
@@ -133,7 +152,7 @@ export const exportToCSV = (tasks, options = {}) => {
     escapeCsvValue(task.id),
     escapeCsvValue(task.title),
     escapeCsvValue(task.description || ''),
-    escapeCsvValue(task.category),
+    escapeCsvValue(getListName(lists, task.listId)),
     escapeCsvValue(task.priority),
     task.completed ? 'Yes' : 'No',
     escapeCsvValue(task.dueDate || ''),
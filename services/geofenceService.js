@@ -0,0 +1,157 @@
+/**
+ * Geofence Service
+ * Task List App 2026
+ *
+ * Watches the places of open tasks (see utils/taskLocation) and sends
+ * a reminder when the user enters one. Events arrive in a background
+ * task, so the tasks are read from storage rather than from React state.
+ */
+
+import { Platform } from 'react-native';
+import * as Location from 'expo-location';
+import * as TaskManager from 'expo-task-manager';
+import { loadTasks } from '../utils/storage';
+import { getGeofenceRegions, getTaskForGeofenceEvent } from '../utils/taskLocation';
+import { sendTaskLocationNotification } from '../utils/notifications';
+
+export const GEOFENCE_TASK = 'task-geofence';
+
+/**
+ * Handle a geofencing event: remind of the task whose area was entered
+ * @param {Object} event - { eventType, region } from expo-location
+ * @returns {Promise<Object|null>} The task reminded of, if any
+ */
+export const handleGeofenceEvent = async (event) => {
+  const task = getTaskForGeofenceEvent(event, await loadTasks());
+  if (!task) return null;
+
+  await sendTaskLocationNotification(task);
+  return task;
+};
+
+// Background tasks must be defined when the JS bundle loads
+if (Platform.OS !== 'web') {
+  TaskManager.defineTask(GEOFENCE_TASK, async ({ data, error }) => {
+    if (error) {
+      console.error('Geofencing error:', error);
+      return;
+    }
+    try {
+      await handleGeofenceEvent(data);
+    } catch (err) {
+      console.error('Error handling geofence event:', err);
+    }
+  });
+}
+
+/**
+ * Ask for the location permissions geofencing needs. Only call it from a
+ * user action, such as attaching a place to a task.
+ * @returns {Promise<boolean>} Whether background location was granted
+ */
+export const requestGeofencePermissions = async () => {
+  if (Platform.OS === 'web') return false;
+
+  const foreground = await Location.requestForegroundPermissionsAsync();
+  if (foreground.status !== 'granted') return false;
+
+  const background = await Location.requestBackgroundPermissionsAsync();
+  return background.status === 'granted';
+};
+
+/**
+ * Check, without asking, whether geofencing is allowed
+ * @returns {Promise<boolean>} Whether background location is granted
+ */
+export const hasGeofencePermissions = async () => {
+  if (Platform.OS === 'web') return false;
+
+  const background = await Location.getBackgroundPermissionsAsync();
+  return background.status === 'granted';
+};
+
+/**
+ * Watch the places of the given tasks, replacing the regions watched before
+ * @param {Array} tasks
+ * @returns {Promise<number>} Number of regions watched
+ */
+export const syncGeofences = async (tasks) => {
+  if (Platform.OS === 'web') return 0;
+
+  const regions = getGeofenceRegions(tasks);
+  try {
+    if (regions.length === 0) {
+      if (await Location.hasStartedGeofencingAsync(GEOFENCE_TASK)) {
+        await Location.stopGeofencingAsync(GEOFENCE_TASK);
+      }
+      return 0;
+    }
+
+    const granted = await hasGeofencePermissions();
+    if (!granted) {
+      console.log('Background location not granted, places are not watched');
+      return 0;
+    }
+
+    await Location.startGeofencingAsync(GEOFENCE_TASK, regions);
+    return regions.length;
+  } catch (error) {
+    console.error('Error updating geofences:', error);
+    return 0;
+  }
+};
+
+/**
+ * Current position with a readable name, for picking the place of a task
+ * @returns {Promise<{ name: string, latitude: number, longitude: number }>}
+ */
+export const getCurrentPlace = async () => {
+  const { status } = await Location.requestForegroundPermissionsAsync();
+  if (status !== 'granted') {
+    throw new Error('Permite el acceso a la ubicación para usar tu posición actual');
+  }
+
+  const { coords } = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced });
+  const name = await getPlaceName(coords);
+  return { name, latitude: coords.latitude, longitude: coords.longitude };
+};
+
+/**
+ * Find a place by address or name
+ * @param {string} query
+ * @returns {Promise<{ name: string, latitude: number, longitude: number }|null>}
+ */
+export const searchPlace = async (query) => {
+  const trimmed = (query || '').trim();
+  if (!trimmed) return null;
+
+  try {
+    const [result] = await Location.geocodeAsync(trimmed);
+    if (!result) return null;
+    return { name: trimmed, latitude: result.latitude, longitude: result.longitude };
+  } catch (error) {
+    console.error('Error searching place:', error);
+    throw new Error('No se pudo buscar la dirección');
+  }
+};
+
+const getPlaceName = async (coords) => {
+  try {
+    const [address] = await Location.reverseGeocodeAsync(coords);
+    if (!address) return 'Ubicación actual';
+    return [address.name || address.street, address.city].filter(Boolean).join(', ') || 'Ubicación actual';
+  } catch (error) {
+    console.error('Error naming place:', error);
+    return 'Ubicación actual';
+  }
+};
+
+export default {
+  GEOFENCE_TASK,
+  handleGeofenceEvent,
+  requestGeofencePermissions,
+  hasGeofencePermissions,
+  syncGeofences,
+  getCurrentPlace,
+  searchPlace,
+};
@@ -6,25 +6,68 @@
  */
 
 import * as DocumentPicker from 'expo-document-picker';
-import * as FileSystem from 'expo-file-system';
+import * as FileSystem from 'expo-file-system/legacy';
+import { DEFAULT_LIST_ID, DEFAULT_LISTS } from '../utils/taskLists';
+import { getTaskReminders } from '../utils/taskReminders';
+import { isValidPlace } from '../utils/taskLocation';
 
 /**
- * Valid categories in the app
+ * Valid priorities in the app
  */
-const VALID_CATEGORIES = ['personal', 'work', 'shopping', 'health'];
+const VALID_PRIORITIES = ['low', 'medium', 'high'];
 
 /**
- * Valid priorities in the app
+ * Find a list by name, ignoring case
  */
-const VALID_PRIORITIES = ['low', 'medium', 'high'];
+const findListByName = (lists, name) => {
+  const wanted = String(name).trim().toLowerCase();
+  return lists.find(l => String(l.name || '').trim().toLowerCase() === wanted);
+};
+
+/**
+ * Build a resolver that maps the list of an imported task to a local list.
+ * Tasks may reference a list by id (JSON exports, with the lists in the
+ * file), by name (CSV) or by a former category key.
+ * @param {Array} localLists - Lists on this device
+ * @param {Array} fileLists - Lists included in the import file
+ * @returns {{ resolve: Function, newLists: Map }} Resolver and the file
+ *   lists that must be created locally
+ */
+const createListResolver = (localLists, fileLists) => {
+  const newLists = new Map();
+
+  const resolve = (reference) => {
+    if (!reference) return { listId: DEFAULT_LIST_ID, found: true };
+    if (localLists.some(l => l.id === reference)) return { listId: reference, found: true };
+
+    const fileList = fileLists.find(l => l.id === reference);
+    const name = fileList ? fileList.name : reference;
+    const existing = findListByName(localLists, name) || findListByName([...newLists.values()], name);
+    if (existing) return { listId: existing.id, found: true };
+
+    if (fileList) {
+      newLists.set(fileList.id, fileList);
+      return { listId: fileList.id, found: true };
+    }
+
+    const legacyId = mapCategory(reference);
+    if (legacyId && localLists.some(l => l.id === legacyId)) {
+      return { listId: legacyId, found: true };
+    }
+    return { listId: DEFAULT_LIST_ID, found: false };
+  };
+
+  return { resolve, newLists };
+};
 
 /**
  * Validate a single task
  * @param {Object} task - Task to validate
  * @param {number} index - Task index for error reporting
+ * @param {Function} resolveList - List resolver from createListResolver
  * @returns {Object} Validation result
  */
-const validateTask = (task, index) => {
+const validateTask = (task, index, resolveList) => {
   const errors = [];
   const warnings = [];
 
@@ -33,11 +76,13 @@ const validateTask = (task, index) => {
     errors.push(`Tarea ${index + 1}: Falta el título`);
   }
 
-  // Validate category
-  if (task.category && !VALID_CATEGORIES.includes(task.category)) {
-    warnings.push(`Tarea ${index + 1}: Categoría "${task.category}" no válida, usando "personal"`);
-    task.category = 'personal';
+  // Resolve list (older exports only have a category)
+  const listReference = task.listId || task.list || task.category;
+  const { listId, found } = resolveList(listReference);
+  if (!found) {
+    warnings.push(`Tarea ${index + 1}: Lista "${listReference}" no encontrada, usando la lista por defecto`);
   }
+  task.listId = listId;
 
   // Validate priority
   if (task.priority && !VALID_PRIORITIES.includes(task.priority)) {
@@ -61,14 +106,16 @@ const validateTask = (task, index) => {
 /**
  * Validate import data structure
  * @param {Object} data - Parsed import data
- * @returns {Object} Validation result
+ * @param {Array} [localLists] - Lists on this device
+ * @returns {Object} Validation result, with the lists to create in `lists`
  */
-export const validateImportData = (data) => {
+export const validateImportData = (data, localLists = DEFAULT_LISTS) => {
   const result = {
     valid: true,
     errors: [],
     warnings: [],
     tasks: [],
+    lists: [],
     stats: {
       total: 0,
       valid: 0,
@@ -86,16 +133,21 @@ export const validateImportData = (data) => {
   // Version compatibility check
   if (data.version) {
     const version = parseFloat(data.version);
-    if (version > 2.0) {
+    if (version > 2.1) {
       result.warnings.push(`Versión del archivo (${data.version}) es más nueva que la app`);
     }
   }
 
   result.stats.total = data.tasks.length;
 
+  const fileLists = Array.isArray(data.lists)
+    ? data.lists.filter(l => l && l.id && String(l.name || '').trim())
+    : [];
+  const { resolve, newLists } = createListResolver(localLists, fileLists);
+
   // Validate each task
   data.tasks.forEach((task, index) => {
-    const validation = validateTask(task, index);
+    const validation = validateTask(task, index, resolve);
     
     result.errors.push(...validation.errors);
     result.warnings.push(...validation.warnings);
@@ -108,6 +160,7 @@ export const validateImportData = (data) => {
     }
   });
 
+  result.lists = [...newLists.values()].map(({ id, name, color, icon }) => ({ id, name, color, icon }));
   result.valid = result.tasks.length > 0;
 
   return result;
@@ -125,14 +178,20 @@ const normalizeTask = (task) => {
     id: task.id || `imported_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
     title: String(task.title).trim(),
     description: task.description || '',
-    category: VALID_CATEGORIES.includes(task.category) ? task.category : 'personal',
+    listId: task.listId || DEFAULT_LIST_ID,
     priority: VALID_PRIORITIES.includes(task.priority) ? task.priority : 'medium',
     completed: Boolean(task.completed),
     dueDate: task.dueDate || null,
+    startDate: task.startDate || null,
+    allDay: task.allDay !== false,
+    estimatedMinutes: Number(task.estimatedMinutes) > 0 ? Number(task.estimatedMinutes) : null,
     enableReminder: task.enableReminder || false,
-    notificationId: null,
+    reminders: getTaskReminders(task),
+    notificationIds: {},
+    place: isValidPlace(task.place) ? task.place : null,
     subtasks: Array.isArray(task.subtasks) ? task.subtasks : [],
     attachments: [], // Don't import file attachments
+    parentTaskId: task.parentTaskId || null,
     isRecurring: false,
     recurringSeriesId: null,
     instanceDate: null,
@@ -192,7 +251,9 @@ export const parseCSV = (content) => {
     const descIndex = headers.findIndex(h => 
       h.toLowerCase().includes('description') || h.toLowerCase().includes('descripción') || h.toLowerCase().includes('descripcion')
     );
-    const categoryIndex = headers.findIndex(h => 
+    // Lists are exported by name; older files have a category column instead
+    const listIndex = headers.findIndex(h => 
+      h.toLowerCase() === 'list' || h.toLowerCase() === 'lista' ||
       h.toLowerCase().includes('category') || h.toLowerCase().includes('categoría') || h.toLowerCase().includes('categoria')
     );
     const priorityIndex = headers.findIndex(h => 
@@ -219,7 +280,7 @@ export const parseCSV = (content) => {
       const task = {
         title: values[titleIndex] || '',
         description: descIndex >= 0 ? values[descIndex] || '' : '',
-        category: categoryIndex >= 0 ? mapCategory(values[categoryIndex]) : 'personal',
+        list: listIndex >= 0 ? values[listIndex] || null : null,
         priority: priorityIndex >= 0 ? mapPriority(values[priorityIndex]) : 'medium',
         completed: completedIndex >= 0 ? isCompletedValue(values[completedIndex]) : false,
         dueDate: dueDateIndex >= 0 ? parseDate(values[dueDateIndex]) : null,
@@ -270,16 +331,18 @@ const parseCSVLine = (line) => {
 };
 
 /**
- * Map category string to valid category
+ * Map a former category name to the id of its default list
+ * @returns {string|null} List id, or null if the value isn't a category
  */
 const mapCategory = (value) => {
-  if (!value) return 'personal';
-  const lower = value.toLowerCase();
+  if (!value) return null;
+  const lower = String(value).toLowerCase();
   
   if (lower.includes('work') || lower.includes('trabajo')) return 'work';
   if (lower.includes('shop') || lower.includes('compra')) return 'shopping';
   if (lower.includes('health') || lower.includes('salud')) return 'health';
-  return 'personal';
+  if (lower.includes('personal')) return 'personal';
+  return null;
 };
 
 /**
@@ -325,7 +388,7 @@ export const detectDuplicates = (newTasks, existingTasks) => {
   newTasks.forEach(newTask => {
     const isDuplicate = existingTasks.some(existing => 
       existing.title.toLowerCase() === newTask.title.toLowerCase() &&
-      existing.category === newTask.category
+      existing.listId === newTask.listId
     );
 
     if (isDuplicate) {
@@ -0,0 +1,211 @@
+/**
+ * Sharing Service
+ * TaskList App - Phase 2 Cloud Backup
+ *
+ * Shares task lists with other users by invite code. Members are owner,
+ * editor or viewer (see utils/listPermissions); the backend enforces the
+ * roles and the sync pulls the tasks of every list the user belongs to.
+ */
+
+import {
+  isSyncConfigured,
+  getCurrentUserId,
+  uploadListsToCloud,
+  refreshListMemberships,
+} from './cloudSyncService';
+import { getSyncProvider } from './syncProvider';
+import { DEFAULT_LISTS } from '../utils/taskLists';
+import { LIST_ROLES } from '../utils/listPermissions';
+
+// Default lists exist for every user with the same id, so they can't be shared
+const DEFAULT_LIST_IDS = new Set(DEFAULT_LISTS.map(list => list.id));
+
+/**
+ * Check whether the active backend supports shared lists
+ * @returns {boolean}
+ */
+export const isSharingSupported = () => {
+  return isSyncConfigured() && !!getSyncProvider().listMemberships;
+};
+
+/**
+ * Check whether the user can share one of their lists
+ * @param {Object} list
+ * @returns {boolean}
+ */
+export const canShareList = (list) => {
+  return !!list && !DEFAULT_LIST_IDS.has(list.id) && !list.ownerId && !list.archived;
+};
+
+const requireSharing = async () => {
+  if (!isSharingSupported()) {
+    throw new Error('Las listas compartidas no están disponibles');
+  }
+
+  const userId = await getCurrentUserId();
+  if (!userId) {
+    throw new Error('Inicia sesión para compartir listas');
+  }
+
+  return { provider: getSyncProvider(), userId };
+};
+
+/**
+ * Convert a member row to local format
+ * @param {Object} row - { list_id, user_id, role, email, display_name }
+ * @returns {Object} { userId, role, email, displayName }
+ */
+export const memberToLocal = (row) => ({
+  userId: row.user_id,
+  role: row.role,
+  email: row.email || null,
+  displayName: row.display_name || row.email?.split('@')[0] || 'Miembro',
+});
+
+/**
+ * Annotate local lists with their members and the user's role.
+ * Lists without members are private and lose any previous annotation.
+ * @param {Array} lists - Local lists
+ * @param {Array} memberships - Member rows of the user's lists
+ * @param {string} userId - Current user ID
+ * @returns {Array} Annotated lists
+ */
+export const applyMemberships = (lists, memberships, userId) => {
+  return lists.map(list => {
+    const { shared, role, members: _members, ...rest } = list;
+    const members = memberships
+      .filter(m => m.list_id === list.id)
+      .map(memberToLocal);
+
+    if (members.length === 0) return rest;
+
+    return {
+      ...rest,
+      shared: true,
+      role: members.find(m => m.userId === userId)?.role || null,
+      members,
+    };
+  });
+};
+
+/**
+ * Create an invite to one of the user's lists. The first invite makes the
+ * user the owner and re-uploads the list without end-to-end encryption.
+ * @param {Object} list - List to share
+ * @param {Object} options
+ * @param {string} options.role - EDITOR or VIEWER from LIST_ROLES
+ * @param {string} [options.email] - Owner email, shown to members
+ * @param {string} [options.displayName] - Owner name, shown to members
+ * @returns {Promise<{ invite: Object, memberships: Array }>}
+ */
+export const inviteToList = async (list, { role, email = null, displayName = null }) => {
+  if (!canShareList(list)) {
+    throw new Error('Esta lista no se puede compartir');
+  }
+  if (![LIST_ROLES.EDITOR, LIST_ROLES.VIEWER].includes(role)) {
+    throw new Error('Rol no válido');
+  }
+
+  const { provider, userId } = await requireSharing();
+
+  try {
+    // The backend only shares lists it already has
+    await uploadListsToCloud([list]);
+    await provider.shareList({ userId, listId: list.id, email, displayName });
+
+    const memberships = await refreshListMemberships();
+    await uploadListsToCloud([list]);
+
+    const invite = await provider.createInvite({ userId, listId: list.id, role });
+    return { invite, memberships };
+  } catch (error) {
+    console.error('Error inviting to list:', error);
+    throw error;
+  }
+};
+
+/**
+ * Join a shared list with an invite code
+ * @param {string} code - Invite code
+ * @param {Object} [profile]
+ * @param {string} [profile.email]
+ * @param {string} [profile.displayName]
+ * @returns {Promise<{ member: Object, memberships: Array }>}
+ */
+export const joinList = async (code, { email = null, displayName = null } = {}) => {
+  const normalized = String(code || '').trim().toUpperCase();
+  if (!normalized) {
+    throw new Error('Introduce el código de invitación');
+  }
+
+  const { provider, userId } = await requireSharing();
+
+  try {
+    const member = await provider.acceptInvite({ userId, code: normalized, email, displayName });
+    const memberships = await refreshListMemberships();
+    return { member, memberships };
+  } catch (error) {
+    console.error('Error joining list:', error);
+    throw error;
+  }
+};
+
+/**
+ * Change the role of a member (owner only)
+ * @param {string} listId
+ * @param {string} memberId - User ID of the member
+ * @param {string} role - EDITOR or VIEWER from LIST_ROLES
+ * @returns {Promise<Array>} Updated member rows
+ */
+export const changeMemberRole = async (listId, memberId, role) => {
+  const { provider, userId } = await requireSharing();
+
+  try {
+    await provider.updateMember({ userId, listId, memberId, role });
+    return await refreshListMemberships();
+  } catch (error) {
+    console.error('Error changing member role:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a member from a list (owner only), or leave a list
+ * @param {string} listId
+ * @param {string} [memberId] - User ID of the member, the current user by default
+ * @returns {Promise<Array>} Updated member rows
+ */
+export const removeListMember = async (listId, memberId = null) => {
+  const { provider, userId } = await requireSharing();
+
+  try {
+    await provider.removeMember({ userId, listId, memberId: memberId || userId });
+    return await refreshListMemberships();
+  } catch (error) {
+    console.error('Error removing list member:', error);
+    throw error;
+  }
+};
+
+/**
+ * Text sent with the system share sheet
+ * @param {Object} invite - Invite from inviteToList
+ * @param {Object} list - Shared list
+ * @returns {string}
+ */
+export const getInviteMessage = (invite, list) => {
+  return `Te invito a la lista «${list.name}» en TaskList. `
+    + `Abre Listas > Unirse a una lista e introduce el código ${invite.code}`;
+};
+
+export default {
+  isSharingSupported,
+  canShareList,
+  memberToLocal,
+  applyMemberships,
+  inviteToList,
+  joinList,
+  changeMemberRole,
+  removeListMember,
+  getInviteMessage,
+};
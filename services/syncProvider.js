@@ -0,0 +1,85 @@
+/**
+ * Sync Provider
+ * TaskList App - Phase 2 Cloud Backup
+ *
+ * Storage backend used by cloud sync and backups. Services only talk to
+ * the backend through this interface, so it can be swapped for a REST
+ * server or an in-memory fake.
+ *
+ * @typedef {Object} SyncProvider
+ * @property {string} name
+ * @property {() => boolean} isConfigured
+ * @property {() => Promise<boolean>} isAuthenticated
+ * @property {() => Promise<string|null>} getUserId
+ * @property {(collection: string, options: { userId: string, since?: string, includeDeleted?: boolean, sharedListIds?: Array<string> }) => Promise<Array>} pull
+ *   Rows of the user and of the given shared lists, optionally only those the server stamped (synced_at) after `since`
+ * @property {(collection: string, changes: { userId: string, upserts?: Array, deletes?: Array<string> }) => Promise<void>} push
+ *   Upsert rows and write tombstones for deleted ids
+ * @property {(collection: string, options: { userId: string, sharedListIds?: Array<string>, onChange: Function, onStatusChange?: Function }) => Function} [subscribe]
+ *   Stream row changes as { eventType, new, old }; returns an unsubscribe function
+ * @property {(options: { userId: string, limit?: number }) => Promise<Array>} listBackups
+ *   Backups without their data, newest first
+ * @property {(options: { userId: string, backupId: string }) => Promise<Object>} getBackup
+ * @property {(backup: Object) => Promise<Object>} createBackup
+ * @property {(options: { userId: string, backupIds: Array<string> }) => Promise<void>} deleteBackups
+ * @property {(options: { userId: string }) => Promise<Array>} [listMemberships]
+ *   Member rows { list_id, user_id, role, email, display_name } of every list the user belongs to.
+ *   Backends without the sharing methods don't support shared lists.
+ * @property {(options: { userId: string, listId: string, email?: string, displayName?: string }) => Promise<void>} [shareList]
+ *   Make the user the owner of one of their lists
+ * @property {(options: { userId: string, listId: string, role: string, email?: string }) => Promise<Object>} [createInvite]
+ * @property {(options: { userId: string, code: string, email?: string, displayName?: string }) => Promise<Object>} [acceptInvite]
+ * @property {(options: { userId: string, listId: string, memberId: string, role: string }) => Promise<void>} [updateMember]
+ * @property {(options: { userId: string, listId: string, memberId: string }) => Promise<void>} [removeMember]
+ */
+
+import { supabase, SYNC_CONFIG } from '../config/supabase';
+import { createSupabaseProvider } from './syncProviders/supabaseProvider';
+import { createRestProvider } from './syncProviders/restProvider';
+
+let provider = null;
+
+/**
+ * Create the provider selected in SYNC_CONFIG
+ * @returns {SyncProvider}
+ */
+const createConfiguredProvider = () => {
+  if (SYNC_CONFIG.PROVIDER === 'rest') {
+    return createRestProvider({
+      baseUrl: SYNC_CONFIG.REST_URL,
+      // The REST server trusts the Supabase session token
+      getSession: async () => {
+        const { data: { session } } = await supabase.auth.getSession();
+        return session
+          ? { userId: session.user.id, accessToken: session.access_token }
+          : null;
+      },
+    });
+  }
+
+  return createSupabaseProvider();
+};
+
+/**
+ * Get the active sync provider
+ * @returns {SyncProvider}
+ */
+export const getSyncProvider = () => {
+  if (!provider) {
+    provider = createConfiguredProvider();
+  }
+  return provider;
+};
+
+/**
+ * Replace the active sync provider (null restores the configured one)
+ * @param {SyncProvider|null} nextProvider
+ */
+export const setSyncProvider = (nextProvider) => {
+  provider = nextProvider;
+};
+
+export default {
+  getSyncProvider,
+  setSyncProvider,
+};
@@ -0,0 +1,292 @@
+/**
+ * In-Memory Sync Provider
+ * TaskList App - Phase 2 Cloud Backup
+ *
+ * Keeps synced records and backups in memory. Behaves like the Supabase
+ * tables (upserts, tombstones, synced_at stamps, realtime events) so the
+ * sync and merge logic can run in tests or offline demos without a server.
+ * Shared lists follow the same permission rules as the row level security
+ * policies, so several users can share one provider.
+ */
+
+import { TABLES } from '../../config/supabase';
+import { LIST_ROLES, LIST_ACTIONS, can, canChangeMember } from '../../utils/listPermissions';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const permissionDenied = () => new Error('No tienes permiso para modificar esta lista compartida');
+
+// Default list ids repeat across users, so lists are stored per user
+const rowKey = (collection, userId, id) => {
+  return collection === TABLES.TASK_LISTS ? `${userId}:${id}` : id;
+};
+
+/**
+ * Create an in-memory provider
+ * @param {Object} [options]
+ * @param {string|null} [options.userId='user-1'] - Signed-in user, null when signed out
+ * @returns {Object} SyncProvider with extra helpers: getRows, setUserId
+ */
+export const createMemoryProvider = ({ userId: initialUserId = 'user-1' } = {}) => {
+  let userId = initialUserId;
+  let backupSequence = 0;
+  let inviteSequence = 0;
+  const collections = new Map();
+  const listeners = new Map();
+  const members = new Map();
+  const invites = new Map();
+
+  const getCollection = (name) => {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  };
+
+  const roleOf = (listId, user) => members.get(`${listId}:${user}`)?.role || null;
+
+  // Tasks of a shared list are visible to its members and writable by editors
+  const canReadRow = (collection, row, user, sharedListIds = []) => {
+    if (row.user_id === user) return true;
+    if (collection === TABLES.RECURRING_SERIES) return false;
+
+    const listId = collection === TABLES.TASK_LISTS ? row.id : row.list_id;
+    return sharedListIds.includes(listId) && !!roleOf(listId, user);
+  };
+
+  const canWriteRow = (collection, row, user) => {
+    if (collection !== TABLES.TASKS) return row.user_id === user;
+
+    const role = roleOf(row.list_id, user);
+    return role ? can(role, LIST_ACTIONS.EDIT_TASKS) : row.user_id === user;
+  };
+
+  const emit = (collection, payload) => {
+    (listeners.get(collection) || new Set()).forEach(listener => {
+      if (canReadRow(collection, payload.new || {}, listener.userId, listener.sharedListIds)) {
+        listener.onChange(clone(payload));
+      }
+    });
+  };
+
+  const getMember = (listId, memberId) => {
+    const member = members.get(`${listId}:${memberId}`);
+    if (!member) {
+      throw new Error('Miembro no encontrado');
+    }
+    return member;
+  };
+
+  const stripData = ({ data, ...backup }) => backup;
+
+  return {
+    name: 'memory',
+
+    isConfigured: () => true,
+
+    isAuthenticated: async () => !!userId,
+
+    getUserId: async () => userId,
+
+    pull: async (collection, { userId: owner, since = null, includeDeleted = false, sharedListIds = [] }) => {
+      return [...getCollection(collection).values()]
+        .filter(row => canReadRow(collection, row, owner, sharedListIds))
+        .filter(row => !since || new Date(row.synced_at) > new Date(since))
+        .filter(row => includeDeleted || !row.deleted)
+        .sort((a, b) => new Date(b.synced_at) - new Date(a.synced_at))
+        .map(clone);
+    },
+
+    push: async (collection, { userId: owner, upserts = [], deletes = [] }) => {
+      const rows = getCollection(collection);
+
+      // Like a database statement, a rejected row fails the whole push
+      const denied = upserts.some(row => {
+        const existing = rows.get(rowKey(collection, row.user_id, row.id));
+        return (existing && !canWriteRow(collection, existing, owner)) || !canWriteRow(collection, row, owner);
+      });
+      if (denied) {
+        throw permissionDenied();
+      }
+
+      upserts.forEach(row => {
+        const key = rowKey(collection, row.user_id, row.id);
+        const eventType = rows.has(key) ? 'UPDATE' : 'INSERT';
+        const stored = { ...clone(row), synced_at: new Date().toISOString() };
+        rows.set(key, stored);
+        emit(collection, { eventType, new: stored, old: {} });
+      });
+
+      deletes.forEach(id => {
+        const key = rowKey(collection, owner, id);
+        const row = rows.get(key);
+        if (!row || !canWriteRow(collection, row, owner)) return;
+
+        const now = new Date().toISOString();
+        const tombstone = { ...row, deleted: true, updated_at: now, synced_at: now };
+        rows.set(key, tombstone);
+        emit(collection, { eventType: 'UPDATE', new: tombstone, old: {} });
+      });
+    },
+
+    subscribe: (collection, { userId: owner, sharedListIds = [], onChange, onStatusChange }) => {
+      const listener = { userId: owner, sharedListIds, onChange };
+      if (!listeners.has(collection)) {
+        listeners.set(collection, new Set());
+      }
+      listeners.get(collection).add(listener);
+      if (onStatusChange) onStatusChange('SUBSCRIBED');
+
+      return () => {
+        listeners.get(collection).delete(listener);
+      };
+    },
+
+    listBackups: async ({ userId: owner, limit = null }) => {
+      const backups = [...getCollection(TABLES.BACKUPS).values()]
+        .filter(backup => backup.user_id === owner)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .map(stripData);
+      return clone(limit ? backups.slice(0, limit) : backups);
+    },
+
+    getBackup: async ({ userId: owner, backupId }) => {
+      const backup = getCollection(TABLES.BACKUPS).get(backupId);
+      if (!backup || backup.user_id !== owner) {
+        throw new Error('Respaldo no encontrado');
+      }
+      return clone(backup);
+    },
+
+    createBackup: async (backup) => {
+      backupSequence += 1;
+      const record = {
+        id: `backup-${backupSequence}`,
+        created_at: new Date().toISOString(),
+        ...clone(backup),
+      };
+      getCollection(TABLES.BACKUPS).set(record.id, record);
+      return clone(stripData(record));
+    },
+
+    deleteBackups: async ({ userId: owner, backupIds }) => {
+      const backups = getCollection(TABLES.BACKUPS);
+      backupIds.forEach(id => {
+        if (backups.get(id)?.user_id === owner) {
+          backups.delete(id);
+        }
+      });
+    },
+
+    listMemberships: async ({ userId: user }) => {
+      const listIds = new Set(
+        [...members.values()].filter(m => m.user_id === user).map(m => m.list_id)
+      );
+      return [...members.values()].filter(m => listIds.has(m.list_id)).map(clone);
+    },
+
+    shareList: async ({ userId: user, listId, email = null, displayName = null }) => {
+      const list = getCollection(TABLES.TASK_LISTS).get(rowKey(TABLES.TASK_LISTS, user, listId));
+      if (!list || list.deleted) {
+        throw new Error('Lista no encontrada');
+      }
+
+      const owner = [...members.values()].find(m => m.list_id === listId && m.role === LIST_ROLES.OWNER);
+      if (owner && owner.user_id !== user) {
+        throw permissionDenied();
+      }
+
+      if (!owner) {
+        members.set(`${listId}:${user}`, {
+          list_id: listId,
+          user_id: user,
+          role: LIST_ROLES.OWNER,
+          email,
+          display_name: displayName,
+          created_at: new Date().toISOString(),
+        });
+      }
+    },
+
+    createInvite: async ({ userId: user, listId, role, email = null }) => {
+      if (!can(roleOf(listId, user), LIST_ACTIONS.MANAGE_MEMBERS)) {
+        throw permissionDenied();
+      }
+      if (![LIST_ROLES.EDITOR, LIST_ROLES.VIEWER].includes(role)) {
+        throw new Error('Rol no válido');
+      }
+
+      inviteSequence += 1;
+      const now = Date.now();
+      const invite = {
+        id: `invite-${inviteSequence}`,
+        list_id: listId,
+        code: Math.random().toString(16).slice(2, 12).toUpperCase().padEnd(10, '0'),
+        role,
+        email,
+        invited_by: user,
+        accepted_by: null,
+        created_at: new Date(now).toISOString(),
+        expires_at: new Date(now + INVITE_TTL_MS).toISOString(),
+      };
+      invites.set(invite.code, invite);
+      return clone(invite);
+    },
+
+    acceptInvite: async ({ userId: user, code, email = null, displayName = null }) => {
+      const invite = invites.get(String(code || '').toUpperCase());
+      if (!invite || invite.accepted_by || new Date(invite.expires_at) <= new Date()) {
+        throw new Error('Invitación no válida o caducada');
+      }
+
+      const key = `${invite.list_id}:${user}`;
+      if (!members.has(key)) {
+        members.set(key, {
+          list_id: invite.list_id,
+          user_id: user,
+          role: invite.role,
+          email,
+          display_name: displayName,
+          created_at: new Date().toISOString(),
+        });
+      }
+      invite.accepted_by = user;
+      return clone(members.get(key));
+    },
+
+    updateMember: async ({ userId: user, listId, memberId, role }) => {
+      const member = getMember(listId, memberId);
+      if (![LIST_ROLES.EDITOR, LIST_ROLES.VIEWER].includes(role)) {
+        throw new Error('Rol no válido');
+      }
+      if (!canChangeMember(roleOf(listId, user), { actorId: user, member, nextRole: role })) {
+        throw permissionDenied();
+      }
+      member.role = role;
+    },
+
+    removeMember: async ({ userId: user, listId, memberId }) => {
+      const member = getMember(listId, memberId);
+      if (!canChangeMember(roleOf(listId, user), { actorId: user, member })) {
+        throw permissionDenied();
+      }
+      members.delete(`${listId}:${memberId}`);
+    },
+
+    /**
+     * Stored rows of a collection, including tombstones
+     */
+    getRows: (collection) => [...getCollection(collection).values()].map(clone),
+
+    /**
+     * Switch the signed-in user (null signs out)
+     */
+    setUserId: (nextUserId) => {
+      userId = nextUserId;
+    },
+  };
+};
+
+export default createMemoryProvider;
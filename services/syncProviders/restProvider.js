@@ -0,0 +1,133 @@
+/**
+ * REST Sync Provider
+ * TaskList App - Phase 2 Cloud Backup
+ *
+ * Talks to a generic HTTP sync server. Expected endpoints:
+ *   GET  /:collection?since=&include_deleted=&shared_lists= -> rows with synced_at after since
+ *   POST /:collection/push { upserts, deletes } -> 204
+ *   GET  /backups?limit=                        -> backups without data
+ *   GET  /backups/:id                           -> backup with data
+ *   POST /backups                               -> created backup without data
+ *   POST /backups/delete { ids }                -> 204
+ *   GET  /list-members                          -> members of the user's lists
+ *   POST /lists/:id/share { email, display_name } -> 204
+ *   POST /lists/:id/invites { role, email }     -> invite with its code
+ *   POST /invites/accept { code, email, display_name } -> membership
+ *   POST /lists/:id/members/:userId { role }    -> 204
+ *   POST /lists/:id/members/:userId/remove      -> 204
+ * The server scopes every request to the user of the bearer token, applies
+ * the shared list roles and stamps synced_at with its own clock on every write.
+ */
+
+/**
+ * Create a REST provider
+ * @param {Object} options
+ * @param {string} options.baseUrl - Server URL, without trailing slash
+ * @param {Function} options.getSession - Resolves { userId, accessToken } or null
+ * @param {Function} [options.fetch] - fetch implementation
+ * @returns {Object} SyncProvider
+ */
+export const createRestProvider = ({ baseUrl, getSession, fetch: fetchImpl = fetch }) => {
+  const request = async (path, { method = 'GET', body } = {}) => {
+    const session = await getSession();
+    if (!session) {
+      throw new Error('Usuario no autenticado');
+    }
+
+    const response = await fetchImpl(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${session.accessToken}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Error del servidor de sincronización (${response.status})`);
+    }
+
+    return response.status === 204 ? null : response.json();
+  };
+
+  const query = (params) => {
+    const search = Object.entries(params)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+    return search ? `?${search}` : '';
+  };
+
+  return {
+    name: 'rest',
+
+    isConfigured: () => !!baseUrl,
+
+    isAuthenticated: async () => !!(await getSession()),
+
+    getUserId: async () => (await getSession())?.userId || null,
+
+    pull: async (collection, { since = null, includeDeleted = false, sharedListIds = [] }) => {
+      const rows = await request(`/${collection}${query({
+        since,
+        include_deleted: includeDeleted ? 'true' : null,
+        shared_lists: sharedListIds.length > 0 ? sharedListIds.join(',') : null,
+      })}`);
+      return rows || [];
+    },
+
+    push: async (collection, { upserts = [], deletes = [] }) => {
+      if (upserts.length === 0 && deletes.length === 0) return;
+      await request(`/${collection}/push`, { method: 'POST', body: { upserts, deletes } });
+    },
+
+    listBackups: async ({ limit = null }) => {
+      return (await request(`/backups${query({ limit })}`)) || [];
+    },
+
+    getBackup: ({ backupId }) => request(`/backups/${encodeURIComponent(backupId)}`),
+
+    createBackup: (backup) => request('/backups', { method: 'POST', body: backup }),
+
+    deleteBackups: async ({ backupIds }) => {
+      await request('/backups/delete', { method: 'POST', body: { ids: backupIds } });
+    },
+
+    listMemberships: async () => {
+      return (await request('/list-members')) || [];
+    },
+
+    shareList: async ({ listId, email = null, displayName = null }) => {
+      await request(`/lists/${encodeURIComponent(listId)}/share`, {
+        method: 'POST',
+        body: { email, display_name: displayName },
+      });
+    },
+
+    createInvite: ({ listId, role, email = null }) => request(
+      `/lists/${encodeURIComponent(listId)}/invites`,
+      { method: 'POST', body: { role, email } }
+    ),
+
+    acceptInvite: ({ code, email = null, displayName = null }) => request('/invites/accept', {
+      method: 'POST',
+      body: { code, email, display_name: displayName },
+    }),
+
+    updateMember: async ({ listId, memberId, role }) => {
+      await request(`/lists/${encodeURIComponent(listId)}/members/${encodeURIComponent(memberId)}`, {
+        method: 'POST',
+        body: { role },
+      });
+    },
+
+    removeMember: async ({ listId, memberId }) => {
+      await request(
+        `/lists/${encodeURIComponent(listId)}/members/${encodeURIComponent(memberId)}/remove`,
+        { method: 'POST' }
+      );
+    },
+  };
+};
+
+export default createRestProvider;
@@ -0,0 +1,262 @@
+/**
+ * Supabase Sync Provider
+ * TaskList App - Phase 2 Cloud Backup
+ *
+ * Stores synced records and backups in the Supabase tables
+ * and streams changes through Supabase Realtime
+ */
+
+import { supabase, TABLES, isSupabaseConfigured } from '../../config/supabase';
+
+// Backup columns without the task data, for listings
+const BACKUP_COLUMNS = 'id, user_id, created_at, task_count, file_size, storage_path, is_automatic, version';
+
+// Default list ids repeat across users, so lists are keyed by user and id
+const CONFLICT_COLUMNS = {
+  [TABLES.TASK_LISTS]: 'user_id,id',
+};
+
+// Column holding the list of a row, for collections shared with list members
+const SHARED_LIST_COLUMNS = {
+  [TABLES.TASKS]: 'list_id',
+  [TABLES.TASK_LISTS]: 'id',
+};
+
+const inList = (ids) => `(${ids.map(id => `"${id}"`).join(',')})`;
+
+// Row level security skips rows silently, so check that the change applied
+const assertChanged = (data) => {
+  if (!data || data.length === 0) {
+    throw new Error('No tienes permiso para modificar esta lista compartida');
+  }
+};
+
+/**
+ * Create the Supabase provider
+ * @returns {Object} SyncProvider
+ */
+export const createSupabaseProvider = () => ({
+  name: 'supabase',
+
+  isConfigured: () => isSupabaseConfigured(),
+
+  isAuthenticated: async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return !!session;
+  },
+
+  getUserId: async () => {
+    const { data: { user } } = await supabase.auth.getUser();
+    return user?.id || null;
+  },
+
+  pull: async (collection, { userId, since = null, includeDeleted = false, sharedListIds = [] }) => {
+    const listColumn = SHARED_LIST_COLUMNS[collection];
+    let query = supabase.from(collection).select('*');
+
+    // Row level security limits shared rows to the lists the user belongs to
+    query = listColumn && sharedListIds.length > 0
+      ? query.or(`user_id.eq.${userId},${listColumn}.in.${inList(sharedListIds)}`)
+      : query.eq('user_id', userId);
+
+    // synced_at is stamped by the server on every write
+    if (since) {
+      query = query.gt('synced_at', since);
+    }
+    if (!includeDeleted) {
+      query = query.eq('deleted', false);
+    }
+
+    const { data, error } = await query.order('synced_at', { ascending: false });
+    if (error) throw error;
+    return data || [];
+  },
+
+  push: async (collection, { userId, upserts = [], deletes = [] }) => {
+    if (upserts.length > 0) {
+      const { error } = await supabase
+        .from(collection)
+        .upsert(upserts, { onConflict: CONFLICT_COLUMNS[collection] || 'id' });
+
+      if (error) throw error;
+    }
+
+    if (deletes.length > 0) {
+      let query = supabase
+        .from(collection)
+        .update({ deleted: true, updated_at: new Date().toISOString() })
+        .in('id', deletes);
+
+      // Editors may delete tasks of others in shared lists; the policies decide
+      if (collection !== TABLES.TASKS) {
+        query = query.eq('user_id', userId);
+      }
+
+      const { error } = await query;
+      if (error) throw error;
+    }
+  },
+
+  subscribe: (collection, { userId, sharedListIds = [], onChange, onStatusChange }) => {
+    let channel = supabase
+      .channel(`${collection}:${userId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: collection,
+          filter: `user_id=eq.${userId}`,
+        },
+        onChange
+      );
+
+    if (SHARED_LIST_COLUMNS[collection] && sharedListIds.length > 0) {
+      channel = channel.on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: collection,
+          filter: `${SHARED_LIST_COLUMNS[collection]}=in.(${sharedListIds.join(',')})`,
+        },
+        onChange
+      );
+    }
+
+    channel.subscribe((status) => {
+      if (onStatusChange) onStatusChange(status);
+    });
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  },
+
+  listBackups: async ({ userId, limit = null }) => {
+    let query = supabase
+      .from(TABLES.BACKUPS)
+      .select(BACKUP_COLUMNS)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (limit) {
+      query = query.limit(limit);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  },
+
+  getBackup: async ({ userId, backupId }) => {
+    const { data, error } = await supabase
+      .from(TABLES.BACKUPS)
+      .select('*')
+      .eq('id', backupId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  createBackup: async (backup) => {
+    const { data, error } = await supabase
+      .from(TABLES.BACKUPS)
+      .insert(backup)
+      .select(BACKUP_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  deleteBackups: async ({ userId, backupIds }) => {
+    const { error } = await supabase
+      .from(TABLES.BACKUPS)
+      .delete()
+      .in('id', backupIds)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  },
+
+  listMemberships: async () => {
+    // Row level security returns the members of the user's lists
+    const { data, error } = await supabase
+      .from(TABLES.LIST_MEMBERS)
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  shareList: async ({ userId, listId, email = null, displayName = null }) => {
+    const { error } = await supabase
+      .from(TABLES.LIST_MEMBERS)
+      .upsert({
+        list_id: listId,
+        user_id: userId,
+        role: 'owner',
+        email,
+        display_name: displayName,
+      }, { onConflict: 'list_id,user_id', ignoreDuplicates: true });
+
+    if (error) throw error;
+  },
+
+  createInvite: async ({ userId, listId, role, email = null }) => {
+    const { data, error } = await supabase
+      .from(TABLES.LIST_INVITES)
+      .insert({ list_id: listId, role, email, invited_by: userId })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  acceptInvite: async ({ code, email = null, displayName = null }) => {
+    const { data, error } = await supabase.rpc('accept_list_invite', {
+      invite_code: code,
+      member_email: email,
+      member_name: displayName,
+    });
+
+    if (error) {
+      if (error.message?.includes('invalid_invite')) {
+        throw new Error('Invitación no válida o caducada');
+      }
+      throw error;
+    }
+    return data;
+  },
+
+  updateMember: async ({ listId, memberId, role }) => {
+    const { data, error } = await supabase
+      .from(TABLES.LIST_MEMBERS)
+      .update({ role })
+      .eq('list_id', listId)
+      .eq('user_id', memberId)
+      .select();
+
+    if (error) throw error;
+    assertChanged(data);
+  },
+
+  removeMember: async ({ listId, memberId }) => {
+    const { data, error } = await supabase
+      .from(TABLES.LIST_MEMBERS)
+      .delete()
+      .eq('list_id', listId)
+      .eq('user_id', memberId)
+      .select();
+
+    if (error) throw error;
+    assertChanged(data);
+  },
+});
+
+export default createSupabaseProvider;
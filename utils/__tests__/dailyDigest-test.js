@@ -0,0 +1,40 @@
+import {
+  getNextDigestTime,
+  getDigestTimeOptions,
+  buildMorningDigest,
+  buildEveningReview,
+  DIGEST_TYPES,
+} from '../dailyDigest';
+
+const day = new Date(2030, 4, 10, 8, 0);
+const task = (title, dueDate, extra = {}) => ({ id: title, title, dueDate: dueDate?.toISOString() || null, ...extra });
+
+const tasks = [
+  task('Informe', new Date(2030, 4, 10)),
+  task('Llamar', new Date(2030, 4, 10, 17, 0)),
+  task('Hecha', new Date(2030, 4, 10), { completed: true }),
+  task('Mañana', new Date(2030, 4, 11)),
+];
+
+describe('dailyDigest', () => {
+  it('fires today at its time, or tomorrow once past', () => {
+    expect(getNextDigestTime({ hour: 20, minute: 30 }, day)).toEqual(new Date(2030, 4, 10, 20, 30));
+    expect(getNextDigestTime({ hour: 7, minute: 0 }, day)).toEqual(new Date(2030, 4, 11, 7, 0));
+    expect(getDigestTimeOptions(DIGEST_TYPES.MORNING)[0]).toEqual({ hour: 5, minute: 0 });
+  });
+
+  it('summarizes tasks due today, overdue and high-priority tasks', () => {
+    const digest = buildMorningDigest(tasks, { overdue: 1, highPriority: 2 }, day);
+    expect(digest.body).toBe('2 tareas para hoy, 1 vencida, 2 de prioridad alta. «Informe», «Llamar»');
+
+    expect(buildMorningDigest([], { overdue: 0, highPriority: 0 }, day).body)
+      .toBe('No tienes tareas pendientes para hoy.');
+  });
+
+  it('reviews what was completed during the day', () => {
+    expect(buildEveningReview(tasks, { tasksCompleted: 3, focusMinutes: 50 }, day).body)
+      .toBe('Has completado 3 tareas y te has concentrado 50 min. Quedan 2 tareas para hoy.');
+    expect(buildEveningReview([], { tasksCompleted: 0 }, day).body).toBe('Hoy no has completado tareas.');
+    expect(buildEveningReview(tasks, null, day).body).toMatch(/Repasa/);
+  });
+});
@@ -0,0 +1,64 @@
+import {
+  isOverdue,
+  isAllDay,
+  isTaskOverdue,
+  withDefaultTime,
+  formatDuration,
+  startsAfterDue,
+} from '../dateHelpers';
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+describe('due dates and times', () => {
+  it('treats tasks without the flag as all-day', () => {
+    expect(isAllDay({ dueDate: '2026-03-01T00:00:00.000Z' })).toBe(true);
+    expect(isAllDay({ allDay: false })).toBe(false);
+  });
+
+  it('makes all-day tasks overdue only from the next day', () => {
+    const earlierToday = new Date();
+    earlierToday.setHours(0, 0, 0, 0);
+    const yesterday = new Date(earlierToday);
+    yesterday.setDate(yesterday.getDate() - 1);
+
+    expect(isOverdue(earlierToday)).toBe(false);
+    expect(isOverdue(yesterday)).toBe(true);
+  });
+
+  it('makes timed tasks overdue once their time has passed', () => {
+    const pastTime = { dueDate: hoursFromNow(-0.1).toISOString(), allDay: false };
+
+    expect(isTaskOverdue(pastTime)).toBe(true);
+    expect(isTaskOverdue({ ...pastTime, completed: true })).toBe(false);
+    expect(isTaskOverdue({ dueDate: hoursFromNow(1).toISOString(), allDay: false })).toBe(false);
+    expect(isTaskOverdue({ dueDate: null, allDay: false })).toBe(false);
+  });
+
+  it('gives dates a default time of 9:00, or the next hour once past', () => {
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    expect(withDefaultTime(tomorrow).getHours()).toBe(9);
+
+    const now = new Date();
+    now.setHours(15, 20, 0, 0);
+    const today = withDefaultTime(now, now);
+    expect([today.getHours(), today.getMinutes()]).toEqual([16, 0]);
+  });
+
+  it('compares start and due dates by day for all-day tasks', () => {
+    const due = new Date(2026, 2, 10, 8, 0);
+    const sameDayLater = new Date(2026, 2, 10, 20, 0);
+
+    expect(startsAfterDue(sameDayLater, due)).toBe(false);
+    expect(startsAfterDue(sameDayLater, due, false)).toBe(true);
+    expect(startsAfterDue(new Date(2026, 2, 11), due)).toBe(true);
+    expect(startsAfterDue(null, due)).toBe(false);
+  });
+
+  it('formats estimated durations', () => {
+    expect(formatDuration(45)).toBe('45 min');
+    expect(formatDuration(120)).toBe('2 h');
+    expect(formatDuration(90)).toBe('1 h 30 min');
+    expect(formatDuration(null)).toBe('');
+  });
+});
@@ -0,0 +1,81 @@
+import {
+  generateKey,
+  generateSalt,
+  deriveKey,
+  wrapKey,
+  unwrapKey,
+  isEncryptedValue,
+  encryptValue,
+  decryptValue,
+  encryptFields,
+  decryptFields,
+  generateRecoveryCode,
+  normalizeRecoveryCode,
+  TASK_ENCRYPTED_FIELDS,
+} from '../encryption';
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: (length) => new Uint8Array(require('crypto').randomBytes(length)),
+}));
+
+// Cheap parameters so the tests stay fast
+const TEST_KDF = { N: 2 ** 10, r: 8, p: 1, dkLen: 32 };
+
+describe('encryption', () => {
+  it('round-trips values of any JSON type', () => {
+    const key = generateKey();
+    const subtasks = [{ id: 's1', title: 'Leche', completed: false }];
+
+    const encrypted = encryptValue(key, subtasks);
+
+    expect(isEncryptedValue(encrypted)).toBe(true);
+    expect(encrypted).not.toContain('Leche');
+    expect(decryptValue(key, encrypted)).toEqual(subtasks);
+    expect(decryptValue(key, 'texto plano')).toBe('texto plano');
+  });
+
+  it('rejects the wrong key and locked devices', () => {
+    const encrypted = encryptValue(generateKey(), 'Secreto');
+
+    expect(() => decryptValue(generateKey(), encrypted)).toThrow();
+    expect(() => decryptValue(null, encrypted)).toThrow('El cifrado está bloqueado');
+  });
+
+  it('encrypts only sensitive task fields', () => {
+    const key = generateKey();
+    const task = {
+      id: 'task-1',
+      title: 'Médico',
+      description: null,
+      subtasks: [],
+      category: 'health',
+      priority: 'high',
+    };
+
+    const sealed = encryptFields(task, key, TASK_ENCRYPTED_FIELDS);
+
+    expect(isEncryptedValue(sealed.title)).toBe(true);
+    expect(isEncryptedValue(sealed.subtasks)).toBe(true);
+    expect(sealed.description).toBeNull();
+    expect(sealed).toEqual(expect.objectContaining({ id: 'task-1', category: 'health', priority: 'high' }));
+    expect(decryptFields(sealed, key, TASK_ENCRYPTED_FIELDS)).toEqual(task);
+  });
+
+  it('unwraps the data key only with the right passphrase', async () => {
+    const dataKey = generateKey();
+    const salt = generateSalt();
+    const wrapped = wrapKey(await deriveKey('frase correcta', salt, TEST_KDF), dataKey);
+
+    expect(unwrapKey(await deriveKey('frase correcta', salt, TEST_KDF), wrapped)).toEqual(dataKey);
+    expect(() => unwrapKey(generateKey(), wrapped)).toThrow();
+    await expect(deriveKey('frase incorrecta', salt, TEST_KDF).then(k => unwrapKey(k, wrapped)))
+      .rejects.toThrow();
+  });
+
+  it('generates recovery codes that survive retyping', () => {
+    const code = generateRecoveryCode();
+
+    expect(code).toMatch(/^([0-9A-Z]{4}-){4}[0-9A-Z]{4}$/);
+    expect(normalizeRecoveryCode(code.toLowerCase().replace(/-/g, ' '))).toBe(code.replace(/-/g, ''));
+  });
+});
@@ -0,0 +1,66 @@
+import { dispatchNotificationResponse, createResponseQueue } from '../notificationResponses';
+import { NOTIFICATION_ACTIONS } from '../notifications';
+
+jest.mock('expo-notifications', () => ({
+  setNotificationHandler: jest.fn(),
+}));
+
+jest.mock('expo-device', () => ({ isDevice: true }));
+
+const response = (actionIdentifier, taskId = 'tarea-1') => ({
+  actionIdentifier,
+  notification: {
+    request: { identifier: `aviso-${taskId}`, content: { data: { taskId } } },
+  },
+});
+
+// Mirrors the handlers of the root layout, which act on loaded tasks
+const createApp = () => {
+  const app = { tasks: [], completed: [] };
+  const handlers = {
+    onComplete: async (taskId) => {
+      const task = app.tasks.find(t => t.id === taskId);
+      if (task && !task.completed) app.completed.push(taskId);
+    },
+  };
+  app.queue = createResponseQueue((r) => dispatchNotificationResponse(r, handlers));
+  return app;
+};
+
+describe('notification responses', () => {
+  it('completes the task when Complete launches the app before tasks load', async () => {
+    const app = createApp();
+
+    // Cold start: the launch response arrives while tasks are still loading
+    await app.queue.receive(response(NOTIFICATION_ACTIONS.COMPLETE));
+    expect(app.completed).toEqual([]);
+
+    app.tasks = [{ id: 'tarea-1', completed: false }];
+    await app.queue.setReady(true);
+    expect(app.completed).toEqual(['tarea-1']);
+  });
+
+  it('runs each response once', async () => {
+    const app = createApp();
+    app.tasks = [{ id: 'tarea-1', completed: false }];
+    await app.queue.setReady(true);
+
+    // Reported by both the launch response and the listener
+    await app.queue.receive(response(NOTIFICATION_ACTIONS.COMPLETE));
+    await app.queue.receive(response(NOTIFICATION_ACTIONS.COMPLETE));
+    expect(app.completed).toEqual(['tarea-1']);
+  });
+
+  it('opens the task on a plain tap and reports actions', async () => {
+    const onOpen = jest.fn();
+    const onSnooze = jest.fn();
+
+    await expect(dispatchNotificationResponse(response('expo.modules.notifications.actions.DEFAULT'), { onOpen }))
+      .resolves.toBe(false);
+    expect(onOpen).toHaveBeenCalledWith('tarea-1');
+
+    await expect(dispatchNotificationResponse(response(NOTIFICATION_ACTIONS.ONE_HOUR), { onSnooze }))
+      .resolves.toBe(true);
+    expect(onSnooze).toHaveBeenCalledWith('tarea-1', NOTIFICATION_ACTIONS.ONE_HOUR);
+  });
+});
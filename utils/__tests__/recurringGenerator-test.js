@@ -0,0 +1,84 @@
+import {
+  createRecurringSeries,
+  createNextInstanceAfterCompletion,
+  findUntouchedSuccessor,
+  shouldGenerateMoreInstances,
+} from '../recurringGenerator';
+import {
+  RECURRENCE_MODES,
+  RECURRENCE_PATTERNS,
+  calculateNextAfterCompletion,
+  formatRecurrencePreview,
+} from '../recurringHelpers';
+import { EXCEPTION_TYPES } from '../seriesExceptions';
+import { toDayKey } from '../rrule';
+
+const waterPlants = {
+  mode: RECURRENCE_MODES.AFTER_COMPLETION,
+  pattern: RECURRENCE_PATTERNS.DAILY,
+  frequency: 3,
+  startDate: new Date(2030, 0, 1).toISOString(),
+};
+
+describe('repeat after completion', () => {
+  it('counts the next date from the completion day', () => {
+    expect(toDayKey(calculateNextAfterCompletion(waterPlants, new Date(2030, 0, 5, 18, 30)))).toBe('2030-01-08');
+
+    const monthly = { ...waterPlants, pattern: RECURRENCE_PATTERNS.MONTHLY, frequency: 1 };
+    expect(toDayKey(calculateNextAfterCompletion(monthly, new Date(2030, 0, 31)))).toBe('2030-02-28');
+
+    const ended = { ...waterPlants, endDate: new Date(2030, 0, 6).toISOString() };
+    expect(calculateNextAfterCompletion(ended, new Date(2030, 0, 5))).toBeNull();
+
+    expect(formatRecurrencePreview(waterPlants)).toBe('Se repite 3 días después de completarla');
+  });
+
+  it('keeps a single open instance per series', () => {
+    const { series, instances } = createRecurringSeries({ title: 'Regar plantas' }, waterPlants);
+    expect(instances).toHaveLength(1);
+    expect(shouldGenerateMoreInstances(series, instances)).toBe(false);
+    expect(createNextInstanceAfterCompletion(series, instances)).toBeNull();
+  });
+
+  it('creates the next instance once the open one is completed', () => {
+    const { series, instances } = createRecurringSeries({ title: 'Regar plantas' }, waterPlants);
+    const completed = [{ ...instances[0], completed: true }];
+
+    const next = createNextInstanceAfterCompletion(series, completed, new Date(2031, 5, 10, 9, 0));
+    expect(next).toMatchObject({ recurringSeriesId: series.id, title: 'Regar plantas', completed: false });
+    expect(toDayKey(next.instanceDate)).toBe('2031-06-13');
+
+    // Calendar series generate on their own schedule
+    const calendar = createRecurringSeries({ title: 'Informe' }, {
+      ...waterPlants,
+      mode: RECURRENCE_MODES.CALENDAR,
+    });
+    expect(createNextInstanceAfterCompletion(calendar.series, [])).toBeNull();
+  });
+
+  it('drops the next instance again when the completed one is reopened', () => {
+    const { series, instances } = createRecurringSeries({ title: 'Regar plantas' }, waterPlants);
+    const completed = { ...instances[0], completed: true };
+    const next = createNextInstanceAfterCompletion(series, [completed]);
+
+    expect(findUntouchedSuccessor(series, [completed, next], completed.id)).toBe(next);
+
+    // Edited since it was created, so reopening keeps it
+    const edited = { ...next, title: 'Regar cactus', updatedAt: new Date(2031, 0, 1).toISOString() };
+    expect(findUntouchedSuccessor(series, [completed, edited], completed.id)).toBeNull();
+  });
+
+  it('honors the exceptions of the next day', () => {
+    const { series, instances } = createRecurringSeries({ title: 'Regar plantas' }, waterPlants);
+    const completed = [{ ...instances[0], completed: true }];
+    const completedAt = new Date(2031, 5, 10, 9, 0);
+    const withExceptions = (...exceptions) => ({ ...series, exceptions });
+
+    // A deleted day moves on to the next one
+    const deleted = withExceptions({ id: '2031-06-13', type: EXCEPTION_TYPES.DELETED, date: null, changes: {} });
+    expect(toDayKey(createNextInstanceAfterCompletion(deleted, completed, completedAt).instanceDate)).toBe('2031-06-16');
+
+    const modified = withExceptions({ id: '2031-06-13', type: EXCEPTION_TYPES.MODIFIED, date: null, changes: { title: 'Regar cactus' } });
+    expect(createNextInstanceAfterCompletion(modified, completed, completedAt).title).toBe('Regar cactus');
+  });
+});
@@ -0,0 +1,82 @@
+import { parseRRule, formatRRule, expandRRule, toDayKey } from '../rrule';
+import {
+  RECURRENCE_PATTERNS,
+  configToRRule,
+  calculateNextOccurrence,
+  generateDateRange,
+  dateMatchesPattern,
+} from '../recurringHelpers';
+
+const days = (dates) => dates.map(date => toDayKey(date));
+const expand = (rrule, options = {}) => days(expandRRule(rrule, { dtstart: new Date(2030, 0, 1), limit: 3, ...options }));
+
+describe('rrule', () => {
+  it('parses and formats rules', () => {
+    const rule = parseRRule('RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR;UNTIL=20301231');
+    expect(rule).toMatchObject({ freq: 'MONTHLY', interval: 2, byDay: [{ day: 5, n: -1 }] });
+    expect(formatRRule(rule)).toBe('FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR;UNTIL=20301231');
+
+    expect(() => parseRRule('FREQ=HOURLY')).toThrow('La regla de repetición no es válida');
+    expect(() => parseRRule('FREQ=WEEKLY;BYDAY=2TU')).toThrow('La regla de repetición no es válida');
+  });
+
+  it('expands nth and last weekdays of the month', () => {
+    expect(expand('FREQ=MONTHLY;BYDAY=-1FR')).toEqual(['2030-01-25', '2030-02-22', '2030-03-29']);
+    expect(expand('FREQ=MONTHLY;BYDAY=2TU')).toEqual(['2030-01-08', '2030-02-12', '2030-03-12']);
+  });
+
+  it('expands every weekday and BYSETPOS', () => {
+    expect(expand('FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', { dtstart: new Date(2030, 0, 4), limit: 4 }))
+      .toEqual(['2030-01-04', '2030-01-07', '2030-01-08', '2030-01-09']);
+    // Last weekday of each month
+    expect(expand('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1'))
+      .toEqual(['2030-01-31', '2030-02-28', '2030-03-29']);
+  });
+
+  it('expands yearly rules', () => {
+    expect(expand('FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=29', { dtstart: new Date(2028, 0, 1), limit: 2 }))
+      .toEqual(['2028-02-29', '2032-02-29']);
+  });
+
+  it('honors COUNT, UNTIL and EXDATE', () => {
+    const exdates = ['2030-01-02'];
+    expect(expand('FREQ=DAILY;COUNT=3', { exdates, limit: 10 })).toEqual(['2030-01-01', '2030-01-03']);
+    expect(expand('FREQ=DAILY;UNTIL=20300102', { limit: 10 })).toEqual(['2030-01-01', '2030-01-02']);
+    expect(expand('FREQ=DAILY', { exdates, from: new Date(2030, 0, 2), limit: 2 }))
+      .toEqual(['2030-01-03', '2030-01-04']);
+  });
+});
+
+describe('recurring configs as RRULE', () => {
+  const startDate = new Date(2030, 0, 1).toISOString();
+
+  it('converts configs saved before RRULE support', () => {
+    expect(configToRRule({ pattern: RECURRENCE_PATTERNS.WEEKLY, frequency: 2, daysOfWeek: [5, 1, 3] }))
+      .toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE,FR');
+    expect(configToRRule({ pattern: RECURRENCE_PATTERNS.CUSTOM, frequency: 3 })).toBe('FREQ=DAILY;INTERVAL=3');
+    expect(configToRRule({ pattern: RECURRENCE_PATTERNS.MONTHLY, frequency: 1, dayOfMonth: 15, endDate: '2030-06-30T12:00:00' }))
+      .toBe('FREQ=MONTHLY;BYMONTHDAY=15;UNTIL=20300630');
+  });
+
+  it('keeps day 31 on the last day of shorter months', () => {
+    const config = { pattern: RECURRENCE_PATTERNS.MONTHLY, frequency: 1, dayOfMonth: 31, startDate };
+    expect(days(generateDateRange(config, new Date(2030, 0, 1), new Date(2030, 3, 30))))
+      .toEqual(['2030-01-31', '2030-02-28', '2030-03-31', '2030-04-30']);
+  });
+
+  it('finds the next occurrence of new patterns', () => {
+    const lastFriday = {
+      pattern: RECURRENCE_PATTERNS.MONTHLY,
+      frequency: 1,
+      weekOfMonth: -1,
+      daysOfWeek: [5],
+      startDate,
+    };
+    expect(toDayKey(calculateNextOccurrence(lastFriday, new Date(2030, 0, 25)))).toBe('2030-02-22');
+    expect(dateMatchesPattern(lastFriday, new Date(2030, 2, 29))).toBe(true);
+    expect(dateMatchesPattern(lastFriday, new Date(2030, 2, 22))).toBe(false);
+
+    const custom = { pattern: RECURRENCE_PATTERNS.CUSTOM, frequency: 1, rrule: 'FREQ=YEARLY;BYMONTH=5;BYDAY=-1MO', startDate };
+    expect(toDayKey(calculateNextOccurrence(custom, new Date(2030, 0, 1)))).toBe('2030-05-27');
+  });
+});
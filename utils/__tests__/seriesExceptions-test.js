@@ -0,0 +1,108 @@
+import {
+  EXCEPTION_TYPES,
+  getUpdatedExceptions,
+  applySeriesException,
+  clearExceptionFields,
+} from '../seriesExceptions';
+import { RECURRENCE_PATTERNS } from '../recurringHelpers';
+import { generateInstancesForSeries, getSeriesBaseTask } from '../recurringGenerator';
+import { startOfZonedDay, toZonedDayKey } from '../timeZone';
+
+const MADRID = 'Europe/Madrid';
+
+const series = {
+  id: 'gimnasio',
+  title: 'Gimnasio',
+  listId: 'personal',
+  priority: 'medium',
+  description: '',
+  reminders: [],
+  active: true,
+  exceptions: [],
+  recurringConfig: {
+    pattern: RECURRENCE_PATTERNS.DAILY,
+    frequency: 1,
+    startDate: '2030-04-01',
+    timeZone: MADRID,
+  },
+};
+
+const instance = (day, changes = {}) => {
+  const date = startOfZonedDay(day, MADRID).toISOString();
+  return {
+    ...getSeriesBaseTask(series),
+    id: `gimnasio_${date}`,
+    recurringSeriesId: 'gimnasio',
+    instanceDate: date,
+    dueDate: date,
+    skipped: false,
+    ...changes,
+  };
+};
+
+const generate = (exceptions) => generateInstancesForSeries(
+  { ...series, exceptions },
+  getSeriesBaseTask(series),
+  [],
+  4,
+  new Date('2030-04-01T10:00:00Z')
+);
+
+const days = (instances) => instances.map(i => toZonedDayKey(i.instanceDate, MADRID));
+
+describe('series exceptions', () => {
+  it('records moved, skipped and modified occurrences', () => {
+    const moved = instance('2030-04-02', { dueDate: startOfZonedDay('2030-04-04', MADRID).toISOString() });
+    expect(getUpdatedExceptions(series, moved)).toEqual([
+      expect.objectContaining({ id: '2030-04-02', type: EXCEPTION_TYPES.MOVED, date: '2030-04-04' }),
+    ]);
+
+    const skipped = instance('2030-04-03', { skipped: true });
+    expect(getUpdatedExceptions(series, skipped)[0]).toMatchObject({ type: EXCEPTION_TYPES.SKIPPED });
+
+    const renamed = instance('2030-04-03', { title: 'Piscina' });
+    expect(getUpdatedExceptions(series, renamed)[0]).toMatchObject({
+      type: EXCEPTION_TYPES.MODIFIED,
+      changes: { title: 'Piscina' },
+    });
+
+    // An instance that follows its series again drops its exception
+    const withException = { ...series, exceptions: getUpdatedExceptions(series, renamed) };
+    expect(getUpdatedExceptions(withException, instance('2030-04-03'))).toEqual([]);
+    expect(getUpdatedExceptions(series, instance('2030-04-03'))).toBeNull();
+  });
+
+  it('keeps every exception recorded in a row', () => {
+    // Deleting "this and future" records each instance through state updates
+    let state = [series];
+    const record = (task, type) => {
+      state = state.map(s => (s.id === task.recurringSeriesId ? applySeriesException(s, task, type) : s));
+    };
+    record(instance('2030-04-02'), EXCEPTION_TYPES.DELETED);
+    record(instance('2030-04-03'), EXCEPTION_TYPES.DELETED);
+
+    expect(state[0].exceptions.map(e => e.id)).toEqual(['2030-04-02', '2030-04-03']);
+    expect(days(generate(state[0].exceptions))).toEqual(['2030-04-01', '2030-04-04', '2030-04-05']);
+  });
+
+  it('never regenerates moved, skipped or deleted occurrences', () => {
+    const exceptions = [
+      { id: '2030-04-02', type: EXCEPTION_TYPES.MOVED, date: '2030-04-04', changes: {} },
+      { id: '2030-04-03', type: EXCEPTION_TYPES.SKIPPED, date: null, changes: {} },
+      { id: '2030-04-04', type: EXCEPTION_TYPES.DELETED, date: null, changes: {} },
+    ];
+    expect(days(generate(exceptions))).toEqual(['2030-04-01', '2030-04-05']);
+  });
+
+  it('regenerates modified occurrences with their changes', () => {
+    const exceptions = [
+      { id: '2030-04-02', type: EXCEPTION_TYPES.MODIFIED, date: null, changes: { title: 'Piscina' } },
+    ];
+    const titles = generate(exceptions).map(i => i.title);
+    expect(titles).toEqual(['Gimnasio', 'Piscina', 'Gimnasio', 'Gimnasio', 'Gimnasio']);
+
+    // Editing the title of every instance clears the override
+    expect(clearExceptionFields(exceptions, ['title'])).toEqual([]);
+    expect(clearExceptionFields(exceptions, ['priority'])).toHaveLength(1);
+  });
+});
@@ -0,0 +1,85 @@
+import {
+  flattenSubtaskTree,
+  addSubtaskToTree,
+  indentSubtask,
+  outdentSubtask,
+  moveSubtask,
+  setSubtaskCompleted,
+  removeSubtask,
+  detachSubtask,
+  getTreeProgress,
+} from '../subtaskTree';
+
+const st = (id, parentId = null, completed = false) => ({ id, title: id, parentId, completed });
+
+// a
+//   b
+//     c
+//   d
+// e
+const tree = () => [st('a'), st('b', 'a'), st('c', 'b'), st('d', 'a'), st('e')];
+
+const outline = (subtasks) => flattenSubtaskTree(subtasks).map(row => `${'-'.repeat(row.depth)}${row.subtask.id}`);
+
+describe('subtaskTree', () => {
+  it('lists subtasks in display order with their depth', () => {
+    expect(outline(tree())).toEqual(['a', '-b', '--c', '-d', 'e']);
+  });
+
+  it('shows orphans and parent loops at the top level', () => {
+    expect(outline([st('x', 'gone'), st('p', 'q'), st('q', 'p')])).toEqual(['x', 'p', '-q']);
+  });
+
+  it('adds a subtask as the last child of its parent', () => {
+    expect(outline(addSubtaskToTree(tree(), { id: 'f', title: 'f' }, 'b'))).toEqual(['a', '-b', '--c', '--f', '-d', 'e']);
+  });
+
+  it('indents under the previous sibling and outdents after the parent', () => {
+    const indented = indentSubtask(tree(), 'd');
+    expect(outline(indented)).toEqual(['a', '-b', '--c', '--d', 'e']);
+
+    // The first subtask of a level stays put
+    expect(outline(indentSubtask(tree(), 'a'))).toEqual(outline(tree()));
+
+    expect(outline(outdentSubtask(tree(), 'b'))).toEqual(['a', '-d', 'b', '-c', 'e']);
+  });
+
+  it('moves a subtask with its descendants', () => {
+    // b (index 1) dropped on e (index 4)
+    expect(outline(moveSubtask(tree(), 1, 4))).toEqual(['a', '-d', 'e', 'b', '-c']);
+    // e dropped on b
+    expect(outline(moveSubtask(tree(), 4, 1))).toEqual(['a', '-e', '-b', '--c', '-d']);
+    // Can't drop a subtask inside itself
+    expect(outline(moveSubtask(tree(), 0, 2))).toEqual(outline(tree()));
+  });
+
+  it('completes descendants and keeps parents in step with their children', () => {
+    const byId = (subtasks) => Object.fromEntries(subtasks.map(s => [s.id, s.completed]));
+
+    let subtasks = setSubtaskCompleted(tree(), 'b', true);
+    expect(byId(subtasks)).toEqual({ a: false, b: true, c: true, d: false, e: false });
+
+    subtasks = setSubtaskCompleted(subtasks, 'd', true);
+    expect(byId(subtasks).a).toBe(true);
+
+    subtasks = setSubtaskCompleted(subtasks, 'c', false);
+    expect(byId(subtasks)).toEqual({ a: false, b: false, c: false, d: true, e: false });
+  });
+
+  it('removes and detaches whole branches', () => {
+    expect(outline(removeSubtask(tree(), 'a'))).toEqual(['e']);
+
+    const { subtask, descendants, remaining } = detachSubtask(tree(), 'a');
+    expect(subtask.id).toBe('a');
+    expect(outline(descendants)).toEqual(['b', '-c', 'd']);
+    expect(outline(remaining)).toEqual(['e']);
+  });
+
+  it('rolls up progress from the leaves', () => {
+    const subtasks = setSubtaskCompleted(tree(), 'c', true);
+
+    expect(getTreeProgress(subtasks)).toEqual({ total: 3, completed: 1, percentage: 33 });
+    expect(getTreeProgress(subtasks, 'b')).toEqual({ total: 1, completed: 1, percentage: 100 });
+    expect(getTreeProgress([])).toEqual({ total: 0, completed: 0, percentage: 0 });
+  });
+});
@@ -0,0 +1,120 @@
+import {
+  MAX_ACTIVITY_ENTRIES,
+  SUBTASK_ACTIONS,
+  diffSubtasks,
+  createActivityEntries,
+  applyTaskChanges,
+  createComment,
+  describeActivity,
+} from '../taskActivity';
+import { mergeTask } from '../syncMerge';
+
+const ana = { id: 'ana', name: 'Ana' };
+
+const task = (overrides = {}) => ({
+  id: 'task-1',
+  title: 'Comprar pan',
+  priority: 'medium',
+  dueDate: null,
+  completed: false,
+  subtasks: [{ id: 's1', title: 'Integral', completed: false }],
+  comments: [],
+  activity: [],
+  updatedAt: '2026-01-01T10:00:00.000Z',
+  ...overrides,
+});
+
+describe('createActivityEntries', () => {
+  it('records the tracked fields that changed', () => {
+    const entries = createActivityEntries(
+      task(),
+      { title: 'Comprar pan', priority: 'high', dueDate: '2026-02-01T09:00:00.000Z', description: 'x' },
+      ana,
+      '2026-01-02T10:00:00.000Z'
+    );
+
+    expect(entries.map(e => [e.field, e.from, e.to])).toEqual([
+      ['priority', 'medium', 'high'],
+      ['dueDate', null, '2026-02-01T09:00:00.000Z'],
+    ]);
+    expect(entries[0]).toEqual(expect.objectContaining({
+      actorId: 'ana',
+      actorName: 'Ana',
+      at: '2026-01-02T10:00:00.000Z',
+    }));
+  });
+
+  it('ignores the same due date in another format', () => {
+    const before = task({ dueDate: '2026-02-01T09:00:00.000Z' });
+    expect(createActivityEntries(before, { dueDate: new Date('2026-02-01T09:00:00.000Z') }, ana)).toEqual([]);
+  });
+
+  it('describes subtask changes one by one', () => {
+    const changes = diffSubtasks(
+      [{ id: 's1', title: 'Integral', completed: false }, { id: 's2', title: 'Leche', completed: false }],
+      [{ id: 's3', title: 'Huevos', completed: false }, { id: 's1', title: 'Integral', completed: true }]
+    );
+
+    expect(changes).toEqual([
+      { action: SUBTASK_ACTIONS.ADDED, subtask: 'Huevos' },
+      { action: SUBTASK_ACTIONS.COMPLETED, subtask: 'Integral' },
+      { action: SUBTASK_ACTIONS.REMOVED, subtask: 'Leche' },
+    ]);
+  });
+});
+
+describe('applyTaskChanges', () => {
+  it('applies the changes and appends their activity', () => {
+    const updated = applyTaskChanges(task(), { completed: true }, ana);
+
+    expect(updated.completed).toBe(true);
+    expect(updated.updatedAt).not.toBe(task().updatedAt);
+    expect(updated.activity).toHaveLength(1);
+    expect(describeActivity(updated.activity[0])).toBe('completó la tarea');
+  });
+
+  it('keeps only the most recent entries', () => {
+    const old = Array.from({ length: MAX_ACTIVITY_ENTRIES }, (_, i) => ({ id: `a${i}`, field: 'title' }));
+    const updated = applyTaskChanges(task({ activity: old }), { title: 'Comprar pan y leche' }, ana);
+
+    expect(updated.activity).toHaveLength(MAX_ACTIVITY_ENTRIES);
+    expect(updated.activity[0].id).toBe('a1');
+    expect(updated.activity[MAX_ACTIVITY_ENTRIES - 1].to).toBe('Comprar pan y leche');
+  });
+});
+
+describe('describeActivity', () => {
+  it('uses Spanish labels and member names', () => {
+    expect(describeActivity({ field: 'priority', from: 'low', to: 'high' })).toBe('cambió la prioridad de Baja a Alta');
+    expect(describeActivity({ field: 'assigneeId', to: 'bea' }, () => 'Bea')).toBe('asignó la tarea a Bea');
+    expect(describeActivity({ field: 'dueDate', from: '2026-02-01T09:00:00.000Z', to: null })).toBe('quitó la fecha límite');
+    expect(describeActivity({ field: 'subtasks', action: SUBTASK_ACTIONS.ADDED, subtask: 'Huevos' }))
+      .toBe('añadió la subtarea «Huevos»');
+  });
+});
+
+describe('comments', () => {
+  it('creates trimmed comments and rejects empty ones', () => {
+    expect(createComment('   ', ana)).toBeNull();
+    expect(createComment('  ¿Integral o normal?  ', ana)).toEqual(expect.objectContaining({
+      text: '¿Integral o normal?',
+      authorId: 'ana',
+      authorName: 'Ana',
+    }));
+  });
+
+  it('keeps comments added on both sides when merging', () => {
+    const base = task();
+    const first = { id: 'c1', text: 'Hola', createdAt: '2026-01-02T10:00:00.000Z' };
+    const second = { id: 'c2', text: 'Adiós', createdAt: '2026-01-02T09:00:00.000Z' };
+
+    const { task: merged, conflicts } = mergeTask(
+      base,
+      task({ comments: [first], updatedAt: '2026-01-02T10:00:00.000Z' }),
+      task({ comments: [second], updatedAt: '2026-01-02T09:00:00.000Z' })
+    );
+
+    expect(merged.comments.map(c => c.id)).toEqual(['c2', 'c1']);
+    expect(conflicts).toEqual([]);
+  });
+});
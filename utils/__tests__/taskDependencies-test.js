@@ -0,0 +1,85 @@
+import {
+  getOpenBlockers,
+  isTaskBlocked,
+  wouldCreateCycle,
+  getBlockerCandidates,
+  getUnblockedByCompletion,
+  sortByActionable,
+} from '../taskDependencies';
+
+const task = (id, overrides = {}) => ({
+  id,
+  title: id,
+  completed: false,
+  blockedBy: [],
+  ...overrides,
+});
+
+// a <- b <- c: b waits for a, c waits for b
+const chain = () => [
+  task('a'),
+  task('b', { blockedBy: ['a'] }),
+  task('c', { blockedBy: ['b'] }),
+  task('d'),
+];
+
+describe('taskDependencies', () => {
+  it('blocks tasks while a blocker is pending', () => {
+    const tasks = chain();
+
+    expect(isTaskBlocked(tasks[1], tasks)).toBe(true);
+    expect(isTaskBlocked(tasks[0], tasks)).toBe(false);
+
+    tasks[0].completed = true;
+    expect(isTaskBlocked(tasks[1], tasks)).toBe(false);
+  });
+
+  it('ignores deleted and skipped blockers', () => {
+    const tasks = [
+      task('a', { skipped: true }),
+      task('b', { blockedBy: ['a', 'gone'] }),
+    ];
+
+    expect(getOpenBlockers(tasks[1], tasks)).toEqual([]);
+  });
+
+  it('detects direct and indirect cycles', () => {
+    const tasks = chain();
+
+    expect(wouldCreateCycle(tasks, 'a', 'a')).toBe(true);
+    expect(wouldCreateCycle(tasks, 'a', 'b')).toBe(true);
+    expect(wouldCreateCycle(tasks, 'a', 'c')).toBe(true);
+    expect(wouldCreateCycle(tasks, 'c', 'a')).toBe(false);
+    expect(wouldCreateCycle(tasks, 'a', 'd')).toBe(false);
+  });
+
+  it('terminates on cycles that already exist', () => {
+    const tasks = [task('a', { blockedBy: ['b'] }), task('b', { blockedBy: ['a'] }), task('c')];
+
+    expect(wouldCreateCycle(tasks, 'c', 'a')).toBe(false);
+  });
+
+  it('offers only blockers that keep the graph acyclic', () => {
+    const tasks = chain();
+
+    expect(getBlockerCandidates(tasks, tasks[0]).map(t => t.id)).toEqual(['d']);
+    expect(getBlockerCandidates(tasks, tasks[2]).map(t => t.id)).toEqual(['a', 'd']);
+  });
+
+  it('finds the tasks unblocked by a completion', () => {
+    const tasks = [
+      task('a'),
+      task('b'),
+      task('c', { blockedBy: ['a'] }),
+      task('d', { blockedBy: ['a', 'b'] }),
+    ];
+
+    expect(getUnblockedByCompletion(tasks, 'a').map(t => t.id)).toEqual(['c']);
+  });
+
+  it('sorts blocked tasks after actionable ones', () => {
+    const tasks = chain();
+
+    expect(sortByActionable(tasks, tasks).map(t => t.id)).toEqual(['a', 'd', 'b', 'c']);
+  });
+});
@@ -0,0 +1,68 @@
+import {
+  DEFAULT_LISTS,
+  DEFAULT_LIST_ID,
+  migrateToList,
+  createList,
+  moveList,
+  getListBreakdown,
+} from '../taskLists';
+
+const list = (id, order, overrides = {}) => ({
+  id,
+  name: id,
+  color: '#3B82F6',
+  icon: 'list',
+  order,
+  archived: false,
+  ...overrides,
+});
+
+describe('task lists', () => {
+  it('migrates tasks from their former category', () => {
+    expect(migrateToList({ id: 't1', category: 'work' }, DEFAULT_LISTS)).toEqual({ id: 't1', listId: 'work' });
+    expect(migrateToList({ id: 't2', category: 'unknown' }, DEFAULT_LISTS)).toEqual({ id: 't2', listId: DEFAULT_LIST_ID });
+    expect(migrateToList({ id: 't3' }, DEFAULT_LISTS).listId).toBe(DEFAULT_LIST_ID);
+
+    // Already migrated tasks keep their list
+    const custom = [...DEFAULT_LISTS, list('trips', 4)];
+    expect(migrateToList({ id: 't4', listId: 'trips' }, custom).listId).toBe('trips');
+  });
+
+  it('places new lists after the existing ones', () => {
+    const created = createList({ name: '  Viajes  ', color: '#EF4444' }, DEFAULT_LISTS);
+
+    expect(created).toEqual(expect.objectContaining({
+      name: 'Viajes',
+      color: '#EF4444',
+      order: DEFAULT_LISTS.length,
+      archived: false,
+    }));
+  });
+
+  it('reorders lists and reports only the ones that moved', () => {
+    const lists = [list('a', 0), list('b', 1), list('c', 2), list('d', 3)];
+
+    const { lists: reordered, changedIds } = moveList(lists, 'c', 0);
+
+    expect(reordered.map(l => l.id)).toEqual(['c', 'a', 'b', 'd']);
+    expect(reordered.map(l => l.order)).toEqual([0, 1, 2, 3]);
+    expect(changedIds.sort()).toEqual(['a', 'b', 'c']);
+    expect(moveList(lists, 'a', 0).changedIds).toEqual([]);
+  });
+
+  it('counts tasks per list with archived lists last', () => {
+    const lists = [list('old', 0, { archived: true }), list('personal', 1), list('work', 2)];
+    const tasks = [
+      { id: 't1', listId: 'work', completed: true },
+      { id: 't2', listId: 'work', completed: false },
+      { id: 't3', listId: 'old', completed: false },
+      { id: 't4', listId: 'missing', completed: false },
+    ];
+
+    expect(getListBreakdown(tasks, lists).map(({ list: l, total, completed }) => [l.id, total, completed])).toEqual([
+      ['personal', 1, 0],
+      ['work', 2, 1],
+      ['old', 1, 0],
+    ]);
+  });
+});
@@ -0,0 +1,57 @@
+import {
+  createPlace,
+  getDistanceMeters,
+  getGeofenceRegions,
+  getTaskForGeofenceEvent,
+  GEOFENCE_EVENT_TYPES,
+  MAX_GEOFENCES,
+} from '../taskLocation';
+
+const store = createPlace({ name: 'Mercado', latitude: 40.4168, longitude: -3.7038, radius: 200 });
+const shopping = { id: 'compra', title: 'Comprar fruta', place: store };
+
+// Location event as delivered by expo-location to the background task
+const locationEvent = (eventType, region) => ({
+  eventType,
+  region: { identifier: 'compra', latitude: store.latitude, longitude: store.longitude, radius: 200, ...region },
+});
+
+describe('taskLocation', () => {
+  it('validates places', () => {
+    expect(store).toEqual({ name: 'Mercado', latitude: 40.4168, longitude: -3.7038, radius: 200 });
+    expect(() => createPlace({ latitude: 95, longitude: 0 })).toThrow('La ubicación no es válida');
+  });
+
+  it('measures distances in meters', () => {
+    const nearby = { latitude: 40.4177, longitude: -3.7038 };
+    expect(Math.round(getDistanceMeters(store, nearby))).toBe(100);
+  });
+
+  it('watches open tasks with a place, soonest due first', () => {
+    const tasks = [
+      shopping,
+      { id: 'hecha', place: store, completed: true },
+      { id: 'sin-lugar', place: null },
+      { id: 'urgente', place: store, dueDate: '2030-01-01' },
+    ];
+    expect(getGeofenceRegions(tasks).map(r => r.identifier)).toEqual(['urgente', 'compra']);
+
+    const many = Array.from({ length: MAX_GEOFENCES + 5 }, (_, i) => ({ id: `t${i}`, place: store }));
+    expect(getGeofenceRegions(many)).toHaveLength(MAX_GEOFENCES);
+  });
+
+  it('reminds of the task when entering its area', () => {
+    expect(getTaskForGeofenceEvent(locationEvent(GEOFENCE_EVENT_TYPES.ENTER), [shopping])).toBe(shopping);
+    expect(getTaskForGeofenceEvent(locationEvent(GEOFENCE_EVENT_TYPES.EXIT), [shopping])).toBeNull();
+  });
+
+  it('ignores events for tasks that are done, deleted or moved elsewhere', () => {
+    const enter = locationEvent(GEOFENCE_EVENT_TYPES.ENTER);
+
+    expect(getTaskForGeofenceEvent(enter, [{ ...shopping, completed: true }])).toBeNull();
+    expect(getTaskForGeofenceEvent(enter, [])).toBeNull();
+
+    const moved = { ...shopping, place: { ...store, latitude: 41.3874, longitude: 2.1686 } };
+    expect(getTaskForGeofenceEvent(enter, [moved])).toBeNull();
+  });
+});
@@ -0,0 +1,97 @@
+import {
+  createRelativeReminder,
+  createAbsoluteReminder,
+  getTaskReminders,
+  getSeriesReminders,
+  getReminderTime,
+  getUpcomingReminders,
+  remindersChanged,
+  addSnooze,
+  getPendingSnooze,
+  SNOOZE_OPTIONS,
+  MAX_SNOOZE_ENTRIES,
+  describeReminder,
+} from '../taskReminders';
+
+const timedTask = (reminders) => ({
+  title: 'Informe',
+  dueDate: new Date(2030, 4, 10, 18, 0).toISOString(),
+  allDay: false,
+  reminders,
+});
+
+describe('taskReminders', () => {
+  it('turns the former on/off reminder into a reminder at the due time', () => {
+    const [reminder] = getTaskReminders({ enableReminder: true, dueDate: '2030-05-10' });
+    expect(reminder).toMatchObject({ type: 'relative', offsetMinutes: 0 });
+
+    expect(getTaskReminders({ enableReminder: true, dueDate: null })).toEqual([]);
+    expect(getSeriesReminders({ enableReminder: true })).toHaveLength(1);
+  });
+
+  it('counts relative reminders back from the due time, or 9:00 for all-day tasks', () => {
+    const dayBefore = createRelativeReminder(24 * 60);
+
+    expect(getReminderTime(timedTask([]), dayBefore)).toEqual(new Date(2030, 4, 9, 18, 0));
+    expect(getReminderTime({ dueDate: new Date(2030, 4, 10).toISOString() }, dayBefore))
+      .toEqual(new Date(2030, 4, 9, 9, 0));
+    expect(getReminderTime({ dueDate: null }, dayBefore)).toBeNull();
+  });
+
+  it('lists upcoming reminders soonest first', () => {
+    const atDue = createRelativeReminder(0);
+    const halfHour = createRelativeReminder(30);
+    const past = createAbsoluteReminder(new Date(2020, 0, 1, 10, 0));
+    const task = timedTask([atDue, past, halfHour]);
+
+    expect(getUpcomingReminders(task).map(({ reminder }) => reminder.id)).toEqual([halfHour.id, atDue.id]);
+    expect(getUpcomingReminders({ ...task, completed: true })).toEqual([]);
+  });
+
+  it('keeps only relative reminders for recurring series', () => {
+    const relative = createRelativeReminder(60);
+    const absolute = createAbsoluteReminder(new Date(2030, 4, 1, 10, 0));
+
+    expect(getSeriesReminders({ reminders: [relative, absolute] })).toEqual([relative]);
+  });
+
+  it('detects changes that affect when reminders fire', () => {
+    const task = timedTask([createRelativeReminder(30)]);
+
+    expect(remindersChanged(task, { ...task, description: 'Otro texto' })).toBe(false);
+    expect(remindersChanged(task, { ...task, dueDate: new Date(2030, 4, 11).toISOString() })).toBe(true);
+    expect(remindersChanged(task, { ...task, completed: true })).toBe(true);
+    expect(remindersChanged(task, { ...task, reminders: [] })).toBe(true);
+  });
+
+  it('records snoozes and fires the latest one as a reminder', () => {
+    const now = new Date(2030, 4, 10, 17, 55);
+    const history = addSnooze([], SNOOZE_OPTIONS.TEN_MINUTES, now);
+    expect(new Date(history[0].until)).toEqual(new Date(2030, 4, 10, 18, 5));
+
+    const tomorrow = addSnooze(history, SNOOZE_OPTIONS.TOMORROW, now);
+    expect(new Date(tomorrow[1].until)).toEqual(new Date(2030, 4, 11, 9, 0));
+
+    const task = { ...timedTask([]), snoozeHistory: tomorrow };
+    expect(getPendingSnooze(task, now)).toBe(tomorrow[1]);
+    expect(getPendingSnooze(task, new Date(2030, 4, 12))).toBeNull();
+    expect(getUpcomingReminders(task, now).map(({ time }) => time)).toEqual([new Date(2030, 4, 11, 9, 0)]);
+  });
+
+  it('keeps only the latest snoozes', () => {
+    let history = [];
+    for (let i = 0; i < MAX_SNOOZE_ENTRIES + 5; i++) {
+      history = addSnooze(history, SNOOZE_OPTIONS.ONE_HOUR);
+    }
+    expect(history).toHaveLength(MAX_SNOOZE_ENTRIES);
+    expect(() => addSnooze([], 'nunca')).toThrow();
+  });
+
+  it('describes reminders', () => {
+    expect(describeReminder(createRelativeReminder(30))).toBe('30 min antes');
+    expect(describeReminder(createRelativeReminder(24 * 60))).toBe('1 día antes');
+    expect(describeReminder(createRelativeReminder(7 * 24 * 60))).toBe('1 semana antes');
+    expect(describeReminder(createRelativeReminder(0), { allDay: false })).toBe('A la hora límite');
+    expect(describeReminder(createRelativeReminder(0), {})).toBe('El mismo día a las 9:00');
+  });
+});
@@ -0,0 +1,139 @@
+import {
+  startOfZonedDay,
+  toZonedDayKey,
+  addMonthsToKey,
+  getTimeZoneOffset,
+} from '../timeZone';
+import {
+  RECURRENCE_PATTERNS,
+  calculateNextOccurrence,
+  generateDateRange,
+} from '../recurringHelpers';
+import {
+  generateInstancesForSeries,
+  shouldGenerateMoreInstances,
+  filterTasksByScope,
+  getAffectedInstanceCount,
+} from '../recurringGenerator';
+
+const MADRID = 'Europe/Madrid';
+const NEW_YORK = 'America/New_York';
+
+const iso = (dates) => dates.map(date => date.toISOString());
+const keys = (dates, timeZone) => dates.map(date => toZonedDayKey(date, timeZone));
+
+const daily = (timeZone, extra = {}) => ({
+  pattern: RECURRENCE_PATTERNS.DAILY,
+  frequency: 1,
+  startDate: '2030-01-01',
+  timeZone,
+  ...extra,
+});
+
+describe('time zones', () => {
+  it('finds the first instant of a day across DST changes', () => {
+    // Madrid moves to summer time at 02:00 on 2030-03-31
+    expect(getTimeZoneOffset('2030-03-30T12:00:00Z', MADRID)).toBe(60);
+    expect(getTimeZoneOffset('2030-03-31T12:00:00Z', MADRID)).toBe(120);
+    expect(startOfZonedDay('2030-03-31', MADRID).toISOString()).toBe('2030-03-30T23:00:00.000Z');
+    expect(startOfZonedDay('2030-04-01', MADRID).toISOString()).toBe('2030-03-31T22:00:00.000Z');
+
+    // São Paulo skipped midnight on 2018-11-04: the day started at 01:00
+    expect(startOfZonedDay('2018-11-04', 'America/Sao_Paulo').toISOString()).toBe('2018-11-04T03:00:00.000Z');
+  });
+
+  it('keeps the day within the month when adding months', () => {
+    expect(addMonthsToKey('2030-01-31', 1)).toBe('2030-02-28');
+    expect(addMonthsToKey('2032-01-31', 1)).toBe('2032-02-29');
+    expect(addMonthsToKey('2032-02-29', 12)).toBe('2033-02-28');
+    expect(addMonthsToKey('2030-12-31', 2)).toBe('2031-02-28');
+  });
+});
+
+describe('recurrence across DST changes', () => {
+  it('generates one instance per day when summer time starts', () => {
+    const dates = generateDateRange(daily(MADRID), '2030-03-29', '2030-04-01');
+    expect(iso(dates)).toEqual([
+      '2030-03-28T23:00:00.000Z',
+      '2030-03-29T23:00:00.000Z',
+      '2030-03-30T23:00:00.000Z',
+      '2030-03-31T22:00:00.000Z',
+    ]);
+  });
+
+  it('generates one instance per day when summer time ends', () => {
+    // New York repeats 01:00-02:00 on 2030-11-03
+    const weekly = { ...daily(NEW_YORK), pattern: RECURRENCE_PATTERNS.WEEKLY, daysOfWeek: [6, 7, 1] };
+    const dates = generateDateRange(weekly, '2030-11-02', '2030-11-04');
+    expect(keys(dates, NEW_YORK)).toEqual(['2030-11-02', '2030-11-03', '2030-11-04']);
+    expect(iso(dates)).toEqual([
+      '2030-11-02T04:00:00.000Z',
+      '2030-11-03T04:00:00.000Z',
+      '2030-11-04T05:00:00.000Z',
+    ]);
+  });
+
+  it('counts days in the series zone, not the device zone', () => {
+    // 12:00 UTC is already the next day in Auckland
+    const next = calculateNextOccurrence(daily('Pacific/Auckland'), '2030-01-01T12:00:00Z');
+    expect(toZonedDayKey(next, 'Pacific/Auckland')).toBe('2030-01-03');
+  });
+
+  it('does not duplicate instances created before a DST change', () => {
+    const series = { id: 'riego', active: true, recurringConfig: daily(MADRID) };
+    const existing = [{
+      id: 'riego_antes',
+      recurringSeriesId: 'riego',
+      instanceDate: startOfZonedDay('2030-04-01', MADRID).toISOString(),
+    }];
+
+    const instances = generateInstancesForSeries(series, { title: 'Regar' }, existing, 2, new Date('2030-03-30T10:00:00Z'));
+    expect(keys(instances.map(i => i.instanceDate), MADRID)).toEqual(['2030-03-30', '2030-03-31']);
+  });
+
+  it('checks upcoming instances against today in the series zone', () => {
+    const series = { id: 'riego', active: true, recurringConfig: daily(MADRID) };
+    const tasks = [{
+      recurringSeriesId: 'riego',
+      instanceDate: startOfZonedDay('2030-04-07', MADRID).toISOString(),
+    }];
+
+    // 23:30 on March 31 in Madrid, then 00:30 on April 1
+    expect(shouldGenerateMoreInstances(series, tasks, 7, new Date('2030-03-31T21:30:00Z'))).toBe(false);
+    expect(shouldGenerateMoreInstances(series, tasks, 7, new Date('2030-03-31T22:30:00Z'))).toBe(true);
+  });
+
+  it('splits "this and future" on days of the series zone', () => {
+    const tasks = [
+      // Noon in Madrid on April 1, the same UTC day as the start of April 2
+      { id: 'antes', recurringSeriesId: 'riego', instanceDate: '2030-04-01T12:00:00Z' },
+      { id: 'desde', recurringSeriesId: 'riego', instanceDate: startOfZonedDay('2030-04-02', MADRID).toISOString() },
+    ];
+
+    const { affected } = filterTasksByScope(tasks, 'riego', 'future', 'desde', MADRID);
+    expect(affected.map(t => t.id)).toEqual(['desde']);
+    expect(getAffectedInstanceCount('riego', tasks, 'future', tasks[1].instanceDate, MADRID)).toBe(1);
+  });
+});
+
+describe('month-end recurrence', () => {
+  const monthly = (dayOfMonth) => ({
+    pattern: RECURRENCE_PATTERNS.MONTHLY,
+    frequency: 1,
+    dayOfMonth,
+    startDate: '2030-01-01',
+    timeZone: MADRID,
+  });
+
+  it('moves day 31 to the last day of shorter months', () => {
+    expect(keys(generateDateRange(monthly(31), '2030-01-01', '2030-04-30'), MADRID))
+      .toEqual(['2030-01-31', '2030-02-28', '2030-03-31', '2030-04-30']);
+  });
+
+  it('moves days 29 and 30 into February only when it is shorter', () => {
+    expect(keys(generateDateRange(monthly(30), '2032-01-01', '2032-03-31'), MADRID))
+      .toEqual(['2032-01-30', '2032-02-29', '2032-03-30']);
+    expect(keys(generateDateRange(monthly(29), '2030-02-01', '2030-03-31'), MADRID))
+      .toEqual(['2030-02-28', '2030-03-29']);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Daily Digest Helpers
+ * Task List App 2026
+ *
+ * Optional morning digest (what is due today, overdue and high-priority)
+ * and evening review (what was completed) notifications. Their text is
+ * written when they are scheduled, so they are rescheduled whenever
+ * tasks change.
+ */
+
+import { formatDuration } from './dateHelpers';
+
+/**
+ * Kinds of digest
+ */
+export const DIGEST_TYPES = {
+  MORNING: 'morning',
+  EVENING: 'evening',
+};
+
+/**
+ * Both digests start turned off
+ */
+export const DEFAULT_DIGEST_SETTINGS = {
+  [DIGEST_TYPES.MORNING]: { enabled: false, hour: 8, minute: 0 },
+  [DIGEST_TYPES.EVENING]: { enabled: false, hour: 20, minute: 0 },
+};
+
+/**
+ * Times offered for each digest, every half hour
+ */
+export const DIGEST_TIME_RANGES = {
+  [DIGEST_TYPES.MORNING]: { from: 5, to: 12 },
+  [DIGEST_TYPES.EVENING]: { from: 17, to: 24 },
+};
+
+/**
+ * Times offered for a digest
+ * @param {string} type - One of DIGEST_TYPES
+ * @returns {Array<{ hour: number, minute: number }>}
+ */
+export const getDigestTimeOptions = (type) => {
+  const { from, to } = DIGEST_TIME_RANGES[type];
+  const options = [];
+  for (let hour = from; hour < to; hour++) {
+    options.push({ hour, minute: 0 }, { hour, minute: 30 });
+  }
+  return options;
+};
+
+/**
+ * Format a digest time, e.g. "8:30"
+ * @param {{ hour: number, minute: number }} setting
+ * @returns {string}
+ */
+export const formatDigestTime = ({ hour, minute }) => `${hour}:${String(minute).padStart(2, '0')}`;
+
+/**
+ * Next time a digest fires: today at its time, or tomorrow once past
+ * @param {{ hour: number, minute: number }} setting
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export const getNextDigestTime = (setting, now = new Date()) => {
+  const next = new Date(now);
+  next.setHours(setting.hour, setting.minute, 0, 0);
+  if (next <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next;
+};
+
+const plural = (count, singular, pluralForm) => `${count} ${count === 1 ? singular : pluralForm}`;
+
+/**
+ * Open tasks due on a given day
+ * @param {Array} tasks
+ * @param {Date} day
+ * @returns {Array}
+ */
+export const getTasksDueOn = (tasks, day) => {
+  const dayKey = new Date(day).toDateString();
+  return tasks.filter(t =>
+    !t.completed && !t.skipped && t.dueDate && new Date(t.dueDate).toDateString() === dayKey
+  );
+};
+
+/**
+ * Morning digest: tasks due that day, overdue and high-priority counts
+ * @param {Array} tasks
+ * @param {Object} stats - Task statistics from getStats
+ * @param {Date} [day] - Day the digest is for
+ * @returns {{ title: string, body: string }}
+ */
+export const buildMorningDigest = (tasks, stats, day = new Date()) => {
+  const dueToday = getTasksDueOn(tasks, day);
+  const counts = [];
+
+  if (dueToday.length > 0) counts.push(plural(dueToday.length, 'tarea para hoy', 'tareas para hoy'));
+  if (stats.overdue > 0) counts.push(plural(stats.overdue, 'vencida', 'vencidas'));
+  if (stats.highPriority > 0) counts.push(`${stats.highPriority} de prioridad alta`);
+
+  if (counts.length === 0) {
+    return { title: '☀️ Buenos días', body: 'No tienes tareas pendientes para hoy.' };
+  }
+
+  const titles = dueToday.slice(0, 3).map(t => `«${t.title}»`).join(', ');
+  const more = dueToday.length > 3 ? '…' : '';
+  return {
+    title: '☀️ Buenos días',
+    body: `${counts.join(', ')}.${titles ? ` ${titles}${more}` : ''}`,
+  };
+};
+
+/**
+ * Evening review: what was completed during the day
+ * @param {Array} tasks
+ * @param {Object|null} dayStats - Stats of the day from getTodayStats, null
+ *   when the review is for a day that hasn't started
+ * @param {Date} [day] - Day the review is for
+ * @returns {{ title: string, body: string }}
+ */
+export const buildEveningReview = (tasks, dayStats, day = new Date()) => {
+  const title = '🌙 Resumen del día';
+  if (!dayStats) {
+    return { title, body: 'Repasa lo que has completado hoy y prepara mañana.' };
+  }
+
+  const completed = dayStats.tasksCompleted || 0;
+  let body = completed > 0
+    ? `Has completado ${plural(completed, 'tarea', 'tareas')}`
+    : 'Hoy no has completado tareas';
+
+  if (dayStats.focusMinutes > 0) {
+    body += ` y te has concentrado ${formatDuration(dayStats.focusMinutes)}`;
+  }
+  body += '.';
+
+  const pending = getTasksDueOn(tasks, day).length;
+  if (pending > 0) {
+    body += ` ${pending === 1 ? 'Queda 1 tarea' : `Quedan ${pending} tareas`} para hoy.`;
+  }
+
+  return { title, body };
+};
+
+export default {
+  DIGEST_TYPES,
+  DEFAULT_DIGEST_SETTINGS,
+  DIGEST_TIME_RANGES,
+  getDigestTimeOptions,
+  formatDigestTime,
+  getNextDigestTime,
+  getTasksDueOn,
+  buildMorningDigest,
+  buildEveningReview,
+};
@@ -93,14 +93,108 @@ export function isToday(date) {
 /**
  * Check if a date is overdue
  * @param {Date|string} date - The date to check
+ * @param {boolean} [allDay=true] - Due on the whole day: overdue from the
+ *   next day on. Otherwise overdue as soon as the exact time has passed.
  * @returns {boolean}
  */
-export function isOverdue(date) {
+export function isOverdue(date, allDay = true) {
   if (!date) return false;
   
   const d = date instanceof Date ? date : new Date(date);
+  if (!allDay) return d < new Date();
+
   const today = new Date();
   today.setHours(0, 0, 0, 0);
   
   return d < today;
 }
+
+/**
+ * Hour of the reminder for tasks due on a whole day
+ */
+export const ALL_DAY_REMINDER_HOUR = 9;
+
+/**
+ * Check whether a task is due on a whole day rather than at a time.
+ * Tasks saved before due times existed are all-day.
+ * @param {Object} task
+ * @returns {boolean}
+ */
+export function isAllDay(task) {
+  return task?.allDay !== false;
+}
+
+/**
+ * Check if a pending task is past its due date, or its due time when it has one
+ * @param {Object} task
+ * @returns {boolean}
+ */
+export function isTaskOverdue(task) {
+  if (!task || task.completed) return false;
+  return isOverdue(task.dueDate, isAllDay(task));
+}
+
+/**
+ * Give a date a sensible time when a task stops being all-day:
+ * 9:00, or the next full hour if that has already passed
+ * @param {Date} date
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export function withDefaultTime(date, now = new Date()) {
+  const result = new Date(date);
+  result.setHours(ALL_DAY_REMINDER_HOUR, 0, 0, 0);
+  if (result <= now && result.toDateString() === now.toDateString()) {
+    result.setHours(now.getHours() + 1, 0, 0, 0);
+  }
+  return result;
+}
+
+/**
+ * Format the time of a date (e.g., "14:30")
+ * @param {Date|string} date
+ * @returns {string}
+ */
+export function formatTime(date) {
+  if (!date) return '';
+
+  const d = date instanceof Date ? date : new Date(date);
+  return d.toLocaleTimeString('es-ES', {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * Format an estimated duration (e.g., "45 min", "1 h 30 min")
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatDuration(minutes) {
+  if (!minutes || minutes <= 0) return '';
+
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest} min`;
+  return rest === 0 ? `${hours} h` : `${hours} h ${rest} min`;
+}
+
+/**
+ * Check whether a start date falls after a due date.
+ * All-day tasks are compared by day.
+ * @param {Date|string} startDate
+ * @param {Date|string} dueDate
+ * @param {boolean} [allDay=true]
+ * @returns {boolean}
+ */
+export function startsAfterDue(startDate, dueDate, allDay = true) {
+  if (!startDate || !dueDate) return false;
+
+  const start = new Date(startDate);
+  const due = new Date(dueDate);
+  if (allDay) {
+    start.setHours(0, 0, 0, 0);
+    due.setHours(0, 0, 0, 0);
+  }
+  return start > due;
+}
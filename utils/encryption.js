@@ -0,0 +1,216 @@
+/**
+ * Encryption Helpers
+ * TaskList App - Phase 2 Cloud Backup
+ *
+ * Client-side encryption of sensitive task fields. Values are sealed with
+ * XChaCha20-Poly1305 under a random data key; the data key is wrapped with
+ * keys derived (scrypt) from the user's passphrase and recovery code.
+ */
+
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { utf8ToBytes, bytesToUtf8 } from '@noble/ciphers/utils';
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { getRandomBytes } from 'expo-crypto';
+
+// Prefix that marks an encrypted value
+export const ENCRYPTED_PREFIX = 'enc:v1:';
+
+// Key derivation parameters (stored with the wrapped keys)
+export const KDF_PARAMS = { N: 2 ** 14, r: 8, p: 1, dkLen: 32 };
+
+/**
+ * Fields encrypted before upload. Everything else (ids, dates, flags,
+ * list, priority, list colors and order) stays readable for routing and merging.
+ */
+export const TASK_ENCRYPTED_FIELDS = ['title', 'description', 'subtasks', 'comments', 'activity', 'place'];
+export const SERIES_ENCRYPTED_FIELDS = ['title', 'description'];
+export const LIST_ENCRYPTED_FIELDS = ['name'];
+
+const NONCE_LENGTH = 24;
+const RECOVERY_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'; // Crockford base32
+
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * Generate a random data key
+ * @returns {Uint8Array} 32-byte key
+ */
+export const generateKey = () => getRandomBytes(32);
+
+/**
+ * Generate a random salt for key derivation
+ * @returns {string} Base64 salt
+ */
+export const generateSalt = () => bytesToBase64(getRandomBytes(16));
+
+/**
+ * Derive a key from a passphrase or recovery code
+ * @param {string} secret - Passphrase or recovery code
+ * @param {string} salt - Base64 salt
+ * @param {Object} [params] - scrypt parameters
+ * @returns {Promise<Uint8Array>} 32-byte key
+ */
+export const deriveKey = (secret, salt, params = KDF_PARAMS) => {
+  return scryptAsync(utf8ToBytes(secret.normalize('NFKC')), base64ToBytes(salt), params);
+};
+
+/**
+ * Encrypt bytes
+ * @param {Uint8Array} key
+ * @param {Uint8Array} bytes
+ * @returns {string} Base64 of nonce + ciphertext
+ */
+const sealBytes = (key, bytes) => {
+  const nonce = getRandomBytes(NONCE_LENGTH);
+  const ciphertext = xchacha20poly1305(key, nonce).encrypt(bytes);
+  const sealed = new Uint8Array(nonce.length + ciphertext.length);
+  sealed.set(nonce);
+  sealed.set(ciphertext, nonce.length);
+  return bytesToBase64(sealed);
+};
+
+/**
+ * Decrypt bytes. Throws if the key is wrong or the data was tampered with.
+ * @param {Uint8Array} key
+ * @param {string} sealed - Base64 of nonce + ciphertext
+ * @returns {Uint8Array}
+ */
+const openBytes = (key, sealed) => {
+  const bytes = base64ToBytes(sealed);
+  const nonce = bytes.subarray(0, NONCE_LENGTH);
+  return xchacha20poly1305(key, nonce).decrypt(bytes.subarray(NONCE_LENGTH));
+};
+
+/**
+ * Wrap a data key with a derived key
+ * @param {Uint8Array} wrappingKey
+ * @param {Uint8Array} dataKey
+ * @returns {string}
+ */
+export const wrapKey = (wrappingKey, dataKey) => sealBytes(wrappingKey, dataKey);
+
+/**
+ * Unwrap a data key. Throws if the wrapping key is wrong.
+ * @param {Uint8Array} wrappingKey
+ * @param {string} wrapped
+ * @returns {Uint8Array}
+ */
+export const unwrapKey = (wrappingKey, wrapped) => openBytes(wrappingKey, wrapped);
+
+/**
+ * Check whether a value is encrypted
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isEncryptedValue = (value) => {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+};
+
+/**
+ * Encrypt any JSON value
+ * @param {Uint8Array} key
+ * @param {*} value
+ * @returns {string} Encrypted value
+ */
+export const encryptValue = (key, value) => {
+  return ENCRYPTED_PREFIX + sealBytes(key, utf8ToBytes(JSON.stringify(value)));
+};
+
+/**
+ * Decrypt a value from encryptValue. Plain values are returned unchanged.
+ * @param {Uint8Array|null} key
+ * @param {*} value
+ * @returns {*}
+ */
+export const decryptValue = (key, value) => {
+  if (!isEncryptedValue(value)) return value;
+  if (!key) {
+    throw new Error('El cifrado está bloqueado');
+  }
+  return JSON.parse(bytesToUtf8(openBytes(key, value.slice(ENCRYPTED_PREFIX.length))));
+};
+
+/**
+ * Encrypt the given fields of a record. Null and missing fields are kept.
+ * @param {Object} record
+ * @param {Uint8Array} key
+ * @param {string[]} fields
+ * @returns {Object}
+ */
+export const encryptFields = (record, key, fields) => {
+  const result = { ...record };
+  fields.forEach(field => {
+    if (record[field] !== null && record[field] !== undefined) {
+      result[field] = encryptValue(key, record[field]);
+    }
+  });
+  return result;
+};
+
+/**
+ * Decrypt the given fields of a record
+ * @param {Object} record
+ * @param {Uint8Array|null} key
+ * @param {string[]} fields
+ * @returns {Object}
+ */
+export const decryptFields = (record, key, fields) => {
+  const result = { ...record };
+  fields.forEach(field => {
+    result[field] = decryptValue(key, record[field]);
+  });
+  return result;
+};
+
+/**
+ * Generate a recovery code, e.g. "7K2M-Q9XD-..."
+ * @returns {string}
+ */
+export const generateRecoveryCode = () => {
+  const chars = Array.from(getRandomBytes(20), byte => RECOVERY_CODE_ALPHABET[byte % 32]);
+  return chars.join('').match(/.{4}/g).join('-');
+};
+
+/**
+ * Normalize a recovery code typed by the user
+ * @param {string} code
+ * @returns {string}
+ */
+export const normalizeRecoveryCode = (code) => {
+  return (code || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+};
+
+export default {
+  ENCRYPTED_PREFIX,
+  KDF_PARAMS,
+  TASK_ENCRYPTED_FIELDS,
+  SERIES_ENCRYPTED_FIELDS,
+  LIST_ENCRYPTED_FIELDS,
+  generateKey,
+  generateSalt,
+  deriveKey,
+  wrapKey,
+  unwrapKey,
+  isEncryptedValue,
+  encryptValue,
+  decryptValue,
+  encryptFields,
+  decryptFields,
+  generateRecoveryCode,
+  normalizeRecoveryCode,
+};
@@ -5,7 +5,7 @@
  * Handles file operations: save, delete, retrieve, cleanup
  */
 
-import * as FileSystem from 'expo-file-system';
+import * as FileSystem from 'expo-file-system/legacy';
 import { Platform } from 'react-native';
 import { 
   STORAGE_CONFIG, 
@@ -18,6 +18,17 @@ const getAttachmentsDir = () => {
   return FileSystem.documentDirectory + STORAGE_CONFIG.ATTACHMENTS_DIR;
 };
 
+/**
+ * Get the local URI an attachment file is stored at
+ * @param {string} attachmentId - Attachment ID
+ * @param {string} filename - Original filename
+ * @returns {string} Local file URI
+ */
+export const getAttachmentUri = (attachmentId, filename) => {
+  const extension = filename?.split('.').pop() || '';
+  return getAttachmentsDir() + `${attachmentId}.${extension}`;
+};
+
 // Generate unique ID for attachments
 const generateAttachmentId = () => {
   return `att_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -114,9 +125,7 @@ export const saveFile = async (sourceUri, taskId, filename, mimeType) => {
   
   // Generate unique ID and destination path
   const attachmentId = generateAttachmentId();
-  const extension = filename.split('.').pop() || '';
-  const destFilename = `${attachmentId}.${extension}`;
-  const destUri = getAttachmentsDir() + destFilename;
+  const destUri = getAttachmentUri(attachmentId, filename);
   
   // Copy file to attachments directory
   await FileSystem.copyAsync({
@@ -287,6 +296,7 @@ export const getStorageStats = async () => {
 };
 
 export default {
+  getAttachmentUri,
   ensureDirectoryExists,
   getTotalStorageUsed,
   canAddFile,
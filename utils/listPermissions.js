@@ -0,0 +1,106 @@
+/**
+ * List Permissions
+ * TaskList App - Phase 2 Cloud Backup
+ *
+ * Roles of the members of a shared list and what each role may do.
+ * The same rules back the row level security policies in Supabase
+ * and the in-memory sync provider.
+ */
+
+/**
+ * Member roles
+ */
+export const LIST_ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  VIEWER: 'viewer',
+};
+
+/**
+ * Role names shown in the UI
+ */
+export const ROLE_LABELS = {
+  owner: 'Propietario',
+  editor: 'Editor',
+  viewer: 'Lector',
+};
+
+/**
+ * Actions on a list and its tasks
+ */
+export const LIST_ACTIONS = {
+  VIEW: 'view',
+  EDIT_TASKS: 'edit_tasks', // Create, edit, complete and delete tasks
+  ASSIGN: 'assign',
+  EDIT_LIST: 'edit_list', // Rename, recolor, archive
+  MANAGE_MEMBERS: 'manage_members', // Invite, change roles, remove
+  DELETE_LIST: 'delete_list',
+};
+
+const PERMISSIONS = {
+  [LIST_ROLES.OWNER]: Object.values(LIST_ACTIONS),
+  [LIST_ROLES.EDITOR]: [LIST_ACTIONS.VIEW, LIST_ACTIONS.EDIT_TASKS, LIST_ACTIONS.ASSIGN],
+  [LIST_ROLES.VIEWER]: [LIST_ACTIONS.VIEW],
+};
+
+/**
+ * Check whether a role may perform an action
+ * @param {string|null} role - Member role, null for non-members
+ * @param {string} action - One of LIST_ACTIONS
+ * @returns {boolean}
+ */
+export const can = (role, action) => {
+  return !!role && (PERMISSIONS[role] || []).includes(action);
+};
+
+/**
+ * Role of the current user in a local list.
+ * Lists that were never shared belong to the user.
+ * @param {Object|undefined} list
+ * @returns {string|null}
+ */
+export const getListRole = (list) => {
+  if (!list) return null;
+  return list.role || LIST_ROLES.OWNER;
+};
+
+/**
+ * Check whether the current user may change the tasks of a list
+ * @param {Array} lists - Local lists
+ * @param {string} listId
+ * @returns {boolean}
+ */
+export const canEditTasksInList = (lists, listId) => {
+  const list = lists.find(l => l.id === listId);
+  // Tasks of unknown lists fall back to the user's default list
+  return !list || can(getListRole(list), LIST_ACTIONS.EDIT_TASKS);
+};
+
+/**
+ * Check whether a member change is allowed
+ * @param {string|null} actorRole - Role of the user making the change
+ * @param {Object} change
+ * @param {string} change.actorId - User making the change
+ * @param {Object} change.member - Affected member { user_id, role }
+ * @param {string|null} [change.nextRole] - New role, null to remove the member
+ * @returns {boolean}
+ */
+export const canChangeMember = (actorRole, { actorId, member, nextRole = null }) => {
+  // The owner can't be removed or demoted, and there is only one
+  if (member.role === LIST_ROLES.OWNER || nextRole === LIST_ROLES.OWNER) return false;
+
+  // Anyone may leave a list
+  if (!nextRole && member.user_id === actorId) return true;
+
+  return can(actorRole, LIST_ACTIONS.MANAGE_MEMBERS);
+};
+
+export default {
+  LIST_ROLES,
+  ROLE_LABELS,
+  LIST_ACTIONS,
+  can,
+  getListRole,
+  canEditTasksInList,
+  canChangeMember,
+};
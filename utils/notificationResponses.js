@@ -0,0 +1,86 @@
+/**
+ * Notification Responses
+ * Task List App 2026
+ *
+ * Routes taps and action buttons of task reminders to their handlers.
+ * Responses that arrive before the app can act on them, such as the one
+ * that launched it from a notification, wait until it's ready.
+ */
+
+import { NOTIFICATION_ACTIONS } from './notifications';
+
+const SNOOZE_ACTIONS = [
+  NOTIFICATION_ACTIONS.TEN_MINUTES,
+  NOTIFICATION_ACTIONS.ONE_HOUR,
+  NOTIFICATION_ACTIONS.TOMORROW,
+];
+
+/**
+ * Run the handler of a notification response
+ * @param {Object} response - Notification response from expo-notifications
+ * @param {Object} handlers
+ * @param {Function} [handlers.onComplete] - (taskId) => void
+ * @param {Function} [handlers.onSnooze] - (taskId, option) => void
+ * @param {Function} [handlers.onOpen] - (taskId) => void, for plain taps
+ * @returns {Promise<boolean>} Whether an action button ran, so the
+ *   notification it came from can be dismissed
+ */
+export const dispatchNotificationResponse = async (response, { onComplete, onSnooze, onOpen } = {}) => {
+  const { actionIdentifier, notification } = response;
+  const taskId = notification.request.content.data?.taskId;
+  if (!taskId) return false;
+
+  if (actionIdentifier === NOTIFICATION_ACTIONS.COMPLETE) {
+    await onComplete?.(taskId);
+    return true;
+  }
+  if (SNOOZE_ACTIONS.includes(actionIdentifier)) {
+    await onSnooze?.(taskId, actionIdentifier);
+    return true;
+  }
+
+  onOpen?.(taskId);
+  return false;
+};
+
+/**
+ * Queue of notification responses that holds them until the app is ready.
+ * Each response runs once, even when both the launch response and the
+ * response listener report it.
+ * @param {Function} handle - (response) => Promise
+ * @returns {{ receive: Function, setReady: Function }}
+ */
+export const createResponseQueue = (handle) => {
+  const seen = new Set();
+  let pending = [];
+  let ready = false;
+
+  return {
+    receive: (response) => {
+      const key = `${response.notification.request.identifier}:${response.actionIdentifier}`;
+      if (seen.has(key)) return Promise.resolve();
+      seen.add(key);
+
+      if (!ready) {
+        pending.push(response);
+        return Promise.resolve();
+      }
+      return handle(response);
+    },
+    setReady: async (value) => {
+      ready = value;
+      if (!ready) return;
+
+      const queued = pending;
+      pending = [];
+      for (const response of queued) {
+        await handle(response);
+      }
+    },
+  };
+};
+
+export default {
+  dispatchNotificationResponse,
+  createResponseQueue,
+};
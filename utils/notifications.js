@@ -9,6 +9,21 @@
 import * as Notifications from 'expo-notifications';
 import * as Device from 'expo-device';
 import { Platform } from 'react-native';
+import { ALL_DAY_REMINDER_HOUR, isAllDay } from './dateHelpers';
+import { getUpcomingReminders, SNOOZE_OPTIONS } from './taskReminders';
+
+/**
+ * Category of task reminders, which carry the action buttons below
+ */
+export const TASK_REMINDER_CATEGORY = 'task-reminder';
+
+/**
+ * Action buttons of task reminders
+ */
+export const NOTIFICATION_ACTIONS = {
+  COMPLETE: 'complete',
+  ...SNOOZE_OPTIONS,
+};
 
 // Configure notification behavior
 Notifications.setNotificationHandler({
@@ -65,6 +80,31 @@ export async function requestNotificationPermissions() {
   return true;
 }
 
+/**
+ * Register the action buttons of task reminders. The actions run
+ * without bringing the app to the foreground.
+ */
+export async function registerNotificationCategories() {
+  if (Platform.OS === 'web') return;
+
+  const action = (identifier, buttonTitle) => ({
+    identifier,
+    buttonTitle,
+    options: { opensAppToForeground: false },
+  });
+
+  try {
+    await Notifications.setNotificationCategoryAsync(TASK_REMINDER_CATEGORY, [
+      action(NOTIFICATION_ACTIONS.COMPLETE, 'Completar'),
+      action(NOTIFICATION_ACTIONS.TEN_MINUTES, 'Posponer 10 min'),
+      action(NOTIFICATION_ACTIONS.ONE_HOUR, 'Posponer 1 h'),
+      action(NOTIFICATION_ACTIONS.TOMORROW, 'Mañana'),
+    ]);
+  } catch (error) {
+    console.error('Error registering notification categories:', error);
+  }
+}
+
 /**
  * Schedule a notification for a task
  * @param {Object} task - The task object
@@ -91,7 +131,7 @@ export async function scheduleTaskNotification(task, reminderTime) {
         },
         sound: 'default',
         priority: Notifications.AndroidNotificationPriority.HIGH,
-        categoryIdentifier: 'task-reminder',
+        categoryIdentifier: TASK_REMINDER_CATEGORY,
       },
       trigger: {
         date: reminderTime,
@@ -109,7 +149,8 @@ export async function scheduleTaskNotification(task, reminderTime) {
 
 /**
  * Schedule a notification for task due date
- * Sends notification at 9:00 AM on the due date
+ * Sends notification at the due time, or at 9:00 AM on the due date
+ * for all-day tasks
  * @param {Object} task - The task object with dueDate
  * @returns {Promise<string|null>} - Notification identifier or null
  */
@@ -117,10 +158,15 @@ export async function scheduleTaskDueDateNotification(task) {
   if (!task || !task.dueDate) return null;
 
   const dueDate = new Date(task.dueDate);
+
+  // Tasks with a due time are reminded at that exact time
+  if (!isAllDay(task)) {
+    return scheduleTaskNotification(task, dueDate);
+  }
   
   // Set reminder to 9:00 AM on the due date
   const reminderTime = new Date(dueDate);
-  reminderTime.setHours(9, 0, 0, 0);
+  reminderTime.setHours(ALL_DAY_REMINDER_HOUR, 0, 0, 0);
 
   // If it's already past 9 AM on the due date, schedule for now + 1 minute
   const now = new Date();
@@ -137,6 +183,77 @@ export async function scheduleTaskDueDateNotification(task) {
   return scheduleTaskNotification(task, reminderTime);
 }
 
+/**
+ * Schedule every upcoming reminder of a task
+ * @param {Object} task - The task object with its reminders
+ * @returns {Promise<Object>} - Notification ids keyed by reminder id
+ */
+export async function scheduleTaskReminders(task) {
+  const notificationIds = {};
+
+  for (const { reminder, time } of getUpcomingReminders(task)) {
+    const notificationId = await scheduleTaskNotification(task, time);
+    if (notificationId) {
+      notificationIds[reminder.id] = notificationId;
+    }
+  }
+
+  return notificationIds;
+}
+
+/**
+ * Cancel every scheduled reminder of a task
+ * @param {Object} task - The task object with its notification ids
+ */
+export async function cancelTaskReminders(task) {
+  const ids = [
+    ...Object.values(task?.notificationIds || {}),
+    // Single reminder of tasks saved before multiple reminders
+    task?.notificationId,
+  ].filter(Boolean);
+
+  for (const notificationId of ids) {
+    await cancelNotification(notificationId);
+  }
+}
+
+/**
+ * Schedule the morning digest or evening review, replacing the
+ * previous one of the same kind
+ * @param {string} type - 'morning' or 'evening'
+ * @param {{ title: string, body: string }} content
+ * @param {Date} time - When to send it
+ * @returns {Promise<string|null>} - Notification identifier or null
+ */
+export async function scheduleDigestNotification(type, content, time) {
+  try {
+    return await Notifications.scheduleNotificationAsync({
+      identifier: `daily-digest-${type}`,
+      content: {
+        title: content.title,
+        body: content.body,
+        data: { type: 'daily-digest', digest: type },
+        sound: 'default',
+      },
+      trigger: {
+        date: time,
+        channelId: 'task-reminders',
+      },
+    });
+  } catch (error) {
+    console.error('Error scheduling digest notification:', error);
+    return null;
+  }
+}
+
+/**
+ * Cancel the morning digest or evening review
+ * @param {string} type - 'morning' or 'evening'
+ */
+export async function cancelDigestNotification(type) {
+  await cancelNotification(`daily-digest-${type}`);
+}
+
 /**
  * Cancel a scheduled notification
  * @param {string} notificationId - The notification identifier
@@ -177,6 +294,64 @@ export async function getScheduledNotifications() {
   }
 }
 
+/**
+ * Tell the user that a task can start because its last blocker is done
+ * @param {Object} task - The task that is no longer blocked
+ * @param {Object} blocker - The task that was just completed
+ * @returns {Promise<string|null>} - Notification identifier or null
+ */
+export async function sendTaskUnblockedNotification(task, blocker) {
+  if (!task || !blocker) return null;
+
+  try {
+    return await Notifications.scheduleNotificationAsync({
+      content: {
+        title: '🔓 Tarea desbloqueada',
+        body: `«${blocker.title}» está completada. Ya puedes empezar «${task.title}».`,
+        data: {
+          taskId: task.id,
+          type: 'task-unblocked',
+        },
+        sound: 'default',
+      },
+      trigger: null,
+    });
+  } catch (error) {
+    console.error('Error sending unblocked notification:', error);
+    return null;
+  }
+}
+
+/**
+ * Remind of a task on arriving at its place
+ * @param {Object} task - The task whose place was entered
+ * @returns {Promise<string|null>} - Notification identifier or null
+ */
+export async function sendTaskLocationNotification(task) {
+  if (!task) return null;
+
+  try {
+    return await Notifications.scheduleNotificationAsync({
+      content: {
+        title: `📍 Estás cerca de ${task.place?.name || 'la ubicación de una tarea'}`,
+        body: task.title,
+        data: {
+          taskId: task.id,
+          type: 'task-location',
+        },
+        sound: 'default',
+        priority: Notifications.AndroidNotificationPriority.HIGH,
+        categoryIdentifier: TASK_REMINDER_CATEGORY,
+      },
+      // Immediately, through the task reminders channel
+      trigger: { channelId: 'task-reminders' },
+    });
+  } catch (error) {
+    console.error('Error sending location notification:', error);
+    return null;
+  }
+}
+
 /**
  * Send an immediate notification (for testing)
  * @param {string} title - Notification title
@@ -198,11 +373,20 @@ export async function sendImmediateNotification(title, body) {
 }
 
 export default {
+  TASK_REMINDER_CATEGORY,
+  NOTIFICATION_ACTIONS,
   requestNotificationPermissions,
+  registerNotificationCategories,
   scheduleTaskNotification,
   scheduleTaskDueDateNotification,
+  scheduleTaskReminders,
+  cancelTaskReminders,
+  scheduleDigestNotification,
+  cancelDigestNotification,
   cancelNotification,
   cancelAllNotifications,
   getScheduledNotifications,
+  sendTaskUnblockedNotification,
+  sendTaskLocationNotification,
   sendImmediateNotification,
 };
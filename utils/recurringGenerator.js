@@ -3,14 +3,24 @@
  * Task List App 2026
  * 
  * Handles automatic generation of task instances
- * based on recurring series configurations.
+ * based on recurring series configurations. Instance days are
+ * counted in the series time zone, so travelling or a DST change
+ * never shifts or duplicates an instance.
  */
 
 import { 
   generateInstancesForNextDays, 
   generateSeriesId,
-  dateMatchesPattern 
+  dateMatchesPattern,
+  normalizeRecurringConfig,
+  isAfterCompletion,
+  calculateNextAfterCompletion,
+  getConfigTimeZone,
 } from './recurringHelpers';
+import { toZonedDayKey, startOfZonedDay, addDaysToKey, getDeviceTimeZone } from './timeZone';
+import { DEFAULT_LIST_ID } from './taskLists';
+import { getSeriesReminders } from './taskReminders';
+import { getSeriesException, isOccurrenceGenerated } from './seriesExceptions';
 
 /**
  * Default number of days to generate instances for
@@ -22,46 +32,106 @@ const DEFAULT_GENERATION_DAYS = 30;
  */
 const MAX_INSTANCES_PER_SERIES = 100;
 
+/**
+ * Base task template of a series
+ * @param {Object} series - Recurring series
+ * @returns {Object}
+ */
+export const getSeriesBaseTask = (series) => ({
+  title: series.title,
+  listId: series.listId || DEFAULT_LIST_ID,
+  priority: series.priority || 'medium',
+  description: series.description || '',
+  enableReminder: series.enableReminder || false,
+  reminders: getSeriesReminders(series),
+  subtasks: [],
+});
+
+// The id is derived from the series and date so devices syncing the
+// same series generate the same instance
+const createInstance = (series, baseTask, date) => {
+  const dateKey = date.toISOString();
+  const now = new Date().toISOString();
+  return {
+    ...baseTask,
+    id: `${series.id}_${dateKey}`,
+    isRecurring: true,
+    recurringSeriesId: series.id,
+    instanceDate: dateKey,
+    dueDate: dateKey,
+    completed: false,
+    skipped: false,
+    notificationIds: {},
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+// First day of a series that repeats after completion from a date on, past
+// the occurrences that were moved, skipped or deleted
+const resolveAfterCompletionDate = (series, date) => {
+  const timeZone = getConfigTimeZone(series.recurringConfig);
+  let next = date;
+
+  for (let i = 0; next && i <= (series.exceptions || []).length; i++) {
+    const exception = getSeriesException(series, toZonedDayKey(next, timeZone));
+    if (isOccurrenceGenerated(exception)) return { date: next, exception };
+    next = calculateNextAfterCompletion(series.recurringConfig, next);
+  }
+  return null;
+};
+
 /**
  * Generate task instances for a recurring series
  * @param {Object} series - Recurring series configuration
  * @param {Object} baseTask - Base task template
  * @param {Array} existingTasks - Existing tasks to check for duplicates
  * @param {number} [days] - Number of days to generate
+ * @param {Date} [now] - Current time
  * @returns {Array} New task instances to add
  */
 export const generateInstancesForSeries = (
   series,
   baseTask,
   existingTasks = [],
-  days = DEFAULT_GENERATION_DAYS
+  days = DEFAULT_GENERATION_DAYS,
+  now = new Date()
 ) => {
   const newInstances = [];
+  const timeZone = getConfigTimeZone(series.recurringConfig);
+
+  // Series that repeat after completion hold one instance at a time; the
+  // next is created when it's completed (see createNextInstanceAfterCompletion)
+  if (isAfterCompletion(series.recurringConfig)) {
+    if (existingTasks.some(t => t.recurringSeriesId === series.id)) return newInstances;
+
+    const firstDay = [series.recurringConfig.startDate || now, now]
+      .map(d => toZonedDayKey(d, timeZone))
+      .sort()[1];
+    const first = resolveAfterCompletionDate(series, startOfZonedDay(firstDay, timeZone));
+    if (!first) return newInstances;
+    return [createInstance(series, { ...baseTask, ...first.exception?.changes }, first.date)];
+  }
 
   // Get dates for the generation period
-  const dates = generateInstancesForNextDays(series.recurringConfig, days);
+  const dates = generateInstancesForNextDays(series.recurringConfig, days, now);
 
-  // Filter out dates that already have instances
-  const existingDates = new Set(
+  // Filter out days that already have instances, whatever zone they were created in
+  const existingDays = new Set(
     existingTasks
-      .filter(t => t.recurringSeriesId === series.id)
-      .map(t => {
-        if (t.instanceDate) {
-          const d = new Date(t.instanceDate);
-          d.setHours(0, 0, 0, 0);
-          return d.toISOString();
-        }
-        return null;
-      })
-      .filter(Boolean)
+      .filter(t => t.recurringSeriesId === series.id && t.instanceDate)
+      .map(t => toZonedDayKey(t.instanceDate, timeZone))
   );
 
   for (const date of dates) {
-    date.setHours(0, 0, 0, 0);
-    const dateKey = date.toISOString();
+    const dayKey = toZonedDayKey(date, timeZone);
 
     // Skip if instance already exists
-    if (existingDates.has(dateKey)) continue;
+    if (existingDays.has(dayKey)) continue;
+
+    // Never re-create an occurrence that was moved, skipped or deleted
+    const exception = getSeriesException(series, dayKey);
+    if (!isOccurrenceGenerated(exception)) continue;
 
     // Check max instances limit
     const currentInstanceCount = existingTasks.filter(
@@ -72,22 +142,8 @@ export const generateInstancesForSeries = (
       break;
     }
 
-    // Create new instance
-    const instance = {
-      ...baseTask,
-      id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      isRecurring: true,
-      recurringSeriesId: series.id,
-      instanceDate: dateKey,
-      dueDate: dateKey,
-      completed: false,
-      skipped: false,
-      notificationId: null,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    };
-
-    newInstances.push(instance);
+    const instanceTask = exception ? { ...baseTask, ...exception.changes } : baseTask;
+    newInstances.push(createInstance(series, instanceTask, date));
   }
 
   return newInstances;
@@ -111,19 +167,9 @@ export const generateAllMissingInstances = (
     // Skip inactive or deleted series
     if (!s.active) continue;
 
-    // Get the base task template from the series
-    const baseTask = {
-      title: s.title,
-      category: s.category || 'personal',
-      priority: s.priority || 'medium',
-      description: s.description || '',
-      enableReminder: s.enableReminder || false,
-      subtasks: [],
-    };
-
     const newInstances = generateInstancesForSeries(
       s,
-      baseTask,
+      getSeriesBaseTask(s),
       [...existingTasks, ...allNewInstances],
       days
     );
@@ -148,30 +194,23 @@ export const createRecurringSeries = (taskData, recurringConfig) => {
   const series = {
     id: seriesId,
     title: taskData.title,
-    category: taskData.category || 'personal',
+    listId: taskData.listId || DEFAULT_LIST_ID,
     priority: taskData.priority || 'medium',
     description: taskData.description || '',
     enableReminder: taskData.enableReminder || false,
-    recurringConfig: {
+    reminders: getSeriesReminders(taskData),
+    recurringConfig: normalizeRecurringConfig({
       ...recurringConfig,
       startDate: recurringConfig.startDate || now,
-    },
+    }),
+    exceptions: [],
     active: true,
     createdAt: now,
     updatedAt: now,
   };
 
   // Generate initial instances
-  const baseTask = {
-    title: taskData.title,
-    category: taskData.category || 'personal',
-    priority: taskData.priority || 'medium',
-    description: taskData.description || '',
-    enableReminder: taskData.enableReminder || false,
-    subtasks: [],
-  };
-
-  const instances = generateInstancesForSeries(series, baseTask, []);
+  const instances = generateInstancesForSeries(series, getSeriesBaseTask(series), []);
 
   return { series, instances };
 };
@@ -182,9 +221,10 @@ export const createRecurringSeries = (taskData, recurringConfig) => {
  * @param {Array} tasks - All tasks
  * @param {string} scope - "this" | "future" | "all"
  * @param {string} fromDate - Reference date for "future" scope
+ * @param {string} [timeZone] - Zone of the series, where days are compared
  * @returns {number}
  */
-export const getAffectedInstanceCount = (seriesId, tasks, scope, fromDate = null) => {
+export const getAffectedInstanceCount = (seriesId, tasks, scope, fromDate = null, timeZone = getDeviceTimeZone()) => {
   const seriesTasks = tasks.filter(t => t.recurringSeriesId === seriesId);
   
   switch (scope) {
@@ -193,13 +233,8 @@ export const getAffectedInstanceCount = (seriesId, tasks, scope, fromDate = null
     
     case 'future':
       if (!fromDate) return seriesTasks.length;
-      const refDate = new Date(fromDate);
-      refDate.setHours(0, 0, 0, 0);
-      return seriesTasks.filter(t => {
-        const taskDate = new Date(t.instanceDate || t.dueDate);
-        taskDate.setHours(0, 0, 0, 0);
-        return taskDate >= refDate;
-      }).length;
+      const refDay = toZonedDayKey(fromDate, timeZone);
+      return seriesTasks.filter(t => toZonedDayKey(t.instanceDate || t.dueDate, timeZone) >= refDay).length;
     
     case 'all':
       return seriesTasks.length;
@@ -215,11 +250,13 @@ export const getAffectedInstanceCount = (seriesId, tasks, scope, fromDate = null
  * @param {string} seriesId - Series ID
  * @param {string} scope - "this" | "future" | "all"
  * @param {string} taskId - Reference task ID (for "this" and "future")
+ * @param {string} [timeZone] - Zone of the series, where days are compared
  * @returns {{ affected: Array, remaining: Array }}
  */
-export const filterTasksByScope = (tasks, seriesId, scope, taskId) => {
+export const filterTasksByScope = (tasks, seriesId, scope, taskId, timeZone = getDeviceTimeZone()) => {
   const referenceTask = tasks.find(t => t.id === taskId);
   const refDate = referenceTask?.instanceDate || referenceTask?.dueDate;
+  const refDay = refDate ? toZonedDayKey(refDate, timeZone) : null;
 
   const affected = [];
   const remaining = [];
@@ -240,12 +277,8 @@ export const filterTasksByScope = (tasks, seriesId, scope, taskId) => {
         break;
       
       case 'future':
-        if (refDate && (task.instanceDate || task.dueDate)) {
-          const taskDate = new Date(task.instanceDate || task.dueDate);
-          const referenceDate = new Date(refDate);
-          taskDate.setHours(0, 0, 0, 0);
-          referenceDate.setHours(0, 0, 0, 0);
-          shouldAffect = taskDate >= referenceDate;
+        if (refDay && (task.instanceDate || task.dueDate)) {
+          shouldAffect = toZonedDayKey(task.instanceDate || task.dueDate, timeZone) >= refDay;
         }
         break;
       
@@ -269,11 +302,17 @@ export const filterTasksByScope = (tasks, seriesId, scope, taskId) => {
  * @param {Object} series - Recurring series
  * @param {Array} tasks - Existing tasks
  * @param {number} [daysThreshold] - Days to check ahead
+ * @param {Date} [now] - Current time
  * @returns {boolean}
  */
-export const shouldGenerateMoreInstances = (series, tasks, daysThreshold = 7) => {
+export const shouldGenerateMoreInstances = (series, tasks, daysThreshold = 7, now = new Date()) => {
   if (!series.active) return false;
 
+  // After completion, only a series without any instance needs one
+  if (isAfterCompletion(series.recurringConfig)) {
+    return !tasks.some(t => t.recurringSeriesId === series.id);
+  }
+
   const seriesTasks = tasks.filter(t => 
     t.recurringSeriesId === series.id && 
     !t.completed && 
@@ -282,15 +321,62 @@ export const shouldGenerateMoreInstances = (series, tasks, daysThreshold = 7) =>
 
   if (seriesTasks.length === 0) return true;
 
-  // Find the latest instance date
-  const latestDate = seriesTasks.reduce((max, task) => {
-    const date = new Date(task.instanceDate || task.dueDate);
-    return date > max ? date : max;
-  }, new Date(0));
+  // Find the latest instance day, in the series zone
+  const timeZone = getConfigTimeZone(series.recurringConfig);
+  const latestDay = seriesTasks
+    .map(task => toZonedDayKey(task.instanceDate || task.dueDate, timeZone))
+    .sort()
+    .pop();
+
+  // Check if latest day is within threshold
+  const thresholdDay = addDaysToKey(toZonedDayKey(now, timeZone), daysThreshold);
+
+  return latestDay < thresholdDay;
+};
+
+/**
+ * Next instance of a series that repeats after completion, counted from
+ * the day the open instance was completed or skipped
+ * @param {Object} series - Recurring series
+ * @param {Array} tasks - Existing tasks, with the instance already completed
+ * @param {Date|string} [completedAt] - When it was completed
+ * @returns {Object|null} New instance, or null if the series repeats on the
+ *   calendar, still has an open instance or has ended
+ */
+export const createNextInstanceAfterCompletion = (series, tasks, completedAt = new Date()) => {
+  if (!series?.active || !isAfterCompletion(series.recurringConfig)) return null;
+
+  const seriesTasks = tasks.filter(t => t.recurringSeriesId === series.id);
+  if (seriesTasks.some(t => !t.completed && !t.skipped)) return null;
+
+  const next = resolveAfterCompletionDate(
+    series,
+    calculateNextAfterCompletion(series.recurringConfig, completedAt)
+  );
+  if (!next) return null;
 
-  // Check if latest date is within threshold
-  const thresholdDate = new Date();
-  thresholdDate.setDate(thresholdDate.getDate() + daysThreshold);
+  const baseTask = { ...getSeriesBaseTask(series), ...next.exception?.changes };
+  const instance = createInstance(series, baseTask, next.date);
+  return seriesTasks.some(t => t.id === instance.id) ? null : instance;
+};
 
-  return latestDate < thresholdDate;
+/**
+ * Instance created when the open instance of a series that repeats after
+ * completion was completed or skipped, while nobody has touched it yet
+ * @param {Object} series - Recurring series
+ * @param {Array} tasks - Existing tasks
+ * @param {string} taskId - Instance being reopened
+ * @returns {Object|null} Instance to remove on reopening, so the series
+ *   keeps one open instance
+ */
+export const findUntouchedSuccessor = (series, tasks, taskId) => {
+  if (!series || !isAfterCompletion(series.recurringConfig)) return null;
+
+  return tasks.find(t =>
+    t.recurringSeriesId === series.id &&
+    t.id !== taskId &&
+    !t.completed &&
+    !t.skipped &&
+    t.updatedAt === t.createdAt
+  ) || null;
 };
@@ -3,9 +3,27 @@
  * Task List App 2026
  * 
  * Utility functions for calculating recurrence patterns
- * and generating instance dates.
+ * and generating instance dates. Every configuration maps to an
+ * RRULE (see utils/rrule), which drives the instance dates, and
+ * carries the IANA time zone its days are counted in.
  */
 
+import {
+  FREQUENCIES,
+  parseRRule,
+  formatRRule,
+  isValidRRule,
+  expandRRule,
+} from './rrule';
+import {
+  getDeviceTimeZone,
+  isValidTimeZone,
+  toZonedDayKey,
+  startOfZonedDay,
+  addDaysToKey,
+  addMonthsToKey,
+} from './timeZone';
+
 /**
  * Recurrence pattern types
  */
@@ -13,7 +31,17 @@ export const RECURRENCE_PATTERNS = {
   DAILY: 'daily',
   WEEKLY: 'weekly',
   MONTHLY: 'monthly',
-  CUSTOM: 'custom',
+  YEARLY: 'yearly',
+  CUSTOM: 'custom', // Any RRULE, typed by the user
+};
+
+/**
+ * How instances follow each other: on the calendar, or counted from
+ * the day the previous instance was completed
+ */
+export const RECURRENCE_MODES = {
+  CALENDAR: 'calendar',
+  AFTER_COMPLETION: 'afterCompletion',
 };
 
 /**
@@ -29,17 +57,174 @@ export const DAYS_OF_WEEK = {
   7: { short: 'D', long: 'Domingo' },
 };
 
+export const WEEKDAYS = [1, 2, 3, 4, 5];
+
+/**
+ * Month mapping (1 = January)
+ */
+export const MONTHS = {
+  1: { short: 'Ene', long: 'enero' },
+  2: { short: 'Feb', long: 'febrero' },
+  3: { short: 'Mar', long: 'marzo' },
+  4: { short: 'Abr', long: 'abril' },
+  5: { short: 'May', long: 'mayo' },
+  6: { short: 'Jun', long: 'junio' },
+  7: { short: 'Jul', long: 'julio' },
+  8: { short: 'Ago', long: 'agosto' },
+  9: { short: 'Sep', long: 'septiembre' },
+  10: { short: 'Oct', long: 'octubre' },
+  11: { short: 'Nov', long: 'noviembre' },
+  12: { short: 'Dic', long: 'diciembre' },
+};
+
+/**
+ * Week of the month for "2nd Tuesday" or "last Friday" (-1 = last)
+ */
+export const WEEK_OF_MONTH_OPTIONS = [
+  { value: 1, label: 'primer' },
+  { value: 2, label: 'segundo' },
+  { value: 3, label: 'tercer' },
+  { value: 4, label: 'cuarto' },
+  { value: -1, label: 'último' },
+];
+
 /**
  * Default recurring configuration
  */
 export const DEFAULT_RECURRING_CONFIG = {
+  mode: RECURRENCE_MODES.CALENDAR,
   pattern: RECURRENCE_PATTERNS.WEEKLY,
   frequency: 1,
   daysOfWeek: [], // [1, 3, 5] for Mon, Wed, Fri
-  dayOfMonth: null, // 1-31 for monthly
+  dayOfMonth: null, // 1-31 for monthly and yearly
+  weekOfMonth: null, // 1-4 or -1, with daysOfWeek, instead of dayOfMonth
+  month: null, // 1-12 for yearly
   startDate: null, // ISO string
   endDate: null, // null = infinite, or ISO string
   endAfterOccurrences: null, // number or null
+  rrule: null, // RRULE text, built from the fields above unless custom
+  exdates: [], // Days left out of the series
+  timeZone: null, // IANA zone, the device zone when the series is created
+};
+
+/**
+ * Time zone a configuration's days are counted in
+ * @param {Object} config - Recurring configuration
+ * @returns {string}
+ */
+export const getConfigTimeZone = (config) => {
+  return isValidTimeZone(config?.timeZone) ? config.timeZone : getDeviceTimeZone();
+};
+
+// Day part of a monthly or yearly rule
+const getMonthDayRule = ({ dayOfMonth, weekOfMonth, daysOfWeek }) => {
+  if (weekOfMonth) {
+    const days = [...(daysOfWeek || [])].sort((a, b) => a - b);
+    // One weekday reads as 2TU; several pick among them, e.g. the last weekday
+    return days.length === 1
+      ? { byDay: [{ day: days[0], n: weekOfMonth }] }
+      : { byDay: days.map(day => ({ day, n: 0 })), bySetPos: [weekOfMonth] };
+  }
+
+  // Days past the 28th fall on the last day of shorter months
+  if (dayOfMonth > 28) {
+    return {
+      byMonthDay: Array.from({ length: dayOfMonth - 27 }, (_, i) => 28 + i),
+      bySetPos: [-1],
+    };
+  }
+  return { byMonthDay: [dayOfMonth || 1] };
+};
+
+/**
+ * Build the RRULE of a configuration. Configurations saved before
+ * RRULE support are converted the same way.
+ * @param {Object} config - Recurring configuration
+ * @returns {string} RRULE text
+ * @throws {Error} If a custom rule is not valid
+ */
+export const configToRRule = (config) => {
+  const { pattern, frequency = 1, daysOfWeek, month } = config;
+  const interval = frequency || 1;
+  let rule;
+
+  switch (pattern) {
+    case RECURRENCE_PATTERNS.DAILY:
+      rule = { freq: FREQUENCIES.DAILY, interval };
+      break;
+
+    case RECURRENCE_PATTERNS.WEEKLY:
+      rule = {
+        freq: FREQUENCIES.WEEKLY,
+        interval,
+        byDay: [...(daysOfWeek || [])].sort((a, b) => a - b).map(day => ({ day, n: 0 })),
+      };
+      break;
+
+    case RECURRENCE_PATTERNS.MONTHLY:
+      rule = { freq: FREQUENCIES.MONTHLY, interval, ...getMonthDayRule(config) };
+      break;
+
+    case RECURRENCE_PATTERNS.YEARLY:
+      rule = { freq: FREQUENCIES.YEARLY, interval, byMonth: [month || 1], ...getMonthDayRule(config) };
+      break;
+
+    case RECURRENCE_PATTERNS.CUSTOM:
+      // Custom configurations from before RRULE support added N days
+      rule = config.rrule ? parseRRule(config.rrule) : { freq: FREQUENCIES.DAILY, interval };
+      break;
+
+    default:
+      throw new Error('Patrón de repetición no válido');
+  }
+
+  if (config.endAfterOccurrences) {
+    rule = { ...rule, count: config.endAfterOccurrences, until: null };
+  } else if (config.endDate) {
+    rule = { ...rule, until: toZonedDayKey(config.endDate, getConfigTimeZone(config)), count: null };
+  }
+  return formatRRule(rule);
+};
+
+/**
+ * Fill in the RRULE of a configuration that lacks one
+ * @param {Object} config - Recurring configuration
+ * @returns {Object}
+ */
+export const normalizeRecurringConfig = (config) => {
+  if (!config) return config;
+  let rrule = config.rrule || null;
+  if (!rrule) {
+    try {
+      rrule = configToRRule(config);
+    } catch (error) {
+      console.error('Error converting recurring config:', error);
+    }
+  }
+  return {
+    ...config,
+    mode: config.mode || RECURRENCE_MODES.CALENDAR,
+    rrule,
+    exdates: config.exdates || [],
+    timeZone: getConfigTimeZone(config),
+  };
+};
+
+/**
+ * Check whether a configuration repeats after completion
+ * @param {Object} config - Recurring configuration
+ * @returns {boolean}
+ */
+export const isAfterCompletion = (config) => config?.mode === RECURRENCE_MODES.AFTER_COMPLETION;
+
+// Rule of a configuration, or null when it can't be read
+const getConfigRule = (config) => {
+  try {
+    return parseRRule(config.rrule || configToRRule(config));
+  } catch (error) {
+    console.error('Error reading recurrence rule:', error);
+    return null;
+  }
 };
 
 /**
@@ -58,26 +243,59 @@ export const validateRecurringConfig = (config) => {
     errors.push('Invalid recurrence pattern');
   }
 
+  if (config.mode && !Object.values(RECURRENCE_MODES).includes(config.mode)) {
+    errors.push('Invalid recurrence mode');
+  }
+
+  // After completion only the frequency counts, not the days
+  const afterCompletion = isAfterCompletion(config);
+  if (afterCompletion && config.pattern === RECURRENCE_PATTERNS.CUSTOM) {
+    errors.push('Custom rules can only repeat on the calendar');
+  }
+
   if (!config.frequency || config.frequency < 1) {
     errors.push('Frequency must be at least 1');
   }
 
-  if (config.pattern === RECURRENCE_PATTERNS.WEEKLY) {
+  if (config.pattern === RECURRENCE_PATTERNS.WEEKLY && !afterCompletion) {
     if (!config.daysOfWeek || config.daysOfWeek.length === 0) {
       errors.push('At least one day of week must be selected for weekly pattern');
     }
   }
 
-  if (config.pattern === RECURRENCE_PATTERNS.MONTHLY) {
-    if (!config.dayOfMonth || config.dayOfMonth < 1 || config.dayOfMonth > 31) {
+  const isMonthBased = config.pattern === RECURRENCE_PATTERNS.MONTHLY
+    || config.pattern === RECURRENCE_PATTERNS.YEARLY;
+  if (isMonthBased && !afterCompletion) {
+    if (config.weekOfMonth) {
+      if (!WEEK_OF_MONTH_OPTIONS.some(o => o.value === config.weekOfMonth)) {
+        errors.push('Week of month must be 1 to 4, or -1 for the last');
+      }
+      if (!config.daysOfWeek || config.daysOfWeek.length === 0) {
+        errors.push('At least one day of week must be selected for week of month');
+      }
+    } else if (!config.dayOfMonth || config.dayOfMonth < 1 || config.dayOfMonth > 31) {
       errors.push('Day of month must be between 1 and 31');
     }
   }
 
+  if (config.pattern === RECURRENCE_PATTERNS.YEARLY && !afterCompletion) {
+    if (!config.month || config.month < 1 || config.month > 12) {
+      errors.push('Month must be between 1 and 12');
+    }
+  }
+
+  if (typeof config.rrule === 'string' && !isValidRRule(config.rrule)) {
+    errors.push('Invalid recurrence rule');
+  }
+
   if (!config.startDate) {
     errors.push('Start date is required');
   }
 
+  if (config.timeZone && !isValidTimeZone(config.timeZone)) {
+    errors.push('Invalid time zone');
+  }
+
   if (config.endDate && config.startDate) {
     const start = new Date(config.startDate);
     const end = new Date(config.endDate);
@@ -89,14 +307,23 @@ export const validateRecurringConfig = (config) => {
   return { valid: errors.length === 0, errors };
 };
 
-/**
- * Get day of week (1-7, Monday = 1)
- * @param {Date} date 
- * @returns {number}
- */
-const getDayOfWeek = (date) => {
-  const day = date.getDay();
-  return day === 0 ? 7 : day; // Convert Sunday (0) to 7
+// Expand a configuration's rule, starting at fromDate when it has no start date
+const expandConfig = (config, fromDate, options) => {
+  const rule = getConfigRule(config);
+  if (!rule) return [];
+
+  const timeZone = getConfigTimeZone(config);
+  const ends = [options.to, config.endDate]
+    .filter(Boolean)
+    .map(d => toZonedDayKey(d, timeZone))
+    .sort();
+  return expandRRule(rule, {
+    dtstart: config.startDate || fromDate,
+    exdates: config.exdates || [],
+    timeZone,
+    ...options,
+    to: ends[0] || null,
+  });
 };
 
 /**
@@ -106,71 +333,48 @@ const getDayOfWeek = (date) => {
  * @returns {Date|null} - Next occurrence date or null if no more occurrences
  */
 export const calculateNextOccurrence = (config, fromDate) => {
-  const { pattern, frequency, daysOfWeek, dayOfMonth, endDate, endAfterOccurrences } = config;
-  const current = new Date(fromDate);
-  current.setHours(0, 0, 0, 0);
+  const current = toZonedDayKey(fromDate, getConfigTimeZone(config));
+
+  const [next] = expandConfig(config, current, { from: addDaysToKey(current, 1), limit: 1 });
+  return next || null;
+};
 
-  let nextDate = new Date(current);
+/**
+ * Calculate the next instance of an after-completion configuration
+ * @param {Object} config - Recurring configuration
+ * @param {Date|string} completedAt - When the previous instance was completed
+ * @returns {Date|null} - Next instance date or null once past the end date
+ */
+export const calculateNextAfterCompletion = (config, completedAt) => {
+  const { pattern, frequency = 1, endDate } = config;
+  const timeZone = getConfigTimeZone(config);
+  const completedDay = toZonedDayKey(completedAt, timeZone);
+  let nextDay;
 
   switch (pattern) {
     case RECURRENCE_PATTERNS.DAILY:
-      nextDate.setDate(nextDate.getDate() + frequency);
+      nextDay = addDaysToKey(completedDay, frequency);
       break;
 
     case RECURRENCE_PATTERNS.WEEKLY:
-      if (!daysOfWeek || daysOfWeek.length === 0) return null;
-      
-      // Sort days for consistent iteration
-      const sortedDays = [...daysOfWeek].sort((a, b) => a - b);
-      const currentDayOfWeek = getDayOfWeek(current);
-      
-      // Find next day in the same week
-      let foundInSameWeek = false;
-      for (const day of sortedDays) {
-        if (day > currentDayOfWeek) {
-          const daysToAdd = day - currentDayOfWeek;
-          nextDate.setDate(nextDate.getDate() + daysToAdd);
-          foundInSameWeek = true;
-          break;
-        }
-      }
-      
-      // If not found, go to first day of next week(s)
-      if (!foundInSameWeek) {
-        const daysUntilNextWeek = 7 - currentDayOfWeek + sortedDays[0];
-        const weeksToAdd = (frequency - 1) * 7;
-        nextDate.setDate(nextDate.getDate() + daysUntilNextWeek + weeksToAdd);
-      }
+      nextDay = addDaysToKey(completedDay, frequency * 7);
       break;
 
     case RECURRENCE_PATTERNS.MONTHLY:
-      nextDate.setMonth(nextDate.getMonth() + frequency);
-      if (dayOfMonth) {
-        // Handle months with fewer days (e.g., Feb 30 → Feb 28)
-        const maxDay = new Date(nextDate.getFullYear(), nextDate.getMonth() + 1, 0).getDate();
-        nextDate.setDate(Math.min(dayOfMonth, maxDay));
-      }
+      nextDay = addMonthsToKey(completedDay, frequency);
       break;
 
-    case RECURRENCE_PATTERNS.CUSTOM:
-      // Custom uses daily with custom frequency
-      nextDate.setDate(nextDate.getDate() + frequency);
+    case RECURRENCE_PATTERNS.YEARLY:
+      nextDay = addMonthsToKey(completedDay, frequency * 12);
       break;
 
     default:
       return null;
   }
 
-  // Check end date constraint
-  if (endDate) {
-    const endDateObj = new Date(endDate);
-    endDateObj.setHours(23, 59, 59, 999);
-    if (nextDate > endDateObj) {
-      return null;
-    }
-  }
+  if (endDate && nextDay > toZonedDayKey(endDate, timeZone)) return null;
 
-  return nextDate;
+  return startOfZonedDay(nextDay, timeZone);
 };
 
 /**
@@ -182,63 +386,40 @@ export const calculateNextOccurrence = (config, fromDate) => {
  * @returns {Date[]} - Array of occurrence dates
  */
 export const generateDateRange = (config, rangeStart, rangeEnd, maxOccurrences = 100) => {
-  const dates = [];
-  const start = new Date(rangeStart);
-  const end = new Date(rangeEnd);
-  start.setHours(0, 0, 0, 0);
-  end.setHours(23, 59, 59, 999);
-
-  // Start from config.startDate if it's after rangeStart
-  let currentDate = new Date(config.startDate);
-  currentDate.setHours(0, 0, 0, 0);
-
-  // If startDate is before rangeStart, find first occurrence in range
-  while (currentDate < start && dates.length < maxOccurrences) {
-    const next = calculateNextOccurrence(config, currentDate);
-    if (!next) break;
-    currentDate = next;
-  }
-
-  // For weekly pattern, we need to check each day in daysOfWeek
-  if (config.pattern === RECURRENCE_PATTERNS.WEEKLY && config.daysOfWeek?.length > 0) {
-    // Check if the start date falls on one of the selected days
-    const startDayOfWeek = getDayOfWeek(currentDate);
-    if (config.daysOfWeek.includes(startDayOfWeek) && currentDate >= start && currentDate <= end) {
-      dates.push(new Date(currentDate));
-    }
-  } else {
-    // For other patterns, add start date if it's in range
-    if (currentDate >= start && currentDate <= end) {
-      dates.push(new Date(currentDate));
-    }
-  }
-
-  // Generate subsequent occurrences
-  while (dates.length < maxOccurrences) {
-    const next = calculateNextOccurrence(config, currentDate);
-    if (!next || next > end) break;
-    
-    dates.push(new Date(next));
-    currentDate = next;
-  }
-
-  return dates;
+  return expandConfig(config, rangeStart, {
+    from: rangeStart,
+    to: rangeEnd,
+    limit: maxOccurrences,
+  });
 };
 
 /**
- * Generate instances for the next N days
+ * Generate instances for the next N days, counted in the series zone
  * @param {Object} config - Recurring configuration
  * @param {number} [days=30] - Number of days from today
+ * @param {Date} [now] - Current time
  * @returns {Date[]}
  */
-export const generateInstancesForNextDays = (config, days = 30) => {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  const endRange = new Date(today);
-  endRange.setDate(endRange.getDate() + days);
-  
-  return generateDateRange(config, today, endRange);
+export const generateInstancesForNextDays = (config, days = 30, now = new Date()) => {
+  const today = toZonedDayKey(now, getConfigTimeZone(config));
+  return generateDateRange(config, today, addDaysToKey(today, days));
+};
+
+// "lunes", "día laborable" or "L, X" for the weekdays of a month rule
+const formatWeekdays = (daysOfWeek = []) => {
+  const days = [...daysOfWeek].sort((a, b) => a - b);
+  if (days.length === 1) return DAYS_OF_WEEK[days[0]]?.long.toLowerCase() || '';
+  if (days.join() === WEEKDAYS.join()) return 'día laborable';
+  return `día (${days.map(d => DAYS_OF_WEEK[d]?.short).filter(Boolean).join(', ')})`;
+};
+
+// "el día 15" or "el último viernes"
+const formatMonthDay = ({ dayOfMonth, weekOfMonth, daysOfWeek }) => {
+  if (weekOfMonth) {
+    const ordinal = WEEK_OF_MONTH_OPTIONS.find(o => o.value === weekOfMonth)?.label || '';
+    return `el ${ordinal} ${formatWeekdays(daysOfWeek)}`;
+  }
+  return dayOfMonth ? `el día ${dayOfMonth}` : '';
 };
 
 /**
@@ -249,7 +430,17 @@ export const generateInstancesForNextDays = (config, days = 30) => {
 export const formatRecurrencePreview = (config) => {
   if (!config) return '';
 
-  const { pattern, frequency, daysOfWeek, dayOfMonth } = config;
+  const { pattern, frequency, daysOfWeek, month } = config;
+
+  if (isAfterCompletion(config)) {
+    const units = {
+      [RECURRENCE_PATTERNS.DAILY]: ['día', 'días'],
+      [RECURRENCE_PATTERNS.WEEKLY]: ['semana', 'semanas'],
+      [RECURRENCE_PATTERNS.MONTHLY]: ['mes', 'meses'],
+      [RECURRENCE_PATTERNS.YEARLY]: ['año', 'años'],
+    }[pattern] || ['día', 'días'];
+    return `Se repite ${frequency} ${frequency === 1 ? units[0] : units[1]} después de completarla`;
+  }
 
   switch (pattern) {
     case RECURRENCE_PATTERNS.DAILY:
@@ -258,8 +449,12 @@ export const formatRecurrencePreview = (config) => {
 
     case RECURRENCE_PATTERNS.WEEKLY:
       if (!daysOfWeek || daysOfWeek.length === 0) return 'Se repite semanalmente';
+
+      if (frequency === 1 && [...daysOfWeek].sort((a, b) => a - b).join() === WEEKDAYS.join()) {
+        return 'Se repite de lunes a viernes';
+      }
       
-      const dayNames = daysOfWeek
+      const dayNames = [...daysOfWeek]
         .sort((a, b) => a - b)
         .map(d => DAYS_OF_WEEK[d]?.short || '')
         .filter(Boolean);
@@ -270,11 +465,24 @@ export const formatRecurrencePreview = (config) => {
       return `Se repite cada ${frequency} semanas (${dayNames.join(', ')})`;
 
     case RECURRENCE_PATTERNS.MONTHLY:
-      const dayStr = dayOfMonth ? `el día ${dayOfMonth}` : '';
+      const dayStr = formatMonthDay(config);
+      if (config.weekOfMonth) {
+        if (frequency === 1) return `Se repite ${dayStr} de cada mes`;
+        return `Se repite cada ${frequency} meses, ${dayStr}`;
+      }
       if (frequency === 1) return `Se repite mensualmente ${dayStr}`;
       return `Se repite cada ${frequency} meses ${dayStr}`;
 
+    case RECURRENCE_PATTERNS.YEARLY:
+      const monthName = MONTHS[month]?.long || '';
+      const yearDay = config.weekOfMonth
+        ? `${formatMonthDay(config)} de ${monthName}`
+        : `el ${config.dayOfMonth || 1} de ${monthName}`;
+      if (frequency === 1) return `Se repite cada año ${yearDay}`;
+      return `Se repite cada ${frequency} años ${yearDay}`;
+
     case RECURRENCE_PATTERNS.CUSTOM:
+      if (config.rrule) return `Regla personalizada: ${config.rrule}`;
       return `Se repite cada ${frequency} días`;
 
     default:
@@ -297,33 +505,5 @@ export const generateSeriesId = () => {
  * @returns {boolean}
  */
 export const dateMatchesPattern = (config, date) => {
-  const checkDate = new Date(date);
-  checkDate.setHours(0, 0, 0, 0);
-  
-  const startDate = new Date(config.startDate);
-  startDate.setHours(0, 0, 0, 0);
-  
-  if (checkDate < startDate) return false;
-  
-  if (config.endDate) {
-    const endDate = new Date(config.endDate);
-    endDate.setHours(23, 59, 59, 999);
-    if (checkDate > endDate) return false;
-  }
-
-  switch (config.pattern) {
-    case RECURRENCE_PATTERNS.DAILY:
-      const daysDiff = Math.floor((checkDate - startDate) / (1000 * 60 * 60 * 24));
-      return daysDiff % config.frequency === 0;
-
-    case RECURRENCE_PATTERNS.WEEKLY:
-      const dayOfWeek = getDayOfWeek(checkDate);
-      return config.daysOfWeek?.includes(dayOfWeek) || false;
-
-    case RECURRENCE_PATTERNS.MONTHLY:
-      return checkDate.getDate() === config.dayOfMonth;
-
-    default:
-      return false;
-  }
+  return expandConfig(config, date, { from: date, to: date, limit: 1 }).length > 0;
 };
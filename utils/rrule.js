@@ -0,0 +1,390 @@
+/**
+ * RRULE Parser and Expander
+ * Task List App 2026
+ *
+ * The subset of RFC 5545 recurrence rules used by recurring series:
+ * FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL,
+ * BYDAY (with ordinals such as 2TU or -1FR), BYMONTHDAY, BYMONTH,
+ * BYSETPOS and WKST. Occurrences are whole days: the rule is expanded
+ * on calendar days (see utils/timeZone) and each day becomes its first
+ * instant in the series time zone. Days of the week are numbered
+ * 1 (Monday) to 7 (Sunday), as in DAYS_OF_WEEK.
+ */
+
+import {
+  getDeviceTimeZone,
+  toZonedDayKey,
+  startOfZonedDay,
+  dayKeyToCalendarDate,
+  calendarDateToDayKey,
+} from './timeZone';
+
+export const FREQUENCIES = {
+  DAILY: 'DAILY',
+  WEEKLY: 'WEEKLY',
+  MONTHLY: 'MONTHLY',
+  YEARLY: 'YEARLY',
+};
+
+/**
+ * RRULE weekday codes, in DAYS_OF_WEEK order
+ */
+export const WEEKDAY_CODES = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// Periods walked before giving up on a rule that never matches (e.g. Feb 30)
+const MAX_PERIODS = 10000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Invalid rules are expected while one is typed, so this throws without logging
+const invalidRule = () => {
+  throw new Error('La regla de repetición no es válida');
+};
+
+const parseNumber = (value, min, max) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    invalidRule();
+  }
+  return number;
+};
+
+// Signed list such as BYMONTHDAY=1,-1: zero is never valid
+const parseNumberList = (value, min, max) => {
+  return value.split(',').map(item => {
+    const number = parseNumber(item, -max, max);
+    if (number === 0 || (min > 0 && number < min)) invalidRule();
+    return number;
+  });
+};
+
+const parseWeekday = (item) => {
+  const match = /^([+-]?\d{1,2})?([A-Z]{2})$/.exec(item);
+  const index = match ? WEEKDAY_CODES.indexOf(match[2]) : -1;
+  if (index === -1) invalidRule();
+
+  const n = match[1] ? Number(match[1]) : 0;
+  if (match[1] && (n === 0 || Math.abs(n) > 53)) invalidRule();
+  return { day: index + 1, n };
+};
+
+const formatWeekday = ({ day, n = 0 }) => `${n || ''}${WEEKDAY_CODES[day - 1]}`;
+
+// Calendar days are UTC midnight dates, so arithmetic on them never
+// meets a DST change
+const calendarDate = (year, month, day) => new Date(Date.UTC(year, month, day));
+
+const addDays = (date, days) => calendarDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + days);
+
+const getWeekday = (date) => (date.getUTCDay() === 0 ? 7 : date.getUTCDay());
+
+const daysInMonth = (year, month) => calendarDate(year, month + 1, 0).getUTCDate();
+
+/**
+ * Day key of an instant, e.g. "2030-05-10"
+ * @param {Date|string} value
+ * @param {string} [timeZone] - Defaults to the device zone
+ * @returns {string}
+ */
+export const toDayKey = (value, timeZone = getDeviceTimeZone()) => toZonedDayKey(value, timeZone);
+
+/**
+ * Parse an RRULE date as a day key. Date-times in UTC (20301231T235959Z)
+ * are read as their UTC day.
+ * @param {string} value - e.g. "20301231"
+ * @returns {string|null} e.g. "2030-12-31"
+ */
+export const parseRRuleDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T\d{6}Z?)?$/.exec(value || '');
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = calendarDate(year, month - 1, day);
+  return date.getUTCDate() === day && date.getUTCMonth() === month - 1
+    ? calendarDateToDayKey(date)
+    : null;
+};
+
+/**
+ * Format a day as an RRULE date, e.g. "20301231"
+ * @param {string} key - Day key
+ * @returns {string}
+ */
+export const formatRRuleDate = (key) => key.replace(/-/g, '');
+
+/**
+ * Parse an RRULE, with or without the "RRULE:" prefix
+ * @param {string} text - e.g. "FREQ=MONTHLY;BYDAY=-1FR"
+ * @returns {Object} Rule { freq, interval, count, until (day key), byDay, byMonthDay, byMonth, bySetPos, wkst }
+ */
+export const parseRRule = (text) => {
+  const source = String(text || '').trim().replace(/^RRULE:/i, '');
+  if (!source) invalidRule();
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    bySetPos: [],
+    wkst: 1,
+  };
+
+  for (const part of source.split(';')) {
+    if (!part.trim()) continue;
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const value = rawValue.trim().toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES[value]) invalidRule();
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseNumber(value, 1, 999);
+        break;
+      case 'COUNT':
+        rule.count = parseNumber(value, 1, 9999);
+        break;
+      case 'UNTIL':
+        rule.until = parseRRuleDate(value) || invalidRule();
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(item => parseWeekday(item));
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseNumberList(value, 0, 31);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseNumberList(value, 1, 12);
+        break;
+      case 'BYSETPOS':
+        rule.bySetPos = parseNumberList(value, 0, 366);
+        break;
+      case 'WKST':
+        rule.wkst = parseWeekday(value).day;
+        break;
+      default:
+        invalidRule();
+    }
+  }
+
+  if (!rule.freq) invalidRule();
+  if (rule.count && rule.until) invalidRule();
+
+  // Ordinal weekdays only make sense within a month or a year
+  const ordinals = rule.byDay.some(d => d.n !== 0);
+  if (ordinals && rule.freq !== FREQUENCIES.MONTHLY && rule.freq !== FREQUENCIES.YEARLY) {
+    invalidRule();
+  }
+
+  return rule;
+};
+
+/**
+ * Check whether a text is an RRULE this parser supports
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const isValidRRule = (text) => {
+  try {
+    parseRRule(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Format a rule as RRULE text, leaving defaults out
+ * @param {Object} rule - Parsed or partial rule, with until as a day key
+ * @returns {string}
+ */
+export const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byMonth?.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byDay?.length) parts.push(`BYDAY=${rule.byDay.map(formatWeekday).join(',')}`);
+  if (rule.bySetPos?.length) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+  if (rule.wkst && rule.wkst !== 1) parts.push(`WKST=${WEEKDAY_CODES[rule.wkst - 1]}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatRRuleDate(rule.until)}`);
+  return parts.join(';');
+};
+
+// A weekday entry matches a day by weekday and, when it has one, by its
+// ordinal counted from either end of the month or year
+const matchesByDay = (date, byDay, indexInSpan, spanLength) => {
+  const weekday = getWeekday(date);
+  const fromStart = Math.floor(indexInSpan / 7) + 1;
+  const fromEnd = -(Math.floor((spanLength - 1 - indexInSpan) / 7) + 1);
+  return byDay.some(d => d.day === weekday && (d.n === 0 || d.n === fromStart || d.n === fromEnd));
+};
+
+const resolveMonthDays = (byMonthDay, total) => {
+  return byMonthDay
+    .map(n => (n > 0 ? n : total + n + 1))
+    .filter(day => day >= 1 && day <= total);
+};
+
+const getMonthDates = (year, month, rule, dtstart) => {
+  const total = daysInMonth(year, month);
+  let days;
+  if (rule.byMonthDay.length) {
+    days = resolveMonthDays(rule.byMonthDay, total);
+  } else if (rule.byDay.length) {
+    days = Array.from({ length: total }, (_, i) => i + 1);
+  } else {
+    days = dtstart.getUTCDate() <= total ? [dtstart.getUTCDate()] : [];
+  }
+
+  return [...new Set(days)]
+    .sort((a, b) => a - b)
+    .map(day => calendarDate(year, month, day))
+    .filter(date => !rule.byDay.length || matchesByDay(date, rule.byDay, date.getUTCDate() - 1, total));
+};
+
+const getYearDates = (year, rule, dtstart) => {
+  if (rule.byMonth.length || rule.byMonthDay.length || !rule.byDay.length) {
+    const months = rule.byMonth.length
+      ? [...rule.byMonth].sort((a, b) => a - b).map(m => m - 1)
+      : rule.byMonthDay.length || rule.byDay.length
+        ? Array.from({ length: 12 }, (_, i) => i)
+        : [dtstart.getUTCMonth()];
+    return months.flatMap(month => getMonthDates(year, month, rule, dtstart));
+  }
+
+  // BYDAY alone counts ordinals within the whole year (e.g. 20MO)
+  const first = calendarDate(year, 0, 1);
+  const total = Math.round((calendarDate(year + 1, 0, 1) - first) / DAY_MS);
+  return Array.from({ length: total }, (_, i) => addDays(first, i))
+    .filter((date, i) => matchesByDay(date, rule.byDay, i, total));
+};
+
+const inByMonth = (rule) => (date) => !rule.byMonth.length || rule.byMonth.includes(date.getUTCMonth() + 1);
+
+// Candidate days of the index-th period of the rule, and when that period starts
+const getPeriod = (rule, dtstart, index) => {
+  const step = index * rule.interval;
+
+  switch (rule.freq) {
+    case FREQUENCIES.DAILY: {
+      const day = addDays(dtstart, step);
+      const matches = inByMonth(rule)(day)
+        && (!rule.byMonthDay.length
+          || resolveMonthDays(rule.byMonthDay, daysInMonth(day.getUTCFullYear(), day.getUTCMonth())).includes(day.getUTCDate()))
+        && (!rule.byDay.length || rule.byDay.some(d => d.day === getWeekday(day)));
+      return { start: day, dates: matches ? [day] : [] };
+    }
+
+    case FREQUENCIES.WEEKLY: {
+      const offset = (getWeekday(dtstart) - rule.wkst + 7) % 7;
+      const weekStart = addDays(dtstart, step * 7 - offset);
+      const days = rule.byDay.length ? rule.byDay.map(d => d.day) : [getWeekday(dtstart)];
+      const dates = [...new Set(days)]
+        .map(day => addDays(weekStart, (day - rule.wkst + 7) % 7))
+        .sort((a, b) => a - b)
+        .filter(inByMonth(rule));
+      return { start: weekStart, dates };
+    }
+
+    case FREQUENCIES.MONTHLY: {
+      const first = calendarDate(dtstart.getUTCFullYear(), dtstart.getUTCMonth() + step, 1);
+      const dates = inByMonth(rule)(first)
+        ? getMonthDates(first.getUTCFullYear(), first.getUTCMonth(), rule, dtstart)
+        : [];
+      return { start: first, dates };
+    }
+
+    case FREQUENCIES.YEARLY: {
+      const year = dtstart.getUTCFullYear() + step;
+      return { start: calendarDate(year, 0, 1), dates: getYearDates(year, rule, dtstart) };
+    }
+
+    default:
+      return { start: dtstart, dates: [] };
+  }
+};
+
+// BYSETPOS picks positions within each period's sorted candidates
+const applySetPos = (dates, bySetPos) => {
+  if (!bySetPos.length) return dates;
+  const picked = bySetPos
+    .map(pos => dates[pos > 0 ? pos - 1 : dates.length + pos])
+    .filter(Boolean);
+  return [...new Map(picked.map(date => [date.getTime(), date])).values()]
+    .sort((a, b) => a - b);
+};
+
+/**
+ * Expand a rule into its occurrence days. COUNT counts from DTSTART,
+ * and days in EXDATE use up their place in the count.
+ * @param {Object|string} rule - Parsed rule or RRULE text
+ * @param {Object} options - Days are instants or day keys
+ * @param {Date|string} options.dtstart - First day of the series
+ * @param {Array} [options.exdates] - Days excluded from the series
+ * @param {Date|string} [options.from] - Only days on or after this one
+ * @param {Date|string} [options.to] - Only days on or before this one
+ * @param {number} [options.limit=100] - Maximum days returned
+ * @param {string} [options.timeZone] - IANA zone of the series, the device zone by default
+ * @returns {Date[]} First instant of each day in the zone, in order
+ */
+export const expandRRule = (rule, {
+  dtstart,
+  exdates = [],
+  from = null,
+  to = null,
+  limit = 100,
+  timeZone = getDeviceTimeZone(),
+}) => {
+  const parsed = typeof rule === 'string' ? parseRRule(rule) : parseRRule(formatRRule(rule));
+  const toCalendarDate = (value) => dayKeyToCalendarDate(toZonedDayKey(value, timeZone));
+
+  const start = toCalendarDate(dtstart);
+  const rangeStart = from ? toCalendarDate(from) : start;
+
+  const ends = [parsed.until, to].filter(Boolean).map(toCalendarDate);
+  const end = ends.length ? new Date(Math.min(...ends)) : null;
+
+  const excluded = new Set(exdates.map(value => toZonedDayKey(value, timeZone)));
+  const dates = [];
+  let generated = 0;
+
+  for (let index = 0; index < MAX_PERIODS && dates.length < limit; index++) {
+    const period = getPeriod(parsed, start, index);
+    if (end && period.start > end) break;
+
+    for (const date of applySetPos(period.dates, parsed.bySetPos)) {
+      if (date < start) continue;
+      if (end && date > end) return dates;
+
+      generated++;
+      if (parsed.count && generated > parsed.count) return dates;
+
+      const key = calendarDateToDayKey(date);
+      if (date >= rangeStart && !excluded.has(key)) {
+        dates.push(startOfZonedDay(key, timeZone));
+        if (dates.length >= limit) return dates;
+      }
+    }
+  }
+
+  return dates;
+};
+
+export default {
+  FREQUENCIES,
+  WEEKDAY_CODES,
+  toDayKey,
+  parseRRuleDate,
+  formatRRuleDate,
+  parseRRule,
+  isValidRRule,
+  formatRRule,
+  expandRRule,
+};
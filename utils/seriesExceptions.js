@@ -0,0 +1,173 @@
+/**
+ * Recurring Series Exceptions
+ * Task List App 2026
+ *
+ * Occurrences that no longer follow their series: moved to another day,
+ * skipped, deleted or modified. A series keeps one exception per
+ * occurrence, { id, type, date, changes, updatedAt }, with the id being
+ * the original day in the series time zone. The generator reads them so
+ * it never re-creates a moved, skipped or deleted occurrence, and sync
+ * merges them per day.
+ */
+
+import { getConfigTimeZone } from './recurringHelpers';
+import { DEFAULT_LIST_ID } from './taskLists';
+import { getSeriesReminders } from './taskReminders';
+import { toZonedDayKey } from './timeZone';
+
+export const EXCEPTION_TYPES = {
+  MOVED: 'moved',
+  SKIPPED: 'skipped',
+  DELETED: 'deleted',
+  MODIFIED: 'modified',
+};
+
+/**
+ * Instance fields a modified occurrence keeps over the series
+ */
+export const EXCEPTION_FIELDS = ['title', 'description', 'priority', 'listId', 'reminders'];
+
+const getSeriesValue = (series, field) => {
+  switch (field) {
+    case 'description':
+      return series.description || '';
+    case 'priority':
+      return series.priority || 'medium';
+    case 'listId':
+      return series.listId || DEFAULT_LIST_ID;
+    case 'reminders':
+      return getSeriesReminders(series);
+    default:
+      return series[field] ?? null;
+  }
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Original day of an instance, in the series time zone
+ * @param {Object} series
+ * @param {Object} task - Instance of the series
+ * @returns {string} Day key, e.g. "2030-04-01"
+ */
+export const getOccurrenceKey = (series, task) => {
+  return toZonedDayKey(task.instanceDate || task.dueDate, getConfigTimeZone(series.recurringConfig));
+};
+
+/**
+ * Exception recorded for a day
+ * @param {Object} series
+ * @param {string} key - Day key of the original occurrence
+ * @returns {Object|null}
+ */
+export const getSeriesException = (series, key) => {
+  return (series?.exceptions || []).find(e => e.id === key) || null;
+};
+
+/**
+ * Exception describing how an instance differs from its series
+ * @param {Object} series
+ * @param {Object} task - Instance, with its latest changes
+ * @param {string} [type] - Force a type, e.g. EXCEPTION_TYPES.DELETED
+ * @returns {Object|null} Exception, or null when the instance follows the series
+ */
+export const getInstanceException = (series, task, type = null) => {
+  const key = getOccurrenceKey(series, task);
+  const timeZone = getConfigTimeZone(series.recurringConfig);
+
+  const changes = {};
+  for (const field of EXCEPTION_FIELDS) {
+    const value = field === 'description' ? task.description || '' : task[field];
+    if (value !== undefined && !sameValue(value, getSeriesValue(series, field))) {
+      changes[field] = value;
+    }
+  }
+
+  const dueDay = task.dueDate ? toZonedDayKey(task.dueDate, timeZone) : key;
+  const moved = dueDay !== key;
+
+  const resolvedType = type
+    || (task.skipped && EXCEPTION_TYPES.SKIPPED)
+    || (moved && EXCEPTION_TYPES.MOVED)
+    || (Object.keys(changes).length > 0 && EXCEPTION_TYPES.MODIFIED);
+  if (!resolvedType) return null;
+
+  return { id: key, type: resolvedType, date: moved ? dueDay : null, changes };
+};
+
+/**
+ * Series exceptions after recording the state of one instance
+ * @param {Object} series
+ * @param {Object} task - Instance, with its latest changes
+ * @param {string} [type] - Force a type, e.g. EXCEPTION_TYPES.DELETED
+ * @returns {Array|null} New exceptions, or null when nothing changed
+ */
+export const getUpdatedExceptions = (series, task, type = null) => {
+  const key = getOccurrenceKey(series, task);
+  const previous = getSeriesException(series, key);
+  const exception = getInstanceException(series, task, type);
+
+  const unchanged = exception && previous
+    ? previous.type === exception.type
+      && previous.date === exception.date
+      && sameValue(previous.changes, exception.changes)
+    : !exception && !previous;
+  if (unchanged) return null;
+
+  const others = (series.exceptions || []).filter(e => e.id !== key);
+  if (!exception) return others;
+
+  return [...others, { ...exception, updatedAt: new Date().toISOString() }]
+    .sort((a, b) => a.id.localeCompare(b.id));
+};
+
+/**
+ * Series after recording the state of one of its instances
+ * @param {Object} series
+ * @param {Object} task - Instance, with its latest changes
+ * @param {string} [type] - Force a type, e.g. EXCEPTION_TYPES.DELETED
+ * @returns {Object} Updated series, or the same one when nothing changed
+ */
+export const applySeriesException = (series, task, type = null) => {
+  const exceptions = getUpdatedExceptions(series, task, type);
+  if (!exceptions) return series;
+  return { ...series, exceptions, updatedAt: new Date().toISOString() };
+};
+
+/**
+ * Drop overrides of fields the whole series now sets, e.g. after
+ * editing "all" instances. Modified exceptions left empty are removed.
+ * @param {Array} exceptions
+ * @param {string[]} fields - Fields changed on the series
+ * @returns {Array}
+ */
+export const clearExceptionFields = (exceptions = [], fields = []) => {
+  return exceptions
+    .map(exception => {
+      const changes = { ...(exception.changes || {}) };
+      fields.forEach(field => delete changes[field]);
+      return { ...exception, changes };
+    })
+    .filter(e => e.type !== EXCEPTION_TYPES.MODIFIED || Object.keys(e.changes).length > 0);
+};
+
+/**
+ * Whether the generator may create the occurrence of a day
+ * @param {Object|null} exception
+ * @returns {boolean}
+ */
+export const isOccurrenceGenerated = (exception) => {
+  return !exception || exception.type === EXCEPTION_TYPES.MODIFIED;
+};
+
+export default {
+  EXCEPTION_TYPES,
+  EXCEPTION_FIELDS,
+  getOccurrenceKey,
+  getSeriesException,
+  getInstanceException,
+  getUpdatedExceptions,
+  applySeriesException,
+  clearExceptionFields,
+  isOccurrenceGenerated,
+};
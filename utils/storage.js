@@ -2,6 +2,8 @@ import AsyncStorage from "@react-native-async-storage/async-storage";
 
 const TASKS_KEY = "@tasks";
 const RECURRING_SERIES_KEY = "@recurring_series";
+const TASK_LISTS_KEY = "@task_lists";
+const DIGEST_SETTINGS_KEY = "@digest_settings";
 
 export const loadTasks = async () => {
   try {
@@ -57,3 +59,55 @@ export const clearRecurringSeries = async () => {
     console.error("Error clearing recurring series:", error);
   }
 };
+
+/**
+ * Load user-defined task lists
+ * @returns {Promise<Array>} Array of lists, empty before the first launch with lists
+ */
+export const loadTaskLists = async () => {
+  try {
+    const saved = await AsyncStorage.getItem(TASK_LISTS_KEY);
+    return saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.error("Error loading task lists:", error);
+    return [];
+  }
+};
+
+/**
+ * Save user-defined task lists
+ * @param {Array} lists - Array of lists
+ */
+export const saveTaskLists = async (lists) => {
+  try {
+    await AsyncStorage.setItem(TASK_LISTS_KEY, JSON.stringify(lists));
+  } catch (error) {
+    console.error("Error saving task lists:", error);
+  }
+};
+
+/**
+ * Load the morning digest and evening review settings
+ * @returns {Promise<Object|null>} Settings, null if never saved
+ */
+export const loadDigestSettings = async () => {
+  try {
+    const saved = await AsyncStorage.getItem(DIGEST_SETTINGS_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.error("Error loading digest settings:", error);
+    return null;
+  }
+};
+
+/**
+ * Save the morning digest and evening review settings
+ * @param {Object} settings - Settings keyed by digest type
+ */
+export const saveDigestSettings = async (settings) => {
+  try {
+    await AsyncStorage.setItem(DIGEST_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error("Error saving digest settings:", error);
+  }
+};
@@ -0,0 +1,281 @@
+/**
+ * Subtask Tree Helpers
+ * Task List App 2026
+ *
+ * Subtasks nest to any depth. They are stored as a flat list where each
+ * subtask points to its parent with `parentId` (null at the top level),
+ * so they still sync and merge item by item. The list is kept in display
+ * order: a subtask comes after its parent and its earlier siblings'
+ * descendants.
+ */
+
+/**
+ * Group subtasks by parent id. Subtasks whose parent is missing
+ * (e.g. removed on another device) are treated as top-level ones.
+ */
+const groupByParent = (subtasks) => {
+  const ids = new Set(subtasks.map(st => st.id));
+  const children = new Map();
+  subtasks.forEach(st => {
+    const parentId = st.parentId && st.parentId !== st.id && ids.has(st.parentId) ? st.parentId : null;
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(st);
+  });
+  return children;
+};
+
+/**
+ * Rows of the subtask tree in display order
+ * @param {Array} subtasks
+ * @returns {Array<{ subtask: Object, depth: number, hasChildren: boolean }>}
+ */
+export const flattenSubtaskTree = (subtasks = []) => {
+  const children = groupByParent(subtasks);
+  const visited = new Set();
+  const rows = [];
+
+  const visit = (subtask, depth) => {
+    if (visited.has(subtask.id)) return;
+    visited.add(subtask.id);
+    const kids = children.get(subtask.id) || [];
+    rows.push({ subtask, depth, hasChildren: kids.length > 0 });
+    kids.forEach(child => visit(child, depth + 1));
+  };
+
+  (children.get(null) || []).forEach(st => visit(st, 0));
+  // Subtasks left out are caught in a parent loop, e.g. after merging
+  // opposite indents from two devices: show them at the top level
+  subtasks.forEach(st => visit(st, 0));
+
+  return rows;
+};
+
+/**
+ * Put subtasks in display order and clear dangling parent links
+ * @param {Array} subtasks
+ * @returns {Array}
+ */
+export const normalizeSubtasks = (subtasks = []) => {
+  return flattenSubtaskTree(subtasks).map(({ subtask, depth }) =>
+    depth === 0 && subtask.parentId ? { ...subtask, parentId: null } : subtask
+  );
+};
+
+/**
+ * Ids of all the subtasks nested under a subtask
+ * @param {Array} subtasks
+ * @param {string} subtaskId
+ * @returns {string[]}
+ */
+export const getDescendantIds = (subtasks, subtaskId) => {
+  const children = groupByParent(subtasks);
+  const ids = [];
+  const seen = new Set([subtaskId]);
+  const pending = [subtaskId];
+
+  while (pending.length > 0) {
+    (children.get(pending.pop()) || []).forEach(child => {
+      if (seen.has(child.id)) return;
+      seen.add(child.id);
+      ids.push(child.id);
+      pending.push(child.id);
+    });
+  }
+
+  return ids;
+};
+
+/**
+ * Ids of the parent, grandparent, etc. of a subtask, closest first
+ * @param {Array} subtasks
+ * @param {string} subtaskId
+ * @returns {string[]}
+ */
+export const getAncestorIds = (subtasks, subtaskId) => {
+  const byId = new Map(subtasks.map(st => [st.id, st]));
+  const ids = [];
+  let parentId = byId.get(subtaskId)?.parentId;
+
+  while (parentId && byId.has(parentId) && parentId !== subtaskId && !ids.includes(parentId)) {
+    ids.push(parentId);
+    parentId = byId.get(parentId).parentId;
+  }
+
+  return ids;
+};
+
+/**
+ * Add a subtask as the last child of a parent, or at the end of the top level
+ * @param {Array} subtasks
+ * @param {Object} subtask - New subtask
+ * @param {string|null} [parentId]
+ * @returns {Array}
+ */
+export const addSubtaskToTree = (subtasks, subtask, parentId = null) => {
+  const parentExists = parentId && subtasks.some(st => st.id === parentId);
+  return normalizeSubtasks([...subtasks, { ...subtask, parentId: parentExists ? parentId : null }]);
+};
+
+/**
+ * Nest a subtask under its previous sibling, as its last child.
+ * The first subtask of a level can't be indented.
+ * @param {Array} subtasks
+ * @param {string} subtaskId
+ * @returns {Array}
+ */
+export const indentSubtask = (subtasks, subtaskId) => {
+  const list = normalizeSubtasks(subtasks);
+  const subtask = list.find(st => st.id === subtaskId);
+  if (!subtask) return list;
+
+  const siblings = list.filter(st => (st.parentId || null) === (subtask.parentId || null));
+  const previous = siblings[siblings.indexOf(subtask) - 1];
+  if (!previous) return list;
+
+  return normalizeSubtasks(list.map(st => (st.id === subtaskId ? { ...st, parentId: previous.id } : st)));
+};
+
+/**
+ * Move a subtask up one level, right after its former parent
+ * @param {Array} subtasks
+ * @param {string} subtaskId
+ * @returns {Array}
+ */
+export const outdentSubtask = (subtasks, subtaskId) => {
+  const list = normalizeSubtasks(subtasks);
+  const subtask = list.find(st => st.id === subtaskId);
+  if (!subtask?.parentId) return list;
+
+  const parent = list.find(st => st.id === subtask.parentId);
+  return normalizeSubtasks(list.map(st =>
+    st.id === subtaskId ? { ...st, parentId: parent.parentId || null } : st
+  ));
+};
+
+/**
+ * Move a subtask, with its descendants, to the row of another one in
+ * display order. It becomes a sibling of the subtask it is dropped on.
+ * @param {Array} subtasks
+ * @param {number} fromIndex - Display index of the moved subtask
+ * @param {number} toIndex - Display index it is dropped on
+ * @returns {Array}
+ */
+export const moveSubtask = (subtasks, fromIndex, toIndex) => {
+  const list = normalizeSubtasks(subtasks);
+  const moved = list[fromIndex];
+  const target = list[toIndex];
+  if (!moved || !target || fromIndex === toIndex) return list;
+
+  const block = new Set([moved.id, ...getDescendantIds(list, moved.id)]);
+  // Can't drop a subtask inside itself
+  if (block.has(target.id)) return list;
+
+  const rest = list.filter(st => !block.has(st.id));
+  const blockItems = list
+    .filter(st => block.has(st.id))
+    .map(st => (st.id === moved.id ? { ...st, parentId: target.parentId || null } : st));
+
+  let insertAt = rest.indexOf(target);
+  if (toIndex > fromIndex) {
+    // Dropped below the target: go after it and its descendants
+    insertAt += 1 + getDescendantIds(rest, target.id).length;
+  }
+  rest.splice(insertAt, 0, ...blockItems);
+
+  return normalizeSubtasks(rest);
+};
+
+/**
+ * Complete or reopen a subtask together with its descendants.
+ * A parent is complete exactly when all its children are, so the
+ * ancestors are updated to match.
+ * @param {Array} subtasks
+ * @param {string} subtaskId
+ * @param {boolean} completed
+ * @returns {Array}
+ */
+export const setSubtaskCompleted = (subtasks, subtaskId, completed) => {
+  const subtree = new Set([subtaskId, ...getDescendantIds(subtasks, subtaskId)]);
+  let result = subtasks.map(st =>
+    subtree.has(st.id) && !!st.completed !== completed ? { ...st, completed } : st
+  );
+
+  getAncestorIds(result, subtaskId).forEach(ancestorId => {
+    const children = result.filter(st => st.parentId === ancestorId);
+    const allDone = children.every(st => st.completed);
+    result = result.map(st =>
+      st.id === ancestorId && !!st.completed !== allDone ? { ...st, completed: allDone } : st
+    );
+  });
+
+  return result;
+};
+
+/**
+ * Remove a subtask and everything nested under it
+ * @param {Array} subtasks
+ * @param {string} subtaskId
+ * @returns {Array}
+ */
+export const removeSubtask = (subtasks, subtaskId) => {
+  const subtree = new Set([subtaskId, ...getDescendantIds(subtasks, subtaskId)]);
+  return subtasks.filter(st => !subtree.has(st.id));
+};
+
+/**
+ * Take a subtask out of the tree, e.g. to turn it into a task
+ * @param {Array} subtasks
+ * @param {string} subtaskId
+ * @returns {{ subtask: Object|null, descendants: Array, remaining: Array }}
+ *   Its descendants are re-rooted: its children become top-level subtasks
+ */
+export const detachSubtask = (subtasks, subtaskId) => {
+  const list = normalizeSubtasks(subtasks);
+  const subtask = list.find(st => st.id === subtaskId) || null;
+  if (!subtask) return { subtask: null, descendants: [], remaining: list };
+
+  const descendantIds = new Set(getDescendantIds(list, subtaskId));
+  return {
+    subtask,
+    descendants: list
+      .filter(st => descendantIds.has(st.id))
+      .map(st => (st.parentId === subtaskId ? { ...st, parentId: null } : st)),
+    remaining: list.filter(st => st.id !== subtaskId && !descendantIds.has(st.id)),
+  };
+};
+
+/**
+ * Progress of a subtask tree, rolled up from its leaves: a subtask with
+ * children counts as the sum of them
+ * @param {Array} subtasks
+ * @param {string|null} [rootId] - Only count under this subtask
+ * @returns {{ total: number, completed: number, percentage: number }}
+ */
+export const getTreeProgress = (subtasks = [], rootId = null) => {
+  const rows = flattenSubtaskTree(subtasks);
+  const scope = rootId ? new Set(getDescendantIds(subtasks, rootId)) : null;
+  const leaves = rows.filter(row => !row.hasChildren && (!scope || scope.has(row.subtask.id)));
+
+  const total = leaves.length;
+  const completed = leaves.filter(row => row.subtask.completed).length;
+  return {
+    total,
+    completed,
+    percentage: total > 0 ? Math.round((completed / total) * 100) : 0,
+  };
+};
+
+export default {
+  flattenSubtaskTree,
+  normalizeSubtasks,
+  getDescendantIds,
+  getAncestorIds,
+  addSubtaskToTree,
+  indentSubtask,
+  outdentSubtask,
+  moveSubtask,
+  setSubtaskCompleted,
+  removeSubtask,
+  detachSubtask,
+  getTreeProgress,
+};
@@ -0,0 +1,338 @@
+/**
+ * Sync Merge Helpers
+ * TaskList App - Phase 2 Cloud Backup
+ *
+ * Field-level three-way merge between a local task (or recurring
+ * series, or list), its cloud copy and the last-synced copy of both (the base).
+ */
+
+/**
+ * Fields that are merged individually
+ */
+export const MERGE_FIELDS = [
+  'title',
+  'description',
+  'listId',
+  'assigneeId',
+  'priority',
+  'dueDate',
+  'startDate',
+  'allDay',
+  'estimatedMinutes',
+  'reminders',
+  'place',
+  'completed',
+  'subtasks',
+  'attachments',
+  'blockedBy',
+  'comments',
+  'activity',
+  'snoozeHistory',
+];
+
+/**
+ * Append-only fields: edits from both sides are combined without conflicts
+ */
+const LOG_FIELDS = ['comments', 'activity', 'snoozeHistory'];
+
+/**
+ * Fields of a recurring series that are merged individually
+ */
+export const SERIES_MERGE_FIELDS = [
+  'title',
+  'description',
+  'listId',
+  'priority',
+  'enableReminder',
+  'reminders',
+  'recurringConfig',
+  'exceptions',
+  'active',
+];
+
+/**
+ * Fields of a task list that are merged individually
+ */
+export const LIST_MERGE_FIELDS = [
+  'name',
+  'color',
+  'icon',
+  'order',
+  'archived',
+];
+
+/**
+ * Only attachment metadata is synced, so compare attachments by these keys.
+ * The file itself lives in storage under its content hash.
+ */
+const ATTACHMENT_KEYS = ['id', 'filename', 'type', 'filesize', 'contentHash'];
+
+const pick = (obj, keys) => keys.reduce((acc, key) => {
+  acc[key] = obj?.[key] ?? null;
+  return acc;
+}, {});
+
+/**
+ * Normalize a field value so local and cloud representations compare equal
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {*}
+ */
+const normalizeField = (field, value) => {
+  switch (field) {
+    case 'description':
+      return value || '';
+    case 'completed':
+    case 'enableReminder':
+    case 'archived':
+      return !!value;
+    case 'dueDate':
+    case 'startDate':
+      return value ? new Date(value).getTime() : null;
+    case 'allDay':
+      return value !== false;
+    case 'estimatedMinutes':
+    case 'place':
+      return value || null;
+    case 'subtasks':
+    case 'reminders':
+    case 'comments':
+    case 'activity':
+    case 'snoozeHistory':
+    case 'exceptions':
+      return value || [];
+    case 'attachments':
+      return (value || []).map(a => pick(a, ATTACHMENT_KEYS));
+    case 'blockedBy':
+      return [...(value || [])].sort();
+    default:
+      return value ?? null;
+  }
+};
+
+/**
+ * Check whether two values of a field are equal
+ * @param {string} field - Field name
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export const fieldEquals = (field, a, b) => {
+  return JSON.stringify(normalizeField(field, a)) === JSON.stringify(normalizeField(field, b));
+};
+
+/**
+ * Check whether two records differ in any merged field
+ * @param {Object} a
+ * @param {Object} b
+ * @param {string[]} [fields] - Fields to compare, tasks by default
+ * @returns {boolean}
+ */
+export const hasFieldChanges = (a, b, fields = MERGE_FIELDS) => {
+  return fields.some(field => !fieldEquals(field, a?.[field], b?.[field]));
+};
+
+/**
+ * Build the base snapshot stored after a successful sync
+ * @param {Object} record - Task or series in local format
+ * @param {string[]} [fields] - Fields to keep, tasks by default
+ * @returns {Object}
+ */
+export const toSyncBase = (record, fields = MERGE_FIELDS) => {
+  const base = {
+    ...pick(record, fields),
+    updatedAt: record.updatedAt || null,
+  };
+  if (fields.includes('attachments')) {
+    base.attachments = normalizeField('attachments', record.attachments);
+  }
+  return base;
+};
+
+const itemEquals = (field, a, b) => {
+  if (field === 'attachments') {
+    return JSON.stringify(pick(a, ATTACHMENT_KEYS)) === JSON.stringify(pick(b, ATTACHMENT_KEYS));
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+/**
+ * Three-way merge of arrays of items with an `id`.
+ * Additions from either side are kept, removals apply unless the other
+ * side edited the item, and edits apply per item.
+ * @param {string} field - 'subtasks', 'attachments', 'reminders', 'exceptions' or a log field
+ * @param {Array} base - Last-synced items (may be null)
+ * @param {Array} local - Local items
+ * @param {Array} cloud - Cloud items
+ * @param {boolean} preferCloud - Side to take when an item changed on both
+ * @returns {Array}
+ */
+export const mergeItemsById = (field, base, local = [], cloud = [], preferCloud = false) => {
+  const baseMap = new Map((base || []).map(item => [item.id, item]));
+  const localMap = new Map(local.map(item => [item.id, item]));
+  const cloudMap = new Map(cloud.map(item => [item.id, item]));
+  const result = [];
+
+  for (const localItem of local) {
+    const baseItem = baseMap.get(localItem.id);
+    const cloudItem = cloudMap.get(localItem.id);
+
+    if (!cloudItem) {
+      // Removed in cloud, keep only if edited locally since last sync
+      if (baseItem && itemEquals(field, baseItem, localItem)) continue;
+      result.push(localItem);
+      continue;
+    }
+
+    const localChanged = !baseItem || !itemEquals(field, baseItem, localItem);
+    const cloudChanged = !baseItem || !itemEquals(field, baseItem, cloudItem);
+
+    if (cloudChanged && (!localChanged || preferCloud)) {
+      // Keep local-only data (e.g. attachment localUri) when ids match
+      result.push(field === 'attachments' ? { ...localItem, ...cloudItem } : cloudItem);
+    } else {
+      result.push(localItem);
+    }
+  }
+
+  for (const cloudItem of cloud) {
+    if (localMap.has(cloudItem.id)) continue;
+
+    const baseItem = baseMap.get(cloudItem.id);
+    // Removed locally, keep only if edited in cloud since last sync
+    if (baseItem && itemEquals(field, baseItem, cloudItem)) continue;
+    result.push(cloudItem);
+  }
+
+  return result;
+};
+
+/**
+ * Merge a record field by field
+ * @param {Object|null} base - Last-synced snapshot (null if never synced)
+ * @param {Object} local - Local record
+ * @param {Object} cloud - Cloud record in local format
+ * @param {string[]} fields - Fields to merge individually
+ * @returns {{ record: Object, conflicts: Array }} Merged record and the
+ *   fields that changed on both sides
+ */
+export const mergeRecord = (base, local, cloud, fields) => {
+  const localUpdated = new Date(local.updatedAt || 0);
+  const cloudUpdated = new Date(cloud.updatedAt || 0);
+  const cloudIsNewer = cloudUpdated >= localUpdated;
+
+  // Non-merged fields follow the newer side
+  const record = {
+    ...(cloudIsNewer ? { ...local, ...cloud } : { ...cloud, ...local }),
+    updatedAt: (cloudIsNewer ? cloudUpdated : localUpdated).toISOString(),
+  };
+  const conflicts = [];
+
+  for (const field of fields) {
+    const localValue = local[field];
+    const cloudValue = cloud[field];
+
+    if (fieldEquals(field, localValue, cloudValue)) {
+      record[field] = localValue;
+      continue;
+    }
+
+    const localChanged = !base || !fieldEquals(field, base[field], localValue);
+    const cloudChanged = !base || !fieldEquals(field, base[field], cloudValue);
+
+    if (localChanged && !cloudChanged) {
+      record[field] = localValue;
+    } else if (cloudChanged && !localChanged) {
+      record[field] = cloudValue;
+    } else if (LOG_FIELDS.includes(field)) {
+      // New comments, activity or snoozes on both sides, keep both in time order
+      record[field] = mergeItemsById(field, base?.[field], localValue, cloudValue)
+        .sort((a, b) => new Date(a.createdAt || a.at) - new Date(b.createdAt || b.at));
+    } else {
+      // Changed on both sides
+      const resolved = ['subtasks', 'attachments', 'reminders', 'exceptions'].includes(field)
+        ? mergeItemsById(field, base?.[field], localValue, cloudValue, cloudIsNewer)
+        : (cloudIsNewer ? cloudValue : localValue);
+
+      record[field] = resolved;
+      conflicts.push({
+        field,
+        base: base ? base[field] ?? null : null,
+        local: localValue ?? null,
+        cloud: cloudValue ?? null,
+        resolved: resolved ?? null,
+      });
+    }
+  }
+
+  return { record, conflicts };
+};
+
+/**
+ * Merge a task field by field
+ * @param {Object|null} base - Last-synced snapshot (null if never synced)
+ * @param {Object} local - Local task
+ * @param {Object} cloud - Cloud task in local format
+ * @returns {{ task: Object, conflicts: Array }} Merged task and the fields
+ *   that changed on both sides
+ */
+export const mergeTask = (base, local, cloud) => {
+  const { record, conflicts } = mergeRecord(base, local, cloud, MERGE_FIELDS);
+
+  // Scheduled reminders only exist on this device
+  return {
+    task: { ...record, notificationIds: local.notificationIds || {} },
+    conflicts,
+  };
+};
+
+/**
+ * Apply the result of a sync on top of the latest local state. The sync
+ * started from a snapshot, so tasks created, edited or deleted on this
+ * device while it ran keep their local state.
+ * @param {Array} current - Latest local tasks
+ * @param {Array} snapshot - Local tasks the sync started from
+ * @param {Array} synced - Tasks returned by the sync
+ * @returns {Array}
+ */
+export const mergeSyncResult = (current, snapshot, synced) => {
+  const before = new Map(snapshot.map(t => [t.id, t]));
+  const currentById = new Map(current.map(t => [t.id, t]));
+  const syncedIds = new Set(synced.map(t => t.id));
+
+  const changedSince = (task) => {
+    const previous = before.get(task.id);
+    return !previous || new Date(task.updatedAt || 0) > new Date(previous.updatedAt || 0);
+  };
+
+  const merged = [];
+  for (const task of synced) {
+    const local = currentById.get(task.id);
+    if (!local) {
+      // Deleted on this device while syncing
+      if (!before.has(task.id)) merged.push(task);
+      continue;
+    }
+    merged.push(changedSince(local) ? local : task);
+  }
+
+  // Created while syncing, or edited after another device deleted them
+  for (const local of current) {
+    if (!syncedIds.has(local.id) && changedSince(local)) merged.push(local);
+  }
+
+  return merged;
+};
+
+export default {
+  MERGE_FIELDS,
+  SERIES_MERGE_FIELDS,
+  LIST_MERGE_FIELDS,
+  fieldEquals,
+  hasFieldChanges,
+  toSyncBase,
+  mergeItemsById,
+  mergeRecord,
+  mergeTask,
+  mergeSyncResult,
+};
@@ -0,0 +1,239 @@
+/**
+ * Task Activity Helpers
+ * Task List App 2026
+ *
+ * Comment thread and activity log of a task. Both are append-only
+ * lists of items with an `id`, so they sync by merging items by id.
+ * The activity log records who changed the title, priority, due date,
+ * completion, assignee or subtasks of a task, and when.
+ */
+
+import { priorities } from '../constants/theme';
+import { formatDateShort } from './dateHelpers';
+
+/**
+ * Fields whose changes are recorded in the activity log
+ */
+export const TRACKED_FIELDS = ['title', 'priority', 'dueDate', 'completed', 'assigneeId', 'subtasks'];
+
+/**
+ * Oldest entries are dropped past this size to keep synced rows small
+ */
+export const MAX_ACTIVITY_ENTRIES = 100;
+
+/**
+ * Longest comment accepted
+ */
+export const MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * Kinds of subtask changes
+ */
+export const SUBTASK_ACTIONS = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  COMPLETED: 'completed',
+  REOPENED: 'reopened',
+  RENAMED: 'renamed',
+};
+
+const generateId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+const sameDate = (a, b) => {
+  return (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+};
+
+/**
+ * Subtask changes between two versions of a task, at any nesting level.
+ * Reordering and indenting are not recorded.
+ * @param {Array} before - Previous subtasks
+ * @param {Array} after - New subtasks
+ * @returns {Array<{ action: string, subtask: string }>}
+ */
+export const diffSubtasks = (before = [], after = []) => {
+  const previous = new Map(before.map(st => [st.id, st]));
+  const next = new Map(after.map(st => [st.id, st]));
+  const changes = [];
+
+  after.forEach(st => {
+    const old = previous.get(st.id);
+    if (!old) {
+      changes.push({ action: SUBTASK_ACTIONS.ADDED, subtask: st.title });
+    } else if (!!old.completed !== !!st.completed) {
+      changes.push({
+        action: st.completed ? SUBTASK_ACTIONS.COMPLETED : SUBTASK_ACTIONS.REOPENED,
+        subtask: st.title,
+      });
+    } else if (old.title !== st.title) {
+      changes.push({ action: SUBTASK_ACTIONS.RENAMED, subtask: st.title });
+    }
+  });
+
+  before.forEach(st => {
+    if (!next.has(st.id)) {
+      changes.push({ action: SUBTASK_ACTIONS.REMOVED, subtask: st.title });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Activity entries for the tracked fields that differ between two versions
+ * @param {Object} before - Task before the change
+ * @param {Object} after - Task after the change
+ * @param {Object} actor - { id, name } of the user making the change
+ * @param {string} [at] - ISO time of the change
+ * @returns {Array} Entries { id, field, from, to, action?, subtask?, actorId, actorName, at }
+ */
+export const createActivityEntries = (before, after, actor, at = new Date().toISOString()) => {
+  const entry = (field, values) => ({
+    id: generateId('act'),
+    field,
+    ...values,
+    actorId: actor?.id || null,
+    actorName: actor?.name || null,
+    at,
+  });
+  const entries = [];
+
+  TRACKED_FIELDS.forEach(field => {
+    if (!(field in after)) return;
+
+    if (field === 'subtasks') {
+      diffSubtasks(before.subtasks || [], after.subtasks || []).forEach(change => {
+        entries.push(entry(field, { from: null, to: null, ...change }));
+      });
+      return;
+    }
+
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    const unchanged = field === 'dueDate' ? sameDate(from, to)
+      : field === 'completed' ? !!from === !!to
+        : from === to;
+
+    if (!unchanged) {
+      entries.push(entry(field, { from, to }));
+    }
+  });
+
+  return entries;
+};
+
+/**
+ * Append activity entries to a task, keeping the most recent ones
+ * @param {Object} task
+ * @param {Array} entries
+ * @returns {Object} Task with the new activity
+ */
+export const appendActivity = (task, entries) => {
+  if (entries.length === 0) return task;
+  return {
+    ...task,
+    activity: [...(task.activity || []), ...entries].slice(-MAX_ACTIVITY_ENTRIES),
+  };
+};
+
+/**
+ * Apply changes to a task and log them
+ * @param {Object} task - Task before the change
+ * @param {Object} changes - Changed fields
+ * @param {Object} actor - { id, name } of the user making the change
+ * @returns {Object} Updated task, with `updatedAt` and the new activity
+ */
+export const applyTaskChanges = (task, changes, actor) => {
+  const updatedAt = new Date().toISOString();
+  return appendActivity(
+    { ...task, ...changes, updatedAt },
+    createActivityEntries(task, changes, actor, updatedAt)
+  );
+};
+
+/**
+ * Create a comment
+ * @param {string} text
+ * @param {Object} author - { id, name }
+ * @returns {Object|null} Comment { id, text, authorId, authorName, createdAt }, null when empty
+ */
+export const createComment = (text, author) => {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return null;
+
+  return {
+    id: generateId('cmt'),
+    text: trimmed.slice(0, MAX_COMMENT_LENGTH),
+    authorId: author?.id || null,
+    authorName: author?.name || null,
+    createdAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Sort comments or activity entries, oldest first
+ * @param {Array} items
+ * @returns {Array}
+ */
+export const sortByTime = (items = []) => {
+  return [...items].sort((a, b) => new Date(a.createdAt || a.at) - new Date(b.createdAt || b.at));
+};
+
+const formatValue = (field, value) => {
+  switch (field) {
+    case 'priority':
+      return priorities[value]?.name || value;
+    case 'dueDate':
+      return value ? formatDateShort(value) : null;
+    default:
+      return value;
+  }
+};
+
+/**
+ * Describe an activity entry, e.g. "cambió la prioridad de Media a Alta"
+ * @param {Object} entry - Activity entry
+ * @param {Function} [getMemberName] - Resolves a user id to a name
+ * @returns {string}
+ */
+export const describeActivity = (entry, getMemberName = () => null) => {
+  const from = formatValue(entry.field, entry.from);
+  const to = formatValue(entry.field, entry.to);
+
+  switch (entry.field) {
+    case 'title':
+      return `cambió el título a «${to}»`;
+    case 'priority':
+      return `cambió la prioridad de ${from} a ${to}`;
+    case 'dueDate':
+      if (!to) return 'quitó la fecha límite';
+      return from ? `cambió la fecha límite de ${from} a ${to}` : `puso la fecha límite el ${to}`;
+    case 'completed':
+      return to ? 'completó la tarea' : 'reabrió la tarea';
+    case 'assigneeId':
+      return to ? `asignó la tarea a ${getMemberName(to) || 'otro miembro'}` : 'quitó la asignación';
+    case 'subtasks':
+      return {
+        [SUBTASK_ACTIONS.ADDED]: `añadió la subtarea «${entry.subtask}»`,
+        [SUBTASK_ACTIONS.REMOVED]: `eliminó la subtarea «${entry.subtask}»`,
+        [SUBTASK_ACTIONS.COMPLETED]: `completó la subtarea «${entry.subtask}»`,
+        [SUBTASK_ACTIONS.REOPENED]: `reabrió la subtarea «${entry.subtask}»`,
+        [SUBTASK_ACTIONS.RENAMED]: `renombró una subtarea a «${entry.subtask}»`,
+      }[entry.action] || 'cambió las subtareas';
+    default:
+      return 'modificó la tarea';
+  }
+};
+
+export default {
+  TRACKED_FIELDS,
+  MAX_ACTIVITY_ENTRIES,
+  MAX_COMMENT_LENGTH,
+  SUBTASK_ACTIONS,
+  diffSubtasks,
+  createActivityEntries,
+  appendActivity,
+  applyTaskChanges,
+  createComment,
+  sortByTime,
+  describeActivity,
+};
@@ -0,0 +1,132 @@
+/**
+ * Task Dependencies Helpers
+ * Task List App 2026
+ *
+ * A task can be blocked by other tasks ("B can't start until A is done").
+ * Each task keeps the ids of its blockers in `blockedBy`; a task is
+ * blocked while any of them is still pending.
+ */
+
+/**
+ * Ids of the tasks blocking a task
+ * @param {Object} task
+ * @returns {string[]}
+ */
+export const getBlockerIds = (task) => task?.blockedBy || [];
+
+// Skipped recurring instances won't be done, so they don't block
+const isDone = (task) => !!task.completed || !!task.skipped;
+
+/**
+ * Pending tasks that block a task. Deleted blockers are ignored.
+ * @param {Object} task
+ * @param {Array} tasks - All tasks
+ * @returns {Array} Blocking tasks
+ */
+export const getOpenBlockers = (task, tasks) => {
+  const ids = getBlockerIds(task);
+  if (ids.length === 0) return [];
+  return tasks.filter(t => ids.includes(t.id) && !isDone(t));
+};
+
+/**
+ * Check whether a task is waiting for other tasks
+ * @param {Object} task
+ * @param {Array} tasks - All tasks
+ * @returns {boolean}
+ */
+export const isTaskBlocked = (task, tasks) => {
+  return !task.completed && getOpenBlockers(task, tasks).length > 0;
+};
+
+/**
+ * Tasks that depend on a task
+ * @param {Array} tasks - All tasks
+ * @param {string} taskId
+ * @returns {Array}
+ */
+export const getDependents = (tasks, taskId) => {
+  return tasks.filter(t => getBlockerIds(t).includes(taskId));
+};
+
+/**
+ * Check whether making `blockerId` block `taskId` would close a loop,
+ * i.e. whether `blockerId` already depends on `taskId`, directly or not
+ * @param {Array} tasks - All tasks
+ * @param {string} taskId - Task that would be blocked
+ * @param {string} blockerId - Task that would block it
+ * @returns {boolean}
+ */
+export const wouldCreateCycle = (tasks, taskId, blockerId) => {
+  if (taskId === blockerId) return true;
+
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const visited = new Set();
+  const pending = [blockerId];
+
+  while (pending.length > 0) {
+    const id = pending.pop();
+    if (id === taskId) return true;
+    if (visited.has(id)) continue;
+    visited.add(id);
+    pending.push(...getBlockerIds(byId.get(id)));
+  }
+
+  return false;
+};
+
+/**
+ * Tasks that may be added as blockers of a task
+ * @param {Array} tasks - All tasks
+ * @param {Object} task
+ * @returns {Array}
+ */
+export const getBlockerCandidates = (tasks, task) => {
+  const current = getBlockerIds(task);
+  return tasks.filter(t =>
+    !isDone(t)
+    && !current.includes(t.id)
+    && !wouldCreateCycle(tasks, task.id, t.id)
+  );
+};
+
+/**
+ * Tasks that stop being blocked when a task is completed
+ * @param {Array} tasks - All tasks, before the completion
+ * @param {string} completedId - Task being completed
+ * @returns {Array}
+ */
+export const getUnblockedByCompletion = (tasks, completedId) => {
+  return getDependents(tasks, completedId).filter(t => {
+    if (t.completed) return false;
+    const open = getOpenBlockers(t, tasks);
+    return open.length === 1 && open[0].id === completedId;
+  });
+};
+
+/**
+ * Put actionable tasks first and blocked tasks after them,
+ * keeping the order within each group
+ * @param {Array} list - Tasks to sort
+ * @param {Array} tasks - All tasks, to resolve blockers
+ * @returns {Array}
+ */
+export const sortByActionable = (list, tasks) => {
+  const actionable = [];
+  const blocked = [];
+  list.forEach(task => {
+    (isTaskBlocked(task, tasks) ? blocked : actionable).push(task);
+  });
+  return [...actionable, ...blocked];
+};
+
+export default {
+  getBlockerIds,
+  getOpenBlockers,
+  isTaskBlocked,
+  getDependents,
+  wouldCreateCycle,
+  getBlockerCandidates,
+  getUnblockedByCompletion,
+  sortByActionable,
+};
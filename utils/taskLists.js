@@ -0,0 +1,198 @@
+/**
+ * Task Lists Helpers
+ * Task List App 2026
+ *
+ * User-defined lists (projects) that group tasks. They replace the
+ * fixed category set: the default lists keep the old category ids,
+ * so tasks saved with a `category` migrate to the list with that id.
+ */
+
+import { categories } from '../constants/theme';
+
+/**
+ * List that receives tasks without a valid list
+ */
+export const DEFAULT_LIST_ID = 'personal';
+
+/**
+ * Colors offered when creating or editing a list
+ */
+export const LIST_COLORS = [
+  '#3B82F6',
+  '#EC4899',
+  '#F59E0B',
+  '#10B981',
+  '#A855F7',
+  '#00D9FF',
+  '#EF4444',
+  '#64748B',
+];
+
+/**
+ * Ionicons offered when creating or editing a list
+ */
+export const LIST_ICONS = [
+  'list',
+  'briefcase',
+  'heart',
+  'cart',
+  'fitness',
+  'home',
+  'school',
+  'airplane',
+  'book',
+  'code-slash',
+  'cash',
+  'star',
+];
+
+/**
+ * Lists created on first launch, from the former categories
+ */
+export const DEFAULT_LISTS = Object.values(categories)
+  .filter(category => category.id !== 'all')
+  .map((category, index) => ({
+    id: category.id,
+    name: category.name,
+    color: category.color,
+    icon: category.icon,
+    order: index,
+    archived: false,
+  }));
+
+/**
+ * Sort lists by their position
+ * @param {Array} lists
+ * @returns {Array} New sorted array
+ */
+export const sortLists = (lists) => {
+  return [...lists].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+};
+
+/**
+ * Lists that can receive tasks, in display order
+ * @param {Array} lists
+ * @returns {Array}
+ */
+export const getActiveLists = (lists) => {
+  return sortLists(lists.filter(list => !list.archived));
+};
+
+/**
+ * Find the list of a task, falling back to the default list
+ * @param {Array} lists
+ * @param {string} listId
+ * @returns {Object|null}
+ */
+export const findList = (lists, listId) => {
+  return lists.find(list => list.id === listId)
+    || lists.find(list => list.id === DEFAULT_LIST_ID)
+    || null;
+};
+
+/**
+ * Give a task or recurring series a list id.
+ * Records saved before lists existed carry a `category` instead.
+ * @param {Object} record - Task or recurring series
+ * @param {Array} lists - Known lists
+ * @returns {Object} Record with `listId` and without `category`
+ */
+export const migrateToList = (record, lists) => {
+  const { category, ...rest } = record;
+  const listId = rest.listId || category;
+
+  return {
+    ...rest,
+    listId: lists.some(list => list.id === listId) ? listId : DEFAULT_LIST_ID,
+  };
+};
+
+/**
+ * Build a new list placed after the existing ones
+ * @param {Object} data - { id?, name, color?, icon? }
+ * @param {Array} lists - Existing lists
+ * @returns {Object} New list
+ */
+export const createList = (data, lists) => {
+  const now = new Date().toISOString();
+  const lastOrder = lists.reduce((max, list) => Math.max(max, list.order ?? 0), -1);
+
+  return {
+    id: data.id || `list_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    name: String(data.name).trim(),
+    color: data.color || LIST_COLORS[0],
+    icon: data.icon || LIST_ICONS[0],
+    order: lastOrder + 1,
+    archived: false,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Move a list to another position.
+ * Only lists whose position changed get a new `order` and `updatedAt`.
+ * @param {Array} lists - All lists
+ * @param {string} listId - List to move
+ * @param {number} toIndex - Target index among the sorted lists
+ * @returns {{ lists: Array, changedIds: Array<string> }}
+ */
+export const moveList = (lists, listId, toIndex) => {
+  const sorted = sortLists(lists);
+  const fromIndex = sorted.findIndex(list => list.id === listId);
+  if (fromIndex === -1 || toIndex < 0 || toIndex >= sorted.length || fromIndex === toIndex) {
+    return { lists, changedIds: [] };
+  }
+
+  const [moved] = sorted.splice(fromIndex, 1);
+  sorted.splice(toIndex, 0, moved);
+
+  const now = new Date().toISOString();
+  const changedIds = [];
+  const reordered = sorted.map((list, index) => {
+    if (list.order === index) return list;
+    changedIds.push(list.id);
+    return { ...list, order: index, updatedAt: now };
+  });
+
+  return { lists: reordered, changedIds };
+};
+
+/**
+ * Count tasks per list
+ * @param {Array} tasks
+ * @param {Array} lists
+ * @returns {Array<{ list: Object, total: number, completed: number, pending: number }>}
+ *   One entry per list in display order, archived lists last
+ */
+export const getListBreakdown = (tasks, lists) => {
+  const counts = new Map(lists.map(list => [list.id, { total: 0, completed: 0 }]));
+
+  tasks.forEach(task => {
+    const list = findList(lists, task.listId);
+    const count = list && counts.get(list.id);
+    if (!count) return;
+    count.total += 1;
+    if (task.completed) count.completed += 1;
+  });
+
+  return [...getActiveLists(lists), ...sortLists(lists.filter(list => list.archived))]
+    .map(list => {
+      const { total, completed } = counts.get(list.id);
+      return { list, total, completed, pending: total - completed };
+    });
+};
+
+export default {
+  DEFAULT_LIST_ID,
+  DEFAULT_LISTS,
+  LIST_COLORS,
+  LIST_ICONS,
+  sortLists,
+  getActiveLists,
+  findList,
+  migrateToList,
+  createList,
+  moveList,
+  getListBreakdown,
+};
@@ -0,0 +1,141 @@
+/**
+ * Task Location Helpers
+ * Task List App 2026
+ *
+ * A task can have a place { name, latitude, longitude, radius }.
+ * Each open task with a place is watched as a geofence, and entering
+ * the area reminds the user of the task. Region identifiers are task ids.
+ */
+
+/**
+ * Radius offered when picking a place, in meters
+ */
+export const RADIUS_OPTIONS = [100, 200, 500, 1000];
+
+export const DEFAULT_RADIUS = 200;
+
+/**
+ * Regions the OS watches at once (iOS allows 20 per app)
+ */
+export const MAX_GEOFENCES = 20;
+
+/**
+ * Geofencing event types, as sent by expo-location
+ */
+export const GEOFENCE_EVENT_TYPES = {
+  ENTER: 1,
+  EXIT: 2,
+};
+
+/**
+ * Check that a place has usable coordinates and radius
+ * @param {Object} place
+ * @returns {boolean}
+ */
+export const isValidPlace = (place) => {
+  if (!place) return false;
+  const { latitude, longitude, radius } = place;
+  return Number.isFinite(latitude) && Math.abs(latitude) <= 90
+    && Number.isFinite(longitude) && Math.abs(longitude) <= 180
+    && Number.isFinite(radius) && radius > 0;
+};
+
+/**
+ * Create a place
+ * @param {Object} data - { name?, latitude, longitude, radius? }
+ * @returns {Object} Place { name, latitude, longitude, radius }
+ */
+export const createPlace = ({ name, latitude, longitude, radius = DEFAULT_RADIUS }) => {
+  const place = {
+    name: (name || '').trim() || 'Ubicación',
+    latitude: Number(latitude),
+    longitude: Number(longitude),
+    radius: Number(radius),
+  };
+  if (!isValidPlace(place)) {
+    console.error('Invalid place:', place);
+    throw new Error('La ubicación no es válida');
+  }
+  return place;
+};
+
+/**
+ * Distance between two coordinates in meters (haversine)
+ * @param {{ latitude: number, longitude: number }} a
+ * @param {{ latitude: number, longitude: number }} b
+ * @returns {number}
+ */
+export const getDistanceMeters = (a, b) => {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const earthRadius = 6371000;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * earthRadius * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Format a radius, e.g. "200 m" or "1 km"
+ * @param {number} meters
+ * @returns {string}
+ */
+export const formatRadius = (meters) => {
+  return meters >= 1000 ? `${meters / 1000} km` : `${meters} m`;
+};
+
+const isWatched = (task) => !task.completed && !task.skipped && isValidPlace(task.place);
+
+/**
+ * Geofence regions for the open tasks with a place. Past the OS limit,
+ * tasks due soonest are watched first.
+ * @param {Array} tasks
+ * @returns {Array} Regions { identifier, latitude, longitude, radius, notifyOnEnter, notifyOnExit }
+ */
+export const getGeofenceRegions = (tasks) => {
+  const dueTime = (task) => (task.dueDate ? new Date(task.dueDate).getTime() : Infinity);
+
+  return tasks
+    .filter(isWatched)
+    .sort((a, b) => dueTime(a) - dueTime(b))
+    .slice(0, MAX_GEOFENCES)
+    .map(task => ({
+      identifier: task.id,
+      latitude: task.place.latitude,
+      longitude: task.place.longitude,
+      radius: task.place.radius,
+      notifyOnEnter: true,
+      notifyOnExit: false,
+    }));
+};
+
+/**
+ * Task to remind of for a geofencing event: entering the area of an
+ * open task that still has that place
+ * @param {Object} event - { eventType, region }
+ * @param {Array} tasks
+ * @returns {Object|null}
+ */
+export const getTaskForGeofenceEvent = (event, tasks) => {
+  if (event?.eventType !== GEOFENCE_EVENT_TYPES.ENTER || !event.region) return null;
+
+  const task = tasks.find(t => t.id === event.region.identifier);
+  if (!task || !isWatched(task)) return null;
+
+  // The place may have moved since the region was registered
+  const distance = getDistanceMeters(task.place, event.region);
+  return distance <= task.place.radius ? task : null;
+};
+
+export default {
+  RADIUS_OPTIONS,
+  DEFAULT_RADIUS,
+  MAX_GEOFENCES,
+  GEOFENCE_EVENT_TYPES,
+  isValidPlace,
+  createPlace,
+  getDistanceMeters,
+  formatRadius,
+  getGeofenceRegions,
+  getTaskForGeofenceEvent,
+};
@@ -0,0 +1,270 @@
+/**
+ * Task Reminders Helpers
+ * Task List App 2026
+ *
+ * A task keeps a list of reminders. Each one is either relative to the
+ * due time ("30 min antes") or set at an absolute date and time.
+ * All-day tasks are due at 9:00 for reminder purposes.
+ *
+ * Scheduled notifications only exist on this device, so their ids are
+ * kept apart in `notificationIds`, keyed by reminder id.
+ *
+ * Snoozing a reminder from its notification is recorded in the task's
+ * `snoozeHistory`; the latest snooze still to come fires as one more reminder.
+ */
+
+import { ALL_DAY_REMINDER_HOUR, isAllDay, formatDuration, formatDateShort, formatTime } from './dateHelpers';
+
+/**
+ * Kinds of reminders
+ */
+export const REMINDER_TYPES = {
+  RELATIVE: 'relative',
+  ABSOLUTE: 'absolute',
+};
+
+/**
+ * Offsets offered when adding a relative reminder, in minutes before the due time
+ */
+export const REMINDER_PRESETS = [0, 15, 30, 60, 24 * 60, 7 * 24 * 60];
+
+/**
+ * Ways to snooze a reminder
+ */
+export const SNOOZE_OPTIONS = {
+  TEN_MINUTES: 'snooze-10',
+  ONE_HOUR: 'snooze-60',
+  TOMORROW: 'tomorrow',
+};
+
+/**
+ * Oldest snoozes are dropped past this size to keep synced rows small
+ */
+export const MAX_SNOOZE_ENTRIES = 20;
+
+/**
+ * Id under which the pending snooze is scheduled
+ */
+export const SNOOZE_REMINDER_ID = 'snooze';
+
+const generateId = () => `rem_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// Reminder standing in for the former on/off reminder at the due time
+const legacyReminder = () => ({ id: 'due', type: REMINDER_TYPES.RELATIVE, offsetMinutes: 0 });
+
+/**
+ * Create a reminder relative to the due time
+ * @param {number} offsetMinutes - Minutes before the due time
+ * @returns {Object} Reminder { id, type, offsetMinutes }
+ */
+export const createRelativeReminder = (offsetMinutes = 0) => ({
+  id: generateId(),
+  type: REMINDER_TYPES.RELATIVE,
+  offsetMinutes: Math.max(0, Math.round(offsetMinutes)),
+});
+
+/**
+ * Create a reminder at a fixed date and time
+ * @param {Date|string} at
+ * @returns {Object} Reminder { id, type, at }
+ */
+export const createAbsoluteReminder = (at) => ({
+  id: generateId(),
+  type: REMINDER_TYPES.ABSOLUTE,
+  at: new Date(at).toISOString(),
+});
+
+/**
+ * Reminders of a task. Tasks saved with the former on/off reminder
+ * get a single reminder at the due time.
+ * @param {Object} task
+ * @returns {Array}
+ */
+export const getTaskReminders = (task) => {
+  if (Array.isArray(task?.reminders)) return task.reminders;
+  if (task?.enableReminder && task.dueDate) {
+    return [legacyReminder()];
+  }
+  return [];
+};
+
+/**
+ * Reminders copied to each instance of a recurring series. Only the
+ * ones relative to the due time carry over from one instance to the next.
+ * @param {Object} series - Series, or the task data it is created from
+ * @returns {Array}
+ */
+export const getSeriesReminders = (series) => {
+  if (!Array.isArray(series?.reminders)) {
+    return series?.enableReminder ? [legacyReminder()] : [];
+  }
+  return series.reminders.filter(r => r.type === REMINDER_TYPES.RELATIVE);
+};
+
+/**
+ * Time relative reminders count back from: the due time, or 9:00 on
+ * the due day for all-day tasks
+ * @param {Object} task
+ * @returns {Date|null}
+ */
+export const getReminderBaseTime = (task) => {
+  if (!task?.dueDate) return null;
+
+  const base = new Date(task.dueDate);
+  if (isAllDay(task)) {
+    base.setHours(ALL_DAY_REMINDER_HOUR, 0, 0, 0);
+  }
+  return base;
+};
+
+/**
+ * When a reminder fires
+ * @param {Object} task
+ * @param {Object} reminder
+ * @returns {Date|null} Null for relative reminders of tasks without due date
+ */
+export const getReminderTime = (task, reminder) => {
+  if (reminder.type === REMINDER_TYPES.ABSOLUTE) {
+    return reminder.at ? new Date(reminder.at) : null;
+  }
+
+  const base = getReminderBaseTime(task);
+  if (!base) return null;
+  return new Date(base.getTime() - (reminder.offsetMinutes || 0) * 60 * 1000);
+};
+
+/**
+ * Reminders of a task still to fire, soonest first.
+ * Completed and skipped tasks have none.
+ * @param {Object} task
+ * @param {Date} [now]
+ * @returns {Array<{ reminder: Object, time: Date }>}
+ */
+export const getUpcomingReminders = (task, now = new Date()) => {
+  if (!task || task.completed || task.skipped) return [];
+
+  const snooze = getPendingSnooze(task, now);
+  const snoozeReminder = snooze
+    ? [{ id: SNOOZE_REMINDER_ID, type: REMINDER_TYPES.ABSOLUTE, at: snooze.until }]
+    : [];
+
+  return [...getTaskReminders(task), ...snoozeReminder]
+    .map(reminder => ({ reminder, time: getReminderTime(task, reminder) }))
+    .filter(({ time }) => time && time > now)
+    .sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Check whether two versions of a task would fire different reminders
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export const remindersChanged = (a, b) => {
+  const schedule = (task) => JSON.stringify([
+    task?.title,
+    !!task?.completed,
+    !!task?.skipped,
+    getTaskReminders(task).map(r => [r.id, getReminderTime(task, r)?.getTime() ?? null]),
+    getPendingSnooze(task)?.until ?? null,
+  ]);
+  return schedule(a) !== schedule(b);
+};
+
+/**
+ * When a snoozed reminder fires again
+ * @param {string} option - One of SNOOZE_OPTIONS
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export const getSnoozeUntil = (option, now = new Date()) => {
+  switch (option) {
+    case SNOOZE_OPTIONS.TEN_MINUTES:
+      return new Date(now.getTime() + 10 * 60 * 1000);
+    case SNOOZE_OPTIONS.ONE_HOUR:
+      return new Date(now.getTime() + 60 * 60 * 1000);
+    case SNOOZE_OPTIONS.TOMORROW: {
+      const tomorrow = new Date(now);
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      tomorrow.setHours(ALL_DAY_REMINDER_HOUR, 0, 0, 0);
+      return tomorrow;
+    }
+    default:
+      throw new Error(`Opción de posponer no válida: ${option}`);
+  }
+};
+
+/**
+ * Snooze history of a task with one more snooze
+ * @param {Array} history - Current snooze history
+ * @param {string} option - One of SNOOZE_OPTIONS
+ * @param {Date} [now]
+ * @returns {Array} Entries { id, option, at, until }
+ */
+export const addSnooze = (history = [], option, now = new Date()) => {
+  const entry = {
+    id: `snz_${now.getTime()}_${Math.random().toString(36).substr(2, 9)}`,
+    option,
+    at: now.toISOString(),
+    until: getSnoozeUntil(option, now).toISOString(),
+  };
+  return [...history, entry].slice(-MAX_SNOOZE_ENTRIES);
+};
+
+/**
+ * Latest snooze of a task, if it is still to fire
+ * @param {Object} task
+ * @param {Date} [now]
+ * @returns {Object|null}
+ */
+export const getPendingSnooze = (task, now = new Date()) => {
+  const history = task?.snoozeHistory || [];
+  const last = history[history.length - 1];
+  return last && new Date(last.until) > now ? last : null;
+};
+
+/**
+ * Describe a reminder, e.g. "1 día antes" or "3 mar, 18:00"
+ * @param {Object} reminder
+ * @param {Object} [task] - Task it belongs to, to word all-day reminders
+ * @returns {string}
+ */
+export const describeReminder = (reminder, task = null) => {
+  if (reminder.type === REMINDER_TYPES.ABSOLUTE) {
+    return `${formatDateShort(reminder.at)}, ${formatTime(reminder.at)}`;
+  }
+
+  const minutes = reminder.offsetMinutes || 0;
+  if (minutes === 0) {
+    return task && isAllDay(task) ? `El mismo día a las ${ALL_DAY_REMINDER_HOUR}:00` : 'A la hora límite';
+  }
+  if (minutes % (7 * 24 * 60) === 0) {
+    const weeks = minutes / (7 * 24 * 60);
+    return weeks === 1 ? '1 semana antes' : `${weeks} semanas antes`;
+  }
+  if (minutes % (24 * 60) === 0) {
+    const days = minutes / (24 * 60);
+    return days === 1 ? '1 día antes' : `${days} días antes`;
+  }
+  return `${formatDuration(minutes)} antes`;
+};
+
+export default {
+  REMINDER_TYPES,
+  REMINDER_PRESETS,
+  SNOOZE_OPTIONS,
+  MAX_SNOOZE_ENTRIES,
+  SNOOZE_REMINDER_ID,
+  createRelativeReminder,
+  createAbsoluteReminder,
+  getTaskReminders,
+  getSeriesReminders,
+  getReminderBaseTime,
+  getReminderTime,
+  getUpcomingReminders,
+  remindersChanged,
+  getSnoozeUntil,
+  addSnooze,
+  getPendingSnooze,
+  describeReminder,
+};
@@ -0,0 +1,205 @@
+/**
+ * Time Zone Helpers
+ * Task List App 2026
+ *
+ * Calendar days in an IANA time zone, independent of the device zone.
+ * Day arithmetic is done on day keys ("2030-03-31") so DST changes
+ * never shift or repeat a day; keys become instants only at the end,
+ * as the first instant of that day in the zone.
+ */
+
+const DAY_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * IANA zone of the device, e.g. "Europe/Madrid"
+ * @returns {string}
+ */
+export const getDeviceTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+};
+
+/**
+ * Check whether a zone name is known
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check whether a value is a day key such as "2030-03-31"
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isDayKey = (value) => typeof value === 'string' && DAY_KEY_PATTERN.test(value);
+
+/**
+ * Wall clock time of an instant in a zone
+ * @param {Date|string|number} value
+ * @param {string} timeZone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+export const getZonedParts = (value, timeZone) => {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(new Date(value))) {
+    if (part.type !== 'literal') parts[part.type] = Number(part.value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour % 24, // Some engines print midnight as 24
+    minute: parts.minute,
+    second: parts.second,
+  };
+};
+
+/**
+ * Offset of a zone from UTC at an instant, in minutes (Madrid in summer: 120)
+ * @param {Date|string|number} value
+ * @param {string} timeZone
+ * @returns {number}
+ */
+export const getTimeZoneOffset = (value, timeZone) => {
+  const time = new Date(value).getTime();
+  const p = getZonedParts(time, timeZone);
+  const wallTime = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((wallTime - (time - (((time % 1000) + 1000) % 1000))) / 60000);
+};
+
+/**
+ * Instant of a wall clock time in a zone. A time skipped by a DST change
+ * resolves to the first instant after the gap; a repeated one to the first.
+ * @param {{ year: number, month: number, day: number, hour?: number, minute?: number }} wall
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export const zonedTimeToDate = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute);
+  const first = wallTime - getTimeZoneOffset(wallTime, timeZone) * 60000;
+  const second = wallTime - getTimeZoneOffset(first, timeZone) * 60000;
+
+  const matches = (time) => {
+    const p = getZonedParts(time, timeZone);
+    return p.year === year && p.month === month && p.day === day && p.hour === hour && p.minute === minute;
+  };
+  const candidates = [Math.min(first, second), Math.max(first, second)].filter(matches);
+  return new Date(candidates.length ? candidates[0] : Math.max(first, second));
+};
+
+/**
+ * Day key of an instant in a zone. Day keys are returned as they are.
+ * @param {Date|string|number} value
+ * @param {string} timeZone
+ * @returns {string} e.g. "2030-03-31"
+ */
+export const toZonedDayKey = (value, timeZone) => {
+  if (isDayKey(value)) return value;
+  const { year, month, day } = getZonedParts(value, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * First instant of a day in a zone (midnight, unless DST skips it)
+ * @param {Date|string|number} value - Instant or day key
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export const startOfZonedDay = (value, timeZone) => {
+  const [year, month, day] = toZonedDayKey(value, timeZone).split('-').map(Number);
+  return zonedTimeToDate({ year, month, day }, timeZone);
+};
+
+/**
+ * Day key as a UTC midnight date, for calendar arithmetic
+ * @param {string} key
+ * @returns {Date}
+ */
+export const dayKeyToCalendarDate = (key) => {
+  const [, year, month, day] = DAY_KEY_PATTERN.exec(key);
+  return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+};
+
+/**
+ * Day key of a UTC midnight calendar date
+ * @param {Date} date
+ * @returns {string}
+ */
+export const calendarDateToDayKey = (date) => {
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+};
+
+/**
+ * Move a day key by a number of days
+ * @param {string} key
+ * @param {number} days
+ * @returns {string}
+ */
+export const addDaysToKey = (key, days) => {
+  const date = dayKeyToCalendarDate(key);
+  date.setUTCDate(date.getUTCDate() + days);
+  return calendarDateToDayKey(date);
+};
+
+/**
+ * Move a day key by a number of months, keeping the day within the month
+ * (Jan 31 + 1 month → Feb 28)
+ * @param {string} key
+ * @param {number} months
+ * @returns {string}
+ */
+export const addMonthsToKey = (key, months) => {
+  const date = dayKeyToCalendarDate(key);
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const maxDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, maxDay));
+  return calendarDateToDayKey(date);
+};
+
+export default {
+  getDeviceTimeZone,
+  isValidTimeZone,
+  isDayKey,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToDate,
+  toZonedDayKey,
+  startOfZonedDay,
+  dayKeyToCalendarDate,
+  calendarDateToDayKey,
+  addDaysToKey,
+  addMonthsToKey,
+};